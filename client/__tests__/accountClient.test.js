@@ -0,0 +1,85 @@
+import { AccountClient } from '../scripts/accountClient';
+
+function createStorage() {
+  const values = new Map();
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, value),
+    removeItem: (key) => values.delete(key)
+  };
+}
+
+function jsonResponse(status, body) {
+  return Promise.resolve({
+    ok: status < 400,
+    status,
+    json: () => Promise.resolve(body)
+  });
+}
+
+const account = { id: 'account-1', username: 'luna', displayName: 'Luna' };
+
+describe('AccountClient', () => {
+  test('stores the session and restores it from storage', async () => {
+    const storage = createStorage();
+    const fetch = jest.fn(() => jsonResponse(200, {
+      account, accessToken: 'access-1', refreshToken: 'refresh-1', expiresIn: 900
+    }));
+    const client = new AccountClient({ storage, fetch });
+
+    await expect(client.login('luna', 'carrots-forever')).resolves.toEqual(account);
+    expect(fetch).toHaveBeenCalledWith('/api/auth/login', expect.objectContaining({ method: 'POST' }));
+
+    const restored = new AccountClient({ storage, fetch });
+    expect(restored.isSignedIn).toBe(true);
+    await expect(restored.authHeaders()).resolves.toEqual({ Authorization: 'Bearer access-1' });
+
+    restored.logout();
+    expect(new AccountClient({ storage, fetch }).isSignedIn).toBe(false);
+    await expect(restored.authHeaders()).resolves.toEqual({});
+  });
+
+  test('surfaces the server error message', async () => {
+    const client = new AccountClient({
+      storage: createStorage(),
+      fetch: () => jsonResponse(409, { error: 'Username is already taken' })
+    });
+
+    await expect(client.register('luna', 'carrots-forever')).rejects.toThrow('Username is already taken');
+    expect(client.isSignedIn).toBe(false);
+  });
+
+  test('refreshes an expiring access token once, and signs out when refresh is refused', async () => {
+    const fetch = jest.fn()
+      .mockReturnValueOnce(jsonResponse(200, {
+        account, accessToken: 'access-1', refreshToken: 'refresh-1', expiresIn: 10
+      }))
+      .mockReturnValueOnce(jsonResponse(200, {
+        account, accessToken: 'access-2', refreshToken: 'refresh-2', expiresIn: 10
+      }))
+      .mockReturnValueOnce(jsonResponse(401, { error: 'Token expired' }));
+    const client = new AccountClient({ storage: createStorage(), fetch });
+    await client.login('luna', 'carrots-forever');
+
+    const [first, second] = await Promise.all([client.getAccessToken(), client.getAccessToken()]);
+    expect(first).toBe('access-2');
+    expect(second).toBe('access-2');
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    await expect(client.getAccessToken()).resolves.toBeNull();
+    expect(client.isSignedIn).toBe(false);
+  });
+
+  test('keeps the session when the server cannot be reached', async () => {
+    const fetch = jest.fn()
+      .mockReturnValueOnce(jsonResponse(200, {
+        account, accessToken: 'access-1', refreshToken: 'refresh-1', expiresIn: 10
+      }))
+      .mockReturnValueOnce(Promise.reject(new Error('offline')));
+    const client = new AccountClient({ storage: createStorage(), fetch });
+    await client.login('luna', 'carrots-forever');
+
+    await expect(client.getAccessToken()).resolves.toBeNull();
+    expect(client.isSignedIn).toBe(true);
+  });
+});
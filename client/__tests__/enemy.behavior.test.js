@@ -1,4 +1,5 @@
 import { Enemy } from '../scripts/entities/enemy';
+import { SeededRandom, SimulationClock } from '../shared/random';
 
 describe('Enemy shooter projectile behavior', () => {
   test('shooter attack returns projectile payload aimed at player', () => {
@@ -58,3 +59,37 @@ describe('Enemy shooter projectile behavior', () => {
     expect(secondAttempt).toBe(false);
   });
 });
+
+describe('Enemy randomness', () => {
+  function runBoss(seed) {
+    const random = new SeededRandom(seed);
+    const boss = new Enemy('boss-1', 100, 100, 80, 80, 'boss', { random });
+    const jumps = [];
+    boss.health = 1;
+
+    for (let step = 0; step < 300; step++) {
+      boss.isGrounded = true;
+      boss.velocityY = 0;
+      boss.reactToPlayer({ x: 300, y: 100 }, 0.016);
+      if (boss.velocityY < 0) jumps.push(step);
+    }
+    return jumps;
+  }
+
+  test('boss jumps are reproducible from the injected seed', () => {
+    expect(runBoss(5)).toEqual(runBoss(5));
+    expect(runBoss(5).length).toBeGreaterThan(0);
+  });
+
+  test('projectile ids come from the simulation clock', () => {
+    const clock = new SimulationClock();
+    const enemy = new Enemy('enemy-shooter', 100, 100, 40, 40, 'shooter', { clock });
+    clock.advance();
+
+    const first = enemy.createShooterProjectile({ x: 200, y: 100 });
+    const second = enemy.createShooterProjectile({ x: 200, y: 100 });
+
+    expect(first.id).toBe('enemy-shooter-proj-1-1');
+    expect(second.id).toBe('enemy-shooter-proj-1-2');
+  });
+});
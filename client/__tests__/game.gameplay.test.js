@@ -1,4 +1,7 @@
 import { Game } from '../scripts/game';
+import Physics from '../scripts/physics';
+import { ReplayPlayer, PLAYBACK_SPEEDS } from '../scripts/replayPlayer';
+import ReplayVerifier from '../../server/services/replayVerifier.js';
 
 function createDocumentStub() {
   const elements = new Map();
@@ -134,7 +137,100 @@ describe('Game gameplay behavior', () => {
         jumpForce: game.constants.JUMP_FORCE
       })
     );
-    expect(emitSpy).toHaveBeenCalledWith('player:jump');
+    expect(emitSpy).not.toHaveBeenCalled();
+    expect(game.jumpQueued).toBe(true);
+  });
+
+  test('sendInput emits sequenced button state and buffers it', () => {
+    const game = createGameWithoutAutoInit();
+    const emitSpy = jest.fn();
+
+    game.socket = { emit: emitSpy };
+    game.inputHandler = { keys: { left: false, right: true, jump: false } };
+    game.jumpQueued = true;
+
+    game.sendInput();
+    game.sendInput();
+
+    expect(emitSpy).toHaveBeenNthCalledWith(1, 'player:input', {
+      seq: 1, left: false, right: true, jump: true
+    });
+    expect(emitSpy).toHaveBeenNthCalledWith(2, 'player:input', {
+      seq: 2, left: false, right: true, jump: false
+    });
+    expect(game.inputBuffer.map((entry) => entry.seq)).toEqual([1, 2]);
+  });
+
+  test('sendInput keeps inputs until acknowledged and resyncs when they overflow', () => {
+    const game = createGameWithoutAutoInit();
+    game.socket = { emit: jest.fn() };
+    game.inputHandler = { keys: { left: false, right: true, jump: false } };
+    game.physics = new Physics({ gravity: 0, friction: 1 });
+    game.state.platforms = new Map();
+    game.localPlayer = {
+      x: 500, y: 300, width: 60, height: 40, velocityX: 0, velocityY: 0, isGrounded: true
+    };
+    const serverPlayer = {
+      x: 100, y: 200, velocityX: 0, velocityY: 0, isGrounded: true, isJumping: false, lastAck: 0
+    };
+    game.reconcileLocalPlayer(serverPlayer);
+
+    // A 500 ms round trip leaves up to 30 + 2 * 30 inputs in flight
+    game.roundTripTime = 500;
+    for (let i = 0; i < 80; i++) game.sendInput();
+    expect(game.inputBuffer).toHaveLength(80);
+
+    // Acknowledged inputs leave the buffer and time the round trip
+    performance.now = () => 300;
+    game.reconcileLocalPlayer({ ...serverPlayer, lastAck: 40 });
+    expect(game.inputBuffer[0].seq).toBe(41);
+    expect(game.roundTripTime).toBe(500 * 0.875 + 200 * 0.125);
+
+    // More in flight than the round trip explains: start over from the server's state
+    game.roundTripTime = 0;
+    game.sendInput();
+    expect(game.inputBuffer).toEqual([]);
+    expect(game.localPlayer.x).toBe(100);
+    game.sendInput();
+    expect(game.inputBuffer.map((entry) => entry.seq)).toEqual([82]);
+  });
+
+  test('reconcileLocalPlayer rewinds to the server and replays unacknowledged inputs', () => {
+    const game = createGameWithoutAutoInit();
+
+    game.physics = new Physics({ gravity: 0, friction: 1 });
+    game.state.platforms = new Map();
+    game.localPlayer = {
+      x: 500,
+      y: 300,
+      width: 60,
+      height: 40,
+      velocityX: 0,
+      velocityY: 0,
+      direction: 'right',
+      isGrounded: true,
+      isJumping: false
+    };
+    game.inputBuffer = [
+      { seq: 1, input: { left: false, right: true, jump: false } },
+      { seq: 2, input: { left: false, right: true, jump: false } },
+      { seq: 3, input: { left: false, right: true, jump: false } }
+    ];
+
+    game.reconcileLocalPlayer({
+      x: 100,
+      y: 200,
+      velocityX: 5,
+      velocityY: 0,
+      direction: 'right',
+      isGrounded: true,
+      isJumping: false,
+      lastAck: 1
+    });
+
+    expect(game.inputBuffer.map((entry) => entry.seq)).toEqual([2, 3]);
+    expect(game.localPlayer.x).toBe(100 + 2 * game.constants.PLAYER_SPEED);
+    expect(game.localPlayer.y).toBe(200);
   });
 
   test('playerHit triggers damage audio hook', () => {
@@ -204,6 +300,8 @@ describe('Game gameplay behavior', () => {
         enemiesRemaining: 0
       })
     );
+    // The server counts completions from its own engine
+    expect(game.socket.emit).not.toHaveBeenCalledWith('level:complete', expect.anything());
   });
 
   test('server collectible updates can complete level objectives', () => {
@@ -250,4 +348,193 @@ describe('Game gameplay behavior', () => {
 
     expect(game.completeLevel).not.toHaveBeenCalled();
   });
+
+  test('updatePhysics moves remote players one fixed step per tick whatever the frame time', () => {
+    const game = createGameWithoutAutoInit();
+    game.physics = new Physics({ gravity: 0.5, friction: 0.8 });
+    game.playerId = 'player-local';
+    game.state.platforms = new Map([
+      ['ground', {
+        id: 'ground', x: 0, y: 500, width: 1000, height: 100, type: 'ground'
+      }]
+    ]);
+    game.state.enemies = new Map();
+    const remote = {
+      x: 100, y: 300, width: 60, height: 40, velocityX: 10, velocityY: 0
+    };
+    game.state.players = new Map([['player-remote', remote]]);
+
+    game.deltaTime = 0.25;
+    game.updatePhysics();
+    expect(remote).toMatchObject({ x: 108, y: 300.5, velocityY: 0.5 });
+
+    for (let tick = 0; tick < 60; tick++) game.updatePhysics();
+    expect(remote.y).toBe(460);
+    expect(remote.isGrounded).toBe(true);
+  });
+});
+
+describe('Game replays', () => {
+  const level = {
+    id: 'level-replay',
+    name: 'Replay Test',
+    gravity: 0.5,
+    platforms: [
+      {
+        id: 'ground', x: 0, y: 500, width: 2000, height: 100, type: 'ground'
+      },
+      {
+        id: 'ledge', x: 250, y: 420, width: 200, height: 20, type: 'platform'
+      }
+    ],
+    collectibles: [
+      {
+        id: 'carrot-1', x: 320, y: 380, width: 30, height: 30, type: 'carrot'
+      },
+      {
+        id: 'carrot-2', x: 900, y: 460, width: 30, height: 30, type: 'carrot'
+      }
+    ],
+    enemies: [],
+    spawnPoint: { x: 50, y: 440 }
+  };
+
+  beforeEach(() => {
+    global.performance = { now: () => 100 };
+    global.requestAnimationFrame = () => 777;
+    global.cancelAnimationFrame = () => {};
+    global.document = createDocumentStub();
+    global.window = createWindowStub();
+  });
+
+  function createOfflineGame(levelData = level) {
+    const game = createGameWithoutAutoInit();
+    game.physics = new Physics({ gravity: 0.5, friction: 0.8 });
+    game.showNotification = () => {};
+    game.showScorePopup = () => {};
+    game.playAudioHook = () => true;
+    game.playerId = 'player-local';
+    game.processLevelData(levelData);
+    game.createLocalPlayer();
+    game.state.isRunning = true;
+    return game;
+  }
+
+  test('playback reproduces a recorded attempt, including after seeking back', () => {
+    const game = createOfflineGame();
+    const keys = { left: false, right: false, jump: false };
+    game.inputHandler = { keys };
+
+    game.beginReplay();
+    for (let tick = 0; tick < 150; tick++) {
+      keys.right = tick >= 10 && tick < 120;
+      const pressJump = tick === 40 || tick === 90;
+      keys.jump = pressJump;
+      if (pressJump) game.handlePlayerJump();
+      game.fixedUpdate();
+    }
+    game.endReplay('gameover');
+
+    const live = {
+      x: game.localPlayer.x,
+      y: game.localPlayer.y,
+      score: game.state.score
+    };
+    const replay = game.lastReplay;
+
+    expect(replay.endTick).toBe(150);
+    expect(replay.levelId).toBe('level-replay');
+    expect(replay.metadata.outcome).toBe('gameover');
+    expect(live.score).toBeGreaterThan(0);
+
+    const player = new ReplayPlayer(game, replay, { levelData: level });
+    game.playback = player;
+    player.restart();
+    player.seek(replay.endTick);
+
+    expect(game.localPlayer.x).toBe(live.x);
+    expect(game.localPlayer.y).toBe(live.y);
+    expect(game.state.score).toBe(live.score);
+
+    player.seek(30);
+    expect(player.tick).toBe(30);
+    expect(game.state.score).toBe(0);
+
+    player.seek(replay.endTick);
+    expect(game.localPlayer.x).toBe(live.x);
+    expect(game.state.score).toBe(live.score);
+  });
+
+  test('the server verifies a fight recorded by the client, boss included', async () => {
+    const arena = {
+      id: 'level-arena',
+      name: 'Arena',
+      gravity: 0.5,
+      platforms: [
+        {
+          id: 'ground', x: 0, y: 500, width: 1000, height: 100, type: 'ground'
+        }
+      ],
+      collectibles: [
+        {
+          id: 'carrot-1', x: 200, y: 460, width: 30, height: 30, type: 'carrot'
+        }
+      ],
+      enemies: [
+        {
+          id: 'slug', x: 350, y: 460, type: 'basic'
+        },
+        {
+          id: 'boss', x: 700, y: 420, type: 'boss'
+        }
+      ],
+      spawnPoint: { x: 50, y: 440 }
+    };
+    const game = createOfflineGame(arena);
+    game.completeLevel = () => game.endReplay('complete');
+    const keys = { left: false, right: false, jump: false };
+    game.inputHandler = { keys };
+    const hit = jest.spyOn(game, 'playerHit');
+
+    // Run at the boss, hopping every 40 ticks, until the level is cleared
+    game.beginReplay();
+    for (let tick = 0; tick < 600 && !game.lastReplay; tick++) {
+      keys.right = game.localPlayer.x < 700;
+      keys.jump = tick % 40 === 5;
+      if (keys.jump) game.handlePlayerJump();
+      game.fixedUpdate();
+    }
+
+    const replay = game.lastReplay;
+    expect(replay.metadata.outcome).toBe('complete');
+    expect(game.state.enemies.size).toBe(0);
+    expect(hit).toHaveBeenCalled();
+    // Carrot 100, slug 200, three boss stomps 50 each, then 50 + 500 for the last
+    expect(game.state.score).toBe(1000);
+
+    const verifier = new ReplayVerifier({ assetManager: { getLevels: async () => [arena] } });
+    await expect(verifier.verify({
+      score: game.state.score, level: arena.id, time: replay.endTick / 60, replay
+    })).resolves.toEqual(expect.objectContaining({ verified: true, score: 1000 }));
+  });
+
+  test('playback does not send claims to the server', () => {
+    const game = createOfflineGame();
+    game.socket = { emit: jest.fn() };
+    game.playback = { nextInput: () => ({ left: false, right: false, jump: false }) };
+
+    game.collectCarrot('carrot-1');
+
+    expect(game.socket.emit).not.toHaveBeenCalled();
+  });
+
+  test('setSpeed only accepts the offered playback speeds', () => {
+    const player = new ReplayPlayer({}, { endTick: 10, inputs: [] }, {});
+
+    player.setSpeed(4);
+    expect(player.speed).toBe(4);
+    player.setSpeed(3);
+    expect(player.speed).toBe(4);
+    expect(PLAYBACK_SPEEDS).toEqual([0.25, 0.5, 1, 2, 4]);
+  });
 });
@@ -1,4 +1,5 @@
 import { Game } from '../scripts/game';
+import Physics from '../scripts/physics';
 
 function createDocumentStub() {
   const elements = new Map();
@@ -68,6 +69,7 @@ function createWindowStub() {
         });
       }
     },
+    off: () => {},
     emit: () => {}
   };
 
@@ -247,6 +249,445 @@ describe('Game orchestration', () => {
     expect(remoteEnemy.type).toBe('basic');
   });
 
+  test('handleStateDelta applies deltas in order and asks for a keyframe on a gap', () => {
+    const game = createGameWithoutAutoInit();
+    const emitted = [];
+
+    game.playerId = 'local-id';
+    game.socket = { emit: (eventName) => emitted.push(eventName) };
+
+    game.handleStateDelta({
+      seq: 1,
+      baseSeq: null,
+      tick: 10,
+      keyframe: true,
+      created: { players: [{ id: 'remote-id', x: 10, y: 20 }] },
+      updated: {},
+      removed: {}
+    });
+    game.handleStateDelta({
+      seq: 2,
+      baseSeq: 1,
+      tick: 11,
+      keyframe: false,
+      created: {},
+      updated: { players: [{ id: 'remote-id', x: 12 }] },
+      removed: {}
+    });
+
+    expect(game.state.players.get('remote-id').x).toBe(10);
+    expect(game.replicaSeq).toBe(2);
+    expect(game.snapshots.snapshots).toHaveLength(2);
+
+    game.handleStateDelta({
+      seq: 5, baseSeq: 4, tick: 14, keyframe: false, created: {}, updated: {}, removed: {}
+    });
+    game.handleStateDelta({
+      seq: 6, baseSeq: 5, tick: 15, keyframe: false, created: {}, updated: {}, removed: {}
+    });
+
+    expect(emitted).toEqual(['state:resync']);
+    expect(game.replicaSeq).toBe(2);
+  });
+
+  test('joinRoom resolves with the acknowledged room and rejects on error', async () => {
+    const game = createGameWithoutAutoInit();
+    const emitted = [];
+
+    game.showNotification = () => {};
+    game.socket = {
+      emit: (eventName, payload, ack) => {
+        emitted.push({ eventName, payload });
+        if (payload.roomId === 'room-a') {
+          ack({ ok: true, room: { id: 'room-a', name: 'Room A', players: 2 } });
+        } else {
+          ack({ ok: false, error: `Room ${payload.roomId} does not exist` });
+        }
+      }
+    };
+
+    const room = await game.joinRoom('room-a');
+
+    expect(room.id).toBe('room-a');
+    expect(game.room).toEqual(expect.objectContaining({ id: 'room-a' }));
+    expect(emitted[0]).toEqual({ eventName: 'room:join', payload: { roomId: 'room-a' } });
+    await expect(game.joinRoom('missing')).rejects.toThrow('Room missing does not exist');
+    expect(game.room.id).toBe('room-a');
+  });
+
+  test('loadLevel removes the losing listener and the timeout once the request settles', async () => {
+    jest.useFakeTimers();
+    const game = createGameWithoutAutoInit();
+    const listeners = new Map();
+
+    game.showNotification = () => {};
+    game.resetGameState = () => {};
+    game.processLevelData = jest.fn();
+    game.socket = {
+      emit: jest.fn(),
+      once: (eventName, callback) => listeners.set(eventName, callback),
+      off: (eventName, callback) => {
+        if (listeners.get(eventName) === callback) listeners.delete(eventName);
+      }
+    };
+
+    try {
+      const loaded = game.loadLevel('level-1');
+      listeners.get('level:data')({ id: 'level-1' });
+
+      await expect(loaded).resolves.toEqual({ id: 'level-1' });
+      expect(game.socket.emit).toHaveBeenCalledWith('level:request', { levelId: 'level-1' });
+      expect(listeners.size).toBe(0);
+      expect(jest.getTimerCount()).toBe(0);
+
+      const refused = game.loadLevel('level-9');
+      listeners.get('level:error')({ error: 'Level level-9 not found' });
+
+      await expect(refused).rejects.toThrow('Level level-9 not found');
+      expect(listeners.size).toBe(0);
+      expect(jest.getTimerCount()).toBe(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('follows the level leaderboard once and announces records while playing', () => {
+    const game = createGameWithoutAutoInit();
+    const emitted = [];
+    const notifications = [];
+
+    game.showNotification = (message, type) => notifications.push({ message, type });
+    game.state.currentLevel = 'level-2';
+    game.levelData = { id: 'level-2', name: 'Forest' };
+    game.socket = {
+      emit: (eventName, payload, ack) => {
+        emitted.push({ eventName, payload });
+        ack({ ok: true, leaderboard: { entries: [] } });
+      }
+    };
+
+    game.followLeaderboard();
+    game.followLeaderboard();
+    expect(emitted).toEqual([{ eventName: 'leaderboard:subscribe', payload: { level: 'level-2' } }]);
+
+    const record = {
+      rank: 2, playerName: 'Pip', score: 750, level: 'level-2'
+    };
+    game.handleLeaderboardUpdate({ level: 'level-2', entries: [record], record });
+    expect(notifications).toEqual([]);
+
+    game.state.isRunning = true;
+    game.handleLeaderboardUpdate({ level: 'level-2', entries: [], record: null });
+    game.handleLeaderboardUpdate({ level: 'level-2', entries: [record], record });
+    expect(notifications).toEqual([
+      { message: 'New record! Pip is #2 on Forest with 750', type: 'info' }
+    ]);
+  });
+
+  test('server:shutdown saves the run, counts down and reconnects without an error screen', async () => {
+    jest.useFakeTimers({ doNotFake: ['performance', 'requestAnimationFrame', 'cancelAnimationFrame'] });
+    const game = createGameWithoutAutoInit();
+    const committed = [];
+    const notifications = [];
+    const flushPromises = () => Promise.resolve().then(() => Promise.resolve());
+
+    game.progress.commit = (save) => committed.push(save);
+    game.showNotification = (message, type) => notifications.push({ message, type });
+    game.showErrorScreen = jest.fn();
+    game.pause = jest.fn(() => {
+      game.state.isPaused = true;
+    });
+    game.resume = jest.fn();
+    game.state.isRunning = true;
+    game.state.currentLevel = 'level-2';
+    game.state.score = 450;
+    game.state.playerLives = 1;
+    game.replay = { levelId: 'level-2', initialState: { score: 200, lives: 2, health: 100 } };
+
+    game.handleServerShutdown({ countdown: 3 });
+    expect(committed[0]).toEqual(expect.objectContaining({ currentLevel: 'level-2', score: 200, lives: 2 }));
+    expect(committed[0].levels['level-2']).toEqual(expect.objectContaining({ bestScore: 250, completed: false }));
+    expect(game.reconnectBanner.textContent).toBe('Server restarting in 3s. Your progress is saved.');
+    jest.advanceTimersByTime(1000);
+    expect(game.reconnectBanner.textContent).toBe('Server restarting in 2s. Your progress is saved.');
+
+    const oldSocket = { off: jest.fn(), disconnect: jest.fn() };
+    game.socket = oldSocket;
+    game.connectToServer = jest.fn()
+      .mockRejectedValueOnce(new Error('Server is shutting down'))
+      .mockResolvedValueOnce();
+
+    game.handleDisconnect('io server disconnect');
+    expect(game.pause).toHaveBeenCalled();
+    expect(game.reconnectBanner.textContent).toBe('Server restarting. Reconnecting...');
+
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+    expect(oldSocket.off).toHaveBeenCalled();
+    expect(oldSocket.disconnect).toHaveBeenCalled();
+    jest.advanceTimersByTime(2000);
+    await flushPromises();
+
+    expect(game.connectToServer).toHaveBeenCalledTimes(2);
+    expect(game.showErrorScreen).not.toHaveBeenCalled();
+    expect(game.reconnectBanner).toBe(null);
+    expect(game.serverRestarting).toBe(false);
+    expect(game.resume).toHaveBeenCalled();
+    expect(notifications).toEqual([{ message: 'Reconnected to server!', type: 'success' }]);
+    jest.useRealTimers();
+  });
+
+  test('a dropped connection waits for Socket.IO to resume the session', () => {
+    jest.useFakeTimers({ doNotFake: ['performance', 'requestAnimationFrame', 'cancelAnimationFrame'] });
+    const game = createGameWithoutAutoInit();
+    const notifications = [];
+
+    game.showNotification = (message, type) => notifications.push({ message, type });
+    game.showErrorScreen = jest.fn();
+    game.connectToServer = jest.fn();
+    game.pause = jest.fn();
+    game.resume = jest.fn();
+    game.state.isPaused = true;
+    game.localPlayer = {
+      x: 0, y: 0, velocityX: 4, velocityY: 0, direction: 'right'
+    };
+    game.state.players.set('player-2', { id: 'player-2' });
+    game.reconnectGraceMs = 5000;
+
+    game.handleDisconnect('transport close');
+    expect(game.pause).toHaveBeenCalled();
+    expect(game.reconnectBanner.textContent).toBe('Connection lost. Reconnecting...');
+    game.setPlayerConnected('player-2', false);
+    expect(game.state.players.get('player-2').connected).toBe(false);
+
+    game.handleReconnected();
+    game.applyResumedSession({
+      roomId: 'public',
+      player: {
+        x: 321, y: 200, direction: 'left', score: 0, lives: 2, health: 60
+      }
+    });
+    expect(game.connectToServer).not.toHaveBeenCalled();
+    expect(game.reconnectBanner).toBe(null);
+    expect(game.resume).toHaveBeenCalled();
+    expect(game.localPlayer).toEqual(expect.objectContaining({ x: 321, velocityX: 0, direction: 'left' }));
+    expect(game.state.playerLives).toBe(2);
+    expect(game.state.playerHealth).toBe(60);
+
+    // Past the grace window there is nothing left to resume
+    game.socket = { disconnect: jest.fn() };
+    game.handleDisconnect('ping timeout');
+    jest.advanceTimersByTime(5000);
+    expect(game.socket.disconnect).toHaveBeenCalled();
+    expect(game.showErrorScreen).toHaveBeenCalledWith(
+      'Lost connection to the server. Please refresh the page to reconnect.'
+    );
+    expect(notifications).toEqual([{ message: 'Reconnected to server!', type: 'success' }]);
+    jest.useRealTimers();
+  });
+
+  test('spectating renders the room through the camera with a player list', () => {
+    const game = createGameWithoutAutoInit();
+    document.createElement = () => ({
+      style: {},
+      dataset: {},
+      children: [],
+      listeners: {},
+      appendChild(child) { this.children.push(child); },
+      replaceChildren() { this.children = []; },
+      addEventListener(eventName, handler) { this.listeners[eventName] = handler; },
+      remove: () => {}
+    });
+    game.showNotification = () => {};
+    game.inputHandler = { enable: jest.fn(), keys: { left: false, right: false } };
+    game.renderer = {
+      setCamera: jest.fn(),
+      renderBackground: jest.fn(),
+      renderPlayer: jest.fn(),
+      renderUI: jest.fn()
+    };
+    game.fixedUpdate = jest.fn();
+    game.room = { id: 'public', name: 'Public' };
+    game.levelData = { id: 'level-3', width: 2600, height: 600 };
+    game.replica = {
+      collections: {
+        players: new Map([
+          ['luna', {
+            id: 'luna', name: 'Luna', score: 120, lives: 3, connected: true
+          }],
+          ['guest-1', {
+            id: 'guest-1', name: null, score: 0, lives: 2, connected: false
+          }]
+        ])
+      }
+    };
+    game.state.players.set('luna', {
+      id: 'luna', x: 1470, y: 300, width: 60, height: 40
+    });
+    game.state.players.set('guest-1', {
+      id: 'guest-1', x: 200, y: 300, width: 60, height: 40, connected: false
+    });
+
+    game.startSpectating();
+    expect(game.state.isRunning).toBe(true);
+    expect(game.inputHandler.enable).toHaveBeenCalled();
+    const rows = game.playerList.children.slice(1, 3);
+    expect(rows.map((row) => row.textContent)).toEqual([
+      'Luna: 120 pts, 3 lives',
+      'Guest: 0 pts, 2 lives (reconnecting)'
+    ]);
+
+    game.gameLoop(1000);
+    expect(game.fixedUpdate).not.toHaveBeenCalled();
+    expect(game.spectatorCamera.targetId).toBe(null);
+    expect(game.spectatorCamera.x).toBeGreaterThan(0);
+    expect(game.renderer.setCamera).toHaveBeenLastCalledWith(game.spectatorCamera.x, 0);
+    expect(game.renderer.renderUI).not.toHaveBeenCalled();
+
+    game.playerList.children[2].listeners.click();
+    expect(game.spectatorCamera).toEqual(expect.objectContaining({ mode: 'follow', targetId: 'guest-1' }));
+    game.playerList.children[3].listeners.click();
+    expect(game.spectatorCamera.mode).toBe('free');
+  });
+
+  test('level:updated rebuilds the current level and keeps the player in place', () => {
+    const game = createGameWithoutAutoInit();
+    game.showNotification = jest.fn();
+    game.renderer = { clearLevel: jest.fn() };
+    game.processLevelData({
+      id: 'level-1',
+      name: 'Garden',
+      platforms: [],
+      collectibles: [],
+      enemies: [],
+      spawnPoint: { x: 50, y: 400 }
+    }, { silent: true });
+    game.localPlayer = { x: 720, y: 310 };
+
+    game.reloadLevel({
+      id: 'level-2',
+      name: 'Forest',
+      platforms: [],
+      collectibles: [],
+      enemies: []
+    });
+    expect(game.renderer.clearLevel).not.toHaveBeenCalled();
+
+    game.reloadLevel({
+      id: 'level-1',
+      name: 'Garden',
+      platforms: [{
+        id: 'ledge', x: 600, y: 350, width: 200, height: 20, type: 'platform'
+      }],
+      collectibles: [{
+        id: 'carrot-1', x: 650, y: 315, width: 30, height: 30, type: 'carrot'
+      }],
+      enemies: [],
+      spawnPoint: { x: 50, y: 400 }
+    });
+    expect(game.renderer.clearLevel).toHaveBeenCalled();
+    expect(game.state.platforms.has('ledge')).toBe(true);
+    expect(game.state.totalCarrots).toBe(1);
+    expect(game.localPlayer).toEqual({ x: 720, y: 310 });
+    expect(game.showNotification).toHaveBeenCalledWith('Level Garden reloaded', 'info');
+  });
+
+  test('a test run from the editor plays offline and hands the live game back', () => {
+    const game = createGameWithoutAutoInit();
+    const livePlayer = { id: game.playerId, x: 300, y: 400 };
+    game.localPlayer = livePlayer;
+    game.state.players.set(game.playerId, livePlayer);
+    game.state.score = 450;
+    game.editor = {};
+    game.physics = new Physics({ gravity: 0.5, friction: 0.8 });
+    game.socket = { emit: jest.fn() };
+    game.inputHandler = {
+      enable: jest.fn(), disable: jest.fn(), keys: {}, isKeyPressed: () => false
+    };
+    game.renderer = {
+      clearAllLayers: jest.fn(),
+      setCamera: jest.fn(),
+      renderBackground: jest.fn(),
+      renderPlatform: jest.fn(),
+      renderCollectible: jest.fn(),
+      renderEnemy: jest.fn(),
+      renderProjectile: jest.fn(),
+      renderPlayer: jest.fn(),
+      renderUI: jest.fn()
+    };
+    const onEnd = jest.fn();
+
+    game.playtestLevel({
+      id: 'my-level',
+      name: 'Mine',
+      width: 3000,
+      height: 600,
+      platforms: [{
+        id: 'ground-1', x: 0, y: 500, width: 3000, height: 100, type: 'ground'
+      }],
+      collectibles: [{
+        id: 'carrot-1', x: 2500, y: 460, width: 30, height: 30, type: 'carrot'
+      }],
+      enemies: [],
+      spawnPoint: { x: 50, y: 400 }
+    }, { x: 2000, y: 460 }, onEnd);
+
+    expect(game.isLive()).toBe(false);
+    expect(game.state.isRunning).toBe(true);
+    expect(game.localPlayer).not.toBe(livePlayer);
+    expect(game.localPlayer).toEqual(expect.objectContaining({ x: 2000, y: 460 }));
+    expect(game.state.score).toBe(0);
+
+    game.gameLoop(150);
+    expect(game.renderer.setCamera).toHaveBeenLastCalledWith(game.playtest.camera.x, 0);
+    expect(game.playtest.camera.x).toBeGreaterThan(1000);
+    expect(game.renderer.renderUI).toHaveBeenCalled();
+    expect(game.socket.emit).not.toHaveBeenCalled();
+
+    game.completeLevel();
+    expect(onEnd).toHaveBeenCalledWith('complete');
+    expect(game.playtest).toBeNull();
+    expect(game.state.isRunning).toBe(false);
+    expect(game.localPlayer).toBe(livePlayer);
+    expect(game.state.score).toBe(450);
+    expect(game.renderer.setCamera).toHaveBeenLastCalledWith(0, 0);
+  });
+
+  test('a level played from the browser leads back to it and keeps the campaign checkpoint', async () => {
+    const game = createGameWithoutAutoInit();
+    const committed = [];
+    game.progress.commit = (save) => committed.push(save);
+    game.renderer = { clearLayer: jest.fn() };
+    game.hideStartScreen = jest.fn();
+    game.showStartScreen = jest.fn();
+    game.showLevelBrowser = jest.fn();
+    game.showNotification = jest.fn();
+    game.startGame = jest.fn();
+    game.loadLevel = jest.fn(async (levelId) => {
+      game.state.currentLevel = levelId;
+    });
+    const checkpoint = game.progress.save.currentLevel;
+
+    await game.playLevel('meadow');
+    expect(game.loadLevel).toHaveBeenCalledWith('meadow');
+    expect(game.startGame).toHaveBeenCalled();
+    expect(game.browsedLevel).toBe('meadow');
+
+    game.saveProgress(true);
+    expect(committed[0].levels.meadow).toEqual(expect.objectContaining({ completed: true }));
+    expect(committed[0].currentLevel).toBe(checkpoint);
+
+    game.continueToNextLevel();
+    expect(game.renderer.clearLayer).toHaveBeenCalledWith('ui');
+    expect(game.showLevelBrowser).toHaveBeenCalled();
+    expect(game.loadLevel).toHaveBeenCalledTimes(1);
+
+    game.loadLevel.mockRejectedValueOnce(new Error('Level gone not found'));
+    await game.playLevel('gone');
+    expect(game.showNotification).toHaveBeenCalledWith('Could not load gone', 'error');
+    expect(game.startGame).toHaveBeenCalledTimes(1);
+  });
+
   test('loads persisted settings during construction', () => {
     window.localStorage.setItem('lunas-adventure:settings', JSON.stringify({
       debug: true,
@@ -0,0 +1,65 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { LeaderboardScreen, formatTime } from '../scripts/leaderboardScreen.js';
+
+function jsonResponse(status, body) {
+  return Promise.resolve({
+    ok: status < 400,
+    status,
+    json: () => Promise.resolve(body)
+  });
+}
+
+const guest = { isSignedIn: false, authHeaders: () => Promise.resolve({}) };
+
+const entry = (rank, playerName, score) => ({
+  id: `id-${rank}`, rank, playerName, score, level: 'level-1'
+});
+
+describe('LeaderboardScreen', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('lists a level\'s board, pages with the cursor and shows the player\'s rank', async () => {
+    const fetch = jest.fn((url) => {
+      if (url.startsWith('/api/levels')) {
+        return jsonResponse(200, [{ id: 'level-1', name: 'Meadow' }]);
+      }
+      if (url.startsWith('/api/leaderboard/rank')) {
+        return jsonResponse(200, {
+          rank: 2, total: 3, entry: entry(2, 'Pip', 200), entries: [entry(1, 'Ada', 300), entry(2, 'Pip', 200)]
+        });
+      }
+      if (url.includes('cursor=next-1')) {
+        return jsonResponse(200, { entries: [entry(3, 'Cal', 100)], nextCursor: null });
+      }
+      return jsonResponse(200, { entries: [entry(1, 'Ada', 300), entry(2, 'Pip', 200)], nextCursor: 'next-1' });
+    });
+    const screen = new LeaderboardScreen({
+      container: document.body, account: guest, playerName: 'Pip', level: 'level-1', fetch
+    });
+
+    await screen.show();
+    expect(fetch).toHaveBeenCalledWith(expect.stringContaining('/api/leaderboard?level=level-1&metric=score'), expect.any(Object));
+    expect(fetch).toHaveBeenCalledWith(expect.stringContaining('playerName=Pip'), expect.any(Object));
+    expect(document.querySelectorAll('#leaderboard-entries tr')).toHaveLength(2);
+    expect(document.querySelector('#leaderboard-rank').textContent).toContain('Pip');
+
+    const more = document.getElementById('leaderboard-more');
+    expect(more.style.display).toBe('block');
+    await screen.loadPage();
+    expect(document.querySelector('#leaderboard-entries').textContent).toContain('Cal');
+    expect(more.style.display).toBe('none');
+
+    screen.hide();
+    expect(document.getElementById('leaderboard-screen')).toBeNull();
+  });
+
+  test('formats completion times', () => {
+    expect(formatTime(65.5)).toBe('1:05.50');
+    expect(formatTime(9.123)).toBe('0:09.12');
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { LevelBrowser, formatRating } from '../scripts/levelBrowser.js';
+
+function jsonResponse(status, body) {
+  return Promise.resolve({
+    ok: status < 400,
+    status,
+    json: () => Promise.resolve(body)
+  });
+}
+
+const player = {
+  isSignedIn: true,
+  account: { id: 'account-pip', displayName: 'Pip' },
+  authHeaders: () => Promise.resolve({ Authorization: 'Bearer pip-token' })
+};
+
+const stats = (plays, average = null, count = 0, myRating = null) => ({
+  plays, completions: Math.floor(plays / 2), rating: { average, count }, myRating
+});
+
+const levels = [
+  {
+    id: 'level-1', name: 'Garden Adventure', difficulty: 'easy', stats: stats(40)
+  },
+  {
+    id: 'meadow',
+    name: 'Maker Meadow',
+    difficulty: 'hard',
+    meta: { authorId: 'account-ada', authorName: 'Ada', status: 'published' },
+    stats: stats(12, 3, 2)
+  },
+  {
+    id: 'burrow',
+    name: 'Deep Burrow',
+    meta: { authorId: 'account-pip', authorName: 'Pip', status: 'draft' },
+    stats: stats(0)
+  }
+];
+
+describe('LevelBrowser', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('searches levels and lists their plays, ratings and authors', async () => {
+    const fetch = jest.fn(() => jsonResponse(200, levels));
+    const browser = new LevelBrowser({
+      container: document.body, account: player, onPlay: jest.fn(), fetch
+    });
+
+    await browser.show();
+    expect(fetch).toHaveBeenCalledWith('/api/levels?sort=plays', expect.objectContaining({
+      method: 'GET',
+      headers: { Authorization: 'Bearer pip-token' }
+    }));
+    const rows = document.querySelectorAll('#level-browser-levels tr');
+    expect(rows).toHaveLength(3);
+    expect(rows[0].textContent).toContain('Built-in level');
+    expect(rows[1].textContent).toContain('by Ada');
+    expect(rows[1].textContent).toContain('12 plays, 6 completed');
+    expect(rows[1].textContent).toContain('★ 3.0 (2)');
+    expect(rows[2].textContent).toContain('Deep Burrow (draft)');
+    // Players rate other people's levels, not their own
+    expect(rows[1].querySelectorAll('.level-browser-rate')).toHaveLength(5);
+    expect(rows[2].querySelectorAll('.level-browser-rate')).toHaveLength(0);
+
+    fetch.mockImplementationOnce(() => jsonResponse(200, []));
+    const search = document.querySelector('#level-browser input[name="q"]');
+    search.value = ' Ada ';
+    search.onchange();
+    const difficulty = document.querySelector('#level-browser select[name="difficulty"]');
+    difficulty.value = 'hard';
+    fetch.mockImplementationOnce(() => jsonResponse(200, []));
+    difficulty.onchange();
+    await new Promise((resolve) => { setTimeout(resolve, 0); });
+    expect(fetch).toHaveBeenLastCalledWith('/api/levels?q=Ada&difficulty=hard&sort=plays', expect.any(Object));
+    expect(document.getElementById('level-browser-message').textContent).toBe('No levels match your search.');
+  });
+
+  test('rates a level and plays one', async () => {
+    const fetch = jest.fn((url, options) => (options.method === 'PUT'
+      ? jsonResponse(200, stats(12, 3.3, 3, 4))
+      : jsonResponse(200, levels)));
+    const onPlay = jest.fn();
+    const browser = new LevelBrowser({
+      container: document.body, account: player, onPlay, fetch
+    });
+    await browser.show();
+
+    await browser.rate('meadow', 4);
+    expect(fetch).toHaveBeenLastCalledWith('/api/levels/meadow/rating?', {
+      method: 'PUT',
+      headers: { Authorization: 'Bearer pip-token', 'Content-Type': 'application/json' },
+      body: '{"rating":4}'
+    });
+    const row = document.querySelector('tr[data-level-id="meadow"]');
+    expect(row.textContent).toContain('★ 3.3 (3)');
+    const lit = Array.from(row.querySelectorAll('.level-browser-rate'))
+      .filter((star) => star.style.color === 'rgb(255, 193, 7)');
+    expect(lit).toHaveLength(4);
+
+    row.querySelector('.level-browser-play').click();
+    expect(onPlay).toHaveBeenCalledWith('meadow');
+    expect(document.getElementById('level-browser')).toBeNull();
+  });
+
+  test('formats ratings', () => {
+    expect(formatRating({ average: 4.25, count: 8 })).toBe('★ 4.3 (8)');
+    expect(formatRating({ average: null, count: 0 })).toBe('Not rated');
+  });
+});
@@ -0,0 +1,97 @@
+import LevelDocument, {
+  blankLevel,
+  parseLevelFile,
+  snapToGrid
+} from '../scripts/levelDocument.js';
+
+describe('LevelDocument', () => {
+  test('places entities with defaults, unique ids and patrol ranges', () => {
+    const level = new LevelDocument(blankLevel());
+
+    const carrot = level.add('collectible', { x: 300, y: 450 });
+    const second = level.add('collectible', { x: 340, y: 450 });
+    const enemy = level.add('enemy', { x: 600, y: 460 });
+    const lift = level.add('platform', {
+      x: 800, y: 300, type: 'moving', direction: 'vertical'
+    });
+
+    expect(carrot).toMatchObject({
+      id: 'carrot-1', width: 30, height: 30, type: 'carrot'
+    });
+    expect(second.id).toBe('carrot-2');
+    expect(enemy).toMatchObject({ id: 'basic-1', patrolStart: 500, patrolEnd: 700 });
+    expect(lift).toMatchObject({ id: 'moving-1', patrolStart: 200, patrolEnd: 400 });
+    expect(level.add('door', { x: 1900, y: 420 }).id).toBe('door-1');
+  });
+
+  test('undoes and redoes every change, a drag as one step', () => {
+    const level = new LevelDocument(blankLevel());
+    const carrot = level.add('collectible', { x: 300, y: 450 });
+
+    // A drag: one checkpoint, then unrecorded moves
+    level.checkpoint();
+    level.update('collectible', carrot.id, { x: 320 }, { record: false });
+    level.update('collectible', carrot.id, { x: 360 }, { record: false });
+    level.remove('collectible', carrot.id);
+
+    expect(level.entities('collectible')).toHaveLength(0);
+    expect(level.undo()).toBe(true);
+    expect(level.find('collectible', carrot.id).x).toBe(360);
+    expect(level.undo()).toBe(true);
+    expect(level.find('collectible', carrot.id).x).toBe(300);
+    expect(level.undo()).toBe(true);
+    expect(level.undo()).toBe(false);
+    expect(level.entities('collectible')).toHaveLength(0);
+
+    expect(level.redo()).toBe(true);
+    expect(level.redo()).toBe(true);
+    expect(level.find('collectible', carrot.id).x).toBe(360);
+
+    // A new change drops the steps that were undone
+    level.setSpawnPoint({ x: 100, y: 400 });
+    expect(level.canRedo).toBe(false);
+  });
+
+  test('snaps to the grid', () => {
+    expect(snapToGrid(127, 20)).toBe(120);
+    expect(snapToGrid(131, 20)).toBe(140);
+    expect(snapToGrid(127.6, 0)).toBe(128);
+  });
+
+  test('finds the topmost thing under a point', () => {
+    const level = new LevelDocument(blankLevel());
+    level.add('platform', { x: 200, y: 380, width: 200 });
+    const carrot = level.add('collectible', { x: 250, y: 350 });
+
+    expect(level.hitTest(60, 420)).toEqual({ kind: 'spawn', id: null });
+    expect(level.hitTest(260, 360)).toEqual({ kind: 'collectible', id: carrot.id });
+    expect(level.hitTest(350, 390)).toEqual({ kind: 'platform', id: 'platform-1' });
+    expect(level.hitTest(1000, 520)).toEqual({ kind: 'platform', id: 'ground-1' });
+    expect(level.hitTest(1000, 100)).toBeNull();
+  });
+
+  test('exports the level file format and reports what the server would refuse', () => {
+    const level = new LevelDocument({ ...blankLevel('meadow'), startedAt: 'runtime' });
+    level.add('collectible', { x: 300, y: 450, collected: true });
+
+    const json = level.toJSON();
+    expect(Object.keys(json)).toEqual([
+      'id', 'name', 'width', 'height', 'gravity',
+      'platforms', 'collectibles', 'enemies', 'spawnPoint'
+    ]);
+    expect(json.collectibles[0]).toEqual({
+      id: 'carrot-1', x: 300, y: 450, width: 30, height: 30, type: 'carrot'
+    });
+    expect(level.validate()).toEqual([]);
+    expect(parseLevelFile(level.serialize())).toEqual(json);
+
+    level.add('collectible', { x: 400, y: 450, type: 'key' });
+    expect(level.validate()).toEqual(['collectibles[1] (key-1): keys need a target door']);
+  });
+
+  test('refuses files that are not levels', () => {
+    expect(() => parseLevelFile('{"id": ')).toThrow('Not a level file');
+    expect(() => parseLevelFile('[]')).toThrow('expected a JSON object');
+    expect(() => parseLevelFile('{"platforms": {}}')).toThrow('platforms must be a list');
+  });
+});
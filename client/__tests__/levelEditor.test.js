@@ -0,0 +1,178 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import SVGRenderer from '../scripts/renderer.js';
+import { LevelEditor, PALETTE } from '../scripts/levelEditor.js';
+import { blankLevel } from '../scripts/levelDocument.js';
+
+const tool = (label) => PALETTE.find((entry) => entry.label === label);
+
+function createGame() {
+  const container = document.createElement('div');
+  container.setAttribute('id', 'game-container');
+  document.body.appendChild(container);
+
+  return {
+    width: 1000,
+    height: 600,
+    container,
+    renderer: new SVGRenderer('game-container', 1000, 600),
+    editor: null,
+    stop: jest.fn(),
+    hideStartScreen: jest.fn(),
+    showNotification: jest.fn(),
+    playtestLevel: jest.fn(),
+    endPlaytest: jest.fn()
+  };
+}
+
+describe('LevelEditor', () => {
+  let game;
+  let editor;
+
+  beforeEach(() => {
+    game = createGame();
+    editor = new LevelEditor(game, blankLevel());
+    editor.start();
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('places snapped entities from the palette and draws them with an overlay', () => {
+    editor.setTool(tool('Carrot'));
+    editor.pointerDown({ x: 307, y: 452 });
+
+    expect(editor.document.find('collectible', 'carrot-1')).toMatchObject({ x: 300, y: 460 });
+    expect(editor.selection).toEqual({ kind: 'collectible', id: 'carrot-1' });
+    expect(editor.tool).toBeNull();
+    expect(document.getElementById('entity-carrot-1')).not.toBeNull();
+    expect(document.getElementById('editor-selection')).not.toBeNull();
+    expect(document.getElementById('editor-status').textContent).toBe('Valid');
+
+    // A key opens the first door
+    editor.setTool(tool('Door'));
+    editor.pointerDown({ x: 1900, y: 420 });
+    editor.setTool(tool('Key'));
+    editor.pointerDown({ x: 500, y: 460 });
+    expect(editor.document.find('collectible', 'key-1').target).toBe('door-1');
+  });
+
+  test('drags, resizes and deletes, each one undo step', () => {
+    editor.setTool(tool('Platform'));
+    editor.pointerDown({ x: 200, y: 300 });
+
+    // Drag by the middle
+    editor.pointerDown({ x: 300, y: 310 });
+    editor.pointerMove({ x: 350, y: 290 });
+    editor.pointerMove({ x: 412, y: 250 });
+    editor.pointerUp();
+    expect(editor.document.find('platform', 'platform-1')).toMatchObject({ x: 320, y: 240 });
+
+    // Resize by the bottom-right handle
+    editor.pointerDown({ x: 520, y: 260 });
+    expect(editor.drag.mode).toBe('resize');
+    editor.pointerMove({ x: 603, y: 281 });
+    editor.pointerUp();
+    expect(editor.document.find('platform', 'platform-1')).toMatchObject({ width: 280, height: 40 });
+
+    editor.deleteSelection();
+    expect(editor.document.find('platform', 'platform-1')).toBeNull();
+    expect(document.getElementById('entity-platform-1')).toBeNull();
+
+    editor.undo();
+    expect(editor.document.find('platform', 'platform-1')).toMatchObject({ width: 280 });
+    editor.undo();
+    expect(editor.document.find('platform', 'platform-1')).toMatchObject({ x: 320, width: 200 });
+    editor.undo();
+    expect(editor.document.find('platform', 'platform-1')).toMatchObject({ x: 200, y: 300 });
+    editor.redo();
+    expect(editor.document.find('platform', 'platform-1')).toMatchObject({ x: 320 });
+  });
+
+  test('moves an enemy with its patrol range and drags the range ends', () => {
+    editor.setTool(tool('Enemy'));
+    editor.pointerDown({ x: 600, y: 440 });
+    const enemy = () => editor.document.find('enemy', 'basic-1');
+    expect(enemy()).toMatchObject({ patrolStart: 500, patrolEnd: 700 });
+
+    editor.pointerDown({ x: 610, y: 450 });
+    editor.pointerMove({ x: 650, y: 450 });
+    editor.pointerUp();
+    expect(enemy()).toMatchObject({ x: 640, patrolStart: 540, patrolEnd: 740 });
+
+    const handleY = enemy().y + enemy().height / 2;
+    editor.pointerDown({ x: 740, y: handleY });
+    editor.pointerMove({ x: 900, y: handleY });
+    editor.pointerUp();
+    expect(enemy()).toMatchObject({ patrolStart: 540, patrolEnd: 900 });
+    expect(document.querySelectorAll('.editor-patrol')).toHaveLength(1);
+  });
+
+  test('keyboard shortcuts undo, redo and delete, but not while typing', () => {
+    editor.setTool(tool('Carrot'));
+    editor.pointerDown({ x: 300, y: 460 });
+
+    const press = (key, options = {}, target = document.body) => {
+      target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+    };
+
+    press('Delete', {}, document.getElementById('editor-level-name'));
+    expect(editor.document.entities('collectible')).toHaveLength(1);
+
+    press('Delete');
+    expect(editor.document.entities('collectible')).toHaveLength(0);
+    press('z', { ctrlKey: true });
+    expect(editor.document.entities('collectible')).toHaveLength(1);
+    press('z', { ctrlKey: true, shiftKey: true });
+    expect(editor.document.entities('collectible')).toHaveLength(0);
+  });
+
+  test('changing the inspector type adds and drops type-only fields', () => {
+    editor.setTool(tool('Power-up'));
+    editor.pointerDown({ x: 300, y: 460 });
+    expect(editor.document.find('collectible', 'powerup-1').powerupType).toBe('doubleJump');
+
+    editor.setSelectionType('coin');
+    const coin = editor.document.find('collectible', 'powerup-1');
+    expect(coin.type).toBe('coin');
+    expect(coin).not.toHaveProperty('powerupType');
+    expect(editor.document.validate()).toEqual([]);
+  });
+
+  test('plays the level from the last point clicked and comes back', () => {
+    editor.pointerDown({ x: 830, y: 500 });
+    editor.playFromHere();
+
+    const [level, start, onEnd] = game.playtestLevel.mock.calls[0];
+    expect(level.id).toBe('new-level');
+    expect(level).not.toHaveProperty('doors');
+    expect(start).toEqual({ x: 800, y: 460 });
+    expect(editor.toolbar.style.display).toBe('none');
+
+    document.getElementById('editor-stop-test').click();
+    expect(game.endPlaytest).toHaveBeenCalledWith('stopped');
+
+    onEnd('complete');
+    expect(editor.testing).toBe(false);
+    expect(editor.toolbar.style.display).toBe('flex');
+    expect(game.showNotification).toHaveBeenCalledWith('Test ended: level complete!', 'success');
+  });
+
+  test('imports a level file and exits back to the game', async () => {
+    const onExit = jest.fn();
+    editor.onExit = onExit;
+    const file = { text: () => Promise.resolve(JSON.stringify({ ...blankLevel('meadow'), name: 'Meadow' })) };
+
+    await editor.importLevel(file);
+    expect(editor.document.level.id).toBe('meadow');
+    expect(document.getElementById('editor-level-name').value).toBe('Meadow');
+
+    editor.stop();
+    expect(document.getElementById('level-editor')).toBeNull();
+    expect(game.editor).toBeNull();
+    expect(onExit).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,136 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import {
+  validateLevel,
+  assertValidLevel,
+  jumpHeight,
+  LevelValidationError
+} from '../shared/levelSchema';
+
+const levelsDir = path.join(__dirname, '../assets/levels');
+
+function baseLevel() {
+  return {
+    id: 'level-test',
+    name: 'Test Level',
+    width: 2000,
+    height: 600,
+    gravity: 0.5,
+    platforms: [
+      {
+        id: 'ground', x: 0, y: 500, width: 2000, height: 100, type: 'ground'
+      },
+      {
+        id: 'ledge', x: 400, y: 400, width: 200, height: 20, type: 'platform'
+      }
+    ],
+    collectibles: [
+      {
+        id: 'carrot-1', x: 450, y: 365, width: 30, height: 30, type: 'carrot'
+      },
+      {
+        id: 'key-1', x: 700, y: 460, width: 30, height: 30, type: 'key', target: 'door-1'
+      }
+    ],
+    enemies: [
+      {
+        id: 'enemy-1', x: 900, y: 460, width: 40, height: 40, type: 'basic', patrolStart: 800, patrolEnd: 1000
+      }
+    ],
+    doors: [
+      {
+        id: 'door-1', x: 1500, y: 420, width: 60, height: 80, locked: true
+      }
+    ],
+    spawnPoint: { x: 50, y: 400 }
+  };
+}
+
+describe('level schema', () => {
+  test('every shipped level is valid', () => {
+    const files = fs.readdirSync(levelsDir).filter((name) => name.endsWith('.json'));
+    expect(files.length).toBeGreaterThan(0);
+    for (const file of files) {
+      const level = JSON.parse(fs.readFileSync(path.join(levelsDir, file), 'utf-8'));
+      expect({ file, errors: validateLevel(level) }).toEqual({ file, errors: [] });
+    }
+  });
+
+  test('reports wrong types, unknown values and unknown fields', () => {
+    const level = baseLevel();
+    level.width = '2000';
+    level.collectibles[0].type = 'golden_carrot';
+    level.platforms[1].colour = 'green';
+    delete level.spawnPoint.y;
+
+    expect(validateLevel(level)).toEqual([
+      'width must be a number, not string',
+      'platforms[1] (ledge): colour is not a known field',
+      'collectibles[0] (carrot-1): type must be one of: carrot, goldenCarrot, coin, gem, key, powerup (got "golden_carrot")',
+      'spawnPoint: y is required'
+    ]);
+    expect(validateLevel({ ...baseLevel(), name: '' })).toEqual([
+      'name must be at least 1 character long'
+    ]);
+    expect(validateLevel([])).toEqual(['Level must be a JSON object']);
+  });
+
+  test('checks keys against doors, ids, bounds, reach and the spawn point', () => {
+    const level = baseLevel();
+    level.collectibles[1].target = 'door-9';
+    level.collectibles.push({
+      id: 'carrot-1', x: 450, y: 100, width: 30, height: 30, type: 'carrot'
+    });
+    level.enemies[0].patrolEnd = 2500;
+    level.spawnPoint = { x: 1990, y: 400 };
+
+    expect(validateLevel(level)).toEqual([
+      'collectibles[2] (carrot-1): id is used more than once in collectibles',
+      'enemies[0] (enemy-1): patrol range 800-2500 leaves the level',
+      'collectibles[1] (key-1): target door "door-9" does not exist',
+      'doors[0] (door-1): is locked and no key opens it',
+      'collectibles[2] (carrot-1): is out of jumping reach of every platform',
+      'spawnPoint: the player would spawn outside the 2000x600 level'
+    ]);
+
+    const pit = baseLevel();
+    pit.platforms[0].x = 200;
+    pit.platforms[0].width = 1800;
+    expect(validateLevel(pit)).toEqual(['spawnPoint: there is no platform below it to land on']);
+  });
+
+  test('reach follows the jump height and bouncy platforms', () => {
+    expect(jumpHeight(0.5, 12)).toBe(138);
+
+    const level = baseLevel();
+    // 200 px above the ledge: out of reach of a jump (138 px plus the player's
+    // 40 px height), within reach of a bounce
+    level.collectibles[0].y = 400 - 230;
+    expect(validateLevel(level)).toEqual([
+      'collectibles[0] (carrot-1): is out of jumping reach of every platform'
+    ]);
+    level.platforms[1].type = 'bouncy';
+    expect(validateLevel(level)).toEqual([]);
+  });
+
+  test('assertValidLevel throws every problem at once', () => {
+    const level = baseLevel();
+    level.doors = [];
+    level.collectibles[0].y = 0;
+    let thrown = null;
+    try {
+      assertValidLevel(level);
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(thrown).toBeInstanceOf(LevelValidationError);
+    expect(thrown.levelId).toBe('level-test');
+    expect(thrown.errors).toEqual([
+      'collectibles[1] (key-1): target door "door-1" does not exist',
+      'collectibles[0] (carrot-1): is out of jumping reach of every platform'
+    ]);
+    expect(assertValidLevel(baseLevel())).toEqual(baseLevel());
+  });
+});
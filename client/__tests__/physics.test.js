@@ -105,4 +105,31 @@ describe('Physics', () => {
     expect(horizontal).toBe('right');
     expect(vertical).toBe('bottom');
   });
+
+  test('applyInput steers and jumps only on the press edge', () => {
+    const physics = new Physics({ friction: 0.5 });
+    const entity = {
+      x: 0,
+      y: 0,
+      velocityX: 0,
+      velocityY: 0,
+      direction: 'right',
+      isGrounded: true,
+      isJumping: false
+    };
+
+    physics.applyInput(entity, { left: true, jump: true }, {}, { speed: 4, jumpForce: 10 });
+
+    expect(entity.velocityX).toBe(-2);
+    expect(entity.direction).toBe('left');
+    expect(entity.velocityY).toBe(-10);
+    expect(entity.isJumping).toBe(true);
+
+    entity.isGrounded = true;
+    entity.isJumping = false;
+    entity.velocityY = 0;
+    physics.applyInput(entity, { jump: true }, { jump: true });
+
+    expect(entity.velocityY).toBe(0);
+  });
 });
@@ -0,0 +1,82 @@
+import { ProgressClient } from '../scripts/progressClient';
+import { createSaveGame, setCheckpoint } from '../shared/saveGame';
+
+function createStorage() {
+  const values = new Map();
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, value),
+    removeItem: (key) => values.delete(key)
+  };
+}
+
+function jsonResponse(status, body) {
+  return Promise.resolve({
+    ok: status < 400,
+    status,
+    json: () => Promise.resolve(body)
+  });
+}
+
+function createAccount(signedIn) {
+  return {
+    account: signedIn ? { id: 'account-1', displayName: 'Luna' } : null,
+    isSignedIn: signedIn,
+    authHeaders: () => Promise.resolve(signedIn ? { Authorization: 'Bearer access-1' } : {})
+  };
+}
+
+const checkpoint = (currentLevel, updatedAt) => setCheckpoint(createSaveGame(), {
+  currentLevel, score: 100, lives: 3
+}, updatedAt);
+
+describe('ProgressClient', () => {
+  test('guests keep their save locally', async () => {
+    const storage = createStorage();
+    const fetch = jest.fn();
+    const client = new ProgressClient({ account: createAccount(false), storage, fetch });
+
+    await client.commit(checkpoint('level-2', '2026-05-01T00:00:00.000Z'));
+    expect(fetch).not.toHaveBeenCalled();
+
+    const restored = new ProgressClient({ account: createAccount(false), storage, fetch });
+    expect(restored.save.currentLevel).toBe('level-2');
+  });
+
+  test('keeps a save made offline pending and uploads it on the next sync', async () => {
+    const storage = createStorage();
+    const fetch = jest.fn()
+      .mockReturnValueOnce(Promise.reject(new Error('offline')))
+      .mockImplementationOnce((url, init) => jsonResponse(200, {
+        progress: JSON.parse(init.body).progress,
+        conflict: false
+      }));
+    const client = new ProgressClient({ account: createAccount(true), storage, fetch });
+
+    await client.commit(checkpoint('level-3', '2026-05-01T00:00:00.000Z'));
+    expect(client.current.pending).toBe(true);
+
+    // A reload (e.g. the next visit) still knows the save was never uploaded
+    const restored = new ProgressClient({ account: createAccount(true), storage, fetch });
+    await restored.sync();
+    expect(fetch).toHaveBeenLastCalledWith('/api/progress', expect.objectContaining({ method: 'PUT' }));
+    expect(restored.current).toEqual({
+      save: expect.objectContaining({ currentLevel: 'level-3' }),
+      pending: false
+    });
+  });
+
+  test('adopts a newer cloud save from another device', async () => {
+    const storage = createStorage();
+    const fetch = jest.fn(() => jsonResponse(200, {
+      progress: checkpoint('level-5', '2026-05-03T00:00:00.000Z')
+    }));
+    const client = new ProgressClient({ account: createAccount(true), storage, fetch });
+    client.storeLocal(checkpoint('level-2', '2026-05-01T00:00:00.000Z'), false);
+
+    await client.sync();
+    expect(fetch).toHaveBeenCalledWith('/api/progress', expect.objectContaining({ method: 'GET' }));
+    expect(client.save.currentLevel).toBe('level-5');
+    expect(client.save.unlockedLevels).toEqual(expect.arrayContaining(['level-2', 'level-5']));
+  });
+});
@@ -0,0 +1,45 @@
+import { SeededRandom, SimulationClock } from '../shared/random';
+
+describe('SeededRandom', () => {
+  test('repeats its sequence after reseeding', () => {
+    const random = new SeededRandom(99);
+    const sequence = [random.next(), random.range(5, 10), random.int(6)];
+
+    random.reseed(99);
+
+    expect([random.next(), random.range(5, 10), random.int(6)]).toEqual(sequence);
+    expect(sequence[1]).toBeGreaterThanOrEqual(5);
+    expect(sequence[1]).toBeLessThan(10);
+    expect(Number.isInteger(sequence[2])).toBe(true);
+  });
+
+  test('chance respects its probability bounds', () => {
+    const random = new SeededRandom(3);
+
+    expect(random.chance(0)).toBe(false);
+    expect(random.chance(1)).toBe(true);
+  });
+
+  test('randomSeed returns an unsigned 32-bit integer', () => {
+    const seed = SeededRandom.randomSeed();
+
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(seed).toBeGreaterThanOrEqual(0);
+    expect(seed).toBeLessThan(2 ** 32);
+  });
+});
+
+describe('SimulationClock', () => {
+  test('derives time from whole ticks', () => {
+    const clock = new SimulationClock({ tickRate: 50 });
+
+    for (let i = 0; i < 25; i++) clock.advance();
+
+    expect(clock.tick).toBe(25);
+    expect(clock.now()).toBe(0.5);
+    expect(clock.timestep).toBe(0.02);
+
+    clock.reset();
+    expect(clock.now()).toBe(0);
+  });
+});
@@ -4,7 +4,7 @@
 
 import SVGRenderer from '../scripts/renderer.js';
 
-const LAYERS = ['background', 'platforms', 'doors', 'collectibles', 'enemies', 'projectiles', 'players', 'ui'];
+const LAYERS = ['background', 'platforms', 'doors', 'collectibles', 'enemies', 'projectiles', 'players', 'editor', 'ui'];
 
 function makeContainer() {
   const div = document.createElement('div');
@@ -100,6 +100,24 @@ describe('SVGRenderer', () => {
     });
   });
 
+  describe('clearLevel', () => {
+    test('removes the level entities and keeps players', () => {
+      renderer.renderPlatform({
+        id: 'ledge', x: 0, y: 400, width: 200, height: 20, type: 'platform'
+      });
+      renderer.renderProjectile({ id: 'p1', x: 10, y: 20 });
+      const player = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      document.getElementById('layer-players').appendChild(player);
+      renderer.entities.set('luna', player);
+
+      renderer.clearLevel();
+
+      expect(document.getElementById('layer-platforms').childElementCount).toBe(0);
+      expect(document.getElementById('layer-projectiles').childElementCount).toBe(0);
+      expect([...renderer.entities.keys()]).toEqual(['luna']);
+    });
+  });
+
   // ── renderUI ───────────────────────────────────────────────────────────────
 
   describe('renderUI', () => {
@@ -247,6 +265,33 @@ describe('SVGRenderer', () => {
     });
   });
 
+  // ── renderPlayer ───────────────────────────────────────────────────────────
+
+  describe('renderPlayer', () => {
+    const remotePlayer = {
+      id: 'player-2',
+      x: 100,
+      y: 300,
+      width: 60,
+      height: 40,
+      direction: 'left',
+      health: 100
+    };
+
+    test('fades and labels a player waiting to reconnect until it is back', () => {
+      renderer.renderPlayer({ ...remotePlayer, connected: false });
+      const label = document.getElementById('status-player-2');
+      expect(label.textContent).toBe('Reconnecting...');
+      expect(label.getAttribute('x')).toBe('130');
+      expect(label.parentNode.id).toBe('layer-players');
+      expect(document.getElementById('entity-player-2').getAttribute('opacity')).toBe('0.5');
+
+      renderer.renderPlayer({ ...remotePlayer, connected: true });
+      expect(document.getElementById('status-player-2')).toBeNull();
+      expect(document.getElementById('entity-player-2').getAttribute('opacity')).toBe('1');
+    });
+  });
+
   // ── renderEnemy ────────────────────────────────────────────────────────────
 
   describe('renderEnemy', () => {
@@ -0,0 +1,97 @@
+import {
+  createReplay,
+  recordReplayInput,
+  finishReplay,
+  buttonsAt,
+  encodeButtons,
+  decodeButtons,
+  parseReplay,
+  serializeReplay,
+  replayFileName,
+  toEngineReplay,
+  REPLAY_FORMAT_VERSION
+} from '../shared/replayFormat';
+import { SIMULATION_VERSION } from '../shared/simulation';
+
+const idle = { left: false, right: false, jump: false };
+const right = { left: false, right: true, jump: false };
+const rightJump = { left: false, right: true, jump: true };
+
+function recordSample() {
+  const replay = createReplay({
+    levelId: 'level-2',
+    seed: 77,
+    initialState: { score: 300, lives: 2 },
+    metadata: { playerName: 'Luna' }
+  });
+  [idle, idle, right, right, rightJump, right, idle].forEach((buttons, tick) => {
+    recordReplayInput(replay, tick, buttons);
+  });
+  return finishReplay(replay, { outcome: 'complete', score: 500 });
+}
+
+describe('replay format', () => {
+  test('buttons round-trip through the bitmask', () => {
+    expect(decodeButtons(encodeButtons(rightJump))).toEqual(rightJump);
+    expect(encodeButtons(idle)).toBe(0);
+  });
+
+  test('records only button changes and tracks the end tick', () => {
+    const replay = recordSample();
+
+    expect(replay.inputs).toEqual([[2, 2], [4, 6], [5, 2], [6, 0]]);
+    expect(replay.endTick).toBe(7);
+    expect(replay.engineVersion).toBe(SIMULATION_VERSION);
+    expect(replay.version).toBe(REPLAY_FORMAT_VERSION);
+    expect(replay.initialState).toEqual({ score: 300, lives: 2, health: 100 });
+    expect(replay.metadata).toEqual(expect.objectContaining({
+      playerName: 'Luna', outcome: 'complete', score: 500
+    }));
+  });
+
+  test('buttonsAt returns the buttons held on any tick', () => {
+    const replay = recordSample();
+
+    expect(buttonsAt(replay, 0)).toEqual(idle);
+    expect(buttonsAt(replay, 3)).toEqual(right);
+    expect(buttonsAt(replay, 4)).toEqual(rightJump);
+    expect(buttonsAt(replay, 6)).toEqual(idle);
+  });
+
+  test('parseReplay accepts serialized replays', () => {
+    const replay = recordSample();
+
+    expect(parseReplay(serializeReplay(replay))).toEqual(replay);
+    expect(replayFileName(replay)).toMatch(/^level-2-.*\.lunareplay$/);
+  });
+
+  test('parseReplay rejects malformed files', () => {
+    const valid = recordSample();
+
+    expect(() => parseReplay('{nope')).toThrow('not valid JSON');
+    expect(() => parseReplay({ ...valid, format: 'other' })).toThrow('Not a Luna');
+    expect(() => parseReplay({ ...valid, version: 99 })).toThrow('Unsupported replay version 99');
+    expect(() => parseReplay({ ...valid, seed: -1 })).toThrow('seed');
+    expect(() => parseReplay({ ...valid, inputs: [[3, 1], [2, 0]] })).toThrow('tick order');
+    expect(() => parseReplay({ ...valid, inputs: [[1, 8]] })).toThrow('tick order');
+    expect(() => parseReplay({ ...valid, inputs: [[7, 1]] })).toThrow('tick order');
+    expect(() => parseReplay({ ...valid, initialState: { lives: 0 } })).toThrow('initialState');
+    expect(() => parseReplay({ ...valid, initialState: { health: 150 } })).toThrow('initialState');
+  });
+
+  test('toEngineReplay lists the join, the level and every input change', () => {
+    const engineReplay = toEngineReplay(recordSample(), 'p1');
+
+    expect(engineReplay.seed).toBe(77);
+    expect(engineReplay.endTick).toBe(7);
+    expect(engineReplay.events.slice(0, 3)).toEqual([
+      {
+        tick: 0, type: 'join', playerId: 'p1', lives: 2
+      },
+      { tick: 0, type: 'level', levelId: 'level-2' },
+      {
+        tick: 2, type: 'input', playerId: 'p1', ...right
+      }
+    ]);
+  });
+});
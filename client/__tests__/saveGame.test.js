@@ -0,0 +1,76 @@
+import {
+  createSaveGame,
+  normalizeSaveGame,
+  mergeSaveGames,
+  recordLevelResult,
+  setCheckpoint,
+  canContinue
+} from '../shared/saveGame';
+
+describe('save game', () => {
+  test('records bests per level and moves the checkpoint', () => {
+    let save = createSaveGame();
+    expect(canContinue(save)).toBe(false);
+
+    save = recordLevelResult(save, 'level-1', {
+      score: 300, time: 52.5, carrotsCollected: 4, completed: true
+    }, '2026-05-01T10:00:00.000Z');
+    save = recordLevelResult(save, 'level-1', {
+      score: 350, time: 80, carrotsCollected: 2, completed: false
+    }, '2026-05-01T10:05:00.000Z');
+    save = setCheckpoint(save, {
+      currentLevel: 'level-2', score: 650, lives: 2, powerups: ['doubleJump', 'invulnerability']
+    }, '2026-05-01T10:05:00.000Z');
+
+    expect(save.levels['level-1']).toEqual({
+      bestScore: 350, bestTime: 52.5, carrotsCollected: 4, completed: true
+    });
+    expect(save).toEqual(expect.objectContaining({
+      currentLevel: 'level-2',
+      unlockedLevels: ['level-1', 'level-2'],
+      score: 650,
+      lives: 2,
+      powerups: ['doubleJump'],
+      updatedAt: '2026-05-01T10:05:00.000Z'
+    }));
+    expect(canContinue(save)).toBe(true);
+    expect(normalizeSaveGame(JSON.parse(JSON.stringify(save)))).toEqual(save);
+  });
+
+  test('rejects malformed saves', () => {
+    const save = createSaveGame();
+    expect(() => normalizeSaveGame(null)).toThrow('Save game must be an object');
+    expect(() => normalizeSaveGame({ ...save, version: 9 })).toThrow('Unsupported save game version 9');
+    expect(() => normalizeSaveGame({ ...save, updatedAt: 'yesterday' })).toThrow('updatedAt');
+    expect(() => normalizeSaveGame({ ...save, currentLevel: '../secrets' })).toThrow('currentLevel');
+    expect(() => normalizeSaveGame({ ...save, powerups: ['flight'] })).toThrow('powerups');
+    expect(() => normalizeSaveGame({
+      ...save,
+      levels: { 'level-1': { bestScore: -5, bestTime: null, carrotsCollected: 0 } }
+    })).toThrow('bestScore of level-1');
+  });
+
+  test('merging keeps the newer checkpoint and the best records of both', () => {
+    const older = recordLevelResult(setCheckpoint(createSaveGame(), {
+      currentLevel: 'level-4', score: 1500, lives: 1
+    }, '2026-05-01T00:00:00.000Z'), 'level-3', {
+      score: 500, time: 40, carrotsCollected: 6, completed: true
+    }, '2026-05-01T00:00:00.000Z');
+    const newer = recordLevelResult(setCheckpoint(createSaveGame(), {
+      currentLevel: 'level-2', score: 200, lives: 3
+    }, '2026-05-02T00:00:00.000Z'), 'level-1', {
+      score: 200, time: 20, carrotsCollected: 3, completed: true
+    }, '2026-05-02T00:00:00.000Z');
+
+    const merged = mergeSaveGames(older, newer);
+    expect(mergeSaveGames(newer, older)).toEqual(merged);
+    expect(merged).toEqual(expect.objectContaining({
+      currentLevel: 'level-2',
+      score: 200,
+      lives: 3,
+      updatedAt: '2026-05-02T00:00:00.000Z'
+    }));
+    expect(merged.unlockedLevels).toEqual(expect.arrayContaining(['level-1', 'level-2', 'level-3', 'level-4']));
+    expect(Object.keys(merged.levels).sort()).toEqual(['level-1', 'level-3']);
+  });
+});
@@ -0,0 +1,88 @@
+import {
+  createRng,
+  stepPlayer,
+  stepPlatforms,
+  updateEnemyAI,
+  FIXED_TIMESTEP
+} from '../shared/simulation';
+
+function createPlayer(overrides = {}) {
+  return {
+    x: 100,
+    y: 440,
+    width: 60,
+    height: 40,
+    velocityX: 0,
+    velocityY: 0,
+    direction: 'right',
+    isGrounded: false,
+    isJumping: false,
+    ...overrides
+  };
+}
+
+describe('simulation core', () => {
+  test('createRng yields the same sequence for the same seed', () => {
+    const first = createRng(42);
+    const second = createRng(42);
+    const other = createRng(43);
+
+    const sequence = [first(), first(), first()];
+
+    expect([second(), second(), second()]).toEqual(sequence);
+    expect(other()).not.toBe(sequence[0]);
+    sequence.forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  test('stepPlayer lands on a platform and jumps on the press edge only', () => {
+    const ground = {
+      x: 0, y: 480, width: 800, height: 20, type: 'ground'
+    };
+    const player = createPlayer();
+
+    stepPlayer(player, { right: true }, {}, [ground]);
+
+    expect(player.isGrounded).toBe(true);
+    expect(player.y).toBe(440);
+    expect(player.direction).toBe('right');
+
+    expect(stepPlayer(player, { jump: true }, {}, [ground])).toBe(true);
+    expect(player.velocityY).toBeLessThan(0);
+
+    const held = createPlayer({ isGrounded: true });
+    expect(stepPlayer(held, { jump: true }, { jump: true }, [ground])).toBe(false);
+  });
+
+  test('stepPlatforms advances breaking platforms by the fixed timestep', () => {
+    const platform = {
+      x: 0, y: 0, width: 100, height: 20, type: 'breaking'
+    };
+
+    stepPlatforms([platform]);
+    platform.breakingState = 'breaking';
+    for (let i = 0; i <= Math.ceil(0.5 / FIXED_TIMESTEP); i++) {
+      stepPlatforms([platform]);
+    }
+
+    expect(platform.breakingState).toBe('broken');
+    expect(platform.solid).toBe(false);
+  });
+
+  test('flying enemies bob by simulation time, not wall-clock time', () => {
+    const dateSpy = jest.spyOn(Date, 'now');
+    const run = (wallClock) => {
+      dateSpy.mockReturnValue(wallClock);
+      const enemy = {
+        x: 600, y: 300, type: 'flying', direction: 'right'
+      };
+      updateEnemyAI(enemy, { players: [], time: 1.25 });
+      return enemy.y;
+    };
+
+    expect(run(0)).toBe(run(987654321));
+    dateSpy.mockRestore();
+  });
+});
@@ -0,0 +1,58 @@
+import SnapshotBuffer from '../scripts/snapshotBuffer';
+
+function tick(number, x, extra = {}) {
+  return {
+    tick: number,
+    players: [{ id: 'remote', x, y: 100 }],
+    enemies: [{ id: 'enemy-1', x: x * 2, y: 50 }],
+    ...extra
+  };
+}
+
+describe('SnapshotBuffer', () => {
+  // 10 ticks per second makes each tick 100ms apart
+  const options = { tickRate: 10, interpolationDelay: 100, maxExtrapolation: 200 };
+
+  test('interpolates between the two snapshots around the render time', () => {
+    const buffer = new SnapshotBuffer(options);
+    buffer.push(tick(1, 0), 100);
+    buffer.push(tick(2, 10), 200);
+
+    // render time = 250 - 0 (offset) - 100 (delay) = 150 → halfway between ticks 1 and 2
+    const sampled = buffer.sample(250);
+
+    expect(sampled.players.get('remote').x).toBe(5);
+    expect(sampled.enemies.get('enemy-1').x).toBe(10);
+  });
+
+  test('extrapolates past the newest snapshot up to the configured limit', () => {
+    const buffer = new SnapshotBuffer(options);
+    buffer.push(tick(1, 0), 100);
+    buffer.push(tick(2, 10), 200);
+
+    expect(buffer.sample(350).players.get('remote').x).toBe(15);
+    expect(buffer.sample(1000).players.get('remote').x).toBe(30);
+  });
+
+  test('drops entities that vanished and ignores duplicate ticks', () => {
+    const buffer = new SnapshotBuffer(options);
+    buffer.push(tick(1, 0), 100);
+    buffer.push(tick(2, 10, { enemies: [] }), 200);
+    buffer.push(tick(2, 99), 210);
+
+    const sampled = buffer.sample(250);
+
+    expect(sampled.enemies.has('enemy-1')).toBe(false);
+    expect(sampled.players.get('remote').x).toBe(5);
+  });
+
+  test('restarts the timeline when the server tick goes backwards', () => {
+    const buffer = new SnapshotBuffer(options);
+    buffer.push(tick(50, 0), 100);
+    buffer.push(tick(51, 10), 200);
+    buffer.push(tick(1, 40), 300);
+
+    expect(buffer.snapshots).toHaveLength(1);
+    expect(buffer.sample(300).players.get('remote').x).toBe(40);
+  });
+});
@@ -0,0 +1,64 @@
+import SpectatorCamera from '../scripts/spectatorCamera';
+
+function players(...list) {
+  return new Map(list.map((player) => [player.id, { width: 60, height: 40, ...player }]));
+}
+
+describe('SpectatorCamera', () => {
+  test('follows the picked player, or the first connected one', () => {
+    const camera = new SpectatorCamera(1000, 600, { smoothing: 1 });
+    camera.setBounds(3000, 600);
+    const room = players(
+      {
+        id: 'away', x: 2000, y: 300, connected: false
+      },
+      { id: 'luna', x: 1470, y: 300 }
+    );
+
+    camera.update(room, 1 / 60);
+    expect(camera.x).toBe(1000);
+
+    camera.follow('away');
+    camera.update(room, 1 / 60);
+    expect(camera.x).toBe(1530);
+
+    // The picked player left: fall back to whoever is still playing
+    room.delete('away');
+    camera.update(room, 1 / 60);
+    expect(camera.x).toBe(1000);
+  });
+
+  test('eases towards the target instead of jumping', () => {
+    const camera = new SpectatorCamera(1000, 600, { smoothing: 0.5 });
+    camera.setBounds(3000, 600);
+
+    camera.update(players({ id: 'luna', x: 1470, y: 300 }), 1 / 60);
+
+    expect(camera.x).toBeCloseTo(500);
+  });
+
+  test('panning switches to the free camera and stays inside the level', () => {
+    const camera = new SpectatorCamera(1000, 600, { panSpeed: 600, smoothing: 1 });
+    camera.setBounds(2000, 600);
+    const room = players({ id: 'luna', x: 100, y: 300 });
+
+    camera.update(room, 0.5, { right: true });
+    expect(camera.mode).toBe('free');
+    expect(camera.x).toBe(300);
+
+    // The free camera ignores players
+    camera.update(room, 1 / 60);
+    expect(camera.x).toBe(300);
+
+    camera.pan(5000);
+    expect(camera.x).toBe(1000);
+    camera.pan(-5000, -100);
+    expect(camera.x).toBe(0);
+    expect(camera.y).toBe(0);
+
+    camera.follow('luna');
+    camera.update(room, 1 / 60);
+    expect(camera.mode).toBe('follow');
+    expect(camera.x).toBe(0);
+  });
+});
@@ -0,0 +1,66 @@
+import {
+  applyDelta,
+  createReplica,
+  diffReplica,
+  hasStructuralChanges,
+  replicaToGameState
+} from '../shared/stateDelta';
+
+function gameState(overrides = {}) {
+  return {
+    players: [{
+      id: 'p1', x: 10, y: 20, direction: 'right'
+    }],
+    enemies: [{
+      id: 'e1', x: 100, y: 50, health: 3
+    }],
+    platforms: [{
+      id: 'ground', x: 0, y: 500, width: 800
+    }],
+    collectibles: [{ id: 'c1', x: 300, collected: false }],
+    doors: [],
+    projectiles: [],
+    ...overrides
+  };
+}
+
+describe('stateDelta', () => {
+  test('a diff without baseline is a keyframe that recreates the full state', () => {
+    const replica = createReplica(gameState(), 7);
+    const delta = diffReplica(null, replica);
+
+    expect(delta.keyframe).toBe(true);
+    expect(replicaToGameState(applyDelta(null, delta))).toEqual({ tick: 7, ...gameState() });
+  });
+
+  test('a diff only carries changed fields, created and removed entities', () => {
+    const before = createReplica(gameState(), 1);
+    const after = createReplica(gameState({
+      players: [{
+        id: 'p1', x: 15.123456, y: 20, direction: 'right'
+      }],
+      enemies: [],
+      projectiles: [{ id: 4, x: 5, y: 6 }]
+    }), 2);
+
+    const delta = diffReplica(before, after);
+
+    expect(delta.updated).toEqual({ players: [{ id: 'p1', x: 15.12 }] });
+    expect(delta.removed).toEqual({ enemies: ['e1'] });
+    expect(delta.created).toEqual({ projectiles: [{ id: 4, x: 5, y: 6 }] });
+    expect(applyDelta(before, delta)).toEqual(after);
+  });
+
+  test('hasStructuralChanges ignores pure movement of players and enemies', () => {
+    const before = createReplica(gameState(), 1);
+    const moved = createReplica(gameState({
+      players: [{
+        id: 'p1', x: 11, y: 20, direction: 'right'
+      }]
+    }), 2);
+    const collected = createReplica(gameState({ collectibles: [{ id: 'c1', x: 300, collected: true }] }), 2);
+
+    expect(hasStructuralChanges(diffReplica(before, moved))).toBe(false);
+    expect(hasStructuralChanges(diffReplica(before, collected))).toBe(true);
+  });
+});
@@ -0,0 +1,183 @@
+// client/scripts/accountClient.js
+
+const SESSION_STORAGE_KEY = 'lunas-adventure:session';
+
+// Refresh the access token when it has less than this long left (ms)
+const REFRESH_MARGIN = 30000;
+
+/**
+ * Account Client Class
+ * Signs the player in against /api/auth and keeps the session (account and
+ * tokens) in localStorage. getAccessToken() refreshes an expiring access token
+ * before handing it out, so callers never need to handle expiry themselves.
+ */
+class AccountClient {
+  /**
+   * Create an account client
+   * @param {Object} options - Configuration options
+   * @param {Storage} [options.storage] - Where the session is kept (defaults to localStorage)
+   * @param {Function} [options.fetch] - fetch implementation
+   */
+  constructor(options = {}) {
+    this.storage = options.storage
+      || (typeof window !== 'undefined' ? window.localStorage : null);
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.refreshing = null;
+    this.session = this.loadSession();
+  }
+
+  /**
+   * Signed-in account, or null for guests
+   * @returns {Object|null} - { id, username, displayName, createdAt }
+   */
+  get account() {
+    return this.session ? this.session.account : null;
+  }
+
+  /**
+   * Check whether a player is signed in
+   * @returns {boolean}
+   */
+  get isSignedIn() {
+    return Boolean(this.session);
+  }
+
+  /**
+   * Read the stored session
+   * @returns {Object|null} - Session or null
+   */
+  loadSession() {
+    try {
+      const raw = this.storage ? this.storage.getItem(SESSION_STORAGE_KEY) : null;
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      console.warn('Failed to load session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a session returned by the server
+   * @param {Object} response - { account, accessToken, refreshToken, expiresIn }
+   * @returns {Object} - The signed-in account
+   */
+  saveSession(response) {
+    this.session = {
+      account: response.account,
+      accessToken: response.accessToken,
+      refreshToken: response.refreshToken,
+      expiresAt: Date.now() + response.expiresIn * 1000
+    };
+
+    try {
+      if (this.storage) {
+        this.storage.setItem(SESSION_STORAGE_KEY, JSON.stringify(this.session));
+      }
+    } catch (error) {
+      console.warn('Failed to save session:', error);
+    }
+    return this.session.account;
+  }
+
+  /**
+   * POST to an auth endpoint
+   * @param {string} path - Endpoint path
+   * @param {Object} body - JSON body
+   * @returns {Promise<Object>} - Response body
+   * @throws {Error} - With the server's error message and `status` when the request fails
+   */
+  async post(path, body) {
+    const response = await this.fetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.error || `Request failed (${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Create an account and sign in
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @param {string} [displayName] - Name shown on boards
+   * @returns {Promise<Object>} - The signed-in account
+   */
+  async register(username, password, displayName) {
+    return this.saveSession(await this.post('/api/auth/register', { username, password, displayName }));
+  }
+
+  /**
+   * Sign in
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object>} - The signed-in account
+   */
+  async login(username, password) {
+    return this.saveSession(await this.post('/api/auth/login', { username, password }));
+  }
+
+  /**
+   * Sign out and forget the stored session
+   */
+  logout() {
+    this.session = null;
+    try {
+      if (this.storage) {
+        this.storage.removeItem(SESSION_STORAGE_KEY);
+      }
+    } catch (error) {
+      console.warn('Failed to clear session:', error);
+    }
+  }
+
+  /**
+   * Get a current access token, refreshing it first if it is about to expire.
+   * A session the server refuses to refresh is signed out; if the server
+   * cannot be reached the session is kept and null is returned.
+   * @returns {Promise<string|null>} - Access token, or null for guests
+   */
+  async getAccessToken() {
+    if (!this.session) return null;
+    if (this.session.expiresAt - Date.now() > REFRESH_MARGIN) {
+      return this.session.accessToken;
+    }
+
+    if (!this.refreshing) {
+      const { refreshToken } = this.session;
+      this.refreshing = this.post('/api/auth/refresh', { refreshToken })
+        .then((response) => {
+          this.saveSession(response);
+          return response.accessToken;
+        })
+        .catch((error) => {
+          if (error.status === 401) {
+            console.warn('Session expired:', error.message);
+            this.logout();
+          }
+          return null;
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Authorization header for REST requests
+   * @returns {Promise<Object>} - Header object (empty for guests)
+   */
+  async authHeaders() {
+    const token = await this.getAccessToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+}
+
+export { AccountClient };
+export default AccountClient;
@@ -1,4 +1,5 @@
 // client/scripts/entities/enemy.js
+import { SeededRandom, SimulationClock } from '../../shared/random.js';
 
 /**
  * Enemy Entity
@@ -14,8 +15,11 @@ class Enemy {
  * @param {number} width - Enemy width
  * @param {number} height - Enemy height
  * @param {string} type - Enemy type ('basic', 'flying', 'shooter', 'boss')
+ * @param {Object} [options] - Additional configuration options
+ * @param {SeededRandom} [options.random] - Random source shared with the simulation
+ * @param {SimulationClock} [options.clock] - Simulation clock used for projectile ids
  */
-  constructor(id, x, y, width, height, type = 'basic') {
+  constructor(id, x, y, width, height, type = 'basic', options = {}) {
     // Core properties
     this.id = id;
     this.x = x;
@@ -53,6 +57,11 @@ class Enemy {
     this.detectionRange = this.getDetectionRange();
     this.isAggressive = false;
     this.pendingProjectile = null;
+    this.projectileCount = 0;
+
+    // Injected so behaviour is reproducible from the run's seed
+    this.random = options.random || new SeededRandom(SeededRandom.randomSeed());
+    this.clock = options.clock || new SimulationClock();
 
     console.log(`Enemy (${id}) of type ${type} created at position (${x}, ${y})`);
   }
@@ -282,7 +291,7 @@ class Enemy {
             // Low health - more aggressive
             this.velocityX = dx > 0 ? 2 : -2;
             // Jump toward player
-            if (this.isGrounded && Math.random() < 0.02) {
+            if (this.isGrounded && this.random.chance(0.02)) {
               this.velocityY = -12;
             }
           } else {
@@ -305,7 +314,7 @@ class Enemy {
           if (this.isGrounded
                         && Math.abs(dx) < 100
                         && dy < -20
-                        && Math.random() < 0.05) {
+                        && this.random.chance(0.05)) {
             this.velocityY = -10;
           }
 
@@ -383,7 +392,7 @@ class Enemy {
     const speed = 8;
 
     return {
-      id: `${this.id}-proj-${Date.now()}-${Math.floor(Math.random() * 10000)}`,
+      id: `${this.id}-proj-${this.clock.tick}-${++this.projectileCount}`,
       enemyId: this.id,
       type: 'shooter',
       x: originX,
@@ -54,6 +54,9 @@ class Player {
       speedBoost: false
     };
 
+    // Abilities that end when their timed power-up runs out
+    this.timedAbilities = new Set();
+
     console.log(`Player (${id}) created at position (${x}, ${y})`);
   }
 
@@ -139,6 +142,7 @@ class Player {
     this.abilities.doubleJump = false;
     this.abilities.highJump = false;
     this.abilities.speedBoost = false;
+    this.timedAbilities.clear();
     this.jumpsUsed = 0;
 
     console.log(`Player ${this.id} died. Lives remaining: ${this.lives}`);
@@ -179,8 +183,10 @@ class Player {
 
     // If temporary power-up, set timeout to remove it
     if (duration > 0 && type !== 'health' && type !== 'extraLife') {
+      this.timedAbilities.add(type);
       setTimeout(() => {
         this.abilities[type] = false;
+        this.timedAbilities.delete(type);
         console.log(`Power-up ${type} expired for player ${this.id}`);
       }, duration * 1000);
     }
@@ -188,6 +194,15 @@ class Player {
     console.log(`Player ${this.id} activated power-up: ${type}`);
   }
 
+  /**
+     * Get the abilities the player keeps for good (carried into the next level)
+     * @returns {Array<string>} - Ability names
+     */
+  getPermanentAbilities() {
+    return Object.keys(this.abilities)
+      .filter((type) => this.abilities[type] && !this.timedAbilities.has(type));
+  }
+
   /**
      * Get player bounding box for collision detection
      * @returns {Object} - Bounding box with x, y, width, height
@@ -13,6 +13,57 @@
 import SVGRenderer from './renderer.js';
 import InputHandler from './inputHandler.js';
 import Physics from './physics.js';
+import SnapshotBuffer from './snapshotBuffer.js';
+import SpectatorCamera from './spectatorCamera.js';
+import { ReplayPlayer } from './replayPlayer.js';
+import { AccountClient } from './accountClient.js';
+import { ProgressClient } from './progressClient.js';
+import { LeaderboardScreen } from './leaderboardScreen.js';
+import { LevelBrowser } from './levelBrowser.js';
+import { LevelEditor } from './levelEditor.js';
+import {
+  applyDelta,
+  hasStructuralChanges,
+  replicaToGameState
+} from '../shared/stateDelta.js';
+import {
+  FIXED_TIMESTEP,
+  DEFAULT_PHYSICS,
+  GAMEPLAY_RULES,
+  isColliding,
+  stepPlayer,
+  integratePlayer,
+  landOnPlatforms,
+  hasFallenOut,
+  resolvePlayerContacts,
+  stompEnemy,
+  hurtPlayer,
+  respawnPlayer,
+  stepPlatforms,
+  createEnemyState,
+  updateEnemyAI,
+  integrateEnemy,
+  createProjectile,
+  advanceProjectile
+} from '../shared/simulation.js';
+import { SeededRandom, SimulationClock } from '../shared/random.js';
+import {
+  createReplay,
+  recordReplayInput,
+  finishReplay,
+  parseReplay,
+  serializeReplay,
+  replayFileName,
+  REPLAY_FILE_EXTENSION,
+  REPLAY_MIME_TYPE
+} from '../shared/replayFormat.js';
+import {
+  FIRST_LEVEL_ID,
+  DEFAULT_LIVES,
+  recordLevelResult,
+  setCheckpoint,
+  canContinue
+} from '../shared/saveGame.js';
 import { SoundManager } from './soundManager.js';
 import { Player } from './entities/player.js';
 import { Enemy } from './entities/enemy.js';
@@ -21,6 +72,16 @@ import * as constants from '../shared/constants.js';
 
 const SETTINGS_STORAGE_KEY = 'lunas-adventure:settings';
 
+// Reconnect attempts after a server restart back off from 1 to 10 seconds
+const RESTART_RETRY_BASE_MS = 1000;
+const RESTART_RETRY_MAX_MS = 10000;
+
+// Matches the server's default; session:ready carries the actual window
+const DEFAULT_RECONNECT_GRACE_MS = 30000;
+
+// The spectator's player list is rebuilt at most this often
+const PLAYER_LIST_REFRESH_MS = 500;
+
 class Game {
   /**
    * Initialize the game
@@ -84,9 +145,96 @@ class Game {
     this.playerId = null;
     this.localPlayer = null;
 
+    // Signed-in account (guests play under their socket id)
+    this.account = new AccountClient();
+    this.playerName = this.account.account ? this.account.account.displayName : null;
+
+    // Campaign save game, kept locally and synced to the account's cloud save
+    this.progress = new ProgressClient({ account: this.account });
+
+    // Set when this account signed in elsewhere; the game then stays disconnected
+    this.sessionReplaced = false;
+
+    // Leaderboard overlay, created when first opened
+    this.leaderboardScreen = null;
+
+    // Level browser overlay, created when first opened
+    this.levelBrowser = null;
+
+    // Level picked in the level browser, while it is being played
+    this.browsedLevel = null;
+
+    // Level whose leaderboard the server pushes updates for
+    this.followedLeaderboard = null;
+
+    // Multiplayer room the socket currently belongs to
+    this.room = null;
+
     // Animation frame request ID (for cancellation)
     this.animationFrameId = null;
 
+    // Sent inputs awaiting server acknowledgement (see player.lastAck), the smoothed
+    // time from sending an input to its acknowledgement (ms), and the newest server state
+    this.inputSequence = 0;
+    this.inputBuffer = [];
+    this.roundTripTime = 0;
+    this.lastServerPlayer = null;
+
+    // Recent tick snapshots; remote players and enemies are rendered from these
+    this.snapshots = new SnapshotBuffer();
+
+    // Last replicated server state and the sequence number of the message that produced it
+    this.replica = null;
+    this.replicaSeq = null;
+    this.awaitingKeyframe = false;
+
+    // Button state of the newest input the server has acknowledged (replay starts from it)
+    this.lastAckedInput = { left: false, right: false, jump: false };
+
+    // Set by handlePlayerJump so a tap shorter than one frame still reaches the server
+    this.jumpQueued = false;
+
+    // Fixed-timestep bookkeeping: unsimulated frame time, steps run, and the last input applied
+    this.accumulator = 0;
+    this.clock = new SimulationClock();
+    this.previousInput = { left: false, right: false, jump: false };
+
+    // Gameplay randomness; reseeded from the room so enemies behave like the server's run
+    this.random = new SeededRandom(SeededRandom.randomSeed());
+
+    // Replay of the attempt in progress, the last finished attempt, and the active playback
+    this.replay = null;
+    this.lastReplay = null;
+    this.playback = null;
+
+    // Level editor while it is open, and the editor's test run in progress
+    // ({ saved, camera, onEnd }; see playtestLevel())
+    this.editor = null;
+    this.playtest = null;
+
+    // Level definition currently loaded (replays restart from it)
+    this.levelData = null;
+
+    // Set by server:shutdown until the server is back; see handleServerShutdown()
+    this.serverRestarting = false;
+    this.reconnectBanner = null;
+    this.reconnectBannerTimer = null;
+
+    // Reconnecting after a dropped connection. The resume token from
+    // session:ready lets the server hand a guest back its player within the
+    // grace window it announced.
+    this.reconnecting = false;
+    this.reconnectGiveUpTimer = null;
+    this.resumeToken = null;
+    this.reconnectGraceMs = DEFAULT_RECONNECT_GRACE_MS;
+
+    // Watching a room (?spectate=<roomId>) instead of playing: the room
+    // asked for, the camera once watching, and the player list overlay
+    this.spectateRoomId = null;
+    this.spectatorCamera = null;
+    this.playerList = null;
+    this.playerListUpdatedAt = 0;
+
     // Bind methods to preserve 'this' context
     this.gameLoop = this.gameLoop.bind(this);
     this.handleResize = this.handleResize.bind(this);
@@ -129,18 +277,45 @@ class Game {
         basePath: 'assets'
       });
 
+      // Spectators ask for their room in the handshake, so they never spawn a player
+      const params = new URLSearchParams(window.location.search);
+      this.spectateRoomId = params.get('spectate');
+
       // Connect to server
       await this.connectToServer();
 
       // Set up event listeners
       this.setupEventListeners();
 
+      // The server sends the level the watched room is playing
+      if (this.spectateRoomId) {
+        await this.loadLevel(FIRST_LEVEL_ID);
+        this.hideLoadingScreen();
+        this.startSpectating();
+        return;
+      }
+
+      // Join a shared room when invited via ?room=<id>
+      const requestedRoom = params.get('room');
+      if (requestedRoom) {
+        await this.joinRoom(requestedRoom).catch((error) => {
+          this.showNotification(`Could not join room: ${error.message}`, 'error');
+        });
+      }
+
+      // Pick up progress made on other devices before offering "Continue"
+      await this.progress.sync();
+
       // Load first level
-      await this.loadLevel('level-1');
+      await this.loadLevel(FIRST_LEVEL_ID);
 
-      // Hide loading screen and show start screen
+      // Hide loading screen and show start screen (or the editor with ?editor)
       this.hideLoadingScreen();
-      this.showStartScreen();
+      if (params.has('editor')) {
+        this.openLevelEditor();
+      } else {
+        this.showStartScreen();
+      }
 
       console.log('Game initialization complete!');
     } catch (error) {
@@ -149,6 +324,61 @@ class Game {
     }
   }
 
+  /**
+   * Load persisted settings, falling back to the current defaults
+   * @returns {Object} Merged settings
+   */
+  loadSettings() {
+    const defaults = { ...this.settings };
+
+    try {
+      const storage = typeof window !== 'undefined' ? window.localStorage : null;
+      const raw = storage ? storage.getItem(SETTINGS_STORAGE_KEY) : null;
+      if (!raw) return defaults;
+
+      const stored = JSON.parse(raw);
+      return { ...defaults, ...stored };
+    } catch (error) {
+      console.warn('Failed to load settings:', error);
+      return defaults;
+    }
+  }
+
+  /**
+   * Persist the current settings
+   */
+  saveSettings() {
+    try {
+      const storage = typeof window !== 'undefined' ? window.localStorage : null;
+      if (storage) {
+        storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+      }
+    } catch (error) {
+      console.warn('Failed to save settings:', error);
+    }
+  }
+
+  /**
+   * Update settings, persist them and apply them to subsystems
+   * @param {Object} changes - Partial settings object
+   */
+  updateSettings(changes = {}) {
+    this.settings = { ...this.settings, ...changes };
+    this.saveSettings();
+
+    if (this.soundManager && typeof this.soundManager.setSettings === 'function') {
+      this.soundManager.setSettings(this.settings);
+    }
+
+    if (this.renderer) {
+      this.renderer.setDebugMode(this.settings.debug);
+    }
+
+    if (this.physics) {
+      this.physics.setDebugMode(this.settings.debug);
+    }
+  }
+
   /**
    * Check if browser supports required features
    */
@@ -191,21 +421,65 @@ class Game {
         const currentPort = window.location.port;
         const isLocalHost = host === 'localhost' || host === '127.0.0.1';
         // If served by the old light-server on 8080 in dev, point at the Express server on 3000.
-ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : currentPort;
+        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : currentPort;
         const portSegment = socketPort ? `:${socketPort}` : '';
-        const serverUrl = `${protocol}//${host}${portSegment}`;
-
-        // Connect to socket.io server
-        this.socket = window.io(serverUrl);
+        const serverUrl = `${httpProtocol}//${host}${portSegment}`;
+
+        // Give up if the server does not answer within 10 seconds
+        const connectionTimeout = setTimeout(() => {
+          reject(new Error('Connection to server timed out'));
+        }, 10000);
+        const cleanup = () => clearTimeout(connectionTimeout);
+
+        // Connect to socket.io server. The auth callback runs on every
+        // (re)connection, so the handshake always carries a fresh access token
+        // and the latest resume token.
+        this.socket = window.io(serverUrl, {
+          auth: (callback) => {
+            this.account.getAccessToken().then((token) => callback({
+              ...(token ? { token } : {}),
+              ...(this.resumeToken ? { resumeToken: this.resumeToken } : {}),
+              ...(this.spectateRoomId ? { spectate: this.spectateRoomId } : {})
+            }));
+          }
+        });
 
         // Socket connection event
         this.socket.on('connect', () => {
           cleanup();
           console.log('Connected to server with ID:', this.socket.id);
-          this.playerId = this.socket.id;
+          // Signed-in players are bound to their account id, guests to the socket
+          this.setPlayerId(this.account.account ? this.account.account.id : this.socket.id);
+          // Subscriptions do not survive a new connection
+          this.followedLeaderboard = null;
+          this.handleReconnected();
           resolve();
         });
 
+        // Player id the server actually bound this connection to
+        this.socket.on('session:ready', (session) => {
+          this.setPlayerId(session.playerId);
+          this.resumeToken = session.resumeToken || null;
+          if (Number.isFinite(session.reconnectGraceMs)) {
+            this.reconnectGraceMs = session.reconnectGraceMs;
+          }
+        });
+
+        // The server handed back the player held since the connection dropped
+        this.socket.on('session:resumed', (session) => {
+          this.applyResumedSession(session);
+        });
+
+        // The same account connected from somewhere else
+        this.socket.on('session:replaced', () => {
+          this.sessionReplaced = true;
+        });
+
+        // The server is about to restart
+        this.socket.on('server:shutdown', (notice) => {
+          this.handleServerShutdown(notice);
+        });
+
         // Socket error event
         this.socket.on('connect_error', (error) => {
           cleanup();
@@ -219,50 +493,88 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
           this.handleDisconnect(reason);
         });
 
-        // Game state update from server
-        this.socket.on('game:state', (gameState) => {
-          this.updateGameState(gameState);
+        // Room membership confirmed by server
+        this.socket.on('room:joined', (room) => {
+          this.room = room;
+          this.snapshots.clear();
+          if (room && Number.isInteger(room.seed)) {
+            this.random.reseed(room.seed);
+          }
+        });
+
+        // The server never observed an event this client predicted and claimed
+        this.socket.on('claim:rejected', (rejection) => {
+          console.warn(`Server did not observe claimed ${rejection.type}`, rejection.id);
+        });
+
+        // A followed leaderboard changed
+        this.socket.on('leaderboard:updated', (leaderboard) => {
+          this.handleLeaderboardUpdate(leaderboard);
+        });
+
+        // Delta-compressed game state from server
+        this.onLiveEvent('state:delta', (message) => {
+          this.handleStateDelta(message);
         });
 
         // Level data from server
-        this.socket.on('level:data', (levelData) => {
+        this.onLiveEvent('level:data', (levelData) => {
           this.processLevelData(levelData);
         });
 
+        // The current level's file changed on the server (hot reload)
+        this.onLiveEvent('level:updated', (levelData) => {
+          this.reloadLevel(levelData);
+        });
+
+        // The current level's file changed but the server refused the new version
+        this.onLiveEvent('level:invalid', (failure) => {
+          console.warn(`Level ${failure.levelId} is invalid:`, failure.errors);
+          this.showNotification(`Level ${failure.levelId} not reloaded: ${failure.errors[0]}`, 'error');
+        });
+
         // Player join event
-        this.socket.on('player:join', (playerData) => {
+        this.onLiveEvent('player:join', (playerData) => {
           this.addPlayer(playerData);
         });
 
         // Player leave event
-        this.socket.on('player:leave', (playerId) => {
+        this.onLiveEvent('player:leave', (playerId) => {
           this.removePlayer(playerId);
         });
 
         // Player damage event
-        this.socket.on('player:damage', (data) => {
+        this.onLiveEvent('player:damage', (data) => {
           this.handlePlayerDamage(data);
         });
 
         // Player respawn event
-        this.socket.on('player:respawn', (data) => {
+        this.onLiveEvent('player:respawn', (data) => {
           this.handlePlayerRespawn(data);
         });
 
         // Player game over event
-        this.socket.on('player:gameover', (data) => {
+        this.onLiveEvent('player:gameover', (data) => {
           this.handleGameOver(data);
         });
 
         // Collectible collected event
-        this.socket.on('collectible:collected', (data) => {
+        this.onLiveEvent('collectible:collected', (data) => {
           this.handleCollectibleCollected(data);
         });
 
         // Enemy defeated event
-        this.socket.on('enemy:defeated', (data) => {
+        this.onLiveEvent('enemy:defeated', (data) => {
           this.handleEnemyDefeated(data);
         });
+
+        // Another player's connection dropped, or came back
+        this.onLiveEvent('player:disconnected', (data) => {
+          this.setPlayerConnected(data.playerId, false);
+        });
+        this.onLiveEvent('player:reconnected', (data) => {
+          this.setPlayerConnected(data.playerId, true);
+        });
       } catch (error) {
         console.error('Failed to connect to server:', error);
         reject(error);
@@ -270,6 +582,94 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
     });
   }
 
+  /**
+   * Check whether the world on screen is the live game. It is not while a
+   * replay plays, the level editor is open or the editor is testing a level.
+   * @returns {boolean}
+   */
+  isLive() {
+    return !this.playback && !this.editor && !this.playtest;
+  }
+
+  /**
+   * Listen for a server event that changes the game world.
+   * These are ignored while the world is not live (see isLive()).
+   * @param {string} eventName - Socket event name
+   * @param {Function} handler - Event handler
+   */
+  onLiveEvent(eventName, handler) {
+    this.socket.on(eventName, (...args) => {
+      if (this.isLive()) {
+        handler(...args);
+      }
+    });
+  }
+
+  /**
+   * Send a room request to the server and wait for its acknowledgement
+   * @param {string} eventName - Room event (room:create, room:join, room:leave, room:list)
+   * @param {Object} payload - Event payload
+   * @returns {Promise<Object>} Server response
+   */
+  requestRoom(eventName, payload = {}) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) {
+        reject(new Error('Not connected to server'));
+        return;
+      }
+
+      this.socket.emit(eventName, payload, (response) => {
+        if (response && response.ok) {
+          resolve(response);
+        } else {
+          reject(new Error(response?.error || `${eventName} failed`));
+        }
+      });
+    });
+  }
+
+  /**
+   * List the rooms currently open on the server
+   * @returns {Promise<Array<Object>>} Room summaries
+   */
+  async listRooms() {
+    const response = await this.requestRoom('room:list');
+    return response.rooms;
+  }
+
+  /**
+   * Create a new room and move into it
+   * @param {string} name - Room display name
+   * @returns {Promise<Object>} Room summary
+   */
+  async createRoom(name) {
+    const response = await this.requestRoom('room:create', { name });
+    this.room = response.room;
+    return response.room;
+  }
+
+  /**
+   * Join an existing room by id
+   * @param {string} roomId - Room identifier
+   * @returns {Promise<Object>} Room summary
+   */
+  async joinRoom(roomId) {
+    const response = await this.requestRoom('room:join', { roomId });
+    this.room = response.room;
+    this.showNotification(`Joined room ${response.room.name}`, 'success');
+    return response.room;
+  }
+
+  /**
+   * Leave the current room and return to the public room
+   * @returns {Promise<Object>} Room summary
+   */
+  async leaveRoom() {
+    const response = await this.requestRoom('room:leave');
+    this.room = response.room;
+    return response.room;
+  }
+
   /**
    * Set up DOM event listeners
    */
@@ -280,11 +680,28 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
     // Tab visibility change (pause game when tab is not active)
     document.addEventListener('visibilitychange', this.handleVisibilityChange);
 
+    // Upload progress saved while offline
+    window.addEventListener('online', () => {
+      this.progress.sync();
+    });
+
     // Game restart event (from UI)
     document.addEventListener('game:restart', () => {
       this.restartGame();
     });
 
+    // Replay buttons on the game over and level complete screens
+    document.addEventListener('replay:download', () => {
+      this.downloadReplay();
+    });
+
+    document.addEventListener('replay:watch', (event) => {
+      const returnTo = event.detail && event.detail.returnTo;
+      this.watchReplay(this.lastReplay, returnTo).catch((error) => {
+        this.showNotification(`Could not play replay: ${error.message}`, 'error');
+      });
+    });
+
     // Input handler events
     this.inputHandler.on('move', (direction) => {
       this.handlePlayerMove(direction);
@@ -353,25 +770,492 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
    * Handle server disconnection
    * @param {string} reason - Disconnection reason
    */
-  handleDisconnect(_reason) {
-    if (this.state.isRunning) {
-      this.pause();
-      this.showNotification('Disconnected from server. Attempting to reconnect...', 'error');
+  handleDisconnect(reason) {
+    // Deliberate disconnects (see rebindSession) reconnect by themselves
+    if (reason === 'io client disconnect') return;
+
+    if (this.sessionReplaced) {
+      this.stop();
+      this.showErrorScreen('You signed in on another device. Refresh the page to play here.');
+      return;
     }
 
-    // Attempt to reconnect automatically
+    this.pause();
+    this.reconnecting = true;
+
+    if (this.serverRestarting) {
+      this.showReconnectBanner('Server restarting. Reconnecting');
+      this.reconnectWithBackoff();
+      return;
+    }
+
+    this.showReconnectBanner('Connection lost. Reconnecting');
+
+    // Socket.IO only retries by itself when the connection dropped
+    if (reason === 'io server disconnect') {
+      this.reconnectWithBackoff();
+      return;
+    }
+
+    // It keeps retrying with the same resume token; once the server's grace
+    // window is over the player is gone, so stop there
+    clearTimeout(this.reconnectGiveUpTimer);
+    this.reconnectGiveUpTimer = setTimeout(() => {
+      this.reconnectGiveUpTimer = null;
+      if (!this.reconnecting) return;
+      this.reconnecting = false;
+      this.hideReconnectBanner();
+      if (this.socket) {
+        this.socket.disconnect();
+      }
+      this.showErrorScreen('Lost connection to the server. Please refresh the page to reconnect.');
+    }, this.reconnectGraceMs);
+  }
+
+  /**
+   * The connection is back after handleDisconnect(): clear the banner and
+   * carry on playing
+   */
+  handleReconnected() {
+    if (!this.reconnecting) return;
+
+    this.reconnecting = false;
+    this.serverRestarting = false;
+    clearTimeout(this.reconnectGiveUpTimer);
+    this.reconnectGiveUpTimer = null;
+    this.hideReconnectBanner();
+    this.showNotification('Reconnected to server!', 'success');
+    if (this.state.isPaused) {
+      this.resume();
+    }
+  }
+
+  /**
+   * Take back the state the server kept for the local player while it was
+   * disconnected. The score stays the client's own, as in play.
+   * @param {Object} session - { roomId, player }
+   */
+  applyResumedSession(session) {
+    const { player } = session;
+    if (!player) return;
+
+    if (this.localPlayer) {
+      this.localPlayer.x = player.x;
+      this.localPlayer.y = player.y;
+      this.localPlayer.velocityX = 0;
+      this.localPlayer.velocityY = 0;
+      this.localPlayer.direction = player.direction;
+    }
+    this.state.playerLives = player.lives;
+    this.state.playerHealth = player.health;
+  }
+
+  /**
+   * Mark another player as connected or waiting to reconnect
+   * @param {string} playerId - Player ID
+   * @param {boolean} connected - Whether its client is connected
+   */
+  setPlayerConnected(playerId, connected) {
+    const player = this.state.players.get(playerId);
+    if (player && playerId !== this.playerId) {
+      player.connected = connected;
+    }
+  }
+
+  /**
+   * The server announced a restart: save the run now and count down to it.
+   * The disconnect that follows reconnects in the background instead of
+   * showing an error screen.
+   * @param {Object} [notice] - Shutdown notice
+   * @param {number} [notice.countdown] - Seconds until the server disconnects
+   */
+  handleServerShutdown(notice = {}) {
+    this.serverRestarting = true;
+    this.saveRunForRestart();
+    this.showReconnectBanner('Server restarting', notice.countdown);
+  }
+
+  /**
+   * Keep the attempt in progress: its score goes into the level's records,
+   * and the checkpoint restarts the level with the score and lives the
+   * attempt began with.
+   */
+  saveRunForRestart() {
+    const levelId = this.state.currentLevel;
+    if (!levelId || !this.state.isRunning || !this.isLive()) return;
+
+    const start = this.replay && this.replay.levelId === levelId
+      ? this.replay.initialState
+      : { score: this.state.score, lives: this.state.playerLives };
+
+    const save = recordLevelResult(this.progress.save, levelId, {
+      score: this.state.score - start.score,
+      time: this.state.gameTime,
+      carrotsCollected: this.state.carrotsCollected,
+      completed: false
+    });
+    // A checkpoint on this level already holds the abilities the attempt began with
+    let { powerups } = save;
+    if (save.currentLevel !== levelId) {
+      powerups = this.localPlayer ? this.localPlayer.getPermanentAbilities() : [];
+    }
+    this.progress.commit(setCheckpoint(save, {
+      currentLevel: levelId,
+      score: start.score,
+      lives: start.lives,
+      powerups
+    }));
+  }
+
+  /**
+   * Reconnect with a new socket, backing off between failed attempts. Used
+   * when the server closed the connection, since Socket.IO does not retry then.
+   * @param {number} [attempt] - Attempts made so far
+   */
+  reconnectWithBackoff(attempt = 0) {
+    const delay = Math.min(RESTART_RETRY_MAX_MS, RESTART_RETRY_BASE_MS * 2 ** attempt);
+
     setTimeout(() => {
+      // Only the new connection should deliver events
+      if (this.socket) {
+        this.socket.off();
+      }
+
       this.connectToServer()
-        .then(() => {
-          this.showNotification('Reconnected to server!', 'success');
-          if (this.state.isPaused) {
-            this.resume();
+        .then(() => this.handleReconnected())
+        .catch(() => {
+          // A socket that failed to connect would keep retrying on its own
+          if (this.socket) {
+            this.socket.disconnect();
           }
+          this.reconnectWithBackoff(attempt + 1);
+        });
+    }, delay);
+  }
+
+  /**
+   * Show a banner across the top of the game, replacing any shown before
+   * @param {string} message - Banner text
+   * @param {number} [countdown] - Seconds to count down after the message
+   */
+  showReconnectBanner(message, countdown = 0) {
+    this.hideReconnectBanner();
+
+    const banner = document.createElement('div');
+    banner.id = 'reconnect-banner';
+    banner.style.position = 'absolute';
+    banner.style.top = '0';
+    banner.style.left = '0';
+    banner.style.width = '100%';
+    banner.style.padding = '10px 0';
+    banner.style.textAlign = 'center';
+    banner.style.fontFamily = 'Arial, sans-serif';
+    banner.style.fontSize = '16px';
+    banner.style.color = '#FFFFFF';
+    banner.style.backgroundColor = 'rgba(33, 150, 243, 0.9)';
+    banner.style.zIndex = '900';
+
+    let remaining = countdown;
+    const render = () => {
+      banner.textContent = remaining > 0
+        ? `${message} in ${remaining}s. Your progress is saved.`
+        : `${message}...`;
+    };
+    render();
+    if (remaining > 0) {
+      this.reconnectBannerTimer = setInterval(() => {
+        remaining -= 1;
+        render();
+        if (remaining <= 0) {
+          clearInterval(this.reconnectBannerTimer);
+          this.reconnectBannerTimer = null;
+        }
+      }, 1000);
+    }
+
+    this.container.appendChild(banner);
+    this.reconnectBanner = banner;
+  }
+
+  /**
+   * Remove the reconnect banner, if shown
+   */
+  hideReconnectBanner() {
+    if (this.reconnectBannerTimer) {
+      clearInterval(this.reconnectBannerTimer);
+      this.reconnectBannerTimer = null;
+    }
+    if (this.reconnectBanner) {
+      this.reconnectBanner.remove();
+      this.reconnectBanner = null;
+    }
+  }
+
+  /**
+   * Change the id of the local player, e.g. once the server binds the
+   * connection to an account
+   * @param {string} playerId - Player ID
+   */
+  setPlayerId(playerId) {
+    if (!playerId || playerId === this.playerId) return;
+
+    const previousId = this.playerId;
+    this.playerId = playerId;
+    if (this.localPlayer && this.state.players.get(previousId) === this.localPlayer) {
+      this.state.players.delete(previousId);
+      this.localPlayer.id = playerId;
+      this.state.players.set(playerId, this.localPlayer);
+    }
+  }
+
+  /**
+   * Sign in or create an account, then reconnect as that account
+   * @param {string} mode - 'login' or 'register'
+   * @param {Object} details - { username, password, displayName }
+   * @returns {Promise<Object>} - The signed-in account
+   */
+  async signIn(mode, { username, password, displayName }) {
+    const account = mode === 'register'
+      ? await this.account.register(username, password, displayName)
+      : await this.account.login(username, password);
+
+    this.playerName = account.displayName;
+    await this.rebindSession();
+    await this.progress.reload();
+    this.showNotification(`Signed in as ${account.displayName}`, 'success');
+    return account;
+  }
+
+  /**
+   * Sign out and reconnect as a guest
+   * @returns {Promise}
+   */
+  async signOut() {
+    this.account.logout();
+    this.playerName = null;
+    await this.rebindSession();
+    await this.progress.reload();
+    this.showNotification('Signed out', 'info');
+  }
+
+  /**
+   * Reconnect the socket so the server binds it to the current account,
+   * then reload the level into the new session
+   * @returns {Promise}
+   */
+  async rebindSession() {
+    if (!this.socket) return;
+
+    await new Promise((resolve) => {
+      this.socket.once('connect', resolve);
+      this.socket.disconnect();
+      this.socket.connect();
+    });
+    if (this.state.currentLevel) {
+      await this.loadLevel(this.state.currentLevel);
+    }
+  }
+
+  /**
+   * Show the sign-in / register form
+   * @param {string} [mode] - 'login' or 'register'
+   */
+  showAccountForm(mode = 'login') {
+    this.hideAccountForm();
+
+    const overlay = document.createElement('div');
+    overlay.id = 'account-form';
+    overlay.style.position = 'absolute';
+    overlay.style.top = '0';
+    overlay.style.left = '0';
+    overlay.style.width = '100%';
+    overlay.style.height = '100%';
+    overlay.style.display = 'flex';
+    overlay.style.alignItems = 'center';
+    overlay.style.justifyContent = 'center';
+    overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+    overlay.style.fontFamily = 'Arial, sans-serif';
+    overlay.style.zIndex = '1000';
+
+    const form = document.createElement('form');
+    form.style.display = 'flex';
+    form.style.flexDirection = 'column';
+    form.style.gap = '10px';
+    form.style.width = '280px';
+    form.style.padding = '20px';
+    form.style.borderRadius = '10px';
+    form.style.backgroundColor = '#FFFFFF';
+
+    const heading = document.createElement('h2');
+    heading.textContent = mode === 'register' ? 'Create Account' : 'Sign In';
+    heading.style.margin = '0';
+    form.appendChild(heading);
+
+    const addField = (name, type, placeholder) => {
+      const input = document.createElement('input');
+      input.name = name;
+      input.type = type;
+      input.placeholder = placeholder;
+      input.required = name !== 'displayName';
+      input.style.padding = '8px';
+      form.appendChild(input);
+      return input;
+    };
+    const username = addField('username', 'text', 'Username');
+    const password = addField('password', 'password', 'Password');
+    const displayName = mode === 'register' ? addField('displayName', 'text', 'Display name (optional)') : null;
+
+    const message = document.createElement('div');
+    message.id = 'account-form-error';
+    message.style.color = '#F44336';
+    message.style.fontSize = '14px';
+    form.appendChild(message);
+
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.textContent = mode === 'register' ? 'Create Account' : 'Sign In';
+    form.appendChild(submit);
+
+    const toggle = document.createElement('a');
+    toggle.href = '#';
+    toggle.textContent = mode === 'register' ? 'I already have an account' : 'Create an account';
+    toggle.onclick = (event) => {
+      event.preventDefault();
+      this.showAccountForm(mode === 'register' ? 'login' : 'register');
+    };
+    form.appendChild(toggle);
+
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.textContent = 'Cancel';
+    cancel.onclick = () => this.hideAccountForm();
+    form.appendChild(cancel);
+
+    form.onsubmit = (event) => {
+      event.preventDefault();
+      submit.disabled = true;
+      message.textContent = '';
+      this.signIn(mode, {
+        username: username.value,
+        password: password.value,
+        displayName: displayName ? displayName.value : undefined
+      })
+        .then(() => {
+          this.hideAccountForm();
+          this.hideStartScreen();
+          this.showStartScreen();
         })
-        .catch(() => {
-          this.showErrorScreen('Lost connection to the server. Please refresh the page to reconnect.');
+        .catch((error) => {
+          message.textContent = error.message;
+          submit.disabled = false;
         });
-    }, 3000);
+    };
+
+    overlay.appendChild(form);
+    this.container.appendChild(overlay);
+    username.focus();
+  }
+
+  /**
+   * Show the leaderboards, starting on the level last played
+   * @returns {Promise}
+   */
+  showLeaderboard() {
+    if (!this.leaderboardScreen) {
+      this.leaderboardScreen = new LeaderboardScreen({
+        container: this.container,
+        account: this.account
+      });
+    }
+    this.leaderboardScreen.playerName = this.playerName;
+    this.leaderboardScreen.filters.level = this.state.currentLevel || '';
+    return this.leaderboardScreen.show();
+  }
+
+  /**
+   * Show the level browser, to search, rate and play levels
+   * @returns {Promise}
+   */
+  showLevelBrowser() {
+    if (!this.levelBrowser) {
+      this.levelBrowser = new LevelBrowser({
+        container: this.container,
+        account: this.account,
+        onPlay: (levelId) => this.playLevel(levelId)
+      });
+    }
+    return this.levelBrowser.show();
+  }
+
+  /**
+   * Play a level picked in the level browser. It leaves the campaign's saved
+   * checkpoint alone, and completing it leads back to the browser.
+   * @param {string} levelId - Level id
+   * @returns {Promise}
+   */
+  async playLevel(levelId) {
+    this.hideStartScreen();
+
+    try {
+      await this.loadLevel(levelId);
+    } catch (error) {
+      console.error('Error loading browsed level:', error);
+      this.showNotification(`Could not load ${levelId}`, 'error');
+      this.showStartScreen();
+      return;
+    }
+
+    this.browsedLevel = levelId;
+    this.startGame();
+  }
+
+  /**
+   * Follow the current level's leaderboard, so records set by other players
+   * are announced while playing
+   */
+  followLeaderboard() {
+    const level = this.state.currentLevel;
+    if (!this.socket || !level || this.followedLeaderboard === level) return;
+
+    this.followedLeaderboard = level;
+    this.socket.emit('leaderboard:subscribe', { level }, (response) => {
+      if (!response || !response.ok) {
+        this.followedLeaderboard = null;
+        console.warn('Could not follow leaderboard:', response?.error);
+      }
+    });
+  }
+
+  /**
+   * Announce a score that made the top of a followed leaderboard
+   * @param {Object} leaderboard - { level, entries, record } pushed by the server
+   */
+  handleLeaderboardUpdate(leaderboard) {
+    const { record } = leaderboard;
+    if (!record || !this.state.isRunning) return;
+
+    const ownAccountId = this.account.account ? this.account.account.id : null;
+    const levelName = this.levelData && this.levelData.id === record.level
+      ? this.levelData.name || record.level
+      : record.level;
+    if (ownAccountId && record.accountId === ownAccountId) {
+      this.showNotification(`New record! You are #${record.rank} on ${levelName}`, 'success');
+    } else {
+      this.showNotification(
+        `New record! ${record.playerName} is #${record.rank} on ${levelName} with ${record.score}`,
+        'info'
+      );
+    }
+  }
+
+  /**
+   * Hide the sign-in / register form
+   */
+  hideAccountForm() {
+    const overlay = document.getElementById('account-form');
+    if (overlay) {
+      overlay.remove();
+    }
   }
 
   /**
@@ -519,6 +1403,9 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
    * Show start screen
    */
   showStartScreen() {
+    // Back at the menu, a level picked in the browser is no longer being played
+    this.browsedLevel = null;
+
     // Create start screen SVG
     const svgNS = 'http://www.w3.org/2000/svg';
     const startScreen = document.createElementNS(svgNS, 'g');
@@ -556,10 +1443,13 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
     subtitle.textContent = 'Help Luna find her way home!';
     startScreen.appendChild(subtitle);
 
+    // With a saved game the start button sits beside "Continue"
+    const savedGame = canContinue(this.progress.save) ? this.progress.save : null;
+
     // Start button
     const buttonGroup = document.createElementNS(svgNS, 'g');
     buttonGroup.setAttribute('id', 'start-button');
-    buttonGroup.setAttribute('transform', `translate(${this.width / 2 - 100}, 250)`);
+    buttonGroup.setAttribute('transform', `translate(${this.width / 2 - (savedGame ? 210 : 100)}, 250)`);
     buttonGroup.style.cursor = 'pointer';
 
     const buttonBg = document.createElementNS(svgNS, 'rect');
@@ -578,15 +1468,149 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
     buttonText.setAttribute('font-weight', 'bold');
     buttonText.setAttribute('fill', '#FFFFFF');
     buttonText.setAttribute('text-anchor', 'middle');
-    buttonText.textContent = 'Start Game';
+    buttonText.textContent = savedGame ? 'New Game' : 'Start Game';
     buttonGroup.appendChild(buttonText);
 
     // Add click event
     buttonGroup.addEventListener('click', () => {
       this.startGame();
     });
-
-    startScreen.appendChild(buttonGroup);
+
+    startScreen.appendChild(buttonGroup);
+
+    // Continue button: resume the saved game, wherever it was played
+    if (savedGame) {
+      const continueGroup = document.createElementNS(svgNS, 'g');
+      continueGroup.setAttribute('id', 'continue-button');
+      continueGroup.setAttribute('transform', `translate(${this.width / 2 + 10}, 250)`);
+      continueGroup.style.cursor = 'pointer';
+
+      const continueBg = document.createElementNS(svgNS, 'rect');
+      continueBg.setAttribute('width', '200');
+      continueBg.setAttribute('height', '50');
+      continueBg.setAttribute('fill', '#2196F3');
+      continueBg.setAttribute('rx', '10');
+      continueBg.setAttribute('ry', '10');
+      continueGroup.appendChild(continueBg);
+
+      const continueText = document.createElementNS(svgNS, 'text');
+      continueText.setAttribute('x', '100');
+      continueText.setAttribute('y', '32');
+      continueText.setAttribute('font-family', 'Arial, sans-serif');
+      continueText.setAttribute('font-size', '24px');
+      continueText.setAttribute('font-weight', 'bold');
+      continueText.setAttribute('fill', '#FFFFFF');
+      continueText.setAttribute('text-anchor', 'middle');
+      continueText.textContent = 'Continue';
+      continueGroup.appendChild(continueText);
+
+      const continueTitle = document.createElementNS(svgNS, 'title');
+      continueTitle.textContent = `Resume ${savedGame.currentLevel} with ${savedGame.score} points`;
+      continueGroup.appendChild(continueTitle);
+
+      continueGroup.addEventListener('click', () => {
+        this.continueGame();
+      });
+
+      startScreen.appendChild(continueGroup);
+    }
+
+    // Open a .lunareplay file for playback
+    const replayLink = document.createElementNS(svgNS, 'text');
+    replayLink.setAttribute('id', 'open-replay-link');
+    replayLink.setAttribute('x', this.width / 2);
+    replayLink.setAttribute('y', 325);
+    replayLink.setAttribute('font-family', 'Arial, sans-serif');
+    replayLink.setAttribute('font-size', '16px');
+    replayLink.setAttribute('fill', '#FFC107');
+    replayLink.setAttribute('text-anchor', 'middle');
+    replayLink.setAttribute('text-decoration', 'underline');
+    replayLink.style.cursor = 'pointer';
+    replayLink.textContent = 'Watch a replay file';
+    replayLink.addEventListener('click', () => {
+      this.chooseReplayFile();
+    });
+    startScreen.appendChild(replayLink);
+
+    // Account: sign in to keep scores under one name across devices
+    const accountLink = document.createElementNS(svgNS, 'text');
+    accountLink.setAttribute('id', 'account-link');
+    accountLink.setAttribute('x', this.width / 2);
+    accountLink.setAttribute('y', 475);
+    accountLink.setAttribute('font-family', 'Arial, sans-serif');
+    accountLink.setAttribute('font-size', '16px');
+    accountLink.setAttribute('fill', '#FFC107');
+    accountLink.setAttribute('text-anchor', 'middle');
+    accountLink.setAttribute('text-decoration', 'underline');
+    accountLink.style.cursor = 'pointer';
+    if (this.account.isSignedIn) {
+      accountLink.textContent = `Signed in as ${this.account.account.displayName} (sign out)`;
+      accountLink.addEventListener('click', () => {
+        this.signOut()
+          .then(() => {
+            this.hideStartScreen();
+            this.showStartScreen();
+          })
+          .catch((error) => this.showNotification(error.message, 'error'));
+      });
+    } else {
+      accountLink.textContent = 'Sign in to save your scores';
+      accountLink.addEventListener('click', () => {
+        this.showAccountForm();
+      });
+    }
+    startScreen.appendChild(accountLink);
+
+    // Per-level leaderboards
+    const leaderboardLink = document.createElementNS(svgNS, 'text');
+    leaderboardLink.setAttribute('id', 'leaderboard-link');
+    leaderboardLink.setAttribute('x', this.width / 2);
+    leaderboardLink.setAttribute('y', 505);
+    leaderboardLink.setAttribute('font-family', 'Arial, sans-serif');
+    leaderboardLink.setAttribute('font-size', '16px');
+    leaderboardLink.setAttribute('fill', '#FFC107');
+    leaderboardLink.setAttribute('text-anchor', 'middle');
+    leaderboardLink.setAttribute('text-decoration', 'underline');
+    leaderboardLink.style.cursor = 'pointer';
+    leaderboardLink.textContent = 'Leaderboards';
+    leaderboardLink.addEventListener('click', () => {
+      this.showLeaderboard();
+    });
+    startScreen.appendChild(leaderboardLink);
+
+    // Level editor
+    const editorLink = document.createElementNS(svgNS, 'text');
+    editorLink.setAttribute('id', 'editor-link');
+    editorLink.setAttribute('x', this.width / 2);
+    editorLink.setAttribute('y', 535);
+    editorLink.setAttribute('font-family', 'Arial, sans-serif');
+    editorLink.setAttribute('font-size', '16px');
+    editorLink.setAttribute('fill', '#FFC107');
+    editorLink.setAttribute('text-anchor', 'middle');
+    editorLink.setAttribute('text-decoration', 'underline');
+    editorLink.style.cursor = 'pointer';
+    editorLink.textContent = 'Level Editor';
+    editorLink.addEventListener('click', () => {
+      this.openLevelEditor();
+    });
+    startScreen.appendChild(editorLink);
+
+    // Level browser: bundled and community levels
+    const browserLink = document.createElementNS(svgNS, 'text');
+    browserLink.setAttribute('id', 'level-browser-link');
+    browserLink.setAttribute('x', this.width / 2);
+    browserLink.setAttribute('y', 565);
+    browserLink.setAttribute('font-family', 'Arial, sans-serif');
+    browserLink.setAttribute('font-size', '16px');
+    browserLink.setAttribute('fill', '#FFC107');
+    browserLink.setAttribute('text-anchor', 'middle');
+    browserLink.setAttribute('text-decoration', 'underline');
+    browserLink.style.cursor = 'pointer';
+    browserLink.textContent = 'Browse Levels';
+    browserLink.addEventListener('click', () => {
+      this.showLevelBrowser();
+    });
+    startScreen.appendChild(browserLink);
 
     // Instructions
     const instructions = document.createElementNS(svgNS, 'text');
@@ -755,6 +1779,11 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
       this.createLocalPlayer();
     }
 
+    // Every attempt is recorded so it can be downloaded or watched afterwards
+    this.beginReplay();
+
+    this.followLeaderboard();
+
     // Enable input handling
     this.inputHandler.enable();
 
@@ -777,6 +1806,142 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
     this.showNotification('Game started!', 'success');
   }
 
+  /**
+   * Resume the saved game: load its level with the score, lives and
+   * power-ups it was saved with, then start playing
+   * @returns {Promise}
+   */
+  async continueGame() {
+    const { save } = this.progress;
+    this.hideStartScreen();
+
+    try {
+      await this.loadLevel(save.currentLevel);
+    } catch (error) {
+      console.error('Error loading saved level:', error);
+      this.showNotification(`Could not load ${save.currentLevel}`, 'error');
+      this.showStartScreen();
+      return;
+    }
+
+    this.state.score = save.score;
+    this.state.playerLives = save.lives;
+    this.state.playerHealth = 100;
+
+    if (!this.localPlayer) {
+      this.createLocalPlayer();
+    }
+    this.localPlayer.lives = save.lives;
+    for (const type of save.powerups) {
+      this.localPlayer.activatePowerUp(type);
+    }
+
+    this.startGame();
+  }
+
+  /**
+   * Watch the room asked for with ?spectate=<roomId>: run the render loop
+   * without a local player, with a camera and a player list. The arrow keys
+   * pan the camera; picking a player in the list follows them.
+   */
+  startSpectating() {
+    if (this.state.isRunning) return;
+
+    this.spectatorCamera = new SpectatorCamera(this.width, this.height);
+    if (this.levelData) {
+      this.spectatorCamera.setBounds(this.levelData.width, this.levelData.height);
+    }
+    this.showPlayerList();
+
+    this.inputHandler.enable();
+    this.state.isRunning = true;
+    this.state.isPaused = false;
+    this.lastFrameTime = performance.now();
+    this.animationFrameId = requestAnimationFrame(this.gameLoop);
+
+    this.showNotification(`Spectating ${this.room ? this.room.name : this.spectateRoomId}`, 'info');
+  }
+
+  /**
+   * Show the spectator's player list overlay
+   */
+  showPlayerList() {
+    if (this.playerList) return;
+
+    const list = document.createElement('div');
+    list.id = 'player-list';
+    list.style.position = 'absolute';
+    list.style.top = '10px';
+    list.style.right = '10px';
+    list.style.minWidth = '200px';
+    list.style.padding = '8px';
+    list.style.fontFamily = 'Arial, sans-serif';
+    list.style.fontSize = '14px';
+    list.style.color = '#FFFFFF';
+    list.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+    list.style.borderRadius = '6px';
+    list.style.zIndex = '800';
+
+    this.container.appendChild(list);
+    this.playerList = list;
+    this.updatePlayerList(0, true);
+  }
+
+  /**
+   * Refresh the player list from the replicated server players, at most
+   * twice a second
+   * @param {number} now - Current time (ms)
+   * @param {boolean} [force] - Refresh even if the list was refreshed recently
+   */
+  updatePlayerList(now, force = false) {
+    if (!this.playerList) return;
+    if (!force && now - this.playerListUpdatedAt < PLAYER_LIST_REFRESH_MS) return;
+    this.playerListUpdatedAt = now;
+
+    const camera = this.spectatorCamera;
+    const players = this.replica ? Array.from(this.replica.collections.players.values()) : [];
+    this.playerList.replaceChildren();
+
+    const title = document.createElement('div');
+    title.textContent = `${this.room ? this.room.name : 'Room'}: ${players.length} playing`;
+    title.style.fontWeight = 'bold';
+    title.style.marginBottom = '6px';
+    this.playerList.appendChild(title);
+
+    for (const player of players) {
+      const row = document.createElement('div');
+      row.className = 'player-list-row';
+      row.dataset.playerId = player.id;
+      const status = player.connected === false ? ' (reconnecting)' : '';
+      row.textContent = `${player.name || 'Guest'}: ${player.score || 0} pts, ${player.lives} lives${status}`;
+      row.style.padding = '3px 4px';
+      row.style.cursor = 'pointer';
+      if (camera && camera.mode === 'follow' && camera.targetId === player.id) {
+        row.style.backgroundColor = 'rgba(76, 175, 80, 0.6)';
+      }
+      row.addEventListener('click', () => {
+        camera.follow(player.id);
+        this.updatePlayerList(now, true);
+      });
+      this.playerList.appendChild(row);
+    }
+
+    const freeButton = document.createElement('button');
+    freeButton.id = 'free-camera-button';
+    freeButton.textContent = 'Free camera (arrow keys)';
+    freeButton.style.marginTop = '6px';
+    freeButton.style.width = '100%';
+    freeButton.style.cursor = 'pointer';
+    if (camera && camera.mode === 'free') {
+      freeButton.style.fontWeight = 'bold';
+    }
+    freeButton.addEventListener('click', () => {
+      camera.free();
+      this.updatePlayerList(now, true);
+    });
+    this.playerList.appendChild(freeButton);
+  }
+
   /**
    * Stop the game
    */
@@ -951,11 +2116,17 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
     menuButtonText.setAttribute('font-weight', 'bold');
     menuButtonText.setAttribute('fill', '#FFFFFF');
     menuButtonText.setAttribute('text-anchor', 'middle');
-    menuButtonText.textContent = 'Main Menu';
+    // A test run from the level editor goes back to the editor instead
+    menuButtonText.textContent = this.playtest ? 'Back to Editor' : 'Main Menu';
     menuButtonGroup.appendChild(menuButtonText);
 
     // Add click event
     menuButtonGroup.addEventListener('click', () => {
+      if (this.playtest) {
+        this.hidePauseScreen();
+        this.endPlaytest('stopped');
+        return;
+      }
       this.stop();
       this.showStartScreen();
     });
@@ -1009,14 +2180,25 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
       }
     }
 
-    // Update physics
-    this.updatePhysics();
+    // Advance the simulation in fixed steps, the same size the server uses.
+    // Spectators have nothing to predict and only show the server's state.
+    if (!this.spectatorCamera) {
+      this.accumulator += this.deltaTime;
+      while (this.accumulator >= FIXED_TIMESTEP) {
+        this.fixedUpdate();
+        this.accumulator -= FIXED_TIMESTEP;
+      }
+    }
 
-    // Update game entities
-    this.updateEntities();
+    // Move remote entities to their interpolated server positions
+    this.applyInterpolatedState(performance.now());
 
-    // Check for collisions
-    this.checkCollisions();
+    if (this.spectatorCamera) {
+      this.spectatorCamera.update(this.state.players, this.deltaTime, this.inputHandler.keys);
+      this.updatePlayerList(timestamp);
+    } else if (this.playtest) {
+      this.playtest.camera.update(this.state.players, this.deltaTime);
+    }
 
     // Render the current frame
     this.render();
@@ -1026,117 +2208,145 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
   }
 
   /**
-   * Update physics for all entities
+   * Run one fixed simulation step
    */
-  updatePhysics() {
-    // Player physics
+  fixedUpdate() {
+    // Platforms move before anyone stands on them, as in GameEngine.update()
+    stepPlatforms(Array.from(this.state.platforms.values()), FIXED_TIMESTEP);
+
+    // Predict the local player from this step's input, exactly as the server will apply it
     if (this.localPlayer) {
-      this.physics.updateEntity(this.localPlayer, this.deltaTime);
-    }
+      let input;
+      if (this.playback) {
+        input = this.playback.nextInput();
+        // Live jumps start in handlePlayerJump() on the key press; replay the press the same way
+        if (input.jump && !this.previousInput.jump) {
+          this.handlePlayerJump();
+        }
+      } else {
+        // Test runs are offline; the server never hears of them
+        input = this.socket && !this.playtest ? this.sendInput() : this.sampleInput();
+        if (this.replay) {
+          recordReplayInput(this.replay, this.clock.tick, input);
+        }
+      }
 
-    // Update other players' physics (for prediction)
-    for (const [id, player] of this.state.players) {
-      if (id !== this.playerId) {
-        this.physics.updateEntity(player, this.deltaTime);
+      this.predictLocalPlayer(input, this.previousInput);
+      this.previousInput = input;
+
+      // Damage invulnerability runs on simulation time so replays play out identically
+      if (this.localPlayer.invulnerable && this.clock.now() >= this.localPlayer.invulnerableUntil) {
+        this.localPlayer.invulnerable = false;
       }
     }
 
-    // Enemy physics
-    for (const enemy of this.state.enemies.values()) {
-      this.physics.updateEntity(enemy, this.deltaTime);
-    }
+    // Same order as GameEngine.update(): player collisions, enemy AI, enemy movement, projectiles
+    this.checkCollisions();
+    this.updateEntities();
+    this.updatePhysics();
+    this.updateProjectiles();
 
-    // Collectible animations (bobbing effect)
-    for (const collectible of this.state.collectibles.values()) {
-      if (!collectible.collected) {
-        collectible.y += Math.sin(this.state.gameTime * 5) * 0.2;
+    this.clock.advance();
+  }
+
+  /**
+   * Movement parameters for the shared simulation
+   * @returns {Object}
+   */
+  getPhysicsParams() {
+    return {
+      ...DEFAULT_PHYSICS,
+      gravity: this.physics.gravity,
+      friction: this.physics.friction
+    };
+  }
+
+  /**
+   * Advance the local player by one step of the shared simulation
+   * @param {Object} input - Button state for this step
+   * @param {Object} previousInput - Button state of the previous step
+   */
+  predictLocalPlayer(input, previousInput) {
+    stepPlayer(
+      this.localPlayer,
+      input,
+      previousInput,
+      Array.from(this.state.platforms.values()),
+      this.getPhysicsParams()
+    );
+  }
+
+  /**
+   * Update physics for entities the server does not yet drive
+   */
+  updatePhysics() {
+    // Remote players and enemies follow server snapshots once any have arrived;
+    // until then they are simulated locally, one fixed step per tick like the server
+    if (!this.snapshots.hasData()) {
+      const platforms = Array.from(this.state.platforms.values());
+      const physics = this.getPhysicsParams();
+      for (const [id, player] of this.state.players) {
+        if (id !== this.playerId) {
+          integratePlayer(player, physics);
+          landOnPlatforms(player, platforms);
+        }
+      }
+
+      for (const enemy of this.state.enemies.values()) {
+        integrateEnemy(enemy, platforms, this.physics.gravity);
       }
     }
+
+    // Collectibles bob in the renderer only; moving them here would move their hit boxes
   }
 
   /**
    * Update game entities (AI, animations, etc.)
    */
   updateEntities() {
-    // Update player
-    if (this.localPlayer) {
-      // Apply input movement to velocity
-      if (this.inputHandler.keys.left) {
-        this.localPlayer.velocityX = -this.constants.PLAYER_SPEED;
-        this.localPlayer.direction = 'left';
-      } else if (this.inputHandler.keys.right) {
-        this.localPlayer.velocityX = this.constants.PLAYER_SPEED;
-        this.localPlayer.direction = 'right';
-      } else {
-        // Apply friction to slow down
-        this.localPlayer.velocityX *= this.physics.friction;
-      }
+    // Enemies follow server snapshots once ticks arrive; until then run the shared AI
+    if (this.snapshots.hasData()) return;
 
-      // Jumping is handled via the 'jump' keydown event → handlePlayerJump()
-
-      // Update player state
-      this.localPlayer.isGrounded = false; // Will be set true during collision detection
-
-      // Send updated position to server
-      const vx = Math.abs(this.localPlayer.velocityX);
-      const vy = Math.abs(this.localPlayer.velocityY);
-      if (this.socket && (vx > 0.1 || vy > 0.1)) {
-        this.socket.emit('player:move', {
-          x: this.localPlayer.x,
-          y: this.localPlayer.y,
-          velocityX: this.localPlayer.velocityX,
-          velocityY: this.localPlayer.velocityY,
-          direction: this.localPlayer.direction
-        };
-        this.socket.emit('player:move', moveData);
-
-        // Buffer the input for reconciliation
-        this.inputBuffer.push({
-          seq,
-          direction: this.localPlayer.direction,
-          velocityX: this.localPlayer.velocityX,
-          velocityY: this.localPlayer.velocityY,
-          x: this.localPlayer.x,
-          y: this.localPlayer.y
-        });
-        // Keep buffer within INPUT_BUFFER_SIZE
-        const bufferSize = this.constants.INPUT_BUFFER_SIZE || 20;
-        if (this.inputBuffer.length > bufferSize) {
-          this.inputBuffer.splice(0, this.inputBuffer.length - bufferSize);
-        }
-      }
+    const players = this.localPlayer ? [this.localPlayer] : [];
+    for (const enemy of this.state.enemies.values()) {
+      updateEnemyAI(enemy, {
+        players,
+        time: this.clock.now(),
+        dt: FIXED_TIMESTEP,
+        fire: (shooter, targetX, targetY) => this.fireProjectile(shooter, targetX, targetY)
+      });
     }
+  }
 
-    // Update enemies
-    for (const enemy of this.state.enemies.values()) {
-      // Basic AI - move back and forth within boundaries
-      if (enemy.type === 'basic') {
-        if (enemy.direction === 'right') {
-          enemy.velocityX = this.constants.ENEMY_SPEED;
-          if (enemy.x > enemy.patrolEnd) {
-            enemy.direction = 'left';
-          }
-        } else {
-          enemy.velocityX = -this.constants.ENEMY_SPEED;
-          if (enemy.x < enemy.patrolStart) {
-            enemy.direction = 'right';
-          }
-        }
-      // Flying enemy AI - sine wave movement
-      } else if (enemy.type === 'flying') {
-        if (enemy.direction === 'right') {
-          enemy.velocityX = this.constants.ENEMY_SPEED * 1.5;
-          if (enemy.x > enemy.patrolEnd) {
-            enemy.direction = 'left';
-          }
-        } else {
-          enemy.velocityX = -this.constants.ENEMY_SPEED * 1.5;
-          if (enemy.x < enemy.patrolStart) {
-            enemy.direction = 'right';
-          }
-        }
-        // Sine wave flying pattern
-        enemy.y = enemy.startY + Math.sin(this.state.gameTime * 3) * 30;
+  /**
+   * Fire a projectile from a shooter enemy the client is simulating
+   * @param {Object} enemy - The enemy firing the projectile
+   * @param {number} targetX - Target X coordinate
+   * @param {number} targetY - Target Y coordinate
+   */
+  fireProjectile(enemy, targetX, targetY) {
+    this.projectileId += 1;
+    const projectile = createProjectile(`proj-${this.projectileId}`, enemy, targetX, targetY);
+    this.state.projectiles.set(projectile.id, projectile);
+  }
+
+  /**
+   * Move the projectiles the client is simulating and hit the local player with them
+   */
+  updateProjectiles() {
+    // Projectiles come from the server once ticks arrive
+    if (this.snapshots.hasData()) return;
+
+    for (const [id, projectile] of this.state.projectiles) {
+      const alive = advanceProjectile(projectile, FIXED_TIMESTEP);
+      const hit = alive && this.localPlayer && isColliding(projectile, this.localPlayer);
+      if (!alive || hit) {
+        this.state.projectiles.delete(id);
+        const element = document.getElementById(`proj-${id}`);
+        if (element) element.remove();
+      }
+      if (hit) {
+        this.playerHit();
       }
     }
   }
@@ -1149,78 +2359,41 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
 
     const player = this.localPlayer;
 
-    // Check platform collisions
-    let isOnGround = false;
-    for (const platform of this.state.platforms.values()) {
-      if (this.physics.checkCollision(player, platform)) {
-        // Resolve collision
-        const collisionSide = this.physics.getCollisionSide(player, platform);
-
-        if (collisionSide === 'top' && player.velocityY > 0) {
-          // Landing on top of platform
-          player.y = platform.y - player.height;
-          player.velocityY = 0;
-          player.isGrounded = true;
-          player.isJumping = false;
-          player.jumpsUsed = 0;
-          isOnGround = true;
-        } else if (collisionSide === 'bottom' && player.velocityY < 0) {
-          // Hitting platform from below
-          player.y = platform.y + platform.height;
-          player.velocityY = 0;
-        } else if (collisionSide === 'left' && player.velocityX > 0) {
-          // Hitting left side of platform
-          player.x = platform.x - player.width;
-          player.velocityX = 0;
-        } else if (collisionSide === 'right' && player.velocityX < 0) {
-          // Hitting right side of platform
-          player.x = platform.x + platform.width;
-          player.velocityX = 0;
-        }
-      }
-    }
-
-    // Update grounded state
-    player.isGrounded = isOnGround;
-
-    // Check world boundaries
-    if (player.x < 0) {
-      player.x = 0;
-      player.velocityX = 0;
-    } else if (player.x + player.width > this.width) {
-      player.x = this.width - player.width;
-      player.velocityX = 0;
-    }
-
-    // Check if player fell off the world
-    if (player.y > this.height) {
+    // Platform landing and world bounds are part of the shared step (predictLocalPlayer);
+    // the rest follows GameEngine.checkCollisions() through the same shared rules
+    const levelHeight = (this.levelData && this.levelData.height) || this.height;
+    if (hasFallenOut(player, levelHeight)) {
       this.playerDeath();
       return;
     }
 
-    // Check collectible collisions
-    for (const [id, collectible] of this.state.collectibles) {
-      if (!collectible.collected && this.physics.checkCollision(player, collectible)) {
+    resolvePlayerContacts(player, {
+      collectibles: this.state.collectibles.values(),
+      enemies: this.state.enemies.values()
+    }, {
+      collect: (collectible) => {
         collectible.collected = true;
-        this.collectCarrot(id);
-      }
-    }
+        this.collectCarrot(collectible.id);
+      },
+      stomp: (enemy) => this.stompOn(enemy),
+      hit: () => this.playerHit()
+    });
+  }
 
-    // Check enemy collisions
-    for (const [id, enemy] of this.state.enemies) {
-      if (this.physics.checkCollision(player, enemy)) {
-        // If player is falling onto enemy from above
-        const playerBottom = player.y + player.height - player.velocityY * this.deltaTime;
-        if (player.velocityY > 0 && playerBottom <= enemy.y + 10) {
-          this.defeatEnemy(id);
-          // Bounce player up
-          player.velocityY = -this.constants.JUMP_FORCE * 0.7;
-        } else {
-          // Player takes damage
-          this.playerHit();
-        }
-      }
+  /**
+   * Handle the local player landing on an enemy
+   * @param {Object} enemy - Enemy landed on
+   */
+  stompOn(enemy) {
+    const { points, defeated } = stompEnemy(this.localPlayer, enemy);
+    if (defeated) {
+      this.defeatEnemy(enemy.id, points);
+      return;
     }
+
+    // A boss that survives the stomp
+    this.state.score += points;
+    this.showScorePopup(points, this.localPlayer.x, this.localPlayer.y - 40);
   }
 
   /**
@@ -1230,7 +2403,12 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
     if (!this.renderer) return;
 
     // Render background with parallax effect
-    const cameraX = this.localPlayer ? this.localPlayer.x - this.width / 2 : 0;
+    let cameraX = this.localPlayer ? this.localPlayer.x - this.width / 2 : 0;
+    const camera = this.spectatorCamera || (this.playtest && this.playtest.camera);
+    if (camera) {
+      cameraX = camera.x;
+      this.renderer.setCamera(camera.x, camera.y);
+    }
     this.renderer.renderBackground(cameraX);
 
     // Render platforms
@@ -1260,6 +2438,9 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
       this.renderer.renderPlayer(player, id === this.playerId);
     }
 
+    // Spectators see the player list instead of a HUD
+    if (this.spectatorCamera) return;
+
     // Render UI elements
     this.renderer.renderUI({
       score: this.state.score,
@@ -1268,7 +2449,7 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
       carrotsCollected: this.state.carrotsCollected,
       totalCarrots: this.state.totalCarrots,
       time: Math.floor(this.state.gameTime)
-    }, this.playerId);
+    });
 
     // Render debug information if enabled
     if (this.settings.debug) {
@@ -1339,18 +2520,36 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
       // Request level data from server
       if (this.socket) {
         return new Promise((resolve, reject) => {
-          this.socket.emit('level:request', { levelId });
-
-          // Set up one-time listener for level data
-          this.socket.once('level:data', (levelData) => {
+          const listeners = {};
+          let timeout = null;
+
+          // Whichever outcome comes first removes the other listener and the timeout
+          const settle = () => {
+            this.socket.off('level:data', listeners.data);
+            this.socket.off('level:error', listeners.error);
+            clearTimeout(timeout);
+          };
+          listeners.data = (levelData) => {
+            settle();
             this.processLevelData(levelData);
             resolve(levelData);
-          });
+          };
+          listeners.error = (failure) => {
+            settle();
+            reject(new Error(failure.error));
+          };
+
+          // Set up one-time listeners for level data, or the server refusing the level
+          this.socket.once('level:data', listeners.data);
+          this.socket.once('level:error', listeners.error);
 
           // Set timeout for level loading
-          setTimeout(() => {
+          timeout = setTimeout(() => {
+            settle();
             reject(new Error('Level loading timed out'));
           }, 10000);
+
+          this.socket.emit('level:request', { levelId });
         });
       }
       // Fallback to local level loading (for offline/development)
@@ -1420,18 +2619,29 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
   /**
    * Process level data and create game entities
    * @param {Object} levelData - Level data object
+   * @param {Object} [options] - Processing options
+   * @param {boolean} [options.silent] - Skip the "level loaded" notification
+   * @param {boolean} [options.keepPlayerPosition] - Leave the local player where it is
    */
-  processLevelData(levelData) {
+  processLevelData(levelData, options = {}) {
     console.log('Processing level data:', levelData);
 
     // Set current level
     this.state.currentLevel = levelData.id;
+    this.levelData = levelData;
+
+    // Snapshots from the previous level no longer describe this world
+    this.snapshots.clear();
 
     // Set physics properties
     if (levelData.gravity !== undefined) {
       this.physics.gravity = levelData.gravity;
     }
 
+    if (this.spectatorCamera) {
+      this.spectatorCamera.setBounds(levelData.width, levelData.height);
+    }
+
     // Clear existing entities
     this.state.platforms.clear();
     this.state.collectibles.clear();
@@ -1483,17 +2693,21 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
         enemyData.y,
         enemyData.width,
         enemyData.height,
-        enemyData.type
+        enemyData.type,
+        { random: this.random, clock: this.clock }
       );
 
-      // Add patrol information for AI
-      enemy.patrolStart = enemyData.patrolStart || enemyData.x - 100;
-      enemy.patrolEnd = enemyData.patrolEnd || enemyData.x + 100;
+      // Size, health, speed and patrol as the server creates them
+      Object.assign(enemy, createEnemyState(enemyData));
       enemy.startY = enemyData.startY || enemyData.y;
 
       this.state.enemies.set(enemy.id, enemy);
     }
 
+    // Projectiles and their ids start over with the level, as on the server
+    this.state.projectiles.clear();
+    this.projectileId = 0;
+
     // Set spawn point
     if (levelData.spawnPoint) {
       this.spawnPoint = levelData.spawnPoint;
@@ -1502,85 +2716,304 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
     }
 
     // Reset player position if exists
-    if (this.localPlayer) {
+    if (this.localPlayer && !options.keepPlayerPosition) {
       this.localPlayer.x = this.spawnPoint.x;
       this.localPlayer.y = this.spawnPoint.y;
       this.localPlayer.velocityX = 0;
       this.localPlayer.velocityY = 0;
     }
 
-    console.log('Level loaded successfully');
-    this.showNotification(`Level ${levelData.name} loaded!`, 'success');
+    console.log('Level loaded successfully');
+    if (!options.silent) {
+      this.showNotification(`Level ${levelData.name} loaded!`, 'success');
+    }
+  }
+
+  /**
+   * Swap in a changed version of the level being played (hot reload).
+   * The level's entities are rebuilt; the local player stays where it is.
+   * @param {Object} levelData - New level data
+   */
+  reloadLevel(levelData) {
+    if (levelData.id !== this.state.currentLevel) return;
+
+    if (this.renderer) {
+      this.renderer.clearLevel();
+    }
+    this.processLevelData(levelData, { silent: true, keepPlayerPosition: true });
+    this.showNotification(`Level ${levelData.name} reloaded`, 'info');
+  }
+
+  /**
+   * Reset the game state
+   */
+  resetGameState() {
+    this.state.gameTime = 0;
+    this.state.carrotsCollected = 0;
+
+    // Keep score and lives between levels
+  }
+
+  /**
+   * Create the local player
+   */
+  createLocalPlayer() {
+    this.localPlayer = new Player(
+      this.playerId,
+      this.spawnPoint ? this.spawnPoint.x : 50,
+      this.spawnPoint ? this.spawnPoint.y : 400,
+      60, // width
+      40 // height
+    );
+
+    // Add player to the game state
+    this.state.players.set(this.playerId, this.localPlayer);
+
+    console.log('Local player created:', this.localPlayer);
+  }
+
+  /**
+   * Add a new player to the game
+   * @param {Object} playerData - Player data from server
+   */
+  addPlayer(playerData) {
+    // Don't add if it's the local player
+    if (playerData.id === this.playerId) return;
+
+    console.log('New player joined:', playerData);
+
+    const player = new Player(
+      playerData.id,
+      playerData.x,
+      playerData.y,
+      60, // width
+      40 // height
+    );
+
+    // Add to players map
+    this.state.players.set(player.id, player);
+
+    // Show notification
+    this.showNotification('New player joined!', 'info');
+  }
+
+  /**
+   * Remove a player from the game
+   * @param {string} playerId - Player ID to remove
+   */
+  removePlayer(playerId) {
+    // Don't remove local player
+    if (playerId === this.playerId) return;
+
+    console.log('Player left:', playerId);
+
+    // Remove from players map and from the scene
+    this.state.players.delete(playerId);
+    for (const elementId of [`entity-${playerId}`, `status-${playerId}`]) {
+      const element = document.getElementById(elementId);
+      if (element) element.remove();
+    }
+
+    // Show notification
+    this.showNotification('Player left the game', 'info');
+  }
+
+  /**
+   * Position remote players and enemies from the snapshot buffer
+   * @param {number} now - Current local time (ms)
+   */
+  applyInterpolatedState(now) {
+    const sampled = this.snapshots.sample(now);
+    if (!sampled) return;
+
+    for (const [id, player] of this.state.players) {
+      const remote = sampled.players.get(id);
+      if (id !== this.playerId && remote) {
+        player.x = remote.x;
+        player.y = remote.y;
+        player.velocityX = remote.velocityX;
+        player.velocityY = remote.velocityY;
+        player.direction = remote.direction;
+        player.isJumping = remote.isJumping;
+        player.isGrounded = remote.isGrounded;
+      }
+    }
+
+    for (const [id, enemy] of this.state.enemies) {
+      const remote = sampled.enemies.get(id);
+      if (remote) {
+        enemy.x = remote.x;
+        enemy.y = remote.y;
+        enemy.direction = remote.direction;
+        enemy.health = remote.health;
+      }
+    }
+  }
+
+  /**
+   * Apply a state:delta message from the server.
+   * Deltas only make sense on top of the exact message they were built from;
+   * on a gap the client drops deltas and asks for a keyframe.
+   * @param {Object} message - Delta message ({ seq, baseSeq, keyframe, created, updated, removed })
+   */
+  handleStateDelta(message) {
+    if (!message.keyframe && (!this.replica || message.baseSeq !== this.replicaSeq)) {
+      if (!this.awaitingKeyframe) {
+        this.awaitingKeyframe = true;
+        if (this.socket) {
+          this.socket.emit('state:resync');
+        }
+      }
+      return;
+    }
+
+    this.replica = applyDelta(message.keyframe ? null : this.replica, message);
+    this.replicaSeq = message.seq;
+    this.awaitingKeyframe = false;
+
+    const gameState = replicaToGameState(this.replica);
+
+    // Entity lifecycle, pickups, doors and projectiles go through the full sync;
+    // pure movement only needs the tick snapshot
+    if (hasStructuralChanges(message)) {
+      this.updateGameState(gameState);
+    }
+    this.handleGameTick(gameState);
   }
 
   /**
-   * Reset the game state
+   * Handle a per-tick snapshot from the server
+   * @param {Object} tickState - Snapshot produced by GameEngine.getTickState()
    */
-  resetGameState() {
-    this.state.gameTime = 0;
-    this.state.carrotsCollected = 0;
+  handleGameTick(tickState) {
+    this.snapshots.push(tickState, performance.now());
 
-    // Keep score and lives between levels
+    const serverPlayer = tickState?.players?.find((p) => p.id === this.playerId);
+    if (serverPlayer) {
+      this.reconcileLocalPlayer(serverPlayer);
+    }
   }
 
   /**
-   * Create the local player
+   * Reconcile the locally predicted player with an authoritative server state.
+   * Rewinds to the server position, drops inputs the server has already applied
+   * and replays the rest so prediction continues from where the server actually is.
+   * @param {Object} serverPlayer - Server state for the local player (with lastAck)
    */
-  createLocalPlayer() {
-    this.localPlayer = new Player(
-      this.playerId,
-      this.spawnPoint ? this.spawnPoint.x : 50,
-      this.spawnPoint ? this.spawnPoint.y : 400,
-      60, // width
-      40 // height
-    );
+  reconcileLocalPlayer(serverPlayer) {
+    const { CLIENT_PREDICTION, SERVER_RECONCILIATION } = this.constants;
+    if (!this.localPlayer || !serverPlayer || serverPlayer.lastAck === undefined
+      || serverPlayer.lastAck === null) {
+      return;
+    }
 
-    // Add player to the game state
-    this.state.players.set(this.playerId, this.localPlayer);
+    const player = this.localPlayer;
+    this.lastServerPlayer = serverPlayer;
+
+    // Rewind to the authoritative state
+    player.x = serverPlayer.x;
+    player.y = serverPlayer.y;
+    player.velocityX = serverPlayer.velocityX;
+    player.velocityY = serverPlayer.velocityY;
+    player.isJumping = serverPlayer.isJumping;
+    player.isGrounded = serverPlayer.isGrounded;
+    if (serverPlayer.direction) {
+      player.direction = serverPlayer.direction;
+    }
 
-    console.log('Local player created:', this.localPlayer);
+    // Drop inputs the server has already applied, and only those
+    let acknowledged = 0;
+    while (acknowledged < this.inputBuffer.length
+      && this.inputBuffer[acknowledged].seq <= serverPlayer.lastAck) {
+      const entry = this.inputBuffer[acknowledged];
+      this.lastAckedInput = entry.input;
+      if (entry.seq === serverPlayer.lastAck && entry.sentAt !== undefined) {
+        this.updateRoundTripTime(performance.now() - entry.sentAt);
+      }
+      acknowledged++;
+    }
+    this.inputBuffer.splice(0, acknowledged);
+
+    if (!CLIENT_PREDICTION || !SERVER_RECONCILIATION) {
+      return;
+    }
+
+    // Replay pending inputs on top of the server state
+    let previousInput = this.lastAckedInput;
+    for (const { input } of this.inputBuffer) {
+      this.predictLocalPlayer(input, previousInput);
+      previousInput = input;
+    }
   }
 
   /**
-   * Add a new player to the game
-   * @param {Object} playerData - Player data from server
+   * Read the current button state for one simulation step
+   * @returns {Object} - Button state ({ left, right, jump })
    */
-  addPlayer(playerData) {
-    // Don't add if it's the local player
-    if (playerData.id === this.playerId) return;
+  sampleInput() {
+    const keys = this.inputHandler ? this.inputHandler.keys : {};
+    const input = {
+      left: Boolean(keys.left),
+      right: Boolean(keys.right),
+      jump: Boolean(keys.jump) || this.jumpQueued
+    };
+    this.jumpQueued = false;
+    return input;
+  }
 
-    console.log('New player joined:', playerData);
+  /**
+   * Send the current button state to the server as a sequenced input command
+   * @returns {Object} - The command that was sent
+   */
+  sendInput() {
+    this.inputSequence++;
+    const input = {
+      seq: this.inputSequence,
+      ...this.sampleInput()
+    };
 
-    const player = new Player(
-      playerData.id,
-      playerData.x,
-      playerData.y,
-      60, // width
-      40 // height
-    );
+    this.socket.emit('player:input', input);
 
-    // Add to players map
-    this.state.players.set(player.id, player);
+    // Buffer the input until the server acknowledges it
+    this.inputBuffer.push({ seq: input.seq, input, sentAt: performance.now() });
+    if (this.inputBuffer.length > this.inputBufferLimit()) {
+      this.resyncPrediction();
+    }
 
-    // Show notification
-    this.showNotification('New player joined!', 'info');
+    return input;
   }
 
   /**
-   * Remove a player from the game
-   * @param {string} playerId - Player ID to remove
+   * Fold one input round trip into the smoothed round-trip time
+   * @param {number} sample - Milliseconds from sending an input to its acknowledgement
    */
-  removePlayer(playerId) {
-    // Don't remove local player
-    if (playerId === this.playerId) return;
-
-    console.log('Player left:', playerId);
+  updateRoundTripTime(sample) {
+    this.roundTripTime = this.roundTripTime === 0
+      ? sample
+      : this.roundTripTime * 0.875 + sample * 0.125;
+  }
 
-    // Remove from players map
-    this.state.players.delete(playerId);
+  /**
+   * Most unacknowledged inputs there can be while the server keeps up: its own
+   * queue plus twice the inputs sent during one round trip
+   * @returns {number}
+   */
+  inputBufferLimit() {
+    const { INPUT_BUFFER_SIZE } = this.constants;
+    const roundTripTicks = Math.ceil(this.roundTripTime / 1000 / FIXED_TIMESTEP);
+    return INPUT_BUFFER_SIZE + 2 * roundTripTicks;
+  }
 
-    // Show notification
-    this.showNotification('Player left the game', 'info');
+  /**
+   * Give up predicting from inputs the server is not acknowledging: forget
+   * them and continue from the newest authoritative state
+   */
+  resyncPrediction() {
+    console.warn('Unacknowledged inputs overflowed; resyncing with the server');
+    this.inputBuffer = [];
+    if (this.lastServerPlayer) {
+      this.reconcileLocalPlayer(this.lastServerPlayer);
+    }
   }
 
   /**
@@ -1590,17 +3023,12 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
   handlePlayerMove(direction) {
     if (!this.localPlayer) return;
 
-    // Update player direction and velocity
+    // Update player direction; the held keys reach the server via sendInput()
     if (direction === 'left') {
       this.localPlayer.direction = 'left';
     } else if (direction === 'right') {
       this.localPlayer.direction = 'right';
     }
-
-    // Send move event to server
-    if (this.socket) {
-      this.socket.emit('player:move', { direction });
-    }
   }
 
   /**
@@ -1633,34 +3061,29 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
       playerId: this.playerId
     });
 
-    // Send jump event to server
-    if (this.socket) {
-      this.socket.emit('player:jump');
-    }
+    // Make sure the next input command carries the press
+    this.jumpQueued = true;
   }
 
   /**
    * Handle player taking damage
    */
   playerHit() {
-    // Prevent multiple hits too quickly (invulnerability period)
-    if (this.localPlayer.invulnerable) return;
+    // Ignored during the invulnerability period; knocks the player back otherwise
+    const health = hurtPlayer(this.localPlayer, this.state.playerHealth, this.clock.now());
+    if (health === null) return;
 
     console.log('Player hit!');
 
-    // Reduce health
-    this.state.playerHealth -= 20;
+    this.state.playerHealth = health;
 
     this.playAudioHook('player:damage', {
       remainingHealth: this.state.playerHealth,
       playerId: this.playerId
     });
 
-    // Make player temporarily invulnerable
+    // Shown as invulnerable until hurtPlayer()'s grace period ends (cleared in fixedUpdate)
     this.localPlayer.invulnerable = true;
-    setTimeout(() => {
-      this.localPlayer.invulnerable = false;
-    }, 1500);
 
     // Visual feedback
     this.localPlayer.flashing = true;
@@ -1673,17 +3096,13 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
       this.localPlayer.visible = true;
     }, 1500);
 
-    // Knockback effect
-    this.localPlayer.velocityY = -7;
-    this.localPlayer.velocityX = this.localPlayer.direction === 'right' ? -5 : 5;
-
     // Check if player is dead
     if (this.state.playerHealth <= 0) {
       this.playerDeath();
     }
 
-    // Send damage event to server
-    if (this.socket) {
+    // Send damage event to server (replayed hits were already reported live)
+    if (this.socket && this.isLive()) {
       this.socket.emit('player:damage');
     }
   }
@@ -1704,17 +3123,14 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
     }
 
     // Reset player position and state
-    this.localPlayer.x = this.spawnPoint.x;
-    this.localPlayer.y = this.spawnPoint.y;
-    this.localPlayer.velocityX = 0;
-    this.localPlayer.velocityY = 0;
-    this.state.playerHealth = 100;
+    respawnPlayer(this.localPlayer, this.spawnPoint, this.clock.now());
+    this.state.playerHealth = GAMEPLAY_RULES.maxHealth;
 
     // Show notification
     this.showNotification(`Life lost! Lives remaining: ${this.state.playerLives}`, 'warning');
 
     // Send death event to server
-    if (this.socket) {
+    if (this.socket && this.isLive()) {
       this.socket.emit('player:death');
     }
   }
@@ -1726,23 +3142,25 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
   collectCarrot(carrotId) {
     console.log('Collected carrot:', carrotId);
 
+    const points = GAMEPLAY_RULES.collectiblePoints;
+
     // Update state
     this.state.carrotsCollected++;
-    this.state.score += 100;
+    this.state.score += points;
 
     // Play sound effect
     if (this.settings.sound) {
       this.playAudioHook('collectible:carrot', {
         collectibleId: carrotId,
-        points: 100
+        points
       });
     }
 
     // Show score popup
-    this.showScorePopup(100, this.localPlayer.x, this.localPlayer.y - 20);
+    this.showScorePopup(points, this.localPlayer.x, this.localPlayer.y - 20);
 
     // Send collect event to server
-    if (this.socket) {
+    if (this.socket && this.isLive()) {
       this.socket.emit('collectible:collected', { id: carrotId });
     }
 
@@ -1753,29 +3171,30 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
   /**
    * Handle defeating an enemy
    * @param {string} enemyId - ID of the defeated enemy
+   * @param {number} [points] - Points the defeat earned (see stompEnemy)
    */
-  defeatEnemy(enemyId) {
+  defeatEnemy(enemyId, points = GAMEPLAY_RULES.enemyPoints) {
     console.log('Defeated enemy:', enemyId);
 
     // Remove enemy from game
     this.state.enemies.delete(enemyId);
 
     // Update score
-    this.state.score += 200;
+    this.state.score += points;
 
     // Play sound effect
     if (this.settings.sound) {
       this.playAudioHook('enemy:defeated', {
         enemyId,
-        points: 200
+        points
       });
     }
 
     // Show score popup
-    this.showScorePopup(200, this.localPlayer.x, this.localPlayer.y - 40);
+    this.showScorePopup(points, this.localPlayer.x, this.localPlayer.y - 40);
 
     // Send defeat event to server
-    if (this.socket) {
+    if (this.socket && this.isLive()) {
       this.socket.emit('enemy:defeated', { id: enemyId });
     }
 
@@ -1842,39 +3261,401 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
    * Game over sequence
    */
   gameOver() {
+    // A replayed attempt ends here; the live game is untouched
+    if (this.playback) {
+      this.playback.handleEnd();
+      return;
+    }
+    // So does a test run of a level in the editor
+    if (this.playtest) {
+      this.endPlaytest('gameover');
+      return;
+    }
+
     console.log('Game over!');
 
     // Stop the game
     this.stop();
 
+    this.endReplay('gameover');
+
     // Show game over screen
-    this.renderer.renderGameOver(this.state.score);
+    this.renderer.renderGameOver(this.state.score, {
+      replayAvailable: Boolean(this.lastReplay)
+    });
 
     // Submit score to leaderboard
-    this.submitHighScore(this.state.score, this.state.currentLevel);
+    this.submitHighScore(this.state.score, this.state.currentLevel, this.lastReplay);
 
-    // Send game over event to server
-    if (this.socket) {
-      this.socket.emit('player:gameover', { score: this.state.score });
+    // Keep the level's records; "Continue" still resumes from the last checkpoint
+    this.saveProgress(false);
+  }
+
+  /**
+   * Record the attempt that just ended in the save game and sync it.
+   * Completing a level also moves the checkpoint to the next level, with the
+   * score, lives and permanent power-ups the player has now.
+   * @param {boolean} completed - Whether the level was finished
+   */
+  saveProgress(completed) {
+    const levelId = this.state.currentLevel;
+    if (!levelId) return;
+
+    // Level records hold the points earned in this attempt alone
+    const startScore = this.lastReplay && this.lastReplay.levelId === levelId
+      ? this.lastReplay.initialState.score
+      : 0;
+
+    let save = recordLevelResult(this.progress.save, levelId, {
+      score: this.state.score - startScore,
+      time: this.state.gameTime,
+      carrotsCollected: this.state.carrotsCollected,
+      completed
+    });
+    // Levels picked in the browser are not part of the campaign
+    if (completed && !this.browsedLevel) {
+      save = setCheckpoint(save, {
+        currentLevel: this.getNextLevelId(levelId),
+        score: this.state.score,
+        lives: this.state.playerLives,
+        powerups: this.localPlayer ? this.localPlayer.getPermanentAbilities() : []
+      });
     }
+    this.progress.commit(save);
   }
 
   /**
    * Submit a high score to the server.
+   * With a replay attached the score is the one earned during that attempt,
+   * which the server re-simulates before listing it on the verified board.
    * Silently ignores network failures so it never disrupts gameplay.
    * @param {number} score
    * @param {string} level
+   * @param {Object} [replay] - Finished replay of the attempt on the level
+   */
+  submitHighScore(score, level, replay = null) {
+    const entry = { playerName: this.playerName || 'Luna', score, level };
+    if (replay && replay.levelId === level) {
+      entry.score = score - replay.initialState.score;
+      entry.time = replay.endTick / replay.tickRate;
+      entry.replay = replay;
+    }
+
+    if (!entry.score || entry.score <= 0) return;
+    // Signed-in scores are listed under the account's display name
+    this.account.authHeaders()
+      .then((authHeaders) => fetch('/api/highscores', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders },
+        body: JSON.stringify(entry)
+      }))
+      .catch(() => {
+        // Score submission is best-effort; network errors are non-fatal
+      });
+  }
+
+  /**
+   * Start recording a new attempt. The simulation clock and random source are
+   * reset so the attempt can be re-run from the replay alone.
+   */
+  beginReplay() {
+    const seed = this.room && Number.isInteger(this.room.seed)
+      ? this.room.seed
+      : SeededRandom.randomSeed();
+
+    this.clock.reset();
+    this.random.reseed(seed);
+    this.startAttempt();
+    this.replay = createReplay({
+      levelId: this.state.currentLevel,
+      seed,
+      initialState: {
+        score: this.state.score,
+        lives: this.state.playerLives,
+        health: this.state.playerHealth
+      },
+      metadata: {
+        playerName: this.playerName || 'Luna',
+        online: Boolean(this.socket)
+      }
+    });
+  }
+
+  /**
+   * Put the local player where GameEngine.loadLevel() starts every player:
+   * at the spawn point with full health and the spawn grace period
+   */
+  startAttempt() {
+    if (!this.localPlayer || !this.spawnPoint) return;
+
+    respawnPlayer(this.localPlayer, this.spawnPoint, this.clock.now());
+    this.state.playerHealth = GAMEPLAY_RULES.maxHealth;
+  }
+
+  /**
+   * Finish recording the current attempt; it becomes available for download
+   * @param {string} outcome - How the attempt ended ('gameover' or 'complete')
+   * @param {Object} [stats] - Level statistics to store with the replay
+   */
+  endReplay(outcome, stats = {}) {
+    if (!this.replay) return;
+
+    // An attempt that ends mid-step (the last carrot, the last life) includes that step
+    this.replay.endTick = Math.max(this.replay.endTick, this.clock.tick);
+    this.lastReplay = finishReplay(this.replay, {
+      ...stats,
+      outcome,
+      score: this.state.score,
+      finishedAt: new Date().toISOString()
+    });
+    this.replay = null;
+  }
+
+  /**
+   * Save a replay as a .lunareplay file
+   * @param {Object} [replay] - Replay to save (defaults to the last finished attempt)
+   */
+  downloadReplay(replay = this.lastReplay) {
+    if (!replay) {
+      this.showNotification('No replay to download', 'warning');
+      return;
+    }
+
+    const blob = new Blob([serializeReplay(replay)], { type: REPLAY_MIME_TYPE });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = replayFileName(replay);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Ask the player for a .lunareplay file and play it
+   */
+  chooseReplayFile() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = REPLAY_FILE_EXTENSION;
+    fileInput.onchange = () => {
+      const [file] = fileInput.files;
+      if (file) {
+        this.openReplayFile(file).catch((error) => {
+          this.showNotification(`Could not open replay: ${error.message}`, 'error');
+        });
+      }
+    };
+    fileInput.click();
+  }
+
+  /**
+   * Parse a replay file and play it
+   * @param {File|Blob} file - Selected .lunareplay file
+   * @returns {Promise<ReplayPlayer>} The started player
+   */
+  async openReplayFile(file) {
+    const replay = parseReplay(await file.text());
+    return this.watchReplay(replay, () => this.showStartScreen());
+  }
+
+  /**
+   * Get a level definition without loading it into the live game or room
+   * @param {string} levelId - Level identifier
+   * @returns {Promise<Object>} Level data
+   */
+  async fetchLevelData(levelId) {
+    if (this.levelData && this.levelData.id === levelId) {
+      return this.levelData;
+    }
+
+    try {
+      const response = await fetch(`/api/levels/${encodeURIComponent(levelId)}`);
+      if (response.ok) {
+        return response.json();
+      }
+    } catch (error) {
+      // Fall through to the built-in level when offline
+    }
+    return this.loadLocalLevel(levelId);
+  }
+
+  /**
+   * Play a replay in place of the live game. The live level, player and stats
+   * are restored when playback is closed.
+   * @param {Object} replay - Parsed replay
+   * @param {Function} [returnTo] - Shows the screen to return to after playback
+   * @returns {Promise<ReplayPlayer>} The started player
+   */
+  async watchReplay(replay, returnTo) {
+    if (!replay) {
+      throw new Error('No replay available');
+    }
+    if (this.playback) {
+      this.playback.stop();
+    }
+
+    const levelData = await this.fetchLevelData(replay.levelId);
+    const saved = this.saveLiveState();
+
+    this.stop();
+    this.hideStartScreen();
+    this.renderer.clearAllLayers();
+
+    const player = new ReplayPlayer(this, replay, {
+      levelData,
+      onExit: () => {
+        this.restoreLiveState(saved);
+        (returnTo || (() => this.showStartScreen()))();
+      }
+    });
+    player.start();
+    return player;
+  }
+
+  /**
+   * Remember the live level, player and stats before a replay or a test run
+   * takes over the world
+   * @returns {Object} - Saved state for restoreLiveState()
+   */
+  saveLiveState() {
+    return {
+      levelData: this.levelData,
+      localPlayer: this.localPlayer,
+      score: this.state.score,
+      lives: this.state.playerLives,
+      health: this.state.playerHealth
+    };
+  }
+
+  /**
+   * Put back the live level, player and stats saved by saveLiveState()
+   * @param {Object} saved - Saved state
    */
-  submitHighScore(score, level) {
-    if (!score || score <= 0) return;
-    const playerName = this.playerName || 'Luna';
-    fetch('/api/highscores', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ playerName, score, level })
-    }).catch(() => {
-      // Score submission is best-effort; network errors are non-fatal
+  restoreLiveState(saved) {
+    this.state.isRunning = false;
+    this.jumpQueued = false;
+    this.state.players.delete(this.playerId);
+    this.localPlayer = saved.localPlayer;
+    if (this.localPlayer) {
+      this.state.players.set(this.playerId, this.localPlayer);
+    }
+    if (saved.levelData) {
+      this.processLevelData(saved.levelData, { silent: true });
+    }
+    this.state.score = saved.score;
+    this.state.playerLives = saved.lives;
+    this.state.playerHealth = saved.health;
+    this.renderer.clearAllLayers();
+  }
+
+  /**
+   * Open the level editor in place of the game
+   * @param {Object} [levelData] - Level to edit (the loaded level, or a blank one)
+   * @returns {LevelEditor} The started editor
+   */
+  openLevelEditor(levelData = this.levelData) {
+    if (this.editor) {
+      return this.editor;
+    }
+    const editor = new LevelEditor(this, levelData, {
+      onExit: () => this.showStartScreen()
     });
+    editor.start();
+    return editor;
+  }
+
+  /**
+   * Play a level from the editor offline, with the player starting at a
+   * point. The live level, player and stats are restored when the test ends.
+   * @param {Object} levelData - Level to play
+   * @param {Object} start - Where the player starts ({ x, y })
+   * @param {Function} [onEnd] - Called with 'stopped', 'gameover' or 'complete'
+   */
+  playtestLevel(levelData, start, onEnd) {
+    const saved = this.saveLiveState();
+    this.stop();
+    this.renderer.clearAllLayers();
+
+    const camera = new SpectatorCamera(this.width, this.height);
+    camera.setBounds(levelData.width, levelData.height);
+    camera.follow(this.playerId);
+    this.playtest = { saved, camera, onEnd: onEnd || null };
+
+    this.state.players.clear();
+    this.localPlayer = null;
+    this.createLocalPlayer();
+    this.replay = null;
+
+    this.clock.reset();
+    this.random.reseed(SeededRandom.randomSeed());
+    this.accumulator = 0;
+    this.jumpQueued = false;
+    this.previousInput = { left: false, right: false, jump: false };
+
+    this.processLevelData(levelData, { silent: true });
+    this.localPlayer.x = start.x;
+    this.localPlayer.y = start.y;
+    camera.x = start.x - this.width / 2;
+    camera.y = start.y - this.height / 2;
+    camera.clamp();
+
+    this.state.score = 0;
+    this.state.playerLives = 3;
+    this.state.playerHealth = 100;
+    this.state.gameTime = 0;
+
+    this.inputHandler.enable();
+    this.state.isRunning = true;
+    this.state.isPaused = false;
+    this.lastFrameTime = performance.now();
+    this.animationFrameId = requestAnimationFrame(this.gameLoop);
+  }
+
+  /**
+   * End the editor's test run and hand the world back
+   * @param {string} outcome - 'stopped', 'gameover' or 'complete'
+   */
+  endPlaytest(outcome) {
+    if (!this.playtest) return;
+
+    const { saved, onEnd } = this.playtest;
+    this.stop();
+    this.playtest = null;
+    this.restoreLiveState(saved);
+    this.renderer.setCamera(0, 0);
+    if (onEnd) {
+      onEnd(outcome);
+    }
+  }
+
+  /**
+   * Put the game back into the state a replayed attempt started in
+   * @param {Object} replay - Parsed replay
+   * @param {Object} levelData - Level the replay was recorded on
+   */
+  resetForReplay(replay, levelData) {
+    // Only the replayed player takes part; remote players return with the next live state
+    this.state.players.clear();
+    this.localPlayer = null;
+    this.createLocalPlayer();
+
+    this.clock.reset();
+    this.random.reseed(replay.seed);
+    this.accumulator = 0;
+    this.jumpQueued = false;
+    this.previousInput = { left: false, right: false, jump: false };
+
+    this.processLevelData(levelData, { silent: true });
+    this.startAttempt();
+
+    this.state.score = replay.initialState.score;
+    this.state.playerLives = replay.initialState.lives;
+    this.state.playerHealth = replay.initialState.health;
+    this.state.gameTime = 0;
+    this.state.isRunning = true;
+    this.state.isPaused = false;
   }
 
   /**
@@ -1891,7 +3672,7 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
     this.state.gameTime = 0;
 
     // Reload the first level
-    this.loadLevel('level-1')
+    this.loadLevel(FIRST_LEVEL_ID)
       .then(() => {
         // Start game
         this.startGame();
@@ -1935,6 +3716,15 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
    * Complete the current level
    */
   completeLevel() {
+    if (this.playback) {
+      this.playback.handleEnd();
+      return;
+    }
+    if (this.playtest) {
+      this.endPlaytest('complete');
+      return;
+    }
+
     console.log('Level completed!');
 
     // Mark complete before stopping so checkLevelComplete guard works
@@ -1958,30 +3748,44 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
       time: Math.floor(this.state.gameTime)
     };
 
+    this.endReplay('complete', levelStats);
+
     // Show level complete screen
     this.renderer.renderLevelComplete(levelStats, () => {
       // Continue to next level
       this.continueToNextLevel();
-    });
+    }, { replayAvailable: Boolean(this.lastReplay) });
 
-    // Send level complete event to server
-    if (this.socket) {
-      this.socket.emit('level:complete', {
-        levelId: this.state.currentLevel,
-        stats: levelStats
-      });
-    }
+    this.submitHighScore(this.state.score, this.state.currentLevel, this.lastReplay);
+
+    this.saveProgress(true);
+  }
+
+  /**
+   * Id of the level that follows a level
+   * @param {string} levelId - Level ID ('level-<n>')
+   * @returns {string}
+   */
+  getNextLevelId(levelId) {
+    const currentLevelNum = parseInt(levelId.split('-')[1], 10);
+    return `level-${currentLevelNum + 1}`;
   }
 
   /**
    * Continue to the next level
    */
   continueToNextLevel() {
+    // Levels picked in the browser lead back to it, over the start screen
+    if (this.browsedLevel) {
+      this.renderer.clearLayer('ui');
+      this.showStartScreen();
+      this.showLevelBrowser();
+      return;
+    }
+
     console.log('Continuing to next level...');
 
-    // Get next level id
-    const currentLevelNum = parseInt(this.state.currentLevel.split('-')[1], 10);
-    const nextLevelId = `level-${currentLevelNum + 1}`;
+    const nextLevelId = this.getNextLevelId(this.state.currentLevel);
 
     // Load next level
     this.loadLevel(nextLevelId)
@@ -2009,6 +3813,13 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
     // Submit final score to leaderboard
     this.submitHighScore(this.state.score, this.state.currentLevel);
 
+    // The campaign is over: the next "Continue" would have nowhere to go
+    this.progress.commit(setCheckpoint(this.progress.save, {
+      currentLevel: FIRST_LEVEL_ID,
+      score: 0,
+      lives: DEFAULT_LIVES
+    }));
+
     // Create victory screen
     const svgNS = 'http://www.w3.org/2000/svg';
     const victoryScreen = document.createElementNS(svgNS, 'g');
@@ -2161,10 +3972,19 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
    * @param {Object} gameState - Game state from server
    */
   updateGameState(gameState) {
-    // Update players (except local player)
+    // Update players (the local player is reconciled instead of overwritten)
     if (gameState.players) {
+      const activeIds = new Set(gameState.players.map((p) => p.id));
+      for (const id of this.state.players.keys()) {
+        if (id !== this.playerId && !activeIds.has(id)) {
+          this.state.players.delete(id);
+        }
+      }
+
       for (const playerData of gameState.players) {
-        if (playerData.id !== this.playerId) {
+        if (playerData.id === this.playerId) {
+          this.reconcileLocalPlayer(playerData);
+        } else {
           let player = this.state.players.get(playerData.id);
 
           if (!player) {
@@ -2181,47 +4001,64 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
             player.direction = playerData.direction;
             player.isJumping = playerData.isJumping;
             player.isGrounded = playerData.isGrounded;
+            player.connected = playerData.connected !== false;
             this.state.players.set(playerData.id, player);
           } else {
-            // Update existing player
-            player.x = playerData.x;
-            player.y = playerData.y;
+            // Update existing player; positions come from snapshots once ticks arrive
+            if (!this.snapshots.hasData()) {
+              player.x = playerData.x;
+              player.y = playerData.y;
+            }
             player.velocityX = playerData.velocityX;
             player.velocityY = playerData.velocityY;
             player.direction = playerData.direction;
             player.isJumping = playerData.isJumping;
             player.isGrounded = playerData.isGrounded;
+            player.connected = playerData.connected !== false;
           }
         }
       }
     }
 
-    // Update enemies
+    // Update enemies in place so interpolation keeps working across full-state syncs
     if (gameState.enemies) {
-      // Clear old enemies
-      this.state.enemies.clear();
+      const activeIds = new Set(gameState.enemies.map((e) => e.id));
+
+      for (const id of this.state.enemies.keys()) {
+        if (!activeIds.has(id)) {
+          this.state.enemies.delete(id);
+        }
+      }
 
-      // Add new enemies
       for (const enemyData of gameState.enemies) {
-        const enemy = new Enemy(
-          enemyData.id,
-          enemyData.x,
-          enemyData.y,
-          enemyData.width || 40,
-          enemyData.height || 40,
-          enemyData.type
-        );
+        let enemy = this.state.enemies.get(enemyData.id);
+
+        if (!enemy) {
+          enemy = new Enemy(
+            enemyData.id,
+            enemyData.x,
+            enemyData.y,
+            enemyData.width || 40,
+            enemyData.height || 40,
+            enemyData.type,
+            { random: this.random, clock: this.clock }
+          );
+
+          Object.assign(enemy, createEnemyState(enemyData));
+          enemy.startY = enemyData.startY || enemyData.y;
+
+          this.state.enemies.set(enemy.id, enemy);
+        } else if (!this.snapshots.hasData()) {
+          enemy.x = enemyData.x;
+          enemy.y = enemyData.y;
+        }
 
         enemy.velocityX = enemyData.velocityX || 0;
         enemy.velocityY = enemyData.velocityY || 0;
         enemy.direction = enemyData.direction || 'right';
-
-        // Add patrol information for AI
-        enemy.patrolStart = enemyData.patrolStart || enemyData.x - 100;
-        enemy.patrolEnd = enemyData.patrolEnd || enemyData.x + 100;
-        enemy.startY = enemyData.startY || enemyData.y;
-
-        this.state.enemies.set(enemy.id, enemy);
+        if (enemyData.health !== undefined) {
+          enemy.health = enemyData.health;
+        }
       }
     }
 
@@ -2327,9 +4164,9 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
         this.state.carrotsCollected++;
       }
 
-      if (data.playerId === this.playerId) {
-        // Update local state
-        this.state.score += 100;
+      // A pickup the local player made was already scored by collectCarrot()
+      if (!wasCollected && data.playerId === this.playerId) {
+        this.state.score += GAMEPLAY_RULES.collectiblePoints;
       }
 
       this.checkLevelComplete();
@@ -2347,9 +4184,9 @@ ort        const socketPort = currentPort === '8080' && isLocalHost ? '3000' : c
 
     this.state.enemies.delete(data.enemyId);
 
-    if (data.playerId === this.playerId) {
+    if (wasStillTracked && data.playerId === this.playerId) {
       // Update score
-      this.state.score += 200;
+      this.state.score += GAMEPLAY_RULES.enemyPoints;
     }
 
     this.checkLevelComplete();
@@ -0,0 +1,325 @@
+// client/scripts/leaderboardScreen.js
+
+// Filter choices offered by the screen: [value, label]
+const METRICS = [['score', 'High score'], ['time', 'Fastest time']];
+const WINDOWS = [['all', 'All time'], ['weekly', 'This week'], ['daily', 'Today']];
+const BOARDS = [['verified', 'Verified'], ['unverified', 'Unverified']];
+
+/**
+ * Format a completion time in seconds as m:ss.cc
+ * @param {number} seconds - Time in seconds
+ * @returns {string}
+ */
+export function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = (seconds - minutes * 60).toFixed(2).padStart(5, '0');
+  return `${minutes}:${rest}`;
+}
+
+/**
+ * Leaderboard Screen Class
+ * Overlay listing a leaderboard from /api/leaderboard, filtered by level,
+ * metric (score or time), window (today, this week, all time) and board.
+ * Further pages are fetched with the cursor of the last one. Below the list
+ * it shows the player's own rank and neighbours from /api/leaderboard/rank.
+ */
+class LeaderboardScreen {
+  /**
+   * Create a leaderboard screen
+   * @param {Object} options - Configuration options
+   * @param {HTMLElement} options.container - Element the overlay is added to
+   * @param {AccountClient} options.account - Identifies the player for "my rank"
+   * @param {string} [options.playerName] - Name guests submitted scores under
+   * @param {string} [options.level] - Level selected at first
+   * @param {Function} [options.fetch] - fetch implementation
+   * @param {Function} [options.onClose] - Called after the screen is closed
+   */
+  constructor(options = {}) {
+    this.container = options.container;
+    this.account = options.account;
+    this.playerName = options.playerName || null;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.onClose = options.onClose || null;
+
+    this.filters = {
+      level: options.level || '',
+      metric: 'score',
+      window: 'all',
+      board: 'verified'
+    };
+    this.nextCursor = null;
+    this.overlay = null;
+    this.elements = {};
+
+    // Incremented per reload so answers to superseded requests are dropped
+    this.generation = 0;
+  }
+
+  /**
+   * GET a JSON endpoint
+   * @param {string} path - Endpoint path
+   * @param {Object} params - Query parameters (empty values are left out)
+   * @returns {Promise<Object>} - Response body
+   */
+  async get(path, params) {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+    const headers = this.account ? await this.account.authHeaders() : {};
+    const response = await this.fetch(`${path}?${query}`, { headers });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Request failed (${response.status})`);
+    }
+    return data;
+  }
+
+  /**
+   * Open the screen and load the first page
+   * @returns {Promise}
+   */
+  show() {
+    this.hide();
+    this.createOverlay();
+    return Promise.all([this.loadLevels(), this.reload()]);
+  }
+
+  /**
+   * Close the screen
+   */
+  hide() {
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+      this.elements = {};
+      this.generation += 1;
+      if (this.onClose) this.onClose();
+    }
+  }
+
+  createOverlay() {
+    const overlay = document.createElement('div');
+    overlay.id = 'leaderboard-screen';
+    overlay.style.position = 'absolute';
+    overlay.style.top = '0';
+    overlay.style.left = '0';
+    overlay.style.width = '100%';
+    overlay.style.height = '100%';
+    overlay.style.display = 'flex';
+    overlay.style.alignItems = 'center';
+    overlay.style.justifyContent = 'center';
+    overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+    overlay.style.fontFamily = 'Arial, sans-serif';
+    overlay.style.zIndex = '1000';
+
+    const panel = document.createElement('div');
+    panel.style.display = 'flex';
+    panel.style.flexDirection = 'column';
+    panel.style.gap = '10px';
+    panel.style.width = '560px';
+    panel.style.maxHeight = '90%';
+    panel.style.padding = '20px';
+    panel.style.borderRadius = '10px';
+    panel.style.backgroundColor = '#FFFFFF';
+    panel.style.overflowY = 'auto';
+
+    const heading = document.createElement('h2');
+    heading.textContent = 'Leaderboards';
+    heading.style.margin = '0';
+    panel.appendChild(heading);
+
+    const filters = document.createElement('div');
+    filters.style.display = 'flex';
+    filters.style.gap = '8px';
+    const addSelect = (name, choices) => {
+      const select = document.createElement('select');
+      select.name = name;
+      for (const [value, label] of choices) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      }
+      select.value = this.filters[name];
+      select.onchange = () => {
+        this.filters[name] = select.value;
+        this.reload();
+      };
+      filters.appendChild(select);
+      return select;
+    };
+    this.elements.level = addSelect('level', [['', 'All levels']]);
+    addSelect('metric', METRICS);
+    addSelect('window', WINDOWS);
+    addSelect('board', BOARDS);
+    panel.appendChild(filters);
+
+    const message = document.createElement('div');
+    message.id = 'leaderboard-message';
+    message.style.fontSize = '14px';
+    panel.appendChild(message);
+    this.elements.message = message;
+
+    const table = document.createElement('table');
+    table.id = 'leaderboard-entries';
+    table.style.width = '100%';
+    table.style.borderCollapse = 'collapse';
+    panel.appendChild(table);
+    this.elements.entries = table;
+
+    const more = document.createElement('button');
+    more.type = 'button';
+    more.id = 'leaderboard-more';
+    more.textContent = 'Show more';
+    more.style.display = 'none';
+    more.onclick = () => this.loadPage();
+    panel.appendChild(more);
+    this.elements.more = more;
+
+    const rankHeading = document.createElement('h3');
+    rankHeading.textContent = 'Your rank';
+    rankHeading.style.margin = '10px 0 0';
+    panel.appendChild(rankHeading);
+
+    const rank = document.createElement('table');
+    rank.id = 'leaderboard-rank';
+    rank.style.width = '100%';
+    rank.style.borderCollapse = 'collapse';
+    panel.appendChild(rank);
+    this.elements.rank = rank;
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.textContent = 'Close';
+    close.onclick = () => this.hide();
+    panel.appendChild(close);
+
+    overlay.appendChild(panel);
+    this.container.appendChild(overlay);
+    this.overlay = overlay;
+  }
+
+  /**
+   * Fill the level selector from /api/levels
+   * @returns {Promise}
+   */
+  async loadLevels() {
+    try {
+      const levels = await this.get('/api/levels', {});
+      const select = this.elements.level;
+      if (!select) return;
+      for (const level of levels) {
+        const option = document.createElement('option');
+        option.value = level.id;
+        option.textContent = level.name || level.id;
+        select.appendChild(option);
+      }
+      select.value = this.filters.level;
+    } catch (error) {
+      console.warn('Failed to load levels:', error.message);
+    }
+  }
+
+  /**
+   * Start over from the first page with the current filters
+   * @returns {Promise}
+   */
+  reload() {
+    this.generation += 1;
+    this.nextCursor = null;
+    if (this.elements.entries) {
+      this.elements.entries.replaceChildren();
+    }
+    return Promise.all([this.loadPage(), this.loadRank()]);
+  }
+
+  /**
+   * Fetch the next page and append it
+   * @returns {Promise}
+   */
+  async loadPage() {
+    const { generation } = this;
+    this.elements.message.textContent = 'Loading...';
+    try {
+      const page = await this.get('/api/leaderboard', { ...this.filters, cursor: this.nextCursor });
+      if (generation !== this.generation) return;
+
+      this.nextCursor = page.nextCursor;
+      for (const entry of page.entries) {
+        this.elements.entries.appendChild(this.createRow(entry));
+      }
+      const empty = this.elements.entries.childElementCount === 0;
+      this.elements.message.textContent = empty ? 'No scores yet. Be the first!' : '';
+      this.elements.more.style.display = page.nextCursor ? 'block' : 'none';
+    } catch (error) {
+      if (generation !== this.generation) return;
+      this.elements.message.textContent = `Could not load leaderboard: ${error.message}`;
+    }
+  }
+
+  /**
+   * Fetch the player's rank and neighbours
+   * @returns {Promise}
+   */
+  async loadRank() {
+    const { generation } = this;
+    const table = this.elements.rank;
+    table.replaceChildren();
+
+    const signedIn = this.account && this.account.isSignedIn;
+    if (!signedIn && !this.playerName) {
+      table.appendChild(this.createNote('Sign in to see your rank.'));
+      return;
+    }
+
+    try {
+      const result = await this.get('/api/leaderboard/rank', {
+        ...this.filters,
+        playerName: signedIn ? null : this.playerName
+      });
+      if (generation !== this.generation) return;
+
+      if (result.rank === null) {
+        table.appendChild(this.createNote('You have no score on this leaderboard yet.'));
+        return;
+      }
+      for (const entry of result.entries) {
+        table.appendChild(this.createRow(entry, entry.id === result.entry.id));
+      }
+    } catch (error) {
+      if (generation !== this.generation) return;
+      table.appendChild(this.createNote(`Could not load your rank: ${error.message}`));
+    }
+  }
+
+  createRow(entry, highlight = false) {
+    const row = document.createElement('tr');
+    row.style.borderBottom = '1px solid #EEEEEE';
+    if (highlight) {
+      row.style.backgroundColor = '#FFF8E1';
+      row.style.fontWeight = 'bold';
+    }
+
+    const value = this.filters.metric === 'time' ? formatTime(entry.time) : String(entry.score);
+    const cells = [`#${entry.rank}`, entry.playerName, value];
+    if (!this.filters.level) cells.push(entry.level);
+    for (const text of cells) {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      cell.style.padding = '4px';
+      row.appendChild(cell);
+    }
+    return row;
+  }
+
+  createNote(text) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    cell.style.padding = '4px';
+    cell.style.color = '#757575';
+    row.appendChild(cell);
+    return row;
+  }
+}
+
+export { LeaderboardScreen };
+export default LeaderboardScreen;
@@ -0,0 +1,320 @@
+// client/scripts/levelBrowser.js
+import { LEVEL_DIFFICULTIES } from '../shared/levelSchema.js';
+
+// Sort choices offered by the browser: [value, label]
+const SORTS = [['plays', 'Most played'], ['rating', 'Top rated'], ['newest', 'Newest'], ['name', 'Name']];
+const MAX_RATING = 5;
+
+/**
+ * Format a level's rating as stars, average and count
+ * @param {Object} rating - { average, count } from the level's stats
+ * @returns {string}
+ */
+export function formatRating(rating) {
+  if (!rating || !rating.count) return 'Not rated';
+  return `★ ${rating.average.toFixed(1)} (${rating.count})`;
+}
+
+/**
+ * Level Browser Class
+ * Overlay for finding levels to play, bundled and community-made, from
+ * /api/levels: search by level or author name, narrow by difficulty and sort
+ * by plays, rating, upload date or name. Each level shows its plays,
+ * completions and rating. Signed-in players can rate levels other than their
+ * own, and "Play" hands the level to `onPlay`.
+ */
+class LevelBrowser {
+  /**
+   * Create a level browser
+   * @param {Object} options - Configuration options
+   * @param {HTMLElement} options.container - Element the overlay is added to
+   * @param {AccountClient} options.account - Signs rating requests; lists the player's drafts
+   * @param {Function} options.onPlay - Called with the id of the level to play
+   * @param {Function} [options.fetch] - fetch implementation
+   * @param {Function} [options.onClose] - Called after the browser is closed
+   */
+  constructor(options = {}) {
+    this.container = options.container;
+    this.account = options.account;
+    this.onPlay = options.onPlay;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.onClose = options.onClose || null;
+
+    this.filters = {
+      q: '',
+      difficulty: '',
+      sort: 'plays'
+    };
+    this.levels = [];
+    this.overlay = null;
+    this.elements = {};
+
+    // Incremented per reload so answers to superseded requests are dropped
+    this.generation = 0;
+  }
+
+  /**
+   * Send a request to the levels API
+   * @param {string} path - Endpoint path
+   * @param {Object} [options] - { query, method, body }
+   * @returns {Promise<Object>} - Response body
+   */
+  async request(path, { query = {}, method = 'GET', body } = {}) {
+    const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value));
+    const headers = this.account ? await this.account.authHeaders() : {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const response = await this.fetch(`${path}?${params}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Request failed (${response.status})`);
+    }
+    return data;
+  }
+
+  /**
+   * Open the browser and list the levels
+   * @returns {Promise}
+   */
+  show() {
+    this.hide();
+    this.createOverlay();
+    return this.reload();
+  }
+
+  /**
+   * Close the browser
+   */
+  hide() {
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+      this.elements = {};
+      this.generation += 1;
+      if (this.onClose) this.onClose();
+    }
+  }
+
+  createOverlay() {
+    const overlay = document.createElement('div');
+    overlay.id = 'level-browser';
+    overlay.style.position = 'absolute';
+    overlay.style.top = '0';
+    overlay.style.left = '0';
+    overlay.style.width = '100%';
+    overlay.style.height = '100%';
+    overlay.style.display = 'flex';
+    overlay.style.alignItems = 'center';
+    overlay.style.justifyContent = 'center';
+    overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+    overlay.style.fontFamily = 'Arial, sans-serif';
+    overlay.style.zIndex = '1000';
+
+    const panel = document.createElement('div');
+    panel.style.display = 'flex';
+    panel.style.flexDirection = 'column';
+    panel.style.gap = '10px';
+    panel.style.width = '680px';
+    panel.style.maxHeight = '90%';
+    panel.style.padding = '20px';
+    panel.style.borderRadius = '10px';
+    panel.style.backgroundColor = '#FFFFFF';
+    panel.style.overflowY = 'auto';
+
+    const heading = document.createElement('h2');
+    heading.textContent = 'Browse Levels';
+    heading.style.margin = '0';
+    panel.appendChild(heading);
+
+    const filters = document.createElement('div');
+    filters.style.display = 'flex';
+    filters.style.gap = '8px';
+
+    const search = document.createElement('input');
+    search.type = 'search';
+    search.name = 'q';
+    search.placeholder = 'Search by level or author';
+    search.style.flex = '1';
+    search.value = this.filters.q;
+    search.onchange = () => {
+      this.filters.q = search.value.trim();
+      this.reload();
+    };
+    filters.appendChild(search);
+
+    const addSelect = (name, choices) => {
+      const select = document.createElement('select');
+      select.name = name;
+      for (const [value, label] of choices) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      }
+      select.value = this.filters[name];
+      select.onchange = () => {
+        this.filters[name] = select.value;
+        this.reload();
+      };
+      filters.appendChild(select);
+    };
+    addSelect('difficulty', [
+      ['', 'Any difficulty'],
+      ...LEVEL_DIFFICULTIES.map((difficulty) => [
+        difficulty, difficulty[0].toUpperCase() + difficulty.slice(1)
+      ])
+    ]);
+    addSelect('sort', SORTS);
+    panel.appendChild(filters);
+
+    const message = document.createElement('div');
+    message.id = 'level-browser-message';
+    message.style.fontSize = '14px';
+    panel.appendChild(message);
+    this.elements.message = message;
+
+    const table = document.createElement('table');
+    table.id = 'level-browser-levels';
+    table.style.width = '100%';
+    table.style.borderCollapse = 'collapse';
+    panel.appendChild(table);
+    this.elements.levels = table;
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.textContent = 'Close';
+    close.onclick = () => this.hide();
+    panel.appendChild(close);
+
+    overlay.appendChild(panel);
+    this.container.appendChild(overlay);
+    this.overlay = overlay;
+  }
+
+  /**
+   * List the levels matching the current filters
+   * @returns {Promise}
+   */
+  async reload() {
+    this.generation += 1;
+    const { generation } = this;
+    this.elements.message.textContent = 'Loading...';
+    try {
+      const levels = await this.request('/api/levels', { query: this.filters });
+      if (generation !== this.generation) return;
+
+      this.levels = levels;
+      this.elements.levels.replaceChildren(...levels.map((level) => this.createRow(level)));
+      this.elements.message.textContent = levels.length === 0 ? 'No levels match your search.' : '';
+    } catch (error) {
+      if (generation !== this.generation) return;
+      this.elements.message.textContent = `Could not load levels: ${error.message}`;
+    }
+  }
+
+  /**
+   * Rate a level and show its new average
+   * @param {string} levelId - Level id
+   * @param {number} rating - 1 to 5
+   * @returns {Promise}
+   */
+  async rate(levelId, rating) {
+    const { generation } = this;
+    try {
+      const stats = await this.request(`/api/levels/${encodeURIComponent(levelId)}/rating`, {
+        method: 'PUT',
+        body: { rating }
+      });
+      const level = this.levels.find(({ id }) => id === levelId);
+      if (generation !== this.generation || !level) return;
+
+      level.stats = stats;
+      const row = this.elements.levels.querySelector(`tr[data-level-id="${levelId}"]`);
+      if (row) row.replaceWith(this.createRow(level));
+    } catch (error) {
+      if (generation !== this.generation) return;
+      this.elements.message.textContent = `Could not rate ${levelId}: ${error.message}`;
+    }
+  }
+
+  /**
+   * Close the browser and play a level
+   * @param {string} levelId - Level id
+   */
+  play(levelId) {
+    this.hide();
+    this.onPlay(levelId);
+  }
+
+  /**
+   * Whether the player may rate a level: signed in, and not its author
+   * @param {Object} level - Listed level
+   * @returns {boolean}
+   */
+  canRate(level) {
+    const account = this.account && this.account.isSignedIn ? this.account.account : null;
+    return Boolean(account) && (!level.meta || level.meta.authorId !== account.id);
+  }
+
+  createRow(level) {
+    const row = document.createElement('tr');
+    row.dataset.levelId = level.id;
+    row.style.borderBottom = '1px solid #EEEEEE';
+
+    const addCell = (text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      cell.style.padding = '4px';
+      row.appendChild(cell);
+      return cell;
+    };
+
+    const title = addCell('');
+    const name = document.createElement('strong');
+    name.textContent = level.meta && level.meta.status === 'draft'
+      ? `${level.name} (draft)`
+      : level.name;
+    const author = document.createElement('div');
+    author.textContent = level.meta ? `by ${level.meta.authorName}` : 'Built-in level';
+    author.style.fontSize = '12px';
+    author.style.color = '#757575';
+    title.append(name, author);
+
+    const { stats } = level;
+    addCell(level.difficulty || '');
+    addCell(`${stats.plays} plays, ${stats.completions} completed`);
+    addCell(formatRating(stats.rating));
+
+    const ratingCell = addCell('');
+    if (this.canRate(level)) {
+      for (let stars = 1; stars <= MAX_RATING; stars++) {
+        const star = document.createElement('button');
+        star.type = 'button';
+        star.className = 'level-browser-rate';
+        star.textContent = '★';
+        star.title = `Rate ${stars} out of ${MAX_RATING}`;
+        star.style.border = 'none';
+        star.style.background = 'none';
+        star.style.cursor = 'pointer';
+        star.style.color = stars <= (stats.myRating || 0) ? '#FFC107' : '#BDBDBD';
+        star.onclick = () => this.rate(level.id, stars);
+        ratingCell.appendChild(star);
+      }
+    }
+
+    const play = document.createElement('button');
+    play.type = 'button';
+    play.className = 'level-browser-play';
+    play.textContent = 'Play';
+    play.onclick = () => this.play(level.id);
+    addCell('').appendChild(play);
+    return row;
+  }
+}
+
+export { LevelBrowser };
+export default LevelBrowser;
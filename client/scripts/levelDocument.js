@@ -0,0 +1,366 @@
+// client/scripts/levelDocument.js
+import {
+  GRAVITY,
+  PLAYER_WIDTH,
+  PLAYER_HEIGHT,
+  ENEMY_WIDTH,
+  ENEMY_HEIGHT
+} from '../shared/constants.js';
+import { LEVEL_SCHEMA, validateLevel } from '../shared/levelSchema.js';
+
+// Undo steps kept by a document
+const HISTORY_LIMIT = 100;
+
+// Entity kinds the editor places and the level collection holding each
+export const ENTITY_COLLECTIONS = {
+  platform: 'platforms',
+  collectible: 'collectibles',
+  enemy: 'enemies',
+  door: 'doors'
+};
+
+// Size and type of newly placed entities
+export const ENTITY_DEFAULTS = {
+  platform: { width: 200, height: 20, type: 'platform' },
+  collectible: { width: 30, height: 30, type: 'carrot' },
+  enemy: { width: ENEMY_WIDTH, height: ENEMY_HEIGHT, type: 'basic' },
+  door: { width: 40, height: 80, locked: true }
+};
+
+// Distance either side of a new enemy or moving platform it patrols
+export const DEFAULT_PATROL_RANGE = 100;
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Round a coordinate to the editor grid
+ * @param {number} value - Coordinate
+ * @param {number} gridSize - Grid spacing (0 or less only rounds to whole pixels)
+ * @returns {number}
+ */
+export function snapToGrid(value, gridSize) {
+  return gridSize > 0 ? Math.round(value / gridSize) * gridSize : Math.round(value);
+}
+
+/**
+ * A new level with ground along the bottom and the spawn point above it
+ * @param {string} [id] - Level id
+ * @returns {Object} - Level data
+ */
+export function blankLevel(id = 'new-level') {
+  return {
+    id,
+    name: 'New Level',
+    width: 2000,
+    height: 600,
+    gravity: GRAVITY,
+    platforms: [{
+      id: 'ground-1', x: 0, y: 500, width: 2000, height: 100, type: 'ground'
+    }],
+    collectibles: [],
+    enemies: [],
+    doors: [],
+    spawnPoint: { x: 50, y: 400 }
+  };
+}
+
+/**
+ * Read a level file for the editor. Only the structure the editor needs is
+ * required; everything else is left for validateLevel() to report.
+ * @param {string} text - File contents
+ * @returns {Object} - Level data
+ * @throws {Error} - When the file is not JSON or not shaped like a level
+ */
+export function parseLevelFile(text) {
+  let level;
+  try {
+    level = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a level file: ${error.message}`);
+  }
+  if (!level || typeof level !== 'object' || Array.isArray(level)) {
+    throw new Error('Not a level file: expected a JSON object');
+  }
+  for (const collection of Object.values(ENTITY_COLLECTIONS)) {
+    if (level[collection] !== undefined && !Array.isArray(level[collection])) {
+      throw new Error(`Not a level file: ${collection} must be a list`);
+    }
+  }
+  return level;
+}
+
+/**
+ * Copy a record with its fields in schema order, leaving out fields the
+ * level format does not know (such as runtime state)
+ * @param {Object} record - Record to copy
+ * @param {string} kind - Key of LEVEL_SCHEMA
+ * @returns {Object}
+ */
+function pickSchemaFields(record, kind) {
+  const picked = {};
+  for (const field of Object.keys(LEVEL_SCHEMA[kind])) {
+    if (record[field] !== undefined) {
+      picked[field] = record[field];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Level Document Class
+ * The level being edited, with undo and redo. Every change goes through
+ * add(), update(), remove(), setSpawnPoint(), setProperties() or replace(),
+ * each of which is one undo step unless `{ record: false }` is passed; a
+ * drag calls checkpoint() once and then updates without recording.
+ */
+class LevelDocument {
+  /**
+   * Create a document
+   * @param {Object} [level] - Level to edit (a blank level when omitted)
+   */
+  constructor(level = blankLevel()) {
+    this.level = LevelDocument.normalize(level);
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Copy a level, adding the collections it leaves out
+   * @param {Object} level - Level data
+   * @returns {Object}
+   */
+  static normalize(level) {
+    const copy = clone(level);
+    for (const collection of Object.values(ENTITY_COLLECTIONS)) {
+      copy[collection] = copy[collection] || [];
+    }
+    copy.spawnPoint = copy.spawnPoint || { x: 50, y: 400 };
+    return copy;
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Remember the current level as an undo step
+   */
+  checkpoint() {
+    this.undoStack.push(clone(this.level));
+    if (this.undoStack.length > HISTORY_LIMIT) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  /**
+   * Go back one step
+   * @returns {boolean} - False when there is nothing to undo
+   */
+  undo() {
+    if (!this.canUndo) return false;
+    this.redoStack.push(this.level);
+    this.level = this.undoStack.pop();
+    return true;
+  }
+
+  /**
+   * Redo the last undone step
+   * @returns {boolean} - False when there is nothing to redo
+   */
+  redo() {
+    if (!this.canRedo) return false;
+    this.undoStack.push(this.level);
+    this.level = this.redoStack.pop();
+    return true;
+  }
+
+  /**
+   * Entities of a kind
+   * @param {string} kind - Key of ENTITY_COLLECTIONS
+   * @returns {Array<Object>}
+   */
+  entities(kind) {
+    return this.level[ENTITY_COLLECTIONS[kind]];
+  }
+
+  /**
+   * Find an entity
+   * @param {string} kind - Key of ENTITY_COLLECTIONS
+   * @param {string} id - Entity id
+   * @returns {Object|null}
+   */
+  find(kind, id) {
+    return this.entities(kind).find((entity) => entity.id === id) || null;
+  }
+
+  /**
+   * An id no entity in the level uses yet, e.g. 'carrot-4'
+   * @param {string} prefix - Id prefix
+   * @returns {string}
+   */
+  nextId(prefix) {
+    const taken = new Set();
+    for (const kind of Object.keys(ENTITY_COLLECTIONS)) {
+      for (const entity of this.entities(kind)) {
+        taken.add(entity.id);
+      }
+    }
+    let number = 1;
+    while (taken.has(`${prefix}-${number}`)) {
+      number++;
+    }
+    return `${prefix}-${number}`;
+  }
+
+  /**
+   * Place a new entity
+   * @param {string} kind - Key of ENTITY_COLLECTIONS
+   * @param {Object} fields - Position and any fields that differ from ENTITY_DEFAULTS
+   * @returns {Object} - The new entity
+   */
+  add(kind, fields) {
+    this.checkpoint();
+    const entity = { ...ENTITY_DEFAULTS[kind], ...fields };
+    entity.id = fields.id || this.nextId(kind === 'door' ? 'door' : entity.type);
+
+    const patrols = kind === 'enemy' || entity.type === 'moving';
+    if (patrols && entity.patrolStart === undefined) {
+      const along = entity.direction === 'vertical' ? entity.y : entity.x;
+      entity.patrolStart = along - DEFAULT_PATROL_RANGE;
+      entity.patrolEnd = along + DEFAULT_PATROL_RANGE;
+    }
+
+    this.entities(kind).push(entity);
+    return entity;
+  }
+
+  /**
+   * Change fields of an entity; a field set to undefined is removed
+   * @param {string} kind - Key of ENTITY_COLLECTIONS
+   * @param {string} id - Entity id
+   * @param {Object} changes - Fields to change
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.record] - Make this an undo step (default true)
+   * @returns {Object|null} - The updated entity, or null if there is none
+   */
+  update(kind, id, changes, { record = true } = {}) {
+    const entity = this.find(kind, id);
+    if (!entity) return null;
+
+    if (record) this.checkpoint();
+    for (const [field, value] of Object.entries(changes)) {
+      if (value === undefined) {
+        delete entity[field];
+      } else {
+        entity[field] = value;
+      }
+    }
+    return entity;
+  }
+
+  /**
+   * Delete an entity
+   * @param {string} kind - Key of ENTITY_COLLECTIONS
+   * @param {string} id - Entity id
+   * @returns {boolean} - False when there was no such entity
+   */
+  remove(kind, id) {
+    if (!this.find(kind, id)) return false;
+
+    this.checkpoint();
+    this.level[ENTITY_COLLECTIONS[kind]] = this.entities(kind).filter((entity) => entity.id !== id);
+    return true;
+  }
+
+  /**
+   * Move the spawn point
+   * @param {Object} point - New position ({ x, y })
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.record] - Make this an undo step (default true)
+   */
+  setSpawnPoint({ x, y }, { record = true } = {}) {
+    if (record) this.checkpoint();
+    this.level.spawnPoint = { x, y };
+  }
+
+  /**
+   * Change level-wide fields (id, name, width, height, gravity)
+   * @param {Object} changes - Fields to change
+   */
+  setProperties(changes) {
+    this.checkpoint();
+    Object.assign(this.level, changes);
+  }
+
+  /**
+   * Swap in another level, e.g. an imported file; undo brings the old one back
+   * @param {Object} level - Level data
+   */
+  replace(level) {
+    this.checkpoint();
+    this.level = LevelDocument.normalize(level);
+  }
+
+  /**
+   * Topmost thing at a point: the spawn point, then enemies, collectibles,
+   * doors and platforms, later entities above earlier ones
+   * @param {number} x - Level x coordinate
+   * @param {number} y - Level y coordinate
+   * @returns {Object|null} - { kind, id } ('spawn' has no id), or null
+   */
+  hitTest(x, y) {
+    const inside = (box) => x >= box.x && x <= box.x + box.width
+      && y >= box.y && y <= box.y + box.height;
+
+    const spawn = { ...this.level.spawnPoint, width: PLAYER_WIDTH, height: PLAYER_HEIGHT };
+    if (inside(spawn)) return { kind: 'spawn', id: null };
+
+    for (const kind of ['enemy', 'collectible', 'door', 'platform']) {
+      const entities = this.entities(kind);
+      for (let index = entities.length - 1; index >= 0; index--) {
+        if (inside(entities[index])) return { kind, id: entities[index].id };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The level in the file format AssetManager serves: fields in schema
+   * order, unknown fields left out, and no empty door list
+   * @returns {Object}
+   */
+  toJSON() {
+    const level = pickSchemaFields(this.level, 'level');
+    for (const [kind, collection] of Object.entries(ENTITY_COLLECTIONS)) {
+      level[collection] = this.entities(kind).map((entity) => pickSchemaFields(entity, kind));
+    }
+    if (level.doors.length === 0) {
+      delete level.doors;
+    }
+    level.spawnPoint = pickSchemaFields(this.level.spawnPoint, 'spawnPoint');
+    return level;
+  }
+
+  /**
+   * The level file's contents
+   * @returns {string}
+   */
+  serialize() {
+    return `${JSON.stringify(this.toJSON(), null, 2)}\n`;
+  }
+
+  /**
+   * Problems that would keep the server from loading the level
+   * @returns {Array<string>} - Messages; empty when the level is valid
+   */
+  validate() {
+    return validateLevel(this.toJSON());
+  }
+}
+
+export default LevelDocument;
@@ -0,0 +1,994 @@
+// client/scripts/levelEditor.js
+import SpectatorCamera from './spectatorCamera.js';
+import LevelDocument, {
+  DEFAULT_PATROL_RANGE,
+  blankLevel,
+  parseLevelFile,
+  snapToGrid
+} from './levelDocument.js';
+import {
+  PLAYER_WIDTH,
+  PLAYER_HEIGHT,
+  PLATFORM_TYPES,
+  COLLECTIBLE_TYPES,
+  ENEMY_TYPES,
+  POWERUP_TYPES
+} from '../shared/constants.js';
+import { LEVEL_DIFFICULTIES } from '../shared/levelSchema.js';
+
+// Grid spacings offered by the grid control (0 turns snapping off)
+export const GRID_SIZES = [0, 10, 20, 40];
+
+// What the palette places: an entity kind (or the spawn point) and the
+// fields that differ from ENTITY_DEFAULTS
+export const PALETTE = [
+  { label: 'Platform', kind: 'platform', fields: {} },
+  { label: 'Ground', kind: 'platform', fields: { type: PLATFORM_TYPES.GROUND, height: 100 } },
+  { label: 'Carrot', kind: 'collectible', fields: {} },
+  { label: 'Key', kind: 'collectible', fields: { type: COLLECTIBLE_TYPES.KEY } },
+  {
+    label: 'Power-up',
+    kind: 'collectible',
+    fields: { type: COLLECTIBLE_TYPES.POWERUP, powerupType: POWERUP_TYPES.DOUBLE_JUMP }
+  },
+  { label: 'Enemy', kind: 'enemy', fields: {} },
+  { label: 'Door', kind: 'door', fields: {} },
+  { label: 'Spawn', kind: 'spawn', fields: {} }
+];
+
+// Types the inspector offers for the selected entity
+const TYPE_OPTIONS = {
+  platform: Object.values(PLATFORM_TYPES),
+  collectible: Object.values(COLLECTIBLE_TYPES),
+  enemy: Object.values(ENEMY_TYPES)
+};
+
+// Outline colour of each kind in the overlay
+const OUTLINE_COLORS = {
+  platform: '#FFFFFF',
+  collectible: '#FFC107',
+  enemy: '#F44336',
+  door: '#8D6E63',
+  spawn: '#4CAF50'
+};
+
+// Side of the resize and patrol handles (pixels)
+const HANDLE_SIZE = 10;
+// Smallest width or height a resize leaves
+const MIN_SIZE = 10;
+// Distance one arrow key press scrolls the view
+const SCROLL_STEP = 100;
+
+const svgNS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Level Editor Class
+ * Edits a level in place of the game, drawn by the game's SVGRenderer with
+ * an overlay of outlines, patrol ranges and handles. Entities are placed
+ * from the palette, dragged, resized by their corner handle and deleted;
+ * patrol ranges are dragged by their end handles. Positions snap to the
+ * grid, every change can be undone, and the level can be tested from any
+ * point, imported and exported as level JSON.
+ */
+class LevelEditor {
+  /**
+   * Create a level editor
+   * @param {Game} game - Game whose renderer and simulation are used
+   * @param {Object} [levelData] - Level to edit (a blank level when omitted)
+   * @param {Object} [options] - Configuration options
+   * @param {Function} [options.onExit] - Called after the editor is closed
+   */
+  constructor(game, levelData = null, options = {}) {
+    this.game = game;
+    this.document = new LevelDocument(levelData || blankLevel());
+    this.onExit = options.onExit || null;
+
+    // The view; scrolled with the arrow keys and the mouse wheel
+    this.camera = new SpectatorCamera(game.width, game.height);
+    this.camera.free();
+
+    this.gridSize = 20;
+    // Palette entry placed by the next click
+    this.tool = null;
+    // { kind, id } of the selected entity; the spawn point is { kind: 'spawn' }
+    this.selection = null;
+    // Drag in progress: { mode: 'move'|'resize'|'patrolStart'|'patrolEnd', ... }
+    this.drag = null;
+    // Last point clicked; "Play from here" starts the player there
+    this.cursor = null;
+    this.testing = false;
+
+    this.toolbar = null;
+    this.testBar = null;
+
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleWheel = this.handleWheel.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  /**
+   * Open the editor in place of the game
+   */
+  start() {
+    this.game.editor = this;
+    this.game.stop();
+    this.game.hideStartScreen();
+    this.game.renderer.clearAllLayers();
+    this.createToolbar();
+    this.attach();
+    this.refresh();
+  }
+
+  /**
+   * Close the editor and hand the game back
+   */
+  stop() {
+    this.detach();
+    if (this.toolbar) {
+      this.toolbar.remove();
+      this.toolbar = null;
+    }
+    const { renderer } = this.game;
+    renderer.clearLevel();
+    renderer.clearLayer('editor');
+    renderer.setCamera(0, 0);
+    if (this.game.editor === this) {
+      this.game.editor = null;
+    }
+    if (this.onExit) {
+      this.onExit();
+    }
+  }
+
+  /**
+   * Listen for pointer, wheel and keyboard input
+   */
+  attach() {
+    const { svg } = this.game.renderer;
+    svg.addEventListener('pointerdown', this.handlePointerDown);
+    svg.addEventListener('pointermove', this.handlePointerMove);
+    svg.addEventListener('wheel', this.handleWheel);
+    document.addEventListener('pointerup', this.handlePointerUp);
+    document.addEventListener('keydown', this.handleKeyDown);
+  }
+
+  /**
+   * Stop listening for input
+   */
+  detach() {
+    const { svg } = this.game.renderer;
+    svg.removeEventListener('pointerdown', this.handlePointerDown);
+    svg.removeEventListener('pointermove', this.handlePointerMove);
+    svg.removeEventListener('wheel', this.handleWheel);
+    document.removeEventListener('pointerup', this.handlePointerUp);
+    document.removeEventListener('keydown', this.handleKeyDown);
+  }
+
+  /**
+   * Level coordinates of a pointer event
+   * @param {PointerEvent|WheelEvent} event - DOM event
+   * @returns {Object} - { x, y }
+   */
+  toLevelPoint(event) {
+    const rect = this.game.renderer.svg.getBoundingClientRect();
+    const scaleX = rect.width ? this.game.width / rect.width : 1;
+    const scaleY = rect.height ? this.game.height / rect.height : 1;
+    return {
+      x: (event.clientX - rect.left) * scaleX + this.camera.x,
+      y: (event.clientY - rect.top) * scaleY + this.camera.y
+    };
+  }
+
+  handlePointerDown(event) {
+    if (this.testing || event.button > 0) return;
+    event.preventDefault();
+    this.pointerDown(this.toLevelPoint(event), { keepTool: event.shiftKey });
+  }
+
+  handlePointerMove(event) {
+    if (!this.drag) return;
+    this.pointerMove(this.toLevelPoint(event));
+  }
+
+  handlePointerUp() {
+    this.pointerUp();
+  }
+
+  handleWheel(event) {
+    if (this.testing) return;
+    event.preventDefault();
+    // Levels are mostly wide, so the wheel scrolls sideways
+    this.scroll(event.deltaX + event.deltaY, 0);
+  }
+
+  handleKeyDown(event) {
+    if (this.testing) return;
+    // Typing in the toolbar's fields
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target && event.target.tagName)) return;
+
+    const command = event.ctrlKey || event.metaKey;
+    const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+    const step = event.shiftKey ? SCROLL_STEP * 5 : SCROLL_STEP;
+    const actions = {
+      Delete: () => this.deleteSelection(),
+      Backspace: () => this.deleteSelection(),
+      Escape: () => this.select(null),
+      ArrowLeft: () => this.scroll(-step, 0),
+      ArrowRight: () => this.scroll(step, 0),
+      ArrowUp: () => this.scroll(0, -step),
+      ArrowDown: () => this.scroll(0, step)
+    };
+
+    let action = actions[key];
+    if (command && key === 'z') {
+      action = event.shiftKey ? () => this.redo() : () => this.undo();
+    } else if (command && key === 'y') {
+      action = () => this.redo();
+    } else if (command) {
+      action = null;
+    }
+    if (action) {
+      event.preventDefault();
+      action();
+    }
+  }
+
+  /**
+   * Start placing, selecting or dragging at a point
+   * @param {Object} point - Level coordinates ({ x, y })
+   * @param {Object} [options] - Pointer options
+   * @param {boolean} [options.keepTool] - Keep the palette tool for another placement
+   */
+  pointerDown(point, { keepTool = false } = {}) {
+    this.cursor = point;
+
+    if (this.tool) {
+      this.place(this.tool, point);
+      if (!keepTool) this.tool = null;
+      this.refresh();
+      return;
+    }
+
+    const handle = this.handleAt(point);
+    if (handle) {
+      this.drag = { mode: handle, moved: false };
+      return;
+    }
+
+    this.selection = this.document.hitTest(point.x, point.y);
+    if (this.selection) {
+      const box = this.selectedBox();
+      this.drag = {
+        mode: 'move',
+        offsetX: point.x - box.x,
+        offsetY: point.y - box.y,
+        moved: false
+      };
+    }
+    this.refresh();
+  }
+
+  /**
+   * Continue a drag
+   * @param {Object} point - Level coordinates ({ x, y })
+   */
+  pointerMove(point) {
+    if (!this.drag || !this.selection) return;
+    if (!this.drag.moved) {
+      // The whole drag is one undo step
+      this.document.checkpoint();
+      this.drag.moved = true;
+    }
+
+    const { kind, id } = this.selection;
+    const snap = (value) => snapToGrid(value, this.gridSize);
+    const options = { record: false };
+
+    if (kind === 'spawn') {
+      this.document.setSpawnPoint({
+        x: snap(point.x - this.drag.offsetX),
+        y: snap(point.y - this.drag.offsetY)
+      }, options);
+      this.render();
+      return;
+    }
+
+    const entity = this.document.find(kind, id);
+    const vertical = entity.direction === 'vertical';
+    let changes;
+    if (this.drag.mode === 'move') {
+      changes = {
+        x: snap(point.x - this.drag.offsetX),
+        y: snap(point.y - this.drag.offsetY)
+      };
+      // The patrol range travels with its entity
+      if (entity.patrolStart !== undefined) {
+        const shift = vertical ? changes.y - entity.y : changes.x - entity.x;
+        changes.patrolStart = entity.patrolStart + shift;
+        changes.patrolEnd = entity.patrolEnd + shift;
+      }
+    } else if (this.drag.mode === 'resize') {
+      changes = {
+        width: Math.max(MIN_SIZE, snap(point.x) - entity.x),
+        height: Math.max(MIN_SIZE, snap(point.y) - entity.y)
+      };
+    } else {
+      changes = { [this.drag.mode]: snap(vertical ? point.y : point.x) };
+    }
+    this.document.update(kind, id, changes, options);
+    this.render();
+  }
+
+  /**
+   * Finish a drag
+   */
+  pointerUp() {
+    if (!this.drag) return;
+    const { moved } = this.drag;
+    this.drag = null;
+    if (moved) this.refresh();
+  }
+
+  /**
+   * Place a palette entry with its top-left corner at a point
+   * @param {Object} entry - PALETTE entry
+   * @param {Object} point - Level coordinates ({ x, y })
+   */
+  place(entry, point) {
+    const x = snapToGrid(point.x, this.gridSize);
+    const y = snapToGrid(point.y, this.gridSize);
+
+    if (entry.kind === 'spawn') {
+      this.document.setSpawnPoint({ x, y });
+      this.selection = { kind: 'spawn', id: null };
+      return;
+    }
+
+    const fields = { ...entry.fields, x, y };
+    // A new key opens the first door until another is picked
+    const [door] = this.document.entities('door');
+    if (fields.type === COLLECTIBLE_TYPES.KEY && door) {
+      fields.target = door.id;
+    }
+    const entity = this.document.add(entry.kind, fields);
+    this.selection = { kind: entry.kind, id: entity.id };
+  }
+
+  /**
+   * Box of the selected entity (the spawn point has the player's size)
+   * @returns {Object|null} - { x, y, width, height }
+   */
+  selectedBox() {
+    if (!this.selection) return null;
+    if (this.selection.kind === 'spawn') {
+      return { ...this.document.level.spawnPoint, width: PLAYER_WIDTH, height: PLAYER_HEIGHT };
+    }
+    return this.document.find(this.selection.kind, this.selection.id);
+  }
+
+  /**
+   * Handle of the selected entity at a point
+   * @param {Object} point - Level coordinates ({ x, y })
+   * @returns {string|null} - 'resize', 'patrolStart', 'patrolEnd' or null
+   */
+  handleAt(point) {
+    const handles = this.selectionHandles();
+    const hit = handles.find((handle) => Math.abs(point.x - handle.x) <= HANDLE_SIZE / 2
+      && Math.abs(point.y - handle.y) <= HANDLE_SIZE / 2);
+    return hit ? hit.mode : null;
+  }
+
+  /**
+   * Centres of the selected entity's handles
+   * @returns {Array<Object>} - { mode, x, y }
+   */
+  selectionHandles() {
+    if (!this.selection || this.selection.kind === 'spawn') return [];
+    const entity = this.selectedBox();
+    if (!entity) return [];
+
+    const handles = [{ mode: 'resize', x: entity.x + entity.width, y: entity.y + entity.height }];
+    if (entity.patrolStart !== undefined) {
+      for (const mode of ['patrolStart', 'patrolEnd']) {
+        handles.push(entity.direction === 'vertical'
+          ? { mode, x: entity.x + entity.width / 2, y: entity[mode] }
+          : { mode, x: entity[mode], y: entity.y + entity.height / 2 });
+      }
+    }
+    return handles;
+  }
+
+  /**
+   * Pick the palette entry the next click places
+   * @param {Object|null} entry - PALETTE entry, or null to go back to selecting
+   */
+  setTool(entry) {
+    this.tool = entry;
+    this.updateToolbar();
+  }
+
+  /**
+   * Select an entity
+   * @param {Object|null} selection - { kind, id }, or null for nothing
+   */
+  select(selection) {
+    this.selection = selection;
+    this.tool = null;
+    this.refresh();
+  }
+
+  /**
+   * Delete the selected entity
+   */
+  deleteSelection() {
+    if (!this.selection || this.selection.kind === 'spawn') return;
+    this.document.remove(this.selection.kind, this.selection.id);
+    this.selection = null;
+    this.refresh();
+  }
+
+  /**
+   * Change the selected entity from the inspector
+   * @param {Object} changes - Fields to change
+   */
+  updateSelection(changes) {
+    if (!this.selection || this.selection.kind === 'spawn') return;
+    this.document.update(this.selection.kind, this.selection.id, changes);
+    this.refresh();
+  }
+
+  /**
+   * Change the selected entity's type, adding or dropping the fields that
+   * only some types have (a key's door, a power-up's effect, a patrol range)
+   * @param {string} type - New type
+   */
+  setSelectionType(type) {
+    const entity = this.selectedBox();
+    if (!entity || this.selection.kind === 'spawn') return;
+
+    const changes = { type, target: undefined, powerupType: undefined };
+    if (type === COLLECTIBLE_TYPES.KEY) {
+      const [door] = this.document.entities('door');
+      changes.target = entity.target || (door ? door.id : undefined);
+    } else if (type === COLLECTIBLE_TYPES.POWERUP) {
+      changes.powerupType = entity.powerupType || POWERUP_TYPES.DOUBLE_JUMP;
+    }
+    if (this.selection.kind === 'platform') {
+      const moving = type === PLATFORM_TYPES.MOVING;
+      changes.patrolStart = moving ? entity.x - DEFAULT_PATROL_RANGE : undefined;
+      changes.patrolEnd = moving ? entity.x + DEFAULT_PATROL_RANGE : undefined;
+    }
+    if (this.selection.kind !== 'collectible') {
+      delete changes.target;
+      delete changes.powerupType;
+    }
+    this.updateSelection(changes);
+  }
+
+  undo() {
+    if (this.document.undo()) this.afterHistoryChange();
+  }
+
+  redo() {
+    if (this.document.redo()) this.afterHistoryChange();
+  }
+
+  afterHistoryChange() {
+    // The selected entity may not exist in the restored level
+    if (this.selection && this.selection.kind !== 'spawn' && !this.selectedBox()) {
+      this.selection = null;
+    }
+    this.refresh();
+  }
+
+  /**
+   * Set the grid spacing
+   * @param {number} size - One of GRID_SIZES
+   */
+  setGridSize(size) {
+    this.gridSize = size;
+    this.refresh();
+  }
+
+  /**
+   * Scroll the view
+   * @param {number} dx - Horizontal distance (pixels)
+   * @param {number} dy - Vertical distance (pixels)
+   */
+  scroll(dx, dy) {
+    this.camera.pan(dx, dy);
+    this.render();
+  }
+
+  /**
+   * Change level-wide fields from the toolbar
+   * @param {Object} changes - Fields to change (id, name, difficulty, width, height)
+   */
+  setLevelProperties(changes) {
+    this.document.setProperties(changes);
+    this.refresh();
+  }
+
+  /**
+   * Play the level as edited, starting at the last point clicked (or the
+   * spawn point). The editor comes back when the test ends.
+   */
+  playFromHere() {
+    const { spawnPoint } = this.document.level;
+    const start = this.cursor
+      ? {
+        x: Math.round(this.cursor.x - PLAYER_WIDTH / 2),
+        y: Math.round(this.cursor.y - PLAYER_HEIGHT)
+      }
+      : spawnPoint;
+
+    this.testing = true;
+    this.toolbar.style.display = 'none';
+    this.createTestBar();
+    this.game.playtestLevel(this.document.toJSON(), start, (outcome) => this.endTest(outcome));
+  }
+
+  /**
+   * Back from a test run
+   * @param {string} outcome - 'stopped', 'gameover' or 'complete'
+   */
+  endTest(outcome) {
+    this.testing = false;
+    if (this.testBar) {
+      this.testBar.remove();
+      this.testBar = null;
+    }
+    this.toolbar.style.display = 'flex';
+
+    const messages = {
+      gameover: ['Test ended: out of lives', 'warning'],
+      complete: ['Test ended: level complete!', 'success']
+    };
+    if (messages[outcome]) {
+      this.game.showNotification(...messages[outcome]);
+    }
+    this.refresh();
+  }
+
+  /**
+   * Save the level as a .json file
+   */
+  exportLevel() {
+    const problems = this.document.validate();
+    if (problems.length > 0) {
+      this.game.showNotification(`Exported with ${problems.length} problem(s); the server will refuse it`, 'warning');
+    }
+
+    const blob = new Blob([this.document.serialize()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${this.document.level.id}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Ask for a level file and edit it
+   */
+  chooseLevelFile() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.onchange = () => {
+      const [file] = fileInput.files;
+      if (file) {
+        this.importLevel(file).catch((error) => {
+          this.game.showNotification(`Could not open level: ${error.message}`, 'error');
+        });
+      }
+    };
+    fileInput.click();
+  }
+
+  /**
+   * Edit a level file in place of the current level (undo brings it back)
+   * @param {File|Blob} file - Level JSON file
+   * @returns {Promise}
+   */
+  async importLevel(file) {
+    this.document.replace(parseLevelFile(await file.text()));
+    this.selection = null;
+    this.cursor = null;
+    this.camera.x = 0;
+    this.camera.y = 0;
+    this.refresh();
+    this.game.showNotification(`Opened ${this.document.level.name || this.document.level.id}`, 'success');
+  }
+
+  /**
+   * Start over with a blank level (undo brings the old one back)
+   */
+  newLevel() {
+    this.document.replace(blankLevel());
+    this.selection = null;
+    this.cursor = null;
+    this.refresh();
+  }
+
+  /**
+   * Redraw the level and bring the toolbar up to date
+   */
+  refresh() {
+    this.render();
+    this.updateToolbar();
+  }
+
+  /**
+   * Draw the level with the game's renderer and the editor overlay on top
+   */
+  render() {
+    const { renderer } = this.game;
+    const { level } = this.document;
+
+    this.camera.setBounds(level.width, level.height);
+    renderer.clearLevel();
+    renderer.clearLayer('editor');
+    renderer.renderBackground(this.camera.x);
+    renderer.setCamera(this.camera.x, this.camera.y);
+
+    for (const platform of level.platforms) {
+      renderer.renderPlatform(platform);
+    }
+    for (const collectible of level.collectibles) {
+      renderer.renderCollectible(collectible);
+    }
+    for (const enemy of level.enemies) {
+      renderer.renderEnemy(enemy);
+    }
+    this.renderOverlay();
+  }
+
+  /**
+   * Draw the grid, level bounds, entity outlines with their labels, patrol
+   * ranges, the spawn point and the selection's handles
+   */
+  renderOverlay() {
+    const layer = document.getElementById('layer-editor');
+    if (!layer) return;
+    const { level } = this.document;
+
+    const add = (tag, attributes, parent = layer) => {
+      const element = document.createElementNS(svgNS, tag);
+      for (const [name, value] of Object.entries(attributes)) {
+        element.setAttribute(name, value);
+      }
+      parent.appendChild(element);
+      return element;
+    };
+
+    // Grid lines across the visible part of the level
+    if (this.gridSize > 0) {
+      const spacing = this.gridSize < 20 ? this.gridSize * 4 : this.gridSize;
+      const grid = add('g', { id: 'editor-grid', stroke: 'rgba(255, 255, 255, 0.15)', 'stroke-width': '1' });
+      const right = Math.min(level.width, this.camera.x + this.game.width);
+      const bottom = Math.min(level.height, this.camera.y + this.game.height);
+      for (let x = Math.floor(this.camera.x / spacing) * spacing; x <= right; x += spacing) {
+        add('line', {
+          x1: x, y1: this.camera.y, x2: x, y2: bottom
+        }, grid);
+      }
+      for (let y = Math.floor(this.camera.y / spacing) * spacing; y <= bottom; y += spacing) {
+        add('line', {
+          x1: this.camera.x, y1: y, x2: right, y2: y
+        }, grid);
+      }
+    }
+
+    add('rect', {
+      x: 0,
+      y: 0,
+      width: level.width,
+      height: level.height,
+      fill: 'none',
+      stroke: '#FFC107',
+      'stroke-width': '2',
+      'stroke-dasharray': '8 4'
+    });
+
+    const outline = (kind, box, label) => {
+      const group = add('g', { class: `editor-outline editor-${kind}` });
+      add('rect', {
+        x: box.x,
+        y: box.y,
+        width: box.width,
+        height: box.height,
+        fill: kind === 'door' ? 'rgba(141, 110, 99, 0.6)' : 'none',
+        stroke: OUTLINE_COLORS[kind],
+        'stroke-width': '1',
+        'stroke-dasharray': '4 2'
+      }, group);
+      const text = add('text', {
+        x: box.x,
+        y: box.y - 3,
+        'font-family': 'Arial, sans-serif',
+        'font-size': '11px',
+        fill: OUTLINE_COLORS[kind]
+      }, group);
+      text.textContent = label;
+    };
+
+    const patrol = (entity) => {
+      if (entity.patrolStart === undefined || entity.patrolEnd === undefined) return;
+      const attributes = entity.direction === 'vertical'
+        ? {
+          x1: entity.x + entity.width / 2,
+          y1: entity.patrolStart,
+          x2: entity.x + entity.width / 2,
+          y2: entity.patrolEnd + entity.height
+        }
+        : {
+          x1: entity.patrolStart,
+          y1: entity.y + entity.height / 2,
+          x2: entity.patrolEnd + entity.width,
+          y2: entity.y + entity.height / 2
+        };
+      add('line', {
+        ...attributes,
+        class: 'editor-patrol',
+        stroke: '#03A9F4',
+        'stroke-width': '2',
+        'stroke-dasharray': '6 3'
+      });
+    };
+
+    for (const platform of level.platforms) {
+      outline('platform', platform, platform.type === 'platform' ? platform.id : `${platform.id} (${platform.type})`);
+      patrol(platform);
+    }
+    for (const door of this.document.entities('door')) {
+      outline('door', door, door.locked === false ? door.id : `${door.id} (locked)`);
+    }
+    for (const collectible of level.collectibles) {
+      const detail = collectible.target || collectible.powerupType;
+      outline('collectible', collectible, detail ? `${collectible.type} → ${detail}` : collectible.type);
+    }
+    for (const enemy of level.enemies) {
+      outline('enemy', enemy, enemy.type);
+      patrol(enemy);
+    }
+    outline('spawn', {
+      ...level.spawnPoint, width: PLAYER_WIDTH, height: PLAYER_HEIGHT
+    }, 'spawn');
+
+    // Selection
+    const box = this.selectedBox();
+    if (box) {
+      add('rect', {
+        id: 'editor-selection',
+        x: box.x - 2,
+        y: box.y - 2,
+        width: box.width + 4,
+        height: box.height + 4,
+        fill: 'none',
+        stroke: '#00E5FF',
+        'stroke-width': '2'
+      });
+      for (const handle of this.selectionHandles()) {
+        add('rect', {
+          class: `editor-handle editor-handle-${handle.mode}`,
+          x: handle.x - HANDLE_SIZE / 2,
+          y: handle.y - HANDLE_SIZE / 2,
+          width: HANDLE_SIZE,
+          height: HANDLE_SIZE,
+          fill: handle.mode === 'resize' ? '#00E5FF' : '#03A9F4',
+          stroke: '#000000',
+          'stroke-width': '1'
+        });
+      }
+    }
+
+    // Where "Play from here" starts
+    if (this.cursor) {
+      add('circle', {
+        id: 'editor-cursor',
+        cx: this.cursor.x,
+        cy: this.cursor.y,
+        r: '4',
+        fill: '#E91E63'
+      });
+    }
+  }
+
+  /**
+   * Build the toolbar: palette, inspector, history, grid, level fields and file actions
+   */
+  createToolbar() {
+    const bar = document.createElement('div');
+    bar.id = 'level-editor';
+    bar.style.position = 'absolute';
+    bar.style.left = '0';
+    bar.style.right = '0';
+    bar.style.top = '0';
+    bar.style.display = 'flex';
+    bar.style.flexWrap = 'wrap';
+    bar.style.alignItems = 'center';
+    bar.style.gap = '6px';
+    bar.style.padding = '6px 10px';
+    bar.style.backgroundColor = 'rgba(0, 0, 0, 0.75)';
+    bar.style.color = '#FFFFFF';
+    bar.style.fontFamily = 'Arial, sans-serif';
+    bar.style.fontSize = '13px';
+    bar.style.zIndex = '1000';
+
+    const button = (id, label, onClick) => {
+      const element = document.createElement('button');
+      element.id = id;
+      element.textContent = label;
+      element.onclick = onClick;
+      bar.appendChild(element);
+      return element;
+    };
+    const select = (id, onChange) => {
+      const element = document.createElement('select');
+      element.id = id;
+      element.onchange = () => onChange(element.value);
+      bar.appendChild(element);
+      return element;
+    };
+    const input = (id, type, title, onChange) => {
+      const element = document.createElement('input');
+      element.id = id;
+      element.type = type;
+      element.title = title;
+      element.style.width = type === 'number' ? '64px' : '110px';
+      element.onchange = () => onChange(element);
+      bar.appendChild(element);
+      return element;
+    };
+
+    PALETTE.forEach((entry, index) => {
+      button(`editor-tool-${index}`, entry.label, () => this.setTool(this.tool === entry ? null : entry));
+    });
+
+    // Inspector for the selected entity
+    select('editor-type', (type) => this.setSelectionType(type));
+    select('editor-powerup', (powerupType) => this.updateSelection({ powerupType }));
+    select('editor-target', (target) => this.updateSelection({ target: target || undefined }));
+    const locked = input('editor-locked', 'checkbox', 'Locked', (element) => {
+      this.updateSelection({ locked: element.checked });
+    });
+    locked.style.width = 'auto';
+    button('editor-delete', 'Delete', () => this.deleteSelection());
+
+    button('editor-undo', 'Undo', () => this.undo());
+    button('editor-redo', 'Redo', () => this.redo());
+
+    const grid = select('editor-grid', (size) => this.setGridSize(Number(size)));
+    for (const size of GRID_SIZES) {
+      const option = document.createElement('option');
+      option.value = String(size);
+      option.textContent = size ? `Grid ${size}` : 'No grid';
+      grid.appendChild(option);
+    }
+
+    input('editor-level-id', 'text', 'Level id (file name)', (element) => {
+      this.setLevelProperties({ id: element.value.trim() });
+    });
+    input('editor-level-name', 'text', 'Level name', (element) => {
+      this.setLevelProperties({ name: element.value });
+    });
+    const difficulty = select('editor-level-difficulty', (value) => {
+      this.setLevelProperties({ difficulty: value || undefined });
+    });
+    for (const value of ['', ...LEVEL_DIFFICULTIES]) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value ? `Difficulty: ${value}` : 'No difficulty';
+      difficulty.appendChild(option);
+    }
+    input('editor-level-width', 'number', 'Level width', (element) => {
+      this.setLevelProperties({ width: Number(element.value) });
+    });
+    input('editor-level-height', 'number', 'Level height', (element) => {
+      this.setLevelProperties({ height: Number(element.value) });
+    });
+
+    const status = document.createElement('span');
+    status.id = 'editor-status';
+    bar.appendChild(status);
+
+    button('editor-play', 'Play from here', () => this.playFromHere());
+    button('editor-new', 'New', () => this.newLevel());
+    button('editor-import', 'Import', () => this.chooseLevelFile());
+    button('editor-export', 'Export', () => this.exportLevel());
+    button('editor-exit', 'Exit Editor', () => this.stop());
+
+    this.game.container.appendChild(bar);
+    this.toolbar = bar;
+  }
+
+  /**
+   * Bar shown while the level is being tested
+   */
+  createTestBar() {
+    const bar = document.createElement('div');
+    bar.id = 'level-editor-test';
+    bar.style.position = 'absolute';
+    bar.style.right = '10px';
+    bar.style.top = '10px';
+    bar.style.zIndex = '1000';
+
+    const back = document.createElement('button');
+    back.id = 'editor-stop-test';
+    back.textContent = 'Back to Editor';
+    back.onclick = () => this.game.endPlaytest('stopped');
+    bar.appendChild(back);
+
+    this.game.container.appendChild(bar);
+    this.testBar = bar;
+  }
+
+  /**
+   * Reflect the editor state in the toolbar
+   */
+  updateToolbar() {
+    if (!this.toolbar) return;
+    const find = (id) => this.toolbar.querySelector(`#${id}`);
+    const { level } = this.document;
+
+    PALETTE.forEach((entry, index) => {
+      find(`editor-tool-${index}`).style.outline = this.tool === entry ? '2px solid #00E5FF' : 'none';
+    });
+
+    const entity = this.selection && this.selection.kind !== 'spawn' ? this.selectedBox() : null;
+    const kind = entity ? this.selection.kind : null;
+    const show = (element, visible) => {
+      element.style.display = visible ? '' : 'none';
+      return element;
+    };
+    const fill = (element, values, current) => {
+      element.replaceChildren();
+      for (const value of values) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value || '(no door)';
+        element.appendChild(option);
+      }
+      element.value = current === undefined ? '' : current;
+    };
+
+    const type = show(find('editor-type'), Boolean(TYPE_OPTIONS[kind]));
+    if (TYPE_OPTIONS[kind]) fill(type, TYPE_OPTIONS[kind], entity.type);
+
+    const isPowerup = kind === 'collectible' && entity.type === COLLECTIBLE_TYPES.POWERUP;
+    const powerup = show(find('editor-powerup'), isPowerup);
+    if (isPowerup) fill(powerup, Object.values(POWERUP_TYPES), entity.powerupType);
+
+    const isKey = kind === 'collectible' && entity.type === COLLECTIBLE_TYPES.KEY;
+    const target = show(find('editor-target'), isKey);
+    if (isKey) {
+      const doors = this.document.entities('door').map((door) => door.id);
+      fill(target, ['', ...doors], entity.target);
+    }
+
+    show(find('editor-locked'), kind === 'door').checked = kind === 'door' && entity.locked !== false;
+    find('editor-delete').disabled = !entity;
+    find('editor-undo').disabled = !this.document.canUndo;
+    find('editor-redo').disabled = !this.document.canRedo;
+    find('editor-grid').value = String(this.gridSize);
+    find('editor-level-id').value = level.id || '';
+    find('editor-level-name').value = level.name || '';
+    find('editor-level-difficulty').value = level.difficulty || '';
+    find('editor-level-width').value = String(level.width);
+    find('editor-level-height').value = String(level.height);
+
+    const problems = this.document.validate();
+    const status = find('editor-status');
+    status.textContent = problems.length === 0 ? 'Valid' : `${problems.length} problem(s)`;
+    status.title = problems.join('\n');
+    status.style.color = problems.length === 0 ? '#8BC34A' : '#FF9800';
+  }
+}
+
+export { LevelEditor };
+export default LevelEditor;
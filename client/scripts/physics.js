@@ -1,5 +1,6 @@
 // client/scripts/physics.js
 import { GRAVITY, FRICTION, TERMINAL_VELOCITY } from '../shared/constants.js';
+import { applyPlayerInput } from '../shared/simulation.js';
 
 /**
  * Physics Engine Class
@@ -47,6 +48,20 @@ class Physics {
     entity.y += entity.velocityY;
   }
 
+  /**
+   * Apply one input command to an entity using the shared simulation rules, then friction.
+   * @param {Object} entity - Entity to steer
+   * @param {Object} input - Button state ({ left, right, jump })
+   * @param {Object} [previousInput] - Button state of the preceding command
+   * @param {Object} [options] - Movement options
+   * @param {number} [options.speed] - Horizontal speed
+   * @param {number} [options.jumpForce] - Upward jump speed
+   */
+  applyInput(entity, input, previousInput = {}, options = {}) {
+    applyPlayerInput(entity, input, previousInput, options);
+    entity.velocityX *= this.friction;
+  }
+
   /**
    * Check for collision between two entities
    * @param {Object} entity1 - First entity
@@ -0,0 +1,165 @@
+// client/scripts/progressClient.js
+import {
+  createSaveGame,
+  normalizeSaveGame,
+  mergeSaveGames
+} from '../shared/saveGame.js';
+
+const PROGRESS_STORAGE_KEY = 'lunas-adventure:progress';
+
+/**
+ * Progress Client Class
+ * Keeps the campaign save game (see shared/saveGame.js) in localStorage and,
+ * for signed-in players, in the cloud through /api/progress. Every save is
+ * written locally first; a save the server has not confirmed yet is marked
+ * pending and sent again on the next sync, so progress made offline is not
+ * lost. Guests and each account have their own local save.
+ */
+class ProgressClient {
+  /**
+   * Create a progress client
+   * @param {Object} options - Configuration options
+   * @param {AccountClient} options.account - Session used to reach /api/progress
+   * @param {Storage} [options.storage] - Where saves are kept (defaults to localStorage)
+   * @param {Function} [options.fetch] - fetch implementation
+   */
+  constructor(options = {}) {
+    this.account = options.account;
+    this.storage = options.storage
+      || (typeof window !== 'undefined' ? window.localStorage : null);
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.current = this.loadLocal();
+  }
+
+  /**
+   * Current save game
+   * @returns {Object}
+   */
+  get save() {
+    return this.current.save;
+  }
+
+  /**
+   * localStorage key of the signed-in account's save (or the guest save)
+   * @returns {string}
+   */
+  get storageKey() {
+    const account = this.account ? this.account.account : null;
+    return `${PROGRESS_STORAGE_KEY}:${account ? account.id : 'guest'}`;
+  }
+
+  /**
+   * Read the local save of the current account
+   * @returns {Object} - { save, pending }
+   */
+  loadLocal() {
+    try {
+      const raw = this.storage ? this.storage.getItem(this.storageKey) : null;
+      if (raw) {
+        const stored = JSON.parse(raw);
+        return { save: normalizeSaveGame(stored.save), pending: stored.pending === true };
+      }
+    } catch (error) {
+      console.warn('Failed to load saved progress:', error);
+    }
+    return { save: createSaveGame(), pending: false };
+  }
+
+  /**
+   * Store the save locally
+   * @param {Object} save - Save game
+   * @param {boolean} pending - Whether the server still has to receive it
+   */
+  storeLocal(save, pending) {
+    this.current = { save, pending };
+    try {
+      if (this.storage) {
+        this.storage.setItem(this.storageKey, JSON.stringify(this.current));
+      }
+    } catch (error) {
+      console.warn('Failed to store progress:', error);
+    }
+  }
+
+  /**
+   * Switch to the save of the account now signed in (call after sign-in or sign-out)
+   * @returns {Promise<Object>} - Save game of the new account
+   */
+  reload() {
+    this.current = this.loadLocal();
+    return this.sync();
+  }
+
+  /**
+   * Call /api/progress
+   * @param {string} method - 'GET' or 'PUT'
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<Object|null>} - Response body, or null when signed out
+   * @throws {Error} - With `status` when the server refuses the request
+   */
+  async request(method, body) {
+    const authHeaders = await this.account.authHeaders();
+    if (!authHeaders.Authorization) return null;
+
+    const response = await this.fetch('/api/progress', {
+      method,
+      headers: { 'Content-Type': 'application/json', ...authHeaders },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.error || `Request failed (${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Bring the local save and the cloud save together: the cloud save is
+   * merged in, then a pending local save is uploaded. Guests and failed
+   * requests keep the local save.
+   * @returns {Promise<Object>} - Current save game
+   */
+  async sync() {
+    if (!this.account || !this.account.isSignedIn) return this.save;
+
+    // Answers are ignored if the player switched accounts meanwhile
+    const { storageKey } = this;
+    try {
+      if (!this.current.pending) {
+        const data = await this.request('GET');
+        if (!data || storageKey !== this.storageKey) return this.save;
+        if (data.progress) {
+          this.storeLocal(mergeSaveGames(normalizeSaveGame(data.progress), this.save), false);
+        } else {
+          // Nothing in the cloud yet: upload what this device has
+          this.storeLocal(this.save, true);
+        }
+      }
+
+      if (this.current.pending) {
+        const data = await this.request('PUT', { progress: this.save });
+        if (data && storageKey === this.storageKey) {
+          this.storeLocal(mergeSaveGames(normalizeSaveGame(data.progress), this.save), false);
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to sync progress:', error.message);
+    }
+    return this.save;
+  }
+
+  /**
+   * Save progress locally and upload it
+   * @param {Object} save - Save game
+   * @returns {Promise<Object>} - Save game as stored (merged with the cloud copy when online)
+   */
+  commit(save) {
+    this.storeLocal(save, Boolean(this.account && this.account.isSignedIn));
+    return this.sync();
+  }
+}
+
+export { ProgressClient };
+export default ProgressClient;
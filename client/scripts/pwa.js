@@ -0,0 +1,111 @@
+// client/scripts/pwa.js
+// Loaded as a separate file (not inline) so the Content Security Policy can
+// restrict scripts to this origin.
+
+// PWA installation
+let deferredPrompt;
+const installButton = document.getElementById('install-app');
+
+// Listen for 'beforeinstallprompt' event
+window.addEventListener('beforeinstallprompt', (e) => {
+  // Prevent Chrome 76+ from automatically showing the prompt
+  e.preventDefault();
+
+  // Stash the event so it can be triggered later
+  deferredPrompt = e;
+
+  // Show the install button
+  if (installButton) {
+    installButton.classList.remove('hidden');
+
+    installButton.addEventListener('click', () => {
+      // Hide the install button
+      installButton.classList.add('hidden');
+
+      // Show the installation prompt
+      deferredPrompt.prompt();
+
+      // Wait for the user to respond to the prompt
+      deferredPrompt.userChoice.then((choiceResult) => {
+        if (choiceResult.outcome === 'accepted') {
+          console.log('User accepted the install prompt');
+        } else {
+          console.log('User dismissed the install prompt');
+        }
+
+        // We no longer need the prompt
+        deferredPrompt = null;
+      });
+    });
+  }
+});
+
+// Hide the install button when the PWA is installed
+window.addEventListener('appinstalled', () => {
+  console.log('PWA was installed');
+  if (installButton) {
+    installButton.classList.add('hidden');
+  }
+  deferredPrompt = null;
+});
+
+// Handle offline status
+const offlineNotification = document.getElementById('offline-notification');
+const dismissOfflineBtn = document.getElementById('dismiss-offline');
+
+if (dismissOfflineBtn) {
+  dismissOfflineBtn.addEventListener('click', () => {
+    if (offlineNotification) {
+      offlineNotification.classList.add('hidden');
+    }
+  });
+}
+
+window.addEventListener('online', () => {
+  if (offlineNotification) {
+    offlineNotification.classList.add('hidden');
+  }
+});
+
+window.addEventListener('offline', () => {
+  if (offlineNotification) {
+    offlineNotification.classList.remove('hidden');
+  }
+});
+
+// Service worker registration
+if ('serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/service-worker.js')
+      .then((registration) => {
+        console.log('ServiceWorker registration successful with scope: ', registration.scope);
+
+        // Check for updates when service worker changes
+        registration.addEventListener('updatefound', () => {
+          const newWorker = registration.installing;
+
+          newWorker.addEventListener('statechange', () => {
+            if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+              // New content is available; we can notify the user
+              // eslint-disable-next-line no-alert
+              if (window.confirm('A new version of Luna\'s Adventure is available! Reload now?')) {
+                window.location.reload();
+              }
+            }
+          });
+        });
+      })
+      .catch((err) => {
+        console.error('ServiceWorker registration failed: ', err);
+      });
+
+    // Handle controller changes (when a service worker takes over)
+    let refreshing = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!refreshing) {
+        refreshing = true;
+        window.location.reload();
+      }
+    });
+  });
+}
@@ -36,10 +36,12 @@ class SVGRenderer {
     // Create layers for different game elements
     this.createLayer('background');
     this.createLayer('platforms');
+    this.createLayer('doors');
     this.createLayer('collectibles');
     this.createLayer('enemies');
     this.createLayer('projectiles');
     this.createLayer('players');
+    this.createLayer('editor');
     this.createLayer('ui');
 
     // Add the SVG to the container
@@ -132,12 +134,48 @@ class SVGRenderer {
       }, 200);
     }
 
+    this.renderConnectionStatus(player, playerElement, layer);
+
     // Add debug bounding box if debug mode is on
     if (this.debug) {
       this.renderDebugBox(playerElement, player.width, player.height, 'player');
     }
   }
 
+  /**
+     * Fade a player whose connection dropped and label it "Reconnecting...".
+     * The label is a sibling element so it is not mirrored with the sprite.
+     * @param {Object} player - Player data object
+     * @param {SVGElement} playerElement - The player's sprite group
+     * @param {SVGElement} layer - Players layer
+     */
+  renderConnectionStatus(player, playerElement, layer) {
+    const reconnecting = player.connected === false;
+    let label = document.getElementById(`status-${player.id}`);
+    playerElement.setAttribute('opacity', reconnecting ? '0.5' : '1');
+
+    if (!reconnecting) {
+      if (label) label.remove();
+      return;
+    }
+
+    if (!label) {
+      label = document.createElementNS(this.svgNS, 'text');
+      label.setAttribute('id', `status-${player.id}`);
+      label.setAttribute('fill', '#FFFFFF');
+      label.setAttribute('stroke', '#000000');
+      label.setAttribute('stroke-width', '0.5');
+      label.setAttribute('font-family', 'Arial, sans-serif');
+      label.setAttribute('font-size', '12px');
+      label.setAttribute('font-weight', 'bold');
+      label.setAttribute('text-anchor', 'middle');
+      label.textContent = 'Reconnecting...';
+      layer.appendChild(label);
+    }
+    label.setAttribute('x', `${player.x + player.width / 2}`);
+    label.setAttribute('y', `${player.y - 8}`);
+  }
+
   /**
      * Create SVG elements for Luna the guinea pig
      * @param {SVGElement} group - Group element to add Luna parts to
@@ -439,6 +477,32 @@ class SVGRenderer {
       if (wings) {
         wings.setAttribute('transform', `rotate(${Math.sin(Date.now() / 200) * 15})`);
       }
+    }
+
+    // Boss health bar is a sibling group so it is not mirrored with the boss sprite
+    if (enemy.type === 'boss') {
+      let hpGroup = document.getElementById(`boss-hp-${enemy.id}`);
+      if (!hpGroup) {
+        hpGroup = document.createElementNS(this.svgNS, 'g');
+        hpGroup.setAttribute('id', `boss-hp-${enemy.id}`);
+
+        const hpBg = document.createElementNS(this.svgNS, 'rect');
+        hpBg.setAttribute('width', '80');
+        hpBg.setAttribute('height', '8');
+        hpBg.setAttribute('fill', '#555555');
+        hpBg.setAttribute('rx', '3');
+        hpGroup.appendChild(hpBg);
+
+        const hpFill = document.createElementNS(this.svgNS, 'rect');
+        hpFill.setAttribute('class', 'boss-hp-bar');
+        hpFill.setAttribute('width', '80');
+        hpFill.setAttribute('height', '8');
+        hpFill.setAttribute('fill', '#F44336');
+        hpFill.setAttribute('rx', '3');
+        hpGroup.appendChild(hpFill);
+
+        layer.appendChild(hpGroup);
+      }
 
       hpGroup.setAttribute('transform', `translate(${enemy.x}, ${enemy.y - 14})`);
       const pct = (enemy.maxHealth > 0 && enemy.health !== undefined)
@@ -704,16 +768,12 @@ class SVGRenderer {
 
   /**
      * Render game UI elements (score, lives, health)
-     * @param {Object} gameState - Current game state
-     * @param {string} playerId - Local player ID
+     * @param {Object} uiState - HUD values (score, lives, health, carrotsCollected, totalCarrots)
      */
-  renderUI(gameState, playerId) {
+  renderUI(uiState) {
     const layer = document.getElementById('layer-ui');
     this.clearLayer('ui');
 
-    const player = gameState.players.find((p) => p.id === playerId);
-    if (!player) return;
-
     // Create UI container
     const uiGroup = document.createElementNS(this.svgNS, 'g');
     uiGroup.setAttribute('id', 'game-ui');
@@ -729,11 +789,24 @@ class SVGRenderer {
     scoreText.setAttribute('font-weight', 'bold');
     scoreText.setAttribute('stroke', '#000000');
     scoreText.setAttribute('stroke-width', '0.5');
-    scoreText.textContent = `Score: ${player.score}`;
+    scoreText.textContent = `Score: ${uiState.score}`;
     uiGroup.appendChild(scoreText);
 
+    // Carrot counter
+    const carrotText = document.createElementNS(this.svgNS, 'text');
+    carrotText.setAttribute('x', '20');
+    carrotText.setAttribute('y', '120');
+    carrotText.setAttribute('fill', '#FFFFFF');
+    carrotText.setAttribute('font-family', 'Arial, sans-serif');
+    carrotText.setAttribute('font-size', '16px');
+    carrotText.setAttribute('font-weight', 'bold');
+    carrotText.setAttribute('stroke', '#000000');
+    carrotText.setAttribute('stroke-width', '0.5');
+    carrotText.textContent = `Carrots: ${uiState.carrotsCollected} / ${uiState.totalCarrots}`;
+    uiGroup.appendChild(carrotText);
+
     // Lives
-    for (let i = 0; i < player.lives; i++) {
+    for (let i = 0; i < uiState.lives; i++) {
       const heart = document.createElementNS(this.svgNS, 'path');
       heart.setAttribute('d', `M${20 + i * 30},70 a7,7 0 0,1 14,0 a7,7 0 0,1 14,0 q0,12 -14,20 q-14,-8 -14,-20`);
       heart.setAttribute('fill', '#FF0000');
@@ -757,9 +830,9 @@ class SVGRenderer {
     const healthBar = document.createElementNS(this.svgNS, 'rect');
     healthBar.setAttribute('x', '20');
     healthBar.setAttribute('y', '80');
-    healthBar.setAttribute('width', `${player.health * 2}`);
+    healthBar.setAttribute('width', `${uiState.health * 2}`);
     healthBar.setAttribute('height', '15');
-    healthBar.setAttribute('fill', `rgb(${255 - player.health * 2.55}, ${player.health * 2.55}, 0)`);
+    healthBar.setAttribute('fill', `rgb(${255 - uiState.health * 2.55}, ${uiState.health * 2.55}, 0)`);
     healthBar.setAttribute('rx', '7');
     healthBar.setAttribute('ry', '7');
     uiGroup.appendChild(healthBar);
@@ -773,15 +846,17 @@ class SVGRenderer {
     healthText.setAttribute('font-size', '12px');
     healthText.setAttribute('font-weight', 'bold');
     healthText.setAttribute('text-anchor', 'middle');
-    healthText.textContent = `${player.health}%`;
+    healthText.textContent = `${uiState.health}%`;
     uiGroup.appendChild(healthText);
   }
 
   /**
      * Render game over screen
      * @param {number} score - Final score
+     * @param {Object} [options] - Screen options
+     * @param {boolean} [options.replayAvailable] - Offer to watch or download the attempt's replay
      */
-  renderGameOver(score) {
+  renderGameOver(score, options = {}) {
     this.clearAllLayers();
     const layer = document.getElementById('layer-ui');
 
@@ -852,9 +927,83 @@ class SVGRenderer {
     });
 
     container.appendChild(buttonGroup);
+
+    if (options.replayAvailable) {
+      container.appendChild(this.createReplayButtons(
+        this.height / 2 + 120,
+        () => this.renderGameOver(score, options)
+      ));
+    }
+
     layer.appendChild(container);
   }
 
+  /**
+     * Create the "Watch Replay" and "Download Replay" buttons for end-of-attempt screens.
+     * They dispatch `replay:watch` and `replay:download` for the game to handle.
+     * @param {number} y - Top edge of the buttons
+     * @param {Function} returnTo - Redraws the current screen after the replay is closed
+     * @returns {SVGElement} Button group
+     */
+  createReplayButtons(y, returnTo) {
+    const group = document.createElementNS(this.svgNS, 'g');
+    group.setAttribute('id', 'replay-buttons');
+
+    const buttons = [
+      { id: 'watch-replay-button', label: 'Watch Replay', event: 'replay:watch' },
+      { id: 'download-replay-button', label: 'Download Replay', event: 'replay:download' }
+    ];
+
+    buttons.forEach((button, index) => {
+      const buttonGroup = document.createElementNS(this.svgNS, 'g');
+      buttonGroup.setAttribute('id', button.id);
+      buttonGroup.setAttribute('transform', `translate(${this.width / 2 - 170 + index * 180}, ${y})`);
+      buttonGroup.style.cursor = 'pointer';
+
+      const buttonBg = document.createElementNS(this.svgNS, 'rect');
+      buttonBg.setAttribute('width', '160');
+      buttonBg.setAttribute('height', '36');
+      buttonBg.setAttribute('fill', '#2196F3');
+      buttonBg.setAttribute('rx', '8');
+      buttonBg.setAttribute('ry', '8');
+      buttonGroup.appendChild(buttonBg);
+
+      const buttonText = document.createElementNS(this.svgNS, 'text');
+      buttonText.setAttribute('x', '80');
+      buttonText.setAttribute('y', '24');
+      buttonText.setAttribute('fill', '#FFFFFF');
+      buttonText.setAttribute('font-family', 'Arial, sans-serif');
+      buttonText.setAttribute('font-size', '16px');
+      buttonText.setAttribute('font-weight', 'bold');
+      buttonText.setAttribute('text-anchor', 'middle');
+      buttonText.textContent = button.label;
+      buttonGroup.appendChild(buttonText);
+
+      buttonGroup.addEventListener('click', () => {
+        document.dispatchEvent(new CustomEvent(button.event, { detail: { returnTo } }));
+      });
+
+      group.appendChild(buttonGroup);
+    });
+
+    return group;
+  }
+
+  /**
+     * Remove everything the level itself draws (platforms, doors,
+     * collectibles, enemies and projectiles), keeping players and the UI
+     */
+  clearLevel() {
+    for (const name of ['platforms', 'doors', 'collectibles', 'enemies', 'projectiles']) {
+      this.clearLayer(name);
+    }
+    for (const [id, element] of this.entities) {
+      if (!element.isConnected) {
+        this.entities.delete(id);
+      }
+    }
+  }
+
   /**
      * Clear all layers and remove all entities
      */
@@ -864,10 +1013,28 @@ class SVGRenderer {
     this.clearLayer('collectibles');
     this.clearLayer('enemies');
     this.clearLayer('players');
+    this.clearLayer('editor');
     this.clearLayer('ui');
     this.entities.clear();
   }
 
+  /**
+     * Scroll the world layers so (x, y) in level coordinates is the top-left
+     * corner of the view. The background and UI layers stay put.
+     * @param {number} x - Camera X position
+     * @param {number} y - Camera Y position
+     */
+  setCamera(x, y) {
+    const transform = `translate(${-Math.round(x)}, ${-Math.round(y)})`;
+    const worldLayers = ['platforms', 'doors', 'collectibles', 'enemies', 'projectiles', 'players', 'editor'];
+    for (const name of worldLayers) {
+      const layer = document.getElementById(`layer-${name}`);
+      if (layer) {
+        layer.setAttribute('transform', transform);
+      }
+    }
+  }
+
   /**
      * Render the background with parallax effect
      * @param {number} cameraX - Camera X position for parallax
@@ -1105,8 +1272,10 @@ class SVGRenderer {
      * Render a level completion screen
      * @param {Object} levelStats - Statistics for the completed level
      * @param {Function} onContinue - Callback for continue button
+     * @param {Object} [options] - Screen options
+     * @param {boolean} [options.replayAvailable] - Offer to watch or download the attempt's replay
      */
-  renderLevelComplete(levelStats, onContinue) {
+  renderLevelComplete(levelStats, onContinue, options = {}) {
     // Create semi-transparent overlay
     const layer = document.getElementById('layer-ui');
 
@@ -1214,6 +1383,13 @@ class SVGRenderer {
 
     container.appendChild(buttonGroup);
 
+    if (options.replayAvailable) {
+      container.appendChild(this.createReplayButtons(
+        420,
+        () => this.renderLevelComplete(levelStats, onContinue, options)
+      ));
+    }
+
     // Animate stars around the banner
     for (let i = 0; i < 20; i++) {
       const star = document.createElementNS(this.svgNS, 'polygon');
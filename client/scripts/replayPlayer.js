@@ -0,0 +1,288 @@
+// client/scripts/replayPlayer.js
+import { FIXED_TIMESTEP } from '../shared/simulation.js';
+import { buttonsAt } from '../shared/replayFormat.js';
+
+// Playback speeds offered by the speed control
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// Longest stretch of frame time simulated in one frame (seconds of game time)
+const MAX_FRAME_TIME = 0.25;
+
+/**
+ * Replay Player Class
+ * Drives a Game's simulation from a .lunareplay file instead of the keyboard.
+ * Playback can be paused, sped up or slowed down, and seeked; seeking
+ * backwards restarts the attempt and fast-forwards, since the simulation
+ * only runs forwards.
+ */
+class ReplayPlayer {
+  /**
+   * Create a replay player
+   * @param {Game} game - Game whose simulation is driven
+   * @param {Object} replay - Parsed replay (see parseReplay)
+   * @param {Object} options - Configuration options
+   * @param {Object} options.levelData - Level the replay was recorded on
+   * @param {Function} [options.onExit] - Called after playback is closed
+   */
+  constructor(game, replay, options = {}) {
+    this.game = game;
+    this.replay = replay;
+    this.levelData = options.levelData;
+    this.onExit = options.onExit || null;
+
+    this.tick = 0;
+    this.speed = 1;
+    this.isPaused = false;
+    this.accumulator = 0;
+    this.lastFrameTime = null;
+    this.animationFrameId = null;
+    this.controls = null;
+
+    this.frame = this.frame.bind(this);
+  }
+
+  /**
+   * Length of the replay in ticks
+   * @returns {number}
+   */
+  get duration() {
+    return this.replay.endTick;
+  }
+
+  /**
+   * Check whether playback reached the end of the recording
+   * @returns {boolean}
+   */
+  get isFinished() {
+    return this.tick >= this.duration;
+  }
+
+  /**
+   * Start playback from the first tick
+   */
+  start() {
+    this.game.playback = this;
+    this.restart();
+    this.createControls();
+    this.game.render();
+    this.lastFrameTime = null;
+    this.animationFrameId = requestAnimationFrame(this.frame);
+  }
+
+  /**
+   * Close playback and hand the game back
+   */
+  stop() {
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+    if (this.controls) {
+      this.controls.remove();
+      this.controls = null;
+    }
+    if (this.game.playback === this) {
+      this.game.playback = null;
+    }
+    if (this.onExit) {
+      this.onExit();
+    }
+  }
+
+  /**
+   * Reset the game to the state the attempt started in
+   */
+  restart() {
+    this.game.resetForReplay(this.replay, this.levelData);
+    this.tick = 0;
+    this.accumulator = 0;
+  }
+
+  /**
+   * Buttons recorded for the tick about to be simulated
+   * @returns {Object} - Button state ({ left, right, jump })
+   */
+  nextInput() {
+    return buttonsAt(this.replay, this.tick);
+  }
+
+  /**
+   * Simulate one recorded tick
+   */
+  step() {
+    if (this.isFinished) return;
+    this.game.fixedUpdate();
+    // handleEnd() may already have moved to the end during this step
+    this.tick = Math.min(this.tick + 1, this.duration);
+    this.game.state.gameTime = this.tick * FIXED_TIMESTEP;
+  }
+
+  /**
+   * Jump to a tick
+   * @param {number} tick - Target tick (clamped to the recording)
+   */
+  seek(tick) {
+    const target = Math.max(0, Math.min(Math.round(tick), this.duration));
+    if (target < this.tick) {
+      this.restart();
+    }
+    while (this.tick < target) {
+      this.step();
+    }
+    this.accumulator = 0;
+    this.game.render();
+    this.updateControls();
+  }
+
+  /**
+   * Change the playback speed
+   * @param {number} speed - One of PLAYBACK_SPEEDS
+   */
+  setSpeed(speed) {
+    if (PLAYBACK_SPEEDS.includes(speed)) {
+      this.speed = speed;
+      this.updateControls();
+    }
+  }
+
+  /**
+   * Pause playback
+   */
+  pause() {
+    this.isPaused = true;
+    this.updateControls();
+  }
+
+  /**
+   * Resume playback (from the start if it already finished)
+   */
+  play() {
+    if (this.isFinished) {
+      this.seek(0);
+    }
+    this.isPaused = false;
+    this.updateControls();
+  }
+
+  /**
+   * Toggle between playing and paused
+   */
+  togglePause() {
+    if (this.isPaused) {
+      this.play();
+    } else {
+      this.pause();
+    }
+  }
+
+  /**
+   * Called by the game when the replayed attempt ends (game over or level complete)
+   */
+  handleEnd() {
+    this.tick = this.duration;
+    this.pause();
+  }
+
+  /**
+   * Animation frame: advance playback by the elapsed time scaled by the speed
+   * @param {number} timestamp - Current time from requestAnimationFrame
+   */
+  frame(timestamp) {
+    const elapsed = this.lastFrameTime === null ? 0 : (timestamp - this.lastFrameTime) / 1000;
+    this.lastFrameTime = timestamp;
+
+    if (!this.isPaused) {
+      this.accumulator += Math.min(elapsed * this.speed, MAX_FRAME_TIME * this.speed);
+      while (this.accumulator >= FIXED_TIMESTEP && !this.isFinished) {
+        this.step();
+        this.accumulator -= FIXED_TIMESTEP;
+      }
+      if (this.isFinished) {
+        this.pause();
+      }
+    }
+
+    this.game.render();
+    this.updateControls();
+    this.animationFrameId = requestAnimationFrame(this.frame);
+  }
+
+  /**
+   * Build the playback control bar
+   */
+  createControls() {
+    const bar = document.createElement('div');
+    bar.id = 'replay-controls';
+    bar.style.position = 'absolute';
+    bar.style.left = '0';
+    bar.style.right = '0';
+    bar.style.bottom = '0';
+    bar.style.display = 'flex';
+    bar.style.alignItems = 'center';
+    bar.style.gap = '10px';
+    bar.style.padding = '8px 12px';
+    bar.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    bar.style.color = '#FFFFFF';
+    bar.style.fontFamily = 'Arial, sans-serif';
+    bar.style.zIndex = '1000';
+
+    const playButton = document.createElement('button');
+    playButton.id = 'replay-play';
+    playButton.onclick = () => this.togglePause();
+    bar.appendChild(playButton);
+
+    const seekBar = document.createElement('input');
+    seekBar.id = 'replay-seek';
+    seekBar.type = 'range';
+    seekBar.min = '0';
+    seekBar.max = String(this.duration);
+    seekBar.style.flex = '1';
+    seekBar.oninput = () => this.seek(Number(seekBar.value));
+    bar.appendChild(seekBar);
+
+    const timeLabel = document.createElement('span');
+    timeLabel.id = 'replay-time';
+    bar.appendChild(timeLabel);
+
+    const speedSelect = document.createElement('select');
+    speedSelect.id = 'replay-speed';
+    for (const speed of PLAYBACK_SPEEDS) {
+      const option = document.createElement('option');
+      option.value = String(speed);
+      option.textContent = `${speed}x`;
+      speedSelect.appendChild(option);
+    }
+    speedSelect.onchange = () => this.setSpeed(Number(speedSelect.value));
+    bar.appendChild(speedSelect);
+
+    const exitButton = document.createElement('button');
+    exitButton.id = 'replay-exit';
+    exitButton.textContent = 'Exit Replay';
+    exitButton.onclick = () => this.stop();
+    bar.appendChild(exitButton);
+
+    this.game.container.appendChild(bar);
+    this.controls = bar;
+    this.updateControls();
+  }
+
+  /**
+   * Reflect playback state in the control bar
+   */
+  updateControls() {
+    if (!this.controls) return;
+
+    const formatTime = (ticks) => {
+      const seconds = Math.floor(ticks * FIXED_TIMESTEP);
+      return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+    };
+
+    this.controls.querySelector('#replay-play').textContent = this.isPaused ? 'Play' : 'Pause';
+    this.controls.querySelector('#replay-seek').value = String(this.tick);
+    this.controls.querySelector('#replay-time').textContent = `${formatTime(this.tick)} / ${formatTime(this.duration)}`;
+    this.controls.querySelector('#replay-speed').value = String(this.speed);
+  }
+}
+
+export { ReplayPlayer };
+export default ReplayPlayer;
@@ -0,0 +1,193 @@
+// client/scripts/snapshotBuffer.js
+import {
+  SERVER_TICK_RATE,
+  INTERPOLATION_DELAY,
+  MAX_EXTRAPOLATION
+} from '../shared/constants.js';
+
+/**
+ * Snapshot Buffer Class
+ * Stores recent server tick snapshots and samples remote entity positions
+ * slightly in the past so they can be interpolated smoothly between ticks.
+ */
+class SnapshotBuffer {
+  /**
+   * Create a snapshot buffer
+   * @param {Object} options - Configuration options
+   * @param {number} [options.interpolationDelay] - How far behind real time to render (ms)
+   * @param {number} [options.maxExtrapolation] - How far past the newest snapshot to predict (ms)
+   * @param {number} [options.tickRate] - Server ticks per second
+   * @param {number} [options.maxSnapshots] - Snapshots kept in memory
+   */
+  constructor(options = {}) {
+    this.interpolationDelay = options.interpolationDelay !== undefined
+      ? options.interpolationDelay
+      : INTERPOLATION_DELAY;
+    this.maxExtrapolation = options.maxExtrapolation !== undefined
+      ? options.maxExtrapolation
+      : MAX_EXTRAPOLATION;
+    this.tickDuration = 1000 / (options.tickRate || SERVER_TICK_RATE);
+    this.maxSnapshots = options.maxSnapshots || 60;
+
+    // Oldest first: { serverTime, players: Map, enemies: Map }
+    this.snapshots = [];
+
+    // Smallest observed (local receive time - server time); maps server time to local time
+    this.clockOffset = null;
+  }
+
+  /**
+   * Add a server tick snapshot
+   * @param {Object} tickState - Snapshot from GameEngine.getTickState()
+   * @param {number} receivedAt - Local time the snapshot arrived (ms)
+   */
+  push(tickState, receivedAt) {
+    if (!tickState || !Number.isFinite(tickState.tick)) return;
+
+    const serverTime = tickState.tick * this.tickDuration;
+    const newest = this.snapshots[this.snapshots.length - 1];
+
+    // A tick counter that went backwards means the server engine restarted
+    if (newest && serverTime < newest.serverTime) {
+      this.clear();
+    } else if (newest && serverTime === newest.serverTime) {
+      return;
+    }
+
+    // The fastest delivery seen so far is the best estimate of the clock offset;
+    // using the minimum keeps late (jittered) packets from dragging the timeline.
+    const offset = receivedAt - serverTime;
+    if (this.clockOffset === null || offset < this.clockOffset) {
+      this.clockOffset = offset;
+    }
+
+    this.snapshots.push({
+      serverTime,
+      players: SnapshotBuffer.indexById(tickState.players),
+      enemies: SnapshotBuffer.indexById(tickState.enemies)
+    });
+
+    if (this.snapshots.length > this.maxSnapshots) {
+      this.snapshots.shift();
+    }
+  }
+
+  /**
+   * Forget all snapshots (e.g. on level change or reconnect)
+   */
+  clear() {
+    this.snapshots = [];
+    this.clockOffset = null;
+  }
+
+  /**
+   * Check whether any snapshot is available
+   * @returns {boolean}
+   */
+  hasData() {
+    return this.snapshots.length > 0;
+  }
+
+  /**
+   * Sample entity positions at the render time for a given local time
+   * @param {number} now - Current local time (ms)
+   * @returns {Object|null} - { players: Map, enemies: Map } of interpolated states
+   */
+  sample(now) {
+    if (this.snapshots.length === 0) return null;
+
+    const renderTime = now - this.clockOffset - this.interpolationDelay;
+    const { snapshots } = this;
+    const oldest = snapshots[0];
+    const newest = snapshots[snapshots.length - 1];
+
+    if (snapshots.length === 1 || renderTime <= oldest.serverTime) {
+      return SnapshotBuffer.copySnapshot(renderTime <= oldest.serverTime ? oldest : newest);
+    }
+
+    if (renderTime >= newest.serverTime) {
+      // Packet loss or a stall: continue along the last known motion for a short while
+      const previous = snapshots[snapshots.length - 2];
+      const ahead = Math.min(renderTime - newest.serverTime, this.maxExtrapolation);
+      const t = 1 + ahead / (newest.serverTime - previous.serverTime);
+      return SnapshotBuffer.blend(previous, newest, t);
+    }
+
+    // Drop snapshots that are entirely behind the render time, keeping one to interpolate from
+    let index = snapshots.length - 2;
+    while (index > 0 && snapshots[index].serverTime > renderTime) {
+      index--;
+    }
+    if (index > 0) {
+      snapshots.splice(0, index);
+      index = 0;
+    }
+
+    const from = snapshots[index];
+    const to = snapshots[index + 1];
+    const t = (renderTime - from.serverTime) / (to.serverTime - from.serverTime);
+    return SnapshotBuffer.blend(from, to, t);
+  }
+
+  /**
+   * Blend two snapshots
+   * @param {Object} from - Earlier snapshot
+   * @param {Object} to - Later snapshot
+   * @param {number} t - Blend factor (0..1 interpolates, >1 extrapolates)
+   * @returns {Object} - { players: Map, enemies: Map }
+   */
+  static blend(from, to, t) {
+    return {
+      players: SnapshotBuffer.blendEntities(from.players, to.players, t),
+      enemies: SnapshotBuffer.blendEntities(from.enemies, to.enemies, t)
+    };
+  }
+
+  /**
+   * Blend entity positions present in the later snapshot.
+   * Entities missing from the earlier snapshot appear at their later position;
+   * entities missing from the later one are treated as gone.
+   * @param {Map} fromEntities - Earlier entities by id
+   * @param {Map} toEntities - Later entities by id
+   * @param {number} t - Blend factor
+   * @returns {Map} - Blended entities by id
+   */
+  static blendEntities(fromEntities, toEntities, t) {
+    const result = new Map();
+
+    for (const [id, to] of toEntities) {
+      const from = fromEntities.get(id);
+      if (!from) {
+        result.set(id, { ...to });
+      } else {
+        result.set(id, {
+          ...to,
+          x: from.x + (to.x - from.x) * t,
+          y: from.y + (to.y - from.y) * t
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Copy a stored snapshot so callers cannot mutate the buffer
+   * @param {Object} snapshot - Stored snapshot
+   * @returns {Object} - { players: Map, enemies: Map }
+   */
+  static copySnapshot(snapshot) {
+    return SnapshotBuffer.blend(snapshot, snapshot, 0);
+  }
+
+  /**
+   * Index an entity list by id
+   * @param {Array<Object>} [entities] - Entities with an id
+   * @returns {Map} - Entities by id
+   */
+  static indexById(entities = []) {
+    return new Map(entities.map((entity) => [entity.id, entity]));
+  }
+}
+
+export default SnapshotBuffer;
@@ -0,0 +1,126 @@
+// client/scripts/spectatorCamera.js
+
+/**
+ * Spectator Camera Class
+ * Decides which part of the level a spectator sees. In 'follow' mode it
+ * keeps one player centred (the first connected player when none was picked
+ * or the picked one left); in 'free' mode it stays where it was panned to.
+ * The camera never shows anything outside the level.
+ */
+class SpectatorCamera {
+  /**
+   * Create a spectator camera
+   * @param {number} width - Viewport width
+   * @param {number} height - Viewport height
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.panSpeed] - Free camera speed (pixels per second)
+   * @param {number} [options.smoothing] - Share of the distance to the target covered per 1/60 s
+   */
+  constructor(width, height, options = {}) {
+    this.width = width;
+    this.height = height;
+    this.panSpeed = options.panSpeed || 600;
+    this.smoothing = options.smoothing || 0.15;
+
+    // Top-left corner of the view in level coordinates
+    this.x = 0;
+    this.y = 0;
+
+    this.mode = 'follow';
+    this.targetId = null;
+
+    // Level size; defaults to the viewport until a level is loaded
+    this.bounds = { width, height };
+  }
+
+  /**
+   * Set the level size the camera is kept inside
+   * @param {number} width - Level width
+   * @param {number} height - Level height
+   */
+  setBounds(width, height) {
+    this.bounds = { width: width || this.width, height: height || this.height };
+    this.clamp();
+  }
+
+  /**
+   * Follow a player
+   * @param {string|null} playerId - Player to follow (null follows whoever is first)
+   */
+  follow(playerId = null) {
+    this.mode = 'follow';
+    this.targetId = playerId;
+  }
+
+  /**
+   * Stop following and keep the view where it is
+   */
+  free() {
+    this.mode = 'free';
+  }
+
+  /**
+   * Move the view, switching to the free camera
+   * @param {number} dx - Horizontal distance (pixels)
+   * @param {number} dy - Vertical distance (pixels)
+   */
+  pan(dx, dy = 0) {
+    this.free();
+    this.x += dx;
+    this.y += dy;
+    this.clamp();
+  }
+
+  /**
+   * Player the camera is following this frame
+   * @param {Map<string, Object>} players - Players by id
+   * @returns {Object|null}
+   */
+  findTarget(players) {
+    const picked = this.targetId !== null ? players.get(this.targetId) : null;
+    if (picked) return picked;
+
+    for (const player of players.values()) {
+      if (player.connected !== false) return player;
+    }
+    return null;
+  }
+
+  /**
+   * Advance the camera one frame
+   * @param {Map<string, Object>} players - Players by id
+   * @param {number} deltaTime - Frame time (seconds)
+   * @param {Object} [input] - Held keys ({ left, right }); either one pans the free camera
+   */
+  update(players, deltaTime, input = {}) {
+    const direction = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+    if (direction !== 0) {
+      this.pan(direction * this.panSpeed * deltaTime);
+      return;
+    }
+    if (this.mode !== 'follow') return;
+
+    const target = this.findTarget(players);
+    if (!target) return;
+
+    const goalX = target.x + (target.width || 0) / 2 - this.width / 2;
+    const goalY = target.y + (target.height || 0) / 2 - this.height / 2;
+    // Frame-rate independent easing towards the goal
+    const blend = 1 - (1 - this.smoothing) ** (deltaTime * 60);
+    this.x += (goalX - this.x) * blend;
+    this.y += (goalY - this.y) * blend;
+    this.clamp();
+  }
+
+  /**
+   * Keep the view inside the level
+   */
+  clamp() {
+    const maxX = Math.max(0, this.bounds.width - this.width);
+    const maxY = Math.max(0, this.bounds.height - this.height);
+    this.x = Math.min(Math.max(this.x, 0), maxX);
+    this.y = Math.min(Math.max(this.y, 0), maxY);
+  }
+}
+
+export default SpectatorCamera;
@@ -9,7 +9,7 @@
  */
 
 // Cache name with version (increment to force update)
-const CACHE_NAME = 'lunas-adventure-v1';
+const CACHE_NAME = 'lunas-adventure-v9';
 
 // Resources to cache immediately when service worker is installed
 const PRECACHE_RESOURCES = [
@@ -20,11 +20,27 @@ const PRECACHE_RESOURCES = [
   '/scripts/renderer.js',
   '/scripts/inputHandler.js',
   '/scripts/physics.js',
+  '/scripts/snapshotBuffer.js',
+  '/scripts/spectatorCamera.js',
+  '/scripts/replayPlayer.js',
+  '/scripts/accountClient.js',
+  '/scripts/progressClient.js',
+  '/scripts/leaderboardScreen.js',
+  '/scripts/levelBrowser.js',
+  '/scripts/levelDocument.js',
+  '/scripts/levelEditor.js',
+  '/scripts/pwa.js',
   '/scripts/entities/player.js',
   '/scripts/entities/enemy.js',
   '/scripts/entities/platform.js',
   '/scripts/entities/collectible.js',
   '/shared/constants.js',
+  '/shared/simulation.js',
+  '/shared/random.js',
+  '/shared/stateDelta.js',
+  '/shared/replayFormat.js',
+  '/shared/saveGame.js',
+  '/shared/levelSchema.js',
   '/assets/sprites/luna_idle.svg',
   '/assets/sprites/luna_run.svg',
   '/assets/sprites/luna_jump.svg',
@@ -190,7 +206,9 @@ async function syncHighScores() {
 }
 
 /**
- * Sync saved game to server when online
+ * Sync saved game to server when online.
+ * A saved game record is { id, progress, accessToken, synced }: the save game
+ * (see shared/saveGame.js) and the token of the account it belongs to.
  * @returns {Promise} - Promise that resolves when sync completes
  */
 async function syncSavedGame() {
@@ -205,15 +223,22 @@ async function syncSavedGame() {
       return;
     }
 
-    // Send to server
-    const response = await fetch('/api/savegame', {
-      method: 'POST',
+    // Send to server; it merges the save with the account's cloud save
+    const response = await fetch('/api/progress', {
+      method: 'PUT',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${savedGame.accessToken}`
       },
-      body: JSON.stringify(savedGame)
+      body: JSON.stringify({ progress: savedGame.progress })
     });
 
+    if (response.status === 401) {
+      // The token expired; the page uploads the save on its next sync
+      console.warn('Service Worker: Saved game sync needs a new session');
+      return;
+    }
+
     if (response.ok) {
       // Mark as synced in IndexedDB
       await markSavedGameAsSynced(db, savedGame.id);
@@ -30,6 +30,12 @@ export const PLAYER_DAMAGE_INVULNERABILITY = 1500; // ms
 export const PLAYER_KNOCKBACK_FORCE = 7;
 
 // Enemy constants
+export const ENEMY_TYPES = {
+  BASIC: 'basic',
+  FLYING: 'flying',
+  SHOOTER: 'shooter',
+  BOSS: 'boss'
+};
 export const ENEMY_SPEED = 1.5;
 export const FLYING_ENEMY_SPEED = 2;
 export const ENEMY_WIDTH = 40;
@@ -131,7 +137,7 @@ export const GAME_STATES = {
 export const NETWORK_EVENTS = {
   PLAYER_JOIN: 'player:join',
   PLAYER_LEAVE: 'player:leave',
-  PLAYER_MOVE: 'player:move',
+  PLAYER_INPUT: 'player:input',
   PLAYER_JUMP: 'player:jump',
   PLAYER_DAMAGE: 'player:damage',
   PLAYER_DEATH: 'player:death',
@@ -139,18 +145,33 @@ export const NETWORK_EVENTS = {
   PLAYER_COLLECT: 'player:collect',
   PLAYER_GAMEOVER: 'player:gameover',
   ENEMY_DEFEAT: 'enemy:defeated',
+  CLAIM_REJECTED: 'claim:rejected',
   GAME_START: 'game:start',
   GAME_STATE: 'game:state',
+  STATE_DELTA: 'state:delta',
+  STATE_RESYNC: 'state:resync',
   LEVEL_REQUEST: 'level:request',
   LEVEL_DATA: 'level:data',
-  LEVEL_COMPLETE: 'level:complete'
+  LEVEL_ERROR: 'level:error',
+  LEVEL_UPDATED: 'level:updated',
+  LEVEL_INVALID: 'level:invalid',
+  LEVEL_COMPLETE: 'level:complete',
+  ROOM_CREATE: 'room:create',
+  ROOM_JOIN: 'room:join',
+  ROOM_LEAVE: 'room:leave',
+  ROOM_LIST: 'room:list',
+  ROOM_JOINED: 'room:joined'
 };
 
 // Networking settings
 export const NETWORK_UPDATE_RATE = 10; // Updates per second
-export const INPUT_BUFFER_SIZE = 20; // Store last 20 inputs for reconciliation
+export const MAX_INPUT_QUEUE = 30; // Input commands the server queues per player (~0.5 s)
+export const INPUT_BUFFER_SIZE = MAX_INPUT_QUEUE; // Fewest unacknowledged inputs kept
 export const CLIENT_PREDICTION = true; // Enable client-side prediction
 export const SERVER_RECONCILIATION = true; // Enable server reconciliation
+export const SERVER_TICK_RATE = 60; // Server simulation ticks per second (one game:tick each)
+export const INTERPOLATION_DELAY = 100; // Render remote entities this many ms in the past
+export const MAX_EXTRAPOLATION = 250; // Max ms to extrapolate past the newest snapshot
 
 // Animation constants
 export const ANIMATION_FPS = 10; // Frames per second for animations
@@ -0,0 +1,372 @@
+// client/shared/levelSchema.js
+
+/**
+ * The level file format, shared by the server (AssetManager refuses invalid
+ * levels), the `npm run validate` command line and the client.
+ *
+ * LEVEL_SCHEMA lists every field a level and each kind of entity may carry.
+ * validateLevel() checks a level against it, then checks what the schema
+ * alone cannot: ids are unique, every key opens a door that exists,
+ * everything lies inside the level and within a jump of a platform, and the
+ * spawn point is above solid ground.
+ */
+
+import {
+  GAME_WIDTH,
+  GAME_HEIGHT,
+  GRAVITY,
+  TERMINAL_VELOCITY,
+  JUMP_FORCE,
+  PLAYER_WIDTH,
+  PLAYER_HEIGHT,
+  PLATFORM_TYPES,
+  BOUNCY_PLATFORM_FORCE,
+  COLLECTIBLE_TYPES,
+  POWERUP_TYPES,
+  ENEMY_TYPES
+} from './constants.js';
+
+export const LEVEL_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Community levels start as drafts only their author sees, then get published
+export const LEVEL_STATUSES = ['draft', 'published'];
+
+// How hard the author rates a level, for finding levels in the browser
+export const LEVEL_DIFFICULTIES = ['easy', 'normal', 'hard'];
+const ENTITY_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// Upper bounds that keep one level cheap to load, simulate and replicate
+export const MAX_LEVEL_WIDTH = 20000;
+export const MAX_LEVEL_HEIGHT = 4000;
+export const MAX_ENTITIES = 500;
+
+// Fields every entity has: an id and a box in level coordinates
+const BOX_FIELDS = {
+  id: { type: 'string', required: true, pattern: ENTITY_ID_PATTERN },
+  x: { type: 'number', required: true },
+  y: { type: 'number', required: true },
+  width: { type: 'number', required: true, min: 1 },
+  height: { type: 'number', required: true, min: 1 }
+};
+
+const PATROL_FIELDS = {
+  patrolStart: { type: 'number' },
+  patrolEnd: { type: 'number' }
+};
+
+/**
+ * Field rules by record kind. A rule names the value's `type` ('string',
+ * 'number', 'boolean', 'array' or 'object') and may add `required`,
+ * `min`/`max`, `minLength`/`maxLength`, `pattern`, `enum`, `items` (the kind of each
+ * array element) and `maxItems`, or `fields` (the kind of a nested object).
+ * Fields not listed are rejected, so typos do not pass silently.
+ */
+export const LEVEL_SCHEMA = {
+  level: {
+    id: { type: 'string', required: true, pattern: LEVEL_ID_PATTERN },
+    name: {
+      type: 'string', required: true, minLength: 1, maxLength: 64
+    },
+    width: {
+      type: 'number', required: true, min: GAME_WIDTH, max: MAX_LEVEL_WIDTH
+    },
+    height: {
+      type: 'number', required: true, min: GAME_HEIGHT, max: MAX_LEVEL_HEIGHT
+    },
+    gravity: { type: 'number', min: 0.1, max: 2 },
+    difficulty: { type: 'string', enum: LEVEL_DIFFICULTIES },
+    platforms: {
+      type: 'array', required: true, items: 'platform', maxItems: MAX_ENTITIES
+    },
+    collectibles: {
+      type: 'array', required: true, items: 'collectible', maxItems: MAX_ENTITIES
+    },
+    enemies: {
+      type: 'array', required: true, items: 'enemy', maxItems: MAX_ENTITIES
+    },
+    doors: { type: 'array', items: 'door', maxItems: MAX_ENTITIES },
+    spawnPoint: { type: 'object', required: true, fields: 'spawnPoint' }
+  },
+  platform: {
+    ...BOX_FIELDS,
+    type: { type: 'string', required: true, enum: Object.values(PLATFORM_TYPES) },
+    ...PATROL_FIELDS,
+    // Moving platforms: the axis they patrol along (patrolStart/patrolEnd are x or y)
+    speed: { type: 'number', min: 0 },
+    direction: { type: 'string', enum: ['horizontal', 'vertical'] }
+  },
+  collectible: {
+    ...BOX_FIELDS,
+    type: { type: 'string', required: true, enum: Object.values(COLLECTIBLE_TYPES) },
+    // Keys: the door they unlock
+    target: { type: 'string', pattern: ENTITY_ID_PATTERN },
+    // Power-ups: the ability they give
+    powerupType: { type: 'string', enum: Object.values(POWERUP_TYPES) }
+  },
+  enemy: {
+    ...BOX_FIELDS,
+    type: { type: 'string', required: true, enum: Object.values(ENEMY_TYPES) },
+    ...PATROL_FIELDS,
+    startY: { type: 'number' }
+  },
+  door: {
+    ...BOX_FIELDS,
+    locked: { type: 'boolean' }
+  },
+  spawnPoint: {
+    x: { type: 'number', required: true },
+    y: { type: 'number', required: true }
+  }
+};
+
+// Entity collections and the kind of record each holds
+const COLLECTIONS = {
+  platforms: 'platform',
+  collectibles: 'collectible',
+  enemies: 'enemy',
+  doors: 'door'
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && !Number.isFinite(value)) return 'non-finite number';
+  return typeof value;
+}
+
+/**
+ * Check one record against its field rules
+ * @param {Object} record - Record to check
+ * @param {string} kind - Key of LEVEL_SCHEMA
+ * @param {string} label - Prefix for messages, e.g. 'platforms[2] (ground-1)'
+ * @param {Array<string>} errors - Messages are appended here
+ */
+function checkFields(record, kind, label, errors) {
+  const rules = LEVEL_SCHEMA[kind];
+  const prefix = label ? `${label}: ` : '';
+
+  for (const field of Object.keys(record)) {
+    if (!rules[field]) {
+      errors.push(`${prefix}${field} is not a known field`);
+    }
+  }
+
+  for (const [field, rule] of Object.entries(rules)) {
+    const value = record[field];
+    if (value === undefined) {
+      if (rule.required) errors.push(`${prefix}${field} is required`);
+    } else if (typeOf(value) !== rule.type) {
+      errors.push(`${prefix}${field} must be a ${rule.type}, not ${typeOf(value)}`);
+    } else if (rule.enum && !rule.enum.includes(value)) {
+      errors.push(`${prefix}${field} must be one of: ${rule.enum.join(', ')} (got "${value}")`);
+    } else if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push(`${prefix}${field} "${value}" must match ${rule.pattern}`);
+    } else if (rule.minLength !== undefined && value.length < rule.minLength) {
+      const unit = rule.minLength === 1 ? 'character' : 'characters';
+      errors.push(`${prefix}${field} must be at least ${rule.minLength} ${unit} long`);
+    } else if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      errors.push(`${prefix}${field} must be at most ${rule.maxLength} characters`);
+    } else if (rule.min !== undefined && value < rule.min) {
+      errors.push(`${prefix}${field} must be at least ${rule.min}`);
+    } else if (rule.max !== undefined && value > rule.max) {
+      errors.push(`${prefix}${field} must be at most ${rule.max}`);
+    } else if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      errors.push(`${prefix}${field} may hold at most ${rule.maxItems} entries`);
+    } else if (rule.fields) {
+      if (!isPlainObject(value)) {
+        errors.push(`${prefix}${field} must be an object`);
+      } else {
+        checkFields(value, rule.fields, label ? `${label}.${field}` : field, errors);
+      }
+    } else if (rule.items) {
+      value.forEach((item, index) => {
+        const itemLabel = `${field}[${index}]${item && typeof item.id === 'string' ? ` (${item.id})` : ''}`;
+        if (!isPlainObject(item)) {
+          errors.push(`${itemLabel}: must be an object`);
+        } else {
+          checkFields(item, rule.items, itemLabel, errors);
+        }
+      });
+    }
+  }
+}
+
+/**
+ * How high a jump from standing lifts the player's feet, stepping the
+ * simulation the way integratePlayer() does
+ * @param {number} [gravity] - Level gravity
+ * @param {number} [jumpForce] - Upward speed at take-off
+ * @returns {number} - Height in pixels
+ */
+export function jumpHeight(gravity = GRAVITY, jumpForce = JUMP_FORCE) {
+  let velocity = -jumpForce;
+  let height = 0;
+  while (velocity < 0) {
+    velocity = Math.min(velocity + gravity, TERMINAL_VELOCITY);
+    if (velocity < 0) height -= velocity;
+  }
+  return height;
+}
+
+/**
+ * Whether a player jumping from a platform can touch a box: the box is
+ * within a player's width of the platform sideways, not below it, and no
+ * higher than the top of the player at the height of the jump. A bouncy
+ * platform throws the player higher than a jump, so the jump's height is
+ * scaled by the square of the bounce force.
+ * @param {Object} box - Box to reach
+ * @param {Object} platform - Platform jumped from
+ * @param {number} height - Jump height (see jumpHeight())
+ * @returns {boolean}
+ */
+function canReachFrom(box, platform, height) {
+  const sideways = box.x + box.width > platform.x - PLAYER_WIDTH
+    && box.x < platform.x + platform.width + PLAYER_WIDTH;
+  const bounce = platform.type === PLATFORM_TYPES.BOUNCY ? BOUNCY_PLATFORM_FORCE ** 2 : 1;
+  const reach = height * bounce + PLAYER_HEIGHT;
+  return sideways
+    && box.y < platform.y + platform.height
+    && platform.y - (box.y + box.height) <= reach;
+}
+
+const isInside = (box, level) => box.x >= 0
+  && box.y >= 0
+  && box.x + box.width <= level.width
+  && box.y + box.height <= level.height;
+
+// Checks that only make sense once every field has the right type
+function checkLevelContents(level, errors) {
+  const label = (collection, index, entity) => `${collection}[${index}] (${entity.id})`;
+  const doors = level.doors || [];
+  const doorIds = new Set(doors.map((door) => door.id));
+  const unlockedDoors = new Set();
+
+  for (const collection of Object.keys(COLLECTIONS)) {
+    const seen = new Set();
+    (level[collection] || []).forEach((entity, index) => {
+      const where = label(collection, index, entity);
+      if (seen.has(entity.id)) {
+        errors.push(`${where}: id is used more than once in ${collection}`);
+      }
+      seen.add(entity.id);
+
+      if (!isInside(entity, level)) {
+        errors.push(`${where}: lies outside the ${level.width}x${level.height} level`);
+      }
+      if (entity.patrolStart !== undefined || entity.patrolEnd !== undefined) {
+        const vertical = entity.direction === 'vertical';
+        const position = vertical ? entity.y : entity.x;
+        const start = entity.patrolStart !== undefined ? entity.patrolStart : position;
+        const end = entity.patrolEnd !== undefined ? entity.patrolEnd : position;
+        if (start > end) {
+          errors.push(`${where}: patrolStart must not be greater than patrolEnd`);
+        } else if (start < 0 || end > (vertical ? level.height : level.width)) {
+          errors.push(`${where}: patrol range ${start}-${end} leaves the level`);
+        }
+      }
+    });
+  }
+
+  level.collectibles.forEach((collectible, index) => {
+    const where = label('collectibles', index, collectible);
+    const isKey = collectible.type === COLLECTIBLE_TYPES.KEY;
+    if (isKey && collectible.target === undefined) {
+      errors.push(`${where}: keys need a target door`);
+    } else if (isKey && !doorIds.has(collectible.target)) {
+      errors.push(`${where}: target door "${collectible.target}" does not exist`);
+    } else if (isKey) {
+      unlockedDoors.add(collectible.target);
+    } else if (collectible.target !== undefined) {
+      errors.push(`${where}: only keys have a target`);
+    }
+
+    const isPowerup = collectible.type === COLLECTIBLE_TYPES.POWERUP;
+    if (isPowerup && collectible.powerupType === undefined) {
+      errors.push(`${where}: power-ups need a powerupType`);
+    } else if (!isPowerup && collectible.powerupType !== undefined) {
+      errors.push(`${where}: only power-ups have a powerupType`);
+    }
+  });
+
+  doors.forEach((door, index) => {
+    if (door.locked !== false && !unlockedDoors.has(door.id)) {
+      errors.push(`${label('doors', index, door)}: is locked and no key opens it`);
+    }
+  });
+
+  // Everything the player has to touch must be within a jump of a platform
+  const height = jumpHeight(level.gravity !== undefined ? level.gravity : GRAVITY);
+  const reachable = (box) => level.platforms.some(
+    (platform) => canReachFrom(box, platform, height)
+  );
+  for (const collection of ['collectibles', 'doors']) {
+    (level[collection] || []).forEach((entity, index) => {
+      if (isInside(entity, level) && !reachable(entity)) {
+        errors.push(`${label(collection, index, entity)}: is out of jumping reach of every platform`);
+      }
+    });
+  }
+
+  // The player spawns as a PLAYER_WIDTH x PLAYER_HEIGHT box with its top-left at spawnPoint
+  const spawn = {
+    x: level.spawnPoint.x, y: level.spawnPoint.y, width: PLAYER_WIDTH, height: PLAYER_HEIGHT
+  };
+  if (!isInside(spawn, level)) {
+    errors.push(`spawnPoint: the player would spawn outside the ${level.width}x${level.height} level`);
+  } else if (!level.platforms.some((platform) => platform.y >= spawn.y + spawn.height
+    && spawn.x + spawn.width > platform.x
+    && spawn.x < platform.x + platform.width)) {
+    errors.push('spawnPoint: there is no platform below it to land on');
+  }
+}
+
+/**
+ * Check a level against the level format
+ * @param {Object} level - Parsed level JSON
+ * @returns {Array<string>} - One message per problem found (empty when valid)
+ */
+export function validateLevel(level) {
+  if (!isPlainObject(level)) {
+    return ['Level must be a JSON object'];
+  }
+
+  const errors = [];
+  checkFields(level, 'level', '', errors);
+  if (errors.length === 0) {
+    checkLevelContents(level, errors);
+  }
+  return errors;
+}
+
+/**
+ * Error thrown for a level that does not match the level format
+ */
+export class LevelValidationError extends Error {
+  /**
+   * @param {string} levelId - Level id or file name
+   * @param {Array<string>} errors - Messages from validateLevel()
+   */
+  constructor(levelId, errors) {
+    super(`Level ${levelId} is invalid: ${errors.join('; ')}`);
+    this.name = 'LevelValidationError';
+    this.levelId = levelId;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validate a level and return it unchanged
+ * @param {Object} level - Parsed level JSON
+ * @param {string} [source] - Name used in the error (defaults to the level's id)
+ * @returns {Object} - The level
+ * @throws {LevelValidationError} - Listing every problem found
+ */
+export function assertValidLevel(level, source) {
+  const errors = validateLevel(level);
+  if (errors.length > 0) {
+    throw new LevelValidationError(source || (isPlainObject(level) && level.id) || 'level', errors);
+  }
+  return level;
+}
@@ -0,0 +1,136 @@
+// client/shared/random.js
+
+/**
+ * Seeded randomness and simulation time.
+ *
+ * Gameplay code must never read Math.random() or the wall clock directly:
+ * both make runs unrepeatable. Instead a SeededRandom and a SimulationClock
+ * are injected into the engine and entities, so a run can be reproduced from
+ * its seed and inputs alone.
+ */
+
+import { SERVER_TICK_RATE } from './constants.js';
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} - Returns a float in [0, 1) on each call
+ */
+export function createRng(seed) {
+  let state = seed >>> 0; // eslint-disable-line no-bitwise
+
+  return function random() {
+    /* eslint-disable no-bitwise */
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    /* eslint-enable no-bitwise */
+  };
+}
+
+/**
+ * Seedable random number source
+ */
+export class SeededRandom {
+  /**
+   * @param {number} [seed] - 32-bit integer seed
+   */
+  constructor(seed = 1) {
+    this.reseed(seed);
+  }
+
+  /**
+   * Pick a fresh seed for a new run. This is the only place wall-clock entropy is allowed.
+   * @returns {number} - 32-bit unsigned seed
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+  }
+
+  /**
+   * Restart the sequence from a seed
+   * @param {number} seed - 32-bit integer seed
+   */
+  reseed(seed) {
+    this.seed = seed >>> 0; // eslint-disable-line no-bitwise
+    this.next = createRng(this.seed);
+  }
+
+  /**
+   * Random float in [min, max)
+   * @param {number} min - Lower bound
+   * @param {number} max - Upper bound
+   * @returns {number}
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Random integer in [0, max)
+   * @param {number} max - Exclusive upper bound
+   * @returns {number}
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Return true with the given probability
+   * @param {number} probability - Chance in [0, 1]
+   * @returns {boolean}
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+}
+
+/**
+ * Simulation clock counting fixed steps
+ */
+export class SimulationClock {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} [options.tickRate] - Steps per second
+   * @param {number} [options.tick] - Starting tick
+   */
+  constructor(options = {}) {
+    this.tickRate = options.tickRate || SERVER_TICK_RATE;
+    this.tick = options.tick || 0;
+  }
+
+  /**
+   * Length of one step in seconds
+   * @returns {number}
+   */
+  get timestep() {
+    return 1 / this.tickRate;
+  }
+
+  /**
+   * Current simulation time in seconds
+   * @returns {number}
+   */
+  now() {
+    return this.tick / this.tickRate;
+  }
+
+  /**
+   * Advance by one step
+   * @returns {number} - The new tick
+   */
+  advance() {
+    this.tick++;
+    return this.tick;
+  }
+
+  /**
+   * Jump to a tick (e.g. when starting a replay)
+   * @param {number} [tick] - Tick to reset to
+   */
+  reset(tick = 0) {
+    this.tick = tick;
+  }
+}
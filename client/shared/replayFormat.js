@@ -0,0 +1,245 @@
+// client/shared/replayFormat.js
+
+/**
+ * The .lunareplay file format, shared by the client (recording, playback)
+ * and the server (verification).
+ *
+ * A replay is one attempt at one level: everything needed to re-run the
+ * simulation (level id, seed, starting stats, and the buttons held on every
+ * tick) plus descriptive metadata. Inputs are stored as [tick, buttons] pairs
+ * only when the buttons change; buttons are a bitmask of BUTTON_BITS.
+ */
+
+import { SIMULATION_VERSION, GAMEPLAY_RULES } from './simulation.js';
+import { SERVER_TICK_RATE } from './constants.js';
+import { MAX_LIVES } from './saveGame.js';
+
+export const REPLAY_FORMAT = 'lunareplay';
+export const REPLAY_FORMAT_VERSION = 1;
+export const REPLAY_FILE_EXTENSION = '.lunareplay';
+export const REPLAY_MIME_TYPE = 'application/json';
+
+export const BUTTON_BITS = {
+  left: 1,
+  right: 2,
+  jump: 4
+};
+
+const ALL_BUTTONS = Object.values(BUTTON_BITS).reduce((sum, bit) => sum + bit, 0);
+
+/**
+ * Pack a button state into a bitmask
+ * @param {Object} buttons - Button state ({ left, right, jump })
+ * @returns {number}
+ */
+export function encodeButtons(buttons) {
+  let bits = 0;
+  for (const [name, bit] of Object.entries(BUTTON_BITS)) {
+    if (buttons[name]) bits += bit;
+  }
+  return bits;
+}
+
+/**
+ * Unpack a bitmask into a button state
+ * @param {number} bits - Bitmask from encodeButtons()
+ * @returns {Object} - Button state ({ left, right, jump })
+ */
+export function decodeButtons(bits) {
+  const buttons = {};
+  for (const [name, bit] of Object.entries(BUTTON_BITS)) {
+    // eslint-disable-next-line no-bitwise
+    buttons[name] = (bits & bit) !== 0;
+  }
+  return buttons;
+}
+
+/**
+ * Start a new replay
+ * @param {Object} options - Replay options
+ * @param {string} options.levelId - Level being played
+ * @param {number} options.seed - Seed the attempt's random source was reset to
+ * @param {Object} [options.initialState] - Stats carried into the level ({ score, lives, health })
+ * @param {Object} [options.metadata] - Descriptive fields (player name, etc.)
+ * @returns {Object} - Empty replay
+ */
+export function createReplay(options) {
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_FORMAT_VERSION,
+    engineVersion: SIMULATION_VERSION,
+    tickRate: SERVER_TICK_RATE,
+    levelId: options.levelId,
+    seed: options.seed,
+    initialState: {
+      score: 0,
+      lives: 3,
+      health: 100,
+      ...options.initialState
+    },
+    endTick: 0,
+    inputs: [],
+    metadata: {
+      recordedAt: new Date().toISOString(),
+      ...options.metadata
+    }
+  };
+}
+
+/**
+ * Record the buttons applied on a tick. Unchanged buttons are not stored.
+ * @param {Object} replay - Replay being recorded
+ * @param {number} tick - Tick the buttons were applied on (0 = first tick of the attempt)
+ * @param {Object} buttons - Button state ({ left, right, jump })
+ */
+export function recordReplayInput(replay, tick, buttons) {
+  const bits = encodeButtons(buttons);
+  const last = replay.inputs[replay.inputs.length - 1];
+  const lastBits = last ? last[1] : 0;
+
+  if (bits !== lastBits) {
+    replay.inputs.push([tick, bits]);
+  }
+  replay.endTick = Math.max(replay.endTick, tick + 1);
+}
+
+/**
+ * Close a replay and attach its final metadata
+ * @param {Object} replay - Replay being recorded
+ * @param {Object} [metadata] - Fields such as outcome and final score
+ * @returns {Object} - The same replay
+ */
+export function finishReplay(replay, metadata = {}) {
+  replay.metadata = { ...replay.metadata, ...metadata };
+  return replay;
+}
+
+/**
+ * Get the buttons held on a tick
+ * @param {Object} replay - Replay
+ * @param {number} tick - Tick to look up
+ * @returns {Object} - Button state ({ left, right, jump })
+ */
+export function buttonsAt(replay, tick) {
+  let bits = 0;
+  for (const [inputTick, inputBits] of replay.inputs) {
+    if (inputTick > tick) break;
+    bits = inputBits;
+  }
+  return decodeButtons(bits);
+}
+
+/**
+ * Serialize a replay to file contents
+ * @param {Object} replay - Replay
+ * @returns {string}
+ */
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+/**
+ * Suggested download name for a replay
+ * @param {Object} replay - Replay
+ * @returns {string}
+ */
+export function replayFileName(replay) {
+  const stamp = (replay.metadata.recordedAt || '').replace(/[:.]/g, '-');
+  return `${replay.levelId}-${stamp}${REPLAY_FILE_EXTENSION}`;
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Parse and validate replay file contents
+ * @param {string|Object} contents - File text or an already parsed object
+ * @returns {Object} - Replay
+ * @throws {Error} - If the contents are not a valid replay
+ */
+export function parseReplay(contents) {
+  let replay = contents;
+  if (typeof contents === 'string') {
+    try {
+      replay = JSON.parse(contents);
+    } catch (error) {
+      throw new Error('Replay file is not valid JSON');
+    }
+  }
+
+  if (!replay || replay.format !== REPLAY_FORMAT) {
+    throw new Error('Not a Luna\'s Adventure replay');
+  }
+  if (replay.version !== REPLAY_FORMAT_VERSION) {
+    throw new Error(`Unsupported replay version ${replay.version}`);
+  }
+  if (typeof replay.levelId !== 'string' || replay.levelId.length === 0) {
+    throw new Error('Replay is missing its level id');
+  }
+  if (!isNonNegativeInteger(replay.seed)) {
+    throw new Error('Replay seed must be a non-negative integer');
+  }
+  if (!isNonNegativeInteger(replay.endTick)) {
+    throw new Error('Replay endTick must be a non-negative integer');
+  }
+  if (!Array.isArray(replay.inputs)) {
+    throw new Error('Replay inputs must be an array');
+  }
+
+  const { score = 0, lives = 3, health = 100 } = replay.initialState || {};
+  if (!isNonNegativeInteger(score)
+    || !Number.isInteger(lives) || lives < 1 || lives > MAX_LIVES
+    || !Number.isInteger(health) || health < 1 || health > GAMEPLAY_RULES.maxHealth) {
+    throw new Error('Replay initialState must hold a score, 1 or more lives and some health');
+  }
+
+  let previousTick = -1;
+  for (const input of replay.inputs) {
+    const valid = Array.isArray(input)
+      && input.length === 2
+      && isNonNegativeInteger(input[0])
+      && input[0] > previousTick
+      && input[0] < replay.endTick
+      && isNonNegativeInteger(input[1])
+      && input[1] <= ALL_BUTTONS;
+    if (!valid) {
+      throw new Error('Replay inputs must be [tick, buttons] pairs in tick order');
+    }
+    [previousTick] = input;
+  }
+
+  return {
+    ...replay,
+    initialState: {
+      score: 0,
+      lives: 3,
+      health: 100,
+      ...replay.initialState
+    },
+    metadata: { ...replay.metadata }
+  };
+}
+
+/**
+ * Convert a replay into the event list ReplayRecorder.simulate() runs on a GameEngine
+ * @param {Object} replay - Replay
+ * @param {string} [playerId] - Id to give the replayed player
+ * @returns {Object} - Engine replay ({ seed, endTick, events })
+ */
+export function toEngineReplay(replay, playerId = 'replay-player') {
+  const events = [
+    {
+      tick: 0, type: 'join', playerId, lives: replay.initialState.lives
+    },
+    { tick: 0, type: 'level', levelId: replay.levelId }
+  ];
+
+  for (const [tick, bits] of replay.inputs) {
+    events.push({
+      tick, type: 'input', playerId, ...decodeButtons(bits)
+    });
+  }
+
+  return { seed: replay.seed, endTick: replay.endTick, events };
+}
@@ -0,0 +1,232 @@
+// client/shared/saveGame.js
+
+/**
+ * Campaign save game, shared by the client (saving, "Continue") and the
+ * server (validating and merging cloud saves).
+ *
+ * A save holds a checkpoint to resume from (the level to play next and the
+ * score, lives and power-ups carried into it) and a record per level played
+ * (best score, best time and most carrots). The checkpoint is last-writer-wins
+ * by `updatedAt`; unlocked levels and per-level records only ever grow, so
+ * merging two saves keeps the best of both.
+ */
+
+export const SAVE_GAME_VERSION = 1;
+export const FIRST_LEVEL_ID = 'level-1';
+// Campaign levels are numbered; the next one is found by counting up (level-2, level-3...)
+export const CAMPAIGN_LEVEL_ID_PATTERN = /^level-\d+$/;
+export const DEFAULT_LIVES = 3;
+export const MAX_LIVES = 99;
+
+// Player abilities that carry over between levels
+export const SAVED_POWERUPS = ['doubleJump', 'highJump', 'speedBoost'];
+
+const LEVEL_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_LEVELS = 500;
+
+const isNonNegativeNumber = (value) => typeof value === 'number'
+  && Number.isFinite(value)
+  && value >= 0;
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+const isLevelId = (value) => typeof value === 'string' && LEVEL_ID_PATTERN.test(value);
+
+/**
+ * Create an empty save: level 1 unlocked, nothing played yet
+ * @param {string} [updatedAt] - ISO timestamp (defaults to the epoch, so any real save is newer)
+ * @returns {Object} - Save game
+ */
+export function createSaveGame(updatedAt = new Date(0).toISOString()) {
+  return {
+    version: SAVE_GAME_VERSION,
+    currentLevel: FIRST_LEVEL_ID,
+    unlockedLevels: [FIRST_LEVEL_ID],
+    levels: {},
+    score: 0,
+    lives: DEFAULT_LIVES,
+    powerups: [],
+    updatedAt
+  };
+}
+
+function normalizeLevelRecord(levelId, record) {
+  if (!record || typeof record !== 'object') {
+    throw new Error(`Record for ${levelId} must be an object`);
+  }
+  if (!isNonNegativeNumber(record.bestScore)) {
+    throw new Error(`bestScore of ${levelId} must be a non-negative number`);
+  }
+  if (record.bestTime !== null && !isNonNegativeNumber(record.bestTime)) {
+    throw new Error(`bestTime of ${levelId} must be a non-negative number or null`);
+  }
+  if (!isNonNegativeInteger(record.carrotsCollected)) {
+    throw new Error(`carrotsCollected of ${levelId} must be a non-negative integer`);
+  }
+  return {
+    bestScore: record.bestScore,
+    bestTime: record.bestTime,
+    carrotsCollected: record.carrotsCollected,
+    completed: record.completed === true
+  };
+}
+
+/**
+ * Validate a save game and return a clean copy of it
+ * @param {Object} input - Save game, e.g. a request body or a stored copy
+ * @returns {Object} - Save game with only known fields
+ * @throws {Error} - Describing the first invalid field
+ */
+export function normalizeSaveGame(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Save game must be an object');
+  }
+  if (input.version !== SAVE_GAME_VERSION) {
+    throw new Error(`Unsupported save game version ${input.version}`);
+  }
+  if (typeof input.updatedAt !== 'string' || Number.isNaN(Date.parse(input.updatedAt))) {
+    throw new Error('updatedAt must be an ISO timestamp');
+  }
+  if (!isLevelId(input.currentLevel)) {
+    throw new Error('currentLevel must be a level id');
+  }
+  if (!Array.isArray(input.unlockedLevels) || !input.unlockedLevels.every(isLevelId)) {
+    throw new Error('unlockedLevels must be an array of level ids');
+  }
+  if (!input.levels || typeof input.levels !== 'object' || Array.isArray(input.levels)) {
+    throw new Error('levels must be an object');
+  }
+  if (!isNonNegativeNumber(input.score)) {
+    throw new Error('score must be a non-negative number');
+  }
+  if (!isNonNegativeInteger(input.lives) || input.lives > MAX_LIVES) {
+    throw new Error(`lives must be an integer from 0 to ${MAX_LIVES}`);
+  }
+  const isSavedPowerup = (type) => SAVED_POWERUPS.includes(type);
+  if (!Array.isArray(input.powerups) || !input.powerups.every(isSavedPowerup)) {
+    throw new Error(`powerups may only contain ${SAVED_POWERUPS.join(', ')}`);
+  }
+
+  const levelIds = Object.keys(input.levels);
+  if (levelIds.length > MAX_LEVELS || input.unlockedLevels.length > MAX_LEVELS) {
+    throw new Error(`A save game can track at most ${MAX_LEVELS} levels`);
+  }
+  const levels = {};
+  for (const levelId of levelIds) {
+    if (!isLevelId(levelId)) {
+      throw new Error(`${levelId} is not a level id`);
+    }
+    levels[levelId] = normalizeLevelRecord(levelId, input.levels[levelId]);
+  }
+
+  return {
+    version: SAVE_GAME_VERSION,
+    currentLevel: input.currentLevel,
+    unlockedLevels: [...new Set([...input.unlockedLevels, input.currentLevel])],
+    levels,
+    score: input.score,
+    lives: input.lives,
+    powerups: [...new Set(input.powerups)],
+    updatedAt: new Date(input.updatedAt).toISOString()
+  };
+}
+
+function mergeLevelRecords(a, b) {
+  if (!a || !b) return { ...(a || b) };
+
+  const times = [a.bestTime, b.bestTime].filter((time) => time !== null);
+  return {
+    bestScore: Math.max(a.bestScore, b.bestScore),
+    bestTime: times.length > 0 ? Math.min(...times) : null,
+    carrotsCollected: Math.max(a.carrotsCollected, b.carrotsCollected),
+    completed: a.completed || b.completed
+  };
+}
+
+/**
+ * Combine two saves of the same player, e.g. from two devices. The
+ * checkpoint comes from the save with the newer `updatedAt` (the first save
+ * on a tie); unlocked levels and level records are combined from both.
+ * @param {Object} a - Save game
+ * @param {Object} b - Save game
+ * @returns {Object} - Merged save game
+ */
+export function mergeSaveGames(a, b) {
+  const [newer, older] = Date.parse(b.updatedAt) > Date.parse(a.updatedAt) ? [b, a] : [a, b];
+
+  const levels = {};
+  for (const levelId of new Set([...Object.keys(newer.levels), ...Object.keys(older.levels)])) {
+    levels[levelId] = mergeLevelRecords(newer.levels[levelId], older.levels[levelId]);
+  }
+
+  return {
+    ...newer,
+    unlockedLevels: [...new Set([...newer.unlockedLevels, ...older.unlockedLevels])],
+    levels,
+    powerups: [...newer.powerups]
+  };
+}
+
+/**
+ * Record the result of one attempt at a level
+ * @param {Object} save - Save game
+ * @param {string} levelId - Level played
+ * @param {Object} result - Attempt result
+ * @param {number} result.score - Points earned during the attempt
+ * @param {number} result.time - Seconds played
+ * @param {number} result.carrotsCollected - Carrots collected
+ * @param {boolean} result.completed - Whether the level was finished
+ * @param {string} [updatedAt] - ISO timestamp of the change
+ * @returns {Object} - Updated save game
+ */
+export function recordLevelResult(save, levelId, result, updatedAt = new Date().toISOString()) {
+  const attempt = {
+    bestScore: Math.max(0, result.score || 0),
+    // Only a finished level has a time worth beating
+    bestTime: result.completed ? Math.max(0, result.time || 0) : null,
+    carrotsCollected: Math.max(0, Math.floor(result.carrotsCollected || 0)),
+    completed: result.completed === true
+  };
+
+  return {
+    ...save,
+    unlockedLevels: [...new Set([...save.unlockedLevels, levelId])],
+    levels: {
+      ...save.levels,
+      [levelId]: mergeLevelRecords(save.levels[levelId], attempt)
+    },
+    updatedAt
+  };
+}
+
+/**
+ * Move the checkpoint "Continue" resumes from
+ * @param {Object} save - Save game
+ * @param {Object} checkpoint - Where to resume
+ * @param {string} checkpoint.currentLevel - Level to start
+ * @param {number} checkpoint.score - Score carried into it
+ * @param {number} checkpoint.lives - Lives carried into it
+ * @param {Array<string>} [checkpoint.powerups] - Abilities carried into it
+ * @param {string} [updatedAt] - ISO timestamp of the change
+ * @returns {Object} - Updated save game
+ */
+export function setCheckpoint(save, checkpoint, updatedAt = new Date().toISOString()) {
+  return {
+    ...save,
+    currentLevel: checkpoint.currentLevel,
+    unlockedLevels: [...new Set([...save.unlockedLevels, checkpoint.currentLevel])],
+    score: Math.max(0, checkpoint.score || 0),
+    lives: Math.min(MAX_LIVES, Math.max(0, Math.floor(checkpoint.lives ?? DEFAULT_LIVES))),
+    powerups: (checkpoint.powerups || []).filter((type) => SAVED_POWERUPS.includes(type)),
+    updatedAt
+  };
+}
+
+/**
+ * Check whether a save has anything to continue from
+ * @param {Object|null} save - Save game
+ * @returns {boolean}
+ */
+export function canContinue(save) {
+  return Boolean(save) && (save.currentLevel !== FIRST_LEVEL_ID || save.score > 0);
+}
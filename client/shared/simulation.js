@@ -0,0 +1,552 @@
+// client/shared/simulation.js
+
+/**
+ * Luna's Adventure Simulation Core
+ *
+ * Deterministic gameplay rules shared by the server GameEngine and the client's
+ * prediction. Every function advances state by exactly one fixed timestep and
+ * reads time only from the values passed in, never from the wall clock, so the
+ * same inputs always produce the same world on both sides. Seeded randomness
+ * and the simulation clock live in random.js.
+ */
+
+import {
+  GAME_WIDTH,
+  GRAVITY,
+  FRICTION,
+  TERMINAL_VELOCITY,
+  PLAYER_SPEED,
+  JUMP_FORCE,
+  SERVER_TICK_RATE,
+  ENEMY_PATROL_DISTANCE,
+  PLAYER_DAMAGE_INVULNERABILITY
+} from './constants.js';
+
+export { createRng } from './random.js';
+
+// Bump whenever a rule change would make old replays play out differently
+export const SIMULATION_VERSION = 2;
+
+// Length of one simulation step in seconds
+export const FIXED_TIMESTEP = 1 / SERVER_TICK_RATE;
+
+// Default movement parameters; levels may override gravity
+export const DEFAULT_PHYSICS = {
+  gravity: GRAVITY,
+  friction: FRICTION,
+  terminalVelocity: TERMINAL_VELOCITY,
+  speed: PLAYER_SPEED,
+  jumpForce: JUMP_FORCE,
+  worldWidth: GAME_WIDTH
+};
+
+// Scoring, damage and respawn rules
+export const GAMEPLAY_RULES = {
+  collectiblePoints: 100,
+  enemyPoints: 200,
+  bossHealth: 100,
+  bossStompDamage: 25,
+  bossStompPoints: 50,
+  bossDefeatPoints: 500,
+  stompBounce: 10,
+  hitDamage: 20,
+  knockbackX: 5,
+  knockbackY: 8,
+  maxHealth: 100,
+  // Seconds a player is immune after a hit, a respawn or the start of a level
+  graceTime: PLAYER_DAMAGE_INVULNERABILITY / 1000
+};
+
+/**
+ * Check if two axis-aligned boxes overlap
+ * @param {Object} a - First entity
+ * @param {Object} b - Second entity
+ * @returns {boolean}
+ */
+export function isColliding(a, b) {
+  return (
+    a.x < b.x + b.width
+    && a.x + a.width > b.x
+    && a.y < b.y + b.height
+    && a.y + a.height > b.y
+  );
+}
+
+/**
+ * Apply one input command's buttons to a player
+ * @param {Object} player - Player to steer
+ * @param {Object} input - Button state ({ left, right, jump })
+ * @param {Object} [previousInput] - Buttons of the preceding command (for the jump press edge)
+ * @param {Object} [physics] - Movement parameters (see DEFAULT_PHYSICS)
+ * @returns {boolean} - True if the player started a jump
+ */
+export function applyPlayerInput(player, input, previousInput = {}, physics = DEFAULT_PHYSICS) {
+  const speed = physics.speed !== undefined ? physics.speed : PLAYER_SPEED;
+  const jumpForce = physics.jumpForce !== undefined ? physics.jumpForce : JUMP_FORCE;
+
+  if (input.left && !input.right) {
+    player.velocityX = -speed;
+    player.direction = 'left';
+  } else if (input.right && !input.left) {
+    player.velocityX = speed;
+    player.direction = 'right';
+  }
+
+  if (input.jump && !previousInput.jump && player.isGrounded && !player.isJumping) {
+    player.velocityY = -jumpForce;
+    player.isJumping = true;
+    player.isGrounded = false;
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Apply gravity, friction and velocity to a player and keep it inside the world
+ * @param {Object} player - Player to move
+ * @param {Object} [physics] - Movement parameters (see DEFAULT_PHYSICS)
+ */
+export function integratePlayer(player, physics = DEFAULT_PHYSICS) {
+  const settings = { ...DEFAULT_PHYSICS, ...physics };
+
+  player.velocityY = Math.min(player.velocityY + settings.gravity, settings.terminalVelocity);
+  player.velocityX *= settings.friction;
+
+  player.x += player.velocityX;
+  player.y += player.velocityY;
+
+  if (player.x < 0) player.x = 0;
+  if (player.x + player.width > settings.worldWidth) {
+    player.x = settings.worldWidth - player.width;
+  }
+}
+
+/**
+ * Land a player on any solid platform it fell onto this step.
+ * Platforms are one-way: they only block from above.
+ * @param {Object} player - Player to resolve
+ * @param {Array<Object>} platforms - Level platforms
+ * @returns {Array<Object>} - Platforms the player landed on this step
+ */
+export function landOnPlatforms(player, platforms) {
+  const landedOn = [];
+  player.isGrounded = false;
+
+  for (const platform of platforms) {
+    // Land only on a solid platform the player fell onto from above this step
+    const landed = platform.solid !== false && isColliding(player, platform)
+      && player.velocityY > 0 && player.y + player.height - player.velocityY <= platform.y;
+
+    if (landed) {
+      player.y = platform.y - player.height;
+      landedOn.push(platform);
+
+      if (platform.type === 'bouncy') {
+        // Reflect velocity upward with the bounce force multiplier (1.5x)
+        player.velocityY = -Math.abs(player.velocityY) * 1.5;
+        player.isJumping = true;
+      } else {
+        player.velocityY = 0;
+        player.isJumping = false;
+        player.isGrounded = true;
+
+        // Carry player with moving platform
+        if (platform.type === 'moving' && platform.velocityX) {
+          player.x += platform.velocityX;
+        }
+      }
+
+      // Start the crumble sequence when player first lands on a breaking platform
+      if (platform.type === 'breaking' && platform.breakingState === 'stable') {
+        platform.breakingState = 'breaking';
+        platform.breakingTimer = 0;
+      }
+    }
+  }
+
+  return landedOn;
+}
+
+/**
+ * Advance one player by a full step: input, physics, then platform landing
+ * @param {Object} player - Player to advance
+ * @param {Object} input - Button state for this step
+ * @param {Object} previousInput - Button state of the previous step
+ * @param {Array<Object>} platforms - Level platforms
+ * @param {Object} [physics] - Movement parameters (see DEFAULT_PHYSICS)
+ * @returns {boolean} - True if the player started a jump this step
+ */
+export function stepPlayer(player, input, previousInput, platforms, physics = DEFAULT_PHYSICS) {
+  const jumped = applyPlayerInput(player, input, previousInput, physics);
+  integratePlayer(player, physics);
+  landOnPlatforms(player, platforms);
+  return jumped;
+}
+
+/**
+ * Check whether a player dropped out of the bottom of the level
+ * @param {Object} player - Player to check
+ * @param {number} levelHeight - Height of the level
+ * @returns {boolean}
+ */
+export function hasFallenOut(player, levelHeight) {
+  return player.y > levelHeight;
+}
+
+/**
+ * Check whether a player touching an enemy came down on top of it this step
+ * @param {Object} player - Player
+ * @param {Object} enemy - Enemy the player overlaps
+ * @returns {boolean}
+ */
+export function isStomping(player, enemy) {
+  return player.velocityY > 0 && player.y + player.height - player.velocityY <= enemy.y;
+}
+
+/**
+ * Resolve a player's contacts with collectibles and enemies, in the same
+ * order on the server and the client. Handlers apply the outcome:
+ * collect(collectible), stomp(enemy) when the player lands on an enemy and
+ * hit(enemy) when it runs into one.
+ * @param {Object} player - Player to resolve
+ * @param {Object} world - { collectibles, enemies }, any iterables
+ * @param {Object} handlers - { collect, stomp, hit }
+ */
+export function resolvePlayerContacts(player, world, handlers) {
+  for (const collectible of world.collectibles) {
+    if (!collectible.collected && isColliding(player, collectible)) {
+      handlers.collect(collectible);
+    }
+  }
+
+  for (const enemy of world.enemies) {
+    if (isColliding(player, enemy)) {
+      if (isStomping(player, enemy)) {
+        handlers.stomp(enemy);
+      } else {
+        handlers.hit(enemy);
+      }
+    }
+  }
+}
+
+/**
+ * Bounce a player off an enemy it landed on and damage the enemy. Bosses
+ * take several stomps; everything else is defeated by one.
+ * @param {Object} player - Stomping player
+ * @param {Object} enemy - Enemy landed on
+ * @returns {Object} - { points, defeated } earned by the stomp
+ */
+export function stompEnemy(player, enemy) {
+  player.velocityY = -GAMEPLAY_RULES.stompBounce;
+
+  if (enemy.type !== 'boss') {
+    return { points: GAMEPLAY_RULES.enemyPoints, defeated: true };
+  }
+
+  enemy.health -= GAMEPLAY_RULES.bossStompDamage;
+  const defeated = enemy.health <= 0;
+  return {
+    points: GAMEPLAY_RULES.bossStompPoints + (defeated ? GAMEPLAY_RULES.bossDefeatPoints : 0),
+    defeated
+  };
+}
+
+/**
+ * Hit a player unless it is still immune from the last hit or respawn.
+ * A player that survives the hit is knocked back away from where it faces.
+ * @param {Object} player - Player hit
+ * @param {number} health - The player's health before the hit
+ * @param {number} time - Simulation time in seconds
+ * @returns {number|null} - Health after the hit, or null if the hit was ignored
+ */
+export function hurtPlayer(player, health, time) {
+  if (time < (player.invulnerableUntil || 0)) return null;
+  player.invulnerableUntil = time + GAMEPLAY_RULES.graceTime;
+
+  const remaining = health - GAMEPLAY_RULES.hitDamage;
+  if (remaining > 0) {
+    player.velocityY = -GAMEPLAY_RULES.knockbackY;
+    player.velocityX = player.direction === 'right'
+      ? -GAMEPLAY_RULES.knockbackX
+      : GAMEPLAY_RULES.knockbackX;
+  }
+  return remaining;
+}
+
+/**
+ * Put a player back at the spawn point, standing still, with a grace period.
+ * Used after a lost life and at the start of a level; health is reset by the caller.
+ * @param {Object} player - Player to place
+ * @param {Object} spawnPoint - { x, y }
+ * @param {number} time - Simulation time in seconds
+ */
+export function respawnPlayer(player, spawnPoint, time) {
+  player.x = spawnPoint.x;
+  player.y = spawnPoint.y;
+  player.velocityX = 0;
+  player.velocityY = 0;
+  player.invulnerableUntil = time + GAMEPLAY_RULES.graceTime;
+}
+
+/**
+ * Update platform state machines (moving and breaking) by one step
+ * @param {Array<Object>} platforms - Level platforms
+ * @param {number} [dt] - Step length in seconds
+ */
+export function stepPlatforms(platforms, dt = FIXED_TIMESTEP) {
+  for (const platform of platforms) {
+    if (platform.type === 'moving') {
+      // Lazy-init moving state
+      if (platform.moveStartX === undefined) {
+        platform.moveStartX = platform.x;
+        platform.moveStartY = platform.y;
+        platform.moveDirection = 1;
+        platform.moveSpeed = platform.moveSpeed || 1;
+        platform.moveDistance = platform.moveDistance || 100;
+        platform.movePauseTime = 0;
+        platform.movePauseDuration = 0.5;
+        platform.movingHorizontal = platform.movingHorizontal !== false;
+        platform.movingVertical = platform.movingVertical === true;
+        platform.velocityX = 0;
+        platform.velocityY = 0;
+      }
+
+      if (platform.movePauseTime > 0) {
+        platform.movePauseTime -= dt;
+        platform.velocityX = 0;
+        platform.velocityY = 0;
+      } else {
+        if (platform.movingHorizontal) {
+          const distX = Math.abs(platform.x - platform.moveStartX);
+          if (distX >= platform.moveDistance) {
+            platform.moveDirection *= -1;
+            platform.movePauseTime = platform.movePauseDuration;
+          }
+          platform.velocityX = platform.moveSpeed * platform.moveDirection;
+        }
+        if (platform.movingVertical) {
+          const distY = Math.abs(platform.y - platform.moveStartY);
+          if (distY >= platform.moveDistance) {
+            platform.moveDirection *= -1;
+            platform.movePauseTime = platform.movePauseDuration;
+          }
+          platform.velocityY = platform.moveSpeed * platform.moveDirection;
+        }
+        platform.x += platform.velocityX;
+        platform.y += platform.velocityY;
+      }
+    } else if (platform.type === 'breaking') {
+      // Lazy-init state fields for platforms loaded from level JSON
+      if (platform.breakingState === undefined) {
+        platform.breakingState = 'stable';
+        platform.breakingTimer = 0;
+        platform.respawnTimer = 0;
+        platform.solid = true;
+      }
+
+      if (platform.breakingState === 'breaking') {
+        platform.breakingTimer += dt;
+        if (platform.breakingTimer >= 0.5) { // BREAKING_PLATFORM_DURATION
+          platform.breakingState = 'broken';
+          platform.solid = false;
+          platform.breakingTimer = 0;
+        }
+      } else if (platform.breakingState === 'broken') {
+        platform.respawnTimer += dt;
+        if (platform.respawnTimer >= 3.0) { // BREAKING_PLATFORM_RESPAWN
+          platform.breakingState = 'stable';
+          platform.solid = true;
+          platform.respawnTimer = 0;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Create the simulated state of an enemy from its level definition
+ * @param {Object} data - Enemy definition
+ *   ({ id, x, y, type, width?, height?, patrolStart?, patrolEnd? })
+ * @returns {Object} - Enemy state
+ */
+export function createEnemyState(data) {
+  const isBoss = data.type === 'boss';
+  const health = isBoss ? GAMEPLAY_RULES.bossHealth : 1;
+  const size = isBoss ? 80 : 40;
+
+  return {
+    id: data.id,
+    x: data.x,
+    y: data.y,
+    width: data.width || size,
+    height: data.height || size,
+    velocityX: data.type === 'flying' ? 2 : 1,
+    velocityY: 0,
+    type: data.type,
+    direction: 'right',
+    health,
+    maxHealth: health,
+    attackCooldown: 0,
+    patrolStart: data.patrolStart !== undefined ? data.patrolStart : data.x - ENEMY_PATROL_DISTANCE,
+    patrolEnd: data.patrolEnd !== undefined ? data.patrolEnd : data.x + ENEMY_PATROL_DISTANCE
+  };
+}
+
+/**
+ * Update enemy AI behavior by one step
+ * @param {Object} enemy - Enemy to update
+ * @param {Object} context - Step context
+ * @param {Iterable<Object>} context.players - Players the enemy can react to
+ * @param {number} context.time - Simulation time in seconds
+ * @param {number} [context.dt] - Step length in seconds
+ * @param {Function} [context.fire] - Called as fire(enemy, targetX, targetY) to shoot
+ */
+export function updateEnemyAI(enemy, context) {
+  const dt = context.dt !== undefined ? context.dt : FIXED_TIMESTEP;
+
+  if (enemy.type === 'basic' || enemy.type === 'boss') {
+    // Basic enemies and bosses patrol between their level-defined bounds
+    const patrolEnd = enemy.patrolEnd !== undefined ? enemy.patrolEnd : 600;
+    const patrolStart = enemy.patrolStart !== undefined ? enemy.patrolStart : 300;
+    if (enemy.direction === 'right') {
+      enemy.velocityX = 1;
+      if (enemy.x > patrolEnd) enemy.direction = 'left';
+    } else {
+      enemy.velocityX = -1;
+      if (enemy.x < patrolStart) enemy.direction = 'right';
+    }
+  } else if (enemy.type === 'flying') {
+    // Flying enemies bob in a sine wave driven by simulation time
+    enemy.y += Math.sin(context.time * 2) * 2;
+
+    if (enemy.direction === 'right') {
+      enemy.velocityX = 2;
+      if (enemy.x > 800) enemy.direction = 'left';
+    } else {
+      enemy.velocityX = -2;
+      if (enemy.x < 500) enemy.direction = 'right';
+    }
+  } else if (enemy.type === 'shooter') {
+    // Shooter enemies find the nearest player and fire projectiles
+    let nearestPlayer = null;
+    let nearestDist = Infinity;
+    for (const player of context.players) {
+      const dx = player.x - enemy.x;
+      const dy = player.y - enemy.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist < nearestDist) {
+        nearestDist = dist;
+        nearestPlayer = player;
+      }
+    }
+
+    if (nearestPlayer && nearestDist <= 350) {
+      // Face the player
+      enemy.direction = nearestPlayer.x > enemy.x ? 'right' : 'left';
+
+      // Maintain a comfortable shooting distance
+      const dx = nearestPlayer.x - enemy.x;
+      if (Math.abs(dx) < 150) {
+        enemy.velocityX = dx > 0 ? -0.5 : 0.5; // too close — back away
+      } else if (Math.abs(dx) > 250) {
+        enemy.velocityX = dx > 0 ? 0.5 : -0.5; // too far — approach
+      } else {
+        enemy.velocityX = 0; // good range — stand and shoot
+      }
+
+      // Fire on cooldown
+      if (enemy.attackCooldown <= 0) {
+        if (context.fire) {
+          context.fire(
+            enemy,
+            nearestPlayer.x + nearestPlayer.width / 2,
+            nearestPlayer.y + nearestPlayer.height / 2
+          );
+        }
+        enemy.attackCooldown = 2.0;
+      } else {
+        enemy.attackCooldown -= dt;
+      }
+    } else if (enemy.direction === 'right') {
+      // No player in range — slow patrol
+      enemy.velocityX = 0.5;
+      if (enemy.x > 600) enemy.direction = 'left';
+    } else {
+      enemy.velocityX = -0.5;
+      if (enemy.x < 300) enemy.direction = 'right';
+    }
+  }
+}
+
+/**
+ * Apply gravity and velocity to an enemy and land it on platforms
+ * @param {Object} enemy - Enemy to move
+ * @param {Array<Object>} platforms - Level platforms
+ * @param {number} [gravity] - Gravity per step
+ */
+export function integrateEnemy(enemy, platforms, gravity = GRAVITY) {
+  const flying = enemy.type === 'flying';
+
+  if (!flying) {
+    enemy.velocityY += gravity;
+  }
+
+  enemy.x += enemy.velocityX;
+  enemy.y += enemy.velocityY;
+
+  if (!flying) {
+    for (const platform of platforms) {
+      if (isColliding(enemy, platform) && enemy.velocityY > 0) {
+        enemy.y = platform.y - enemy.height;
+        enemy.velocityY = 0;
+      }
+    }
+  }
+}
+
+/**
+ * Create a projectile aimed from an enemy's centre at a target point
+ * @param {string} id - Projectile ID
+ * @param {Object} enemy - Firing enemy
+ * @param {number} targetX - Target X coordinate
+ * @param {number} targetY - Target Y coordinate
+ * @returns {Object} - New projectile
+ */
+export function createProjectile(id, enemy, targetX, targetY) {
+  const startX = enemy.x + enemy.width / 2 - 6;
+  const startY = enemy.y + enemy.height / 2 - 6;
+  const dx = targetX - startX;
+  const dy = targetY - startY;
+  const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+  const speed = 5;
+
+  return {
+    id,
+    x: startX,
+    y: startY,
+    width: 12,
+    height: 12,
+    velocityX: (dx / dist) * speed,
+    velocityY: (dy / dist) * speed,
+    ownerId: enemy.id,
+    damage: 15,
+    lifetime: 3.0
+  };
+}
+
+/**
+ * Move a projectile by one step
+ * @param {Object} projectile - Projectile to move
+ * @param {number} [dt] - Step length in seconds
+ * @returns {boolean} - False once the projectile expired or left the arena
+ */
+export function advanceProjectile(projectile, dt = FIXED_TIMESTEP) {
+  projectile.x += projectile.velocityX;
+  projectile.y += projectile.velocityY;
+  projectile.lifetime -= dt;
+
+  if (projectile.lifetime <= 0) return false;
+  return !(projectile.x < -50 || projectile.x > 1100 || projectile.y < -50 || projectile.y > 700);
+}
@@ -0,0 +1,176 @@
+// client/shared/stateDelta.js
+
+/**
+ * State delta encoding shared by server and client.
+ *
+ * A replica is a normalized copy of GameEngine.getGameState(): every replicated
+ * collection is a Map of entity id -> flat entity snapshot. The server diffs the
+ * replica it last sent a client against the current one and sends only created
+ * entities, changed fields and removed ids. The client applies the delta to its
+ * own copy of the same baseline to rebuild the full state.
+ */
+
+// Collections of GameEngine.getGameState() that are replicated
+export const REPLICATED_COLLECTIONS = [
+  'players',
+  'enemies',
+  'platforms',
+  'collectibles',
+  'doors',
+  'projectiles'
+];
+
+// Positions and velocities are rounded to this many decimals before diffing
+const NUMBER_PRECISION = 100;
+
+function normalizeValue(value) {
+  if (typeof value === 'number') {
+    return Math.round(value * NUMBER_PRECISION) / NUMBER_PRECISION;
+  }
+  return value;
+}
+
+function valuesEqual(a, b) {
+  if (a === b) return true;
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return false;
+}
+
+function normalizeEntity(entity) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(entity)) {
+    normalized[key] = normalizeValue(value);
+  }
+  return normalized;
+}
+
+/**
+ * Build a replica from a full game state
+ * @param {Object} gameState - Output of GameEngine.getGameState()
+ * @param {number} tick - Engine tick the state belongs to
+ * @returns {Object} - Replica ({ tick, collections })
+ */
+export function createReplica(gameState, tick) {
+  const collections = {};
+
+  for (const name of REPLICATED_COLLECTIONS) {
+    const entities = new Map();
+    (gameState[name] || []).forEach((entity, index) => {
+      const id = entity.id !== undefined ? entity.id : index;
+      entities.set(id, normalizeEntity({ ...entity, id }));
+    });
+    collections[name] = entities;
+  }
+
+  return { tick, collections };
+}
+
+/**
+ * Compute the delta that turns one replica into another.
+ * Passing no baseline produces a keyframe that creates every entity.
+ * @param {Object|null} baseline - Replica the receiver already has
+ * @param {Object} current - Replica to send
+ * @returns {Object} - Delta ({ tick, keyframe, created, updated, removed })
+ */
+export function diffReplica(baseline, current) {
+  const delta = {
+    tick: current.tick,
+    keyframe: !baseline,
+    created: {},
+    updated: {},
+    removed: {}
+  };
+
+  for (const name of REPLICATED_COLLECTIONS) {
+    const before = baseline ? baseline.collections[name] : new Map();
+    const after = current.collections[name];
+    const created = [];
+    const updated = [];
+    const removed = [];
+
+    for (const [id, entity] of after) {
+      const previous = before.get(id);
+      if (!previous) {
+        created.push(entity);
+      } else {
+        let changes = null;
+        for (const [key, value] of Object.entries(entity)) {
+          if (!valuesEqual(previous[key], value)) {
+            changes = changes || { id };
+            changes[key] = value;
+          }
+        }
+        if (changes) updated.push(changes);
+      }
+    }
+
+    for (const id of before.keys()) {
+      if (!after.has(id)) removed.push(id);
+    }
+
+    if (created.length > 0) delta.created[name] = created;
+    if (updated.length > 0) delta.updated[name] = updated;
+    if (removed.length > 0) delta.removed[name] = removed;
+  }
+
+  return delta;
+}
+
+/**
+ * Apply a delta to a replica, returning a new replica
+ * @param {Object|null} baseline - Replica the delta was computed against (null for keyframes)
+ * @param {Object} delta - Delta from diffReplica()
+ * @returns {Object} - Updated replica
+ */
+export function applyDelta(baseline, delta) {
+  const collections = {};
+
+  for (const name of REPLICATED_COLLECTIONS) {
+    const entities = delta.keyframe || !baseline
+      ? new Map()
+      : new Map(baseline.collections[name]);
+
+    for (const id of delta.removed[name] || []) {
+      entities.delete(id);
+    }
+    for (const entity of delta.created[name] || []) {
+      entities.set(entity.id, { ...entity });
+    }
+    for (const changes of delta.updated[name] || []) {
+      entities.set(changes.id, { ...entities.get(changes.id), ...changes });
+    }
+
+    collections[name] = entities;
+  }
+
+  return { tick: delta.tick, collections };
+}
+
+/**
+ * Check whether a delta creates, removes or changes anything beyond the given collections
+ * @param {Object} delta - Delta from diffReplica()
+ * @param {Array<string>} [positionalCollections] - Collections whose updates are ignored
+ * @returns {boolean}
+ */
+export function hasStructuralChanges(delta, positionalCollections = ['players', 'enemies']) {
+  if (delta.keyframe) return true;
+  if (Object.keys(delta.created).length > 0 || Object.keys(delta.removed).length > 0) {
+    return true;
+  }
+  return Object.keys(delta.updated).some((name) => !positionalCollections.includes(name));
+}
+
+/**
+ * Convert a replica back into the array shape of GameEngine.getGameState()
+ * @param {Object} replica - Replica
+ * @returns {Object} - Game state with a tick number
+ */
+export function replicaToGameState(replica) {
+  const gameState = { tick: replica.tick };
+  for (const name of REPLICATED_COLLECTIONS) {
+    gameState[name] = Array.from(replica.collections[name].values());
+  }
+  return gameState;
+}
@@ -1,7 +1,7 @@
-import fs from 'node:fs/promises';
 import path from 'node:path';
+import StateManager from '../server/services/stateManager.js';
 
-const highScoresPath = path.resolve('data', 'highscores.json');
-await fs.mkdir(path.dirname(highScoresPath), { recursive: true });
-await fs.writeFile(highScoresPath, '[]\n', 'utf-8');
-console.log('Cleared high scores:', highScoresPath);
+const stateManager = new StateManager({ dataPath: path.resolve('data') });
+await stateManager.clearHighScores();
+await stateManager.close();
+console.log('Cleared high scores');
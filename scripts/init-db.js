@@ -1,15 +1,20 @@
-import fs from 'node:fs/promises';
 import path from 'node:path';
+import { openStore } from '../server/services/storage/index.js';
 
-const dataDir = path.resolve('data');
-const highScoresPath = path.join(dataDir, 'highscores.json');
+// Creates the database (or JSON files) and applies pending schema migrations.
+// STORAGE_DRIVER selects the driver: auto (default), sqlite or json.
+const store = await openStore({ dataPath: path.resolve('data') });
 
-await fs.mkdir(dataDir, { recursive: true });
-
-try {
-  await fs.access(highScoresPath);
-  console.log('Database already initialized:', highScoresPath);
-} catch {
-  await fs.writeFile(highScoresPath, '[]\n', 'utf-8');
-  console.log('Initialized database file:', highScoresPath);
+if (store.driver === 'sqlite') {
+  const { from, to, applied } = store.migration;
+  if (applied.length === 0) {
+    console.log(`Database schema is up to date (version ${to})`);
+  } else {
+    console.log(`Migrated database schema from version ${from} to ${to}:`);
+    applied.forEach((name) => console.log(`  - ${name}`));
+  }
+} else {
+  console.log('Using JSON file storage in', store.dataPath);
 }
+
+await store.close();
@@ -1,39 +1,15 @@
-import fs from 'node:fs/promises';
 import path from 'node:path';
+import StateManager from '../server/services/stateManager.js';
 
-const highScoresPath = path.resolve('data', 'highscores.json');
+const stateManager = new StateManager({ dataPath: path.resolve('data') });
 
-await fs.mkdir(path.dirname(highScoresPath), { recursive: true });
-
-let scores = [];
-try {
-  const raw = await fs.readFile(highScoresPath, 'utf-8');
-  scores = JSON.parse(raw);
-  if (!Array.isArray(scores)) {
-    scores = [];
-  }
-} catch {
-  scores = [];
-}
-
-if (scores.length === 0) {
-  scores.push(
-    {
-      playerName: 'Luna',
-      score: 500,
-      level: 'level-1',
-      createdAt: new Date().toISOString()
-    },
-    {
-      playerName: 'Pip',
-      score: 350,
-      level: 'level-1',
-      createdAt: new Date().toISOString()
-    }
-  );
-
-  await fs.writeFile(highScoresPath, `${JSON.stringify(scores, null, 2)}\n`, 'utf-8');
-  console.log('Seeded high scores:', highScoresPath);
+const existing = await stateManager.getHighScores(1);
+if (existing.length === 0) {
+  await stateManager.addHighScore({ playerName: 'Luna', score: 500, level: 'level-1' });
+  await stateManager.addHighScore({ playerName: 'Pip', score: 350, level: 'level-1' });
+  console.log('Seeded high scores');
 } else {
   console.log('Seed skipped; high scores already present.');
 }
+
+await stateManager.close();
@@ -0,0 +1,81 @@
+// scripts/validate-levels.js
+//
+// Checks level files against the level format (client/shared/levelSchema.js).
+//
+//   node scripts/validate-levels.js                  every level in client/assets/levels
+//   node scripts/validate-levels.js a.json levels/   the given files and directories
+//
+// Prints each problem found and exits with status 1 if any level is invalid.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { validateLevel } from '../client/shared/levelSchema.js';
+
+const DEFAULT_LEVELS_DIR = 'client/assets/levels';
+
+async function listLevelFiles(targets) {
+  const files = [];
+  for (const target of targets) {
+    // eslint-disable-next-line no-await-in-loop
+    const stats = await fs.stat(target);
+    if (stats.isDirectory()) {
+      // eslint-disable-next-line no-await-in-loop
+      const entries = await fs.readdir(target);
+      files.push(...entries
+        .filter((name) => name.endsWith('.json'))
+        .sort()
+        .map((name) => path.join(target, name)));
+    } else {
+      files.push(target);
+    }
+  }
+  return files;
+}
+
+async function checkFile(file) {
+  let level;
+  try {
+    level = JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    return [`not valid JSON (${error.message})`];
+  }
+
+  const problems = validateLevel(level);
+  // The server finds a level that is not yet cached by its file name
+  const fileId = path.parse(file).name;
+  if (level && typeof level.id === 'string' && level.id !== fileId) {
+    problems.push(`id "${level.id}" does not match the file name ${fileId}.json`);
+  }
+  return problems;
+}
+
+const targets = process.argv.slice(2);
+let files;
+try {
+  files = await listLevelFiles(targets.length > 0 ? targets : [DEFAULT_LEVELS_DIR]);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+let invalid = 0;
+for (const file of files) {
+  // eslint-disable-next-line no-await-in-loop
+  const problems = await checkFile(file);
+  if (problems.length === 0) {
+    console.log(`${file}: ok`);
+  } else {
+    invalid += 1;
+    console.error(`${file}: ${problems.length} problem${problems.length === 1 ? '' : 's'}`);
+    for (const problem of problems) {
+      console.error(`  - ${problem}`);
+    }
+  }
+}
+
+if (invalid > 0) {
+  console.error(`Level validation failed: ${invalid} of ${files.length} levels are invalid.`);
+  process.exit(1);
+}
+
+console.log(`Level validation passed: ${files.length} levels are valid.`);
@@ -0,0 +1,115 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import AccountManager, { AuthError } from '../services/accountManager.js';
+import StateManager from '../services/stateManager.js';
+
+describe('AccountManager', () => {
+  let tempDir;
+  let stateManager;
+  let accounts;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'luna-accounts-'));
+    stateManager = new StateManager({ dataPath: tempDir, autoSave: false });
+    accounts = new AccountManager({ stateManager, jwtSecret: 'test-secret' });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('registers an account with a hashed password and signs it in', async () => {
+    const session = await accounts.register({
+      username: 'luna', password: 'carrots-forever', displayName: 'Luna'
+    });
+
+    expect(session.account).toEqual(expect.objectContaining({ username: 'luna', displayName: 'Luna' }));
+    expect(session.account.passwordHash).toBeUndefined();
+    expect(session.expiresIn).toBeGreaterThan(0);
+
+    const stored = await stateManager.getAccount(session.account.id);
+    expect(stored.passwordHash).toMatch(/^scrypt:/);
+    expect(stored.passwordHash).not.toContain('carrots-forever');
+
+    await expect(accounts.authenticate(session.accessToken)).resolves.toEqual(session.account);
+
+    // Accounts survive a restart
+    const reloaded = new StateManager({ dataPath: tempDir, autoSave: false });
+    await expect(reloaded.findAccountByUsername('LUNA'))
+      .resolves.toEqual(expect.objectContaining({ id: session.account.id }));
+  });
+
+  test('rejects invalid and duplicate registrations', async () => {
+    await accounts.register({ username: 'luna', password: 'carrots-forever' });
+
+    await expect(accounts.register({ username: 'Luna', password: 'another-password' }))
+      .rejects.toEqual(expect.objectContaining({ status: 409 }));
+    await expect(accounts.register({ username: 'x', password: 'carrots-forever' }))
+      .rejects.toEqual(expect.objectContaining({ status: 400 }));
+    await expect(accounts.register({ username: 'pip', password: 'short' }))
+      .rejects.toBeInstanceOf(AuthError);
+  });
+
+  test('two registrations racing for one username get one account and a conflict', async () => {
+    const results = await Promise.allSettled([
+      accounts.register({ username: 'luna', password: 'carrots-forever' }),
+      accounts.register({ username: 'LUNA', password: 'clover-forever' })
+    ]);
+
+    expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+    const [loser] = results.filter((result) => result.status === 'rejected');
+    expect(loser.reason).toBeInstanceOf(AuthError);
+    expect(loser.reason).toEqual(expect.objectContaining({
+      message: 'Username is already taken', status: 409
+    }));
+  });
+
+  test('logs in with the right password only', async () => {
+    const { account } = await accounts.register({ username: 'luna', password: 'carrots-forever' });
+
+    await expect(accounts.login({ username: 'luna', password: 'carrots-forever' }))
+      .resolves.toEqual(expect.objectContaining({ account }));
+    await expect(accounts.login({ username: 'luna', password: 'wrong-password' }))
+      .rejects.toThrow('Invalid username or password');
+    await expect(accounts.login({ username: 'nobody', password: 'carrots-forever' }))
+      .rejects.toThrow('Invalid username or password');
+  });
+
+  test('a login naming no account still runs the password check', async () => {
+    const verify = jest.spyOn(AccountManager, 'verifyPassword');
+
+    await expect(accounts.login({ username: 'nobody', password: 'carrots-forever' }))
+      .rejects.toThrow('Invalid username or password');
+    await expect(accounts.login({ username: 'nobody', password: 42 }))
+      .rejects.toThrow('Invalid username or password');
+
+    expect(verify).toHaveBeenCalledTimes(2);
+    expect(verify).toHaveBeenNthCalledWith(1, 'carrots-forever', expect.stringMatching(/^scrypt:[0-9a-f]+:[0-9a-f]+$/));
+    await expect(verify.mock.results[0].value).resolves.toBe(false);
+    verify.mockRestore();
+  });
+
+  test('refresh tokens and access tokens are not interchangeable', async () => {
+    const session = await accounts.register({ username: 'luna', password: 'carrots-forever' });
+
+    const refreshed = await accounts.refresh(session.refreshToken);
+    expect(refreshed.account.id).toBe(session.account.id);
+
+    await expect(accounts.refresh(session.accessToken)).rejects.toThrow('Invalid token');
+    await expect(accounts.authenticate(session.refreshToken)).rejects.toThrow('Invalid token');
+
+    const otherServer = new AccountManager({ stateManager, jwtSecret: 'other-secret' });
+    await expect(otherServer.authenticate(session.accessToken)).rejects.toThrow('Invalid token');
+  });
+
+  test('expired access tokens are reported as expired', async () => {
+    const shortLived = new AccountManager({
+      stateManager, jwtSecret: 'test-secret', accessTokenTtl: -1
+    });
+    const session = await shortLived.register({ username: 'luna', password: 'carrots-forever' });
+
+    await expect(shortLived.authenticate(session.accessToken)).rejects.toThrow('Token expired');
+  });
+});
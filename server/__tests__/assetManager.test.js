@@ -2,37 +2,44 @@ import fs from 'node:fs/promises';
 import os from 'node:os';
 import path from 'node:path';
 
-import AssetManager from '../services/assetManager.js';
+import AssetManager, { LevelAccessError } from '../services/assetManager.js';
+import { LevelValidationError } from '../../client/shared/levelSchema.js';
+
+async function createAssetDirs() {
+  const tempRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'luna-asset-'));
+  const dirs = {
+    levelsPath: path.join(tempRoot, 'levels'),
+    configsPath: path.join(tempRoot, 'configs'),
+    spritesPath: path.join(tempRoot, 'sprites')
+  };
+  await Promise.all(Object.values(dirs).map((dir) => fs.mkdir(dir, { recursive: true })));
+  // Created by the first upload
+  dirs.userLevelsPath = path.join(tempRoot, 'user-levels');
+  return dirs;
+}
+
+function testLevel(id) {
+  return {
+    id,
+    name: 'Test Level',
+    width: 1000,
+    height: 600,
+    platforms: [{
+      id: 'ground', x: 0, y: 500, width: 1000, height: 100, type: 'ground'
+    }],
+    collectibles: [],
+    enemies: [],
+    spawnPoint: { x: 50, y: 400 }
+  };
+}
 
 describe('AssetManager', () => {
   test('loads levels from configured directory', async () => {
-    const tempRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'luna-asset-'));
-    const levelsDir = path.join(tempRoot, 'levels');
-    const configsDir = path.join(tempRoot, 'configs');
-    const spritesDir = path.join(tempRoot, 'sprites');
-
-    await fs.mkdir(levelsDir, { recursive: true });
-    await fs.mkdir(configsDir, { recursive: true });
-    await fs.mkdir(spritesDir, { recursive: true });
-
-    const level = {
-      id: 'level-test',
-      name: 'Test Level',
-      width: 100,
-      height: 100,
-      platforms: [],
-      collectibles: [],
-      enemies: [],
-      spawnPoint: { x: 0, y: 0 }
-    };
-
-    await fs.writeFile(path.join(levelsDir, 'level-test.json'), JSON.stringify(level), 'utf-8');
-
-    const manager = new AssetManager({
-      levelsPath: levelsDir,
-      configsPath: configsDir,
-      spritesPath: spritesDir
-    });
+    const dirs = await createAssetDirs();
+    const level = testLevel('level-test');
+    await fs.writeFile(path.join(dirs.levelsPath, 'level-test.json'), JSON.stringify(level), 'utf-8');
+
+    const manager = new AssetManager(dirs);
 
     const levels = await manager.getLevels();
     const fetched = await manager.getLevel('level-test');
@@ -40,4 +47,102 @@ describe('AssetManager', () => {
     expect(levels).toHaveLength(1);
     expect(fetched.id).toBe('level-test');
   });
+
+  test('refuses invalid levels and lists their problems', async () => {
+    const dirs = await createAssetDirs();
+    const level = testLevel('level-bad');
+    level.width = '1000';
+    await fs.writeFile(path.join(dirs.levelsPath, 'level-bad.json'), JSON.stringify(level), 'utf-8');
+    await fs.writeFile(path.join(dirs.levelsPath, 'level-broken.json'), '{ "id": ', 'utf-8');
+
+    const manager = new AssetManager(dirs);
+
+    await expect(manager.getLevels()).resolves.toEqual([]);
+    const error = await manager.getLevel('level-bad').catch((failure) => failure);
+    expect(error).toBeInstanceOf(LevelValidationError);
+    expect(error.message).toContain('level-bad');
+    expect(error.errors).toEqual(['width must be a number, not string']);
+    await expect(manager.getLevel('level-broken')).rejects.toThrow('not valid JSON');
+  });
+
+  test('watching reloads changed levels and keeps the last good version of broken ones', async () => {
+    const dirs = await createAssetDirs();
+    const levelPath = path.join(dirs.levelsPath, 'level-hot.json');
+    await fs.writeFile(levelPath, JSON.stringify(testLevel('level-hot')), 'utf-8');
+
+    const manager = new AssetManager({ ...dirs, watch: true, reloadDelayMs: 10 });
+    await manager.ready;
+
+    try {
+      const edited = testLevel('level-hot');
+      edited.name = 'Edited Level';
+      const updated = new Promise((resolve) => { manager.once('level:updated', resolve); });
+      await fs.writeFile(levelPath, JSON.stringify(edited), 'utf-8');
+      expect((await updated).name).toBe('Edited Level');
+      expect((await manager.getLevel('level-hot')).name).toBe('Edited Level');
+
+      const invalid = new Promise((resolve) => { manager.once('level:invalid', resolve); });
+      await fs.writeFile(levelPath, JSON.stringify({ ...edited, width: 'wide' }), 'utf-8');
+      expect(await invalid).toEqual({
+        levelId: 'level-hot',
+        errors: ['width must be a number, not string']
+      });
+      expect((await manager.getLevel('level-hot')).name).toBe('Edited Level');
+    } finally {
+      manager.close();
+    }
+    expect(manager.watchers).toHaveLength(0);
+  });
+
+  test('community levels are versioned, kept to their author and survive a restart', async () => {
+    const dirs = await createAssetDirs();
+    await fs.writeFile(path.join(dirs.levelsPath, 'level-1.json'), JSON.stringify(testLevel('level-1')), 'utf-8');
+    const manager = new AssetManager(dirs);
+    const pip = { id: 'pip-id', displayName: 'Pip' };
+    const ada = { id: 'ada-id', displayName: 'Ada' };
+
+    const created = await manager.createUserLevel(testLevel('pips-hills'), { author: pip });
+    expect(created).toEqual(expect.objectContaining({
+      id: 'pips-hills', authorId: 'pip-id', authorName: 'Pip', status: 'draft', version: 1
+    }));
+    await expect(manager.createUserLevel(testLevel('level-1'), { author: pip }))
+      .rejects.toEqual(expect.objectContaining({ status: 409 }));
+    // level-6 would be played after level-5 by the campaign
+    await expect(manager.createUserLevel(testLevel('level-6'), { author: pip }))
+      .rejects.toEqual(new LevelAccessError('Level ids like level-<number> are reserved for campaign levels', 400));
+    await expect(manager.createUserLevel({ ...testLevel('bad'), width: -1 }, { author: pip }))
+      .rejects.toBeInstanceOf(LevelValidationError);
+
+    // Drafts are only visible to their author
+    expect((await manager.getLevels()).map((level) => level.id)).toEqual(['level-1']);
+    expect((await manager.getLevels({ viewerId: 'pip-id', status: 'draft' })).map((level) => level.id))
+      .toEqual(['pips-hills']);
+    expect(manager.isVisible('pips-hills', 'ada-id')).toBe(false);
+
+    const updated = jest.fn();
+    manager.on('level:updated', updated);
+    const wider = { ...testLevel('pips-hills'), name: 'Wider Hills', width: 1400 };
+    const record = await manager.updateUserLevel('pips-hills', {
+      level: wider, status: 'published', version: 1
+    }, pip);
+    expect(record).toEqual(expect.objectContaining({ name: 'Wider Hills', status: 'published', version: 2 }));
+    expect(record.versions.map((entry) => entry.version)).toEqual([1, 2]);
+    expect(updated).toHaveBeenCalledWith(wider);
+    await expect(manager.getLevel('pips-hills')).resolves.toEqual(wider);
+    await expect(manager.getUserLevelVersion('pips-hills', 1)).resolves.toEqual(testLevel('pips-hills'));
+
+    const stale = manager.updateUserLevel('pips-hills', { status: 'draft', version: 1 }, pip);
+    await expect(stale).rejects.toThrow('is at version 2, not 1');
+    const notAuthor = manager.updateUserLevel('pips-hills', { status: 'draft' }, ada);
+    await expect(notAuthor).rejects.toEqual(new LevelAccessError('Only the author can change level pips-hills'));
+    await expect(manager.deleteUserLevel('level-1', pip)).rejects.toEqual(expect.objectContaining({ status: 403 }));
+
+    const restarted = new AssetManager(dirs);
+    await expect(restarted.getLevel('pips-hills')).resolves.toEqual(wider);
+    expect(restarted.getUserLevel('pips-hills')).toEqual(record);
+
+    await restarted.deleteUserLevel('pips-hills', pip);
+    expect(restarted.getUserLevel('pips-hills')).toBeNull();
+    await expect(fs.readdir(dirs.userLevelsPath)).resolves.toEqual([]);
+  });
 });
@@ -16,6 +16,111 @@ describe('GameEngine', () => {
     expect(emitted[0]).toEqual({ enemyId: 'enemy-1' });
   });
 
+  test('reloadLevel rebuilds the current level around players where they stand', () => {
+    const engine = new GameEngine();
+    const level = {
+      id: 'level-hot',
+      platforms: [{
+        id: 'ground', x: 0, y: 500, width: 1000, height: 100, type: 'ground'
+      }],
+      collectibles: [{
+        id: 'carrot-1', x: 300, y: 470, width: 30, height: 30, type: 'carrot'
+      }],
+      enemies: [],
+      spawnPoint: { x: 50, y: 400 }
+    };
+    engine.loadLevel(level);
+    const player = engine.addPlayer('player-1');
+    Object.assign(player, { x: 640, y: 320, health: 60 });
+    engine.collectCollectible('player-1', 'carrot-1');
+    const reloaded = jest.fn();
+    engine.on('level:reloaded', reloaded);
+
+    const edited = {
+      ...level,
+      platforms: [...level.platforms, {
+        id: 'ledge', x: 600, y: 400, width: 200, height: 20, type: 'platform'
+      }],
+      enemies: [{
+        id: 'enemy-1', x: 800, y: 460, type: 'basic'
+      }]
+    };
+    expect(engine.reloadLevel({ ...edited, id: 'level-other' })).toBe(false);
+    expect(engine.reloadLevel(edited)).toBe(true);
+
+    expect(engine.platforms.map((platform) => platform.id)).toEqual(['ground', 'ledge']);
+    expect(engine.enemies.has('enemy-1')).toBe(true);
+    expect(engine.collectibles[0].collected).toBe(false);
+    expect(player).toEqual(expect.objectContaining({
+      x: 640, y: 320, health: 60, score: 100
+    }));
+    expect(reloaded).toHaveBeenCalledWith({ levelId: 'level-hot', tick: engine.tickCount });
+  });
+
+  test('players fall out of the bottom of the level and respawn at its spawn point', () => {
+    const engine = new GameEngine();
+    engine.loadLevel({
+      id: 'level-tall',
+      height: 1600,
+      platforms: [{
+        id: 'ground', x: 0, y: 1500, width: 1000, height: 100, type: 'ground'
+      }],
+      collectibles: [],
+      enemies: [],
+      spawnPoint: { x: 120, y: 1400 }
+    });
+    const player = engine.addPlayer('player-1');
+    expect(player).toEqual(expect.objectContaining({ x: 120, y: 1400 }));
+
+    // Well below the old 600 px floor, but still inside the level
+    Object.assign(player, { x: 400, y: 900, velocityY: 0 });
+    engine.checkCollisions(player);
+    expect(player.lives).toBe(3);
+
+    player.y = 1601;
+    engine.checkCollisions(player);
+    expect(player).toEqual(expect.objectContaining({
+      lives: 2, x: 120, y: 1400, velocityX: 0, velocityY: 0
+    }));
+  });
+
+  test('the level completes once every carrot is collected and every enemy defeated', () => {
+    const engine = new GameEngine();
+    engine.loadLevel({
+      id: 'level-goal',
+      platforms: [{
+        id: 'ground', x: 0, y: 500, width: 1000, height: 100, type: 'ground'
+      }],
+      collectibles: [
+        {
+          id: 'carrot-1', x: 300, y: 470, width: 30, height: 30, type: 'carrot'
+        },
+        {
+          id: 'star-1', x: 500, y: 470, width: 30, height: 30, type: 'star'
+        }
+      ],
+      enemies: [{
+        id: 'enemy-1', x: 800, y: 460, type: 'basic'
+      }],
+      spawnPoint: { x: 50, y: 400 }
+    });
+    engine.addPlayer('player-1');
+    engine.addPlayer('player-2');
+    engine.disconnectPlayer('player-2');
+    const completed = jest.fn();
+    engine.on('level:complete', completed);
+
+    engine.collectCollectible('player-1', 'carrot-1');
+    expect(completed).not.toHaveBeenCalled();
+
+    engine.defeatEnemy('enemy-1', 'player-1');
+    engine.checkLevelComplete();
+    expect(completed).toHaveBeenCalledTimes(1);
+    expect(completed).toHaveBeenCalledWith({
+      levelId: 'level-goal', playerIds: ['player-1'], tick: engine.tickCount
+    });
+  });
+
   test('collectCollectible marks item and increments score', () => {
     const engine = new GameEngine();
     const player = engine.addPlayer('player-1');
@@ -91,4 +196,166 @@ describe('GameEngine', () => {
     expect(player.health).toBe(80);
     expect(engine.projectiles).toHaveLength(0);
   });
+
+  test('a disconnected player is frozen and untouchable until it reconnects', () => {
+    const engine = new GameEngine();
+    const player = engine.addPlayer('player-1');
+    const events = [];
+    engine.on('player:disconnected', (payload) => events.push(['disconnected', payload.playerId]));
+    engine.on('player:reconnected', (payload) => events.push(['reconnected', payload.playerId]));
+
+    engine.queueInput('player-1', { seq: 1, right: true });
+    expect(engine.disconnectPlayer('player-1')).toBe(true);
+    const { x, y } = player;
+    engine.update();
+    expect(player).toEqual(expect.objectContaining({ x, y, connected: false }));
+    expect(player.lastAck).toBeUndefined();
+
+    engine.fireProjectile({
+      id: 'enemy-shooter', x: 20, y: 20, width: 40, height: 40
+    }, player.x, player.y);
+    Object.assign(engine.projectiles[0], {
+      x: player.x + 5, y: player.y + 5, velocityX: 0, velocityY: 0
+    });
+    engine.updateProjectiles();
+    expect(player.health).toBe(100);
+
+    expect(engine.reconnectPlayer('player-1')).toBe(player);
+    expect(player.connected).toBe(true);
+    expect(engine.reconnectPlayer('missing')).toBeNull();
+    expect(events).toEqual([['disconnected', 'player-1'], ['reconnected', 'player-1']]);
+  });
+
+  test('queueInput drops stale sequence numbers and caps the queue', () => {
+    const engine = new GameEngine();
+    engine.addPlayer('player-1');
+    engine.MAX_INPUT_QUEUE = 2;
+
+    expect(engine.queueInput('player-1', { seq: 2, right: true })).toBe(true);
+    expect(engine.queueInput('player-1', { seq: 2, right: true })).toBe(false);
+    expect(engine.queueInput('player-1', { seq: 1, right: true })).toBe(false);
+    expect(engine.queueInput('player-1', { seq: 'x', right: true })).toBe(false);
+    expect(engine.queueInput('player-1', { seq: 3, right: true })).toBe(true);
+    expect(engine.queueInput('player-1', { seq: 4, right: true })).toBe(false);
+    expect(engine.queueInput('missing', { seq: 1 })).toBe(false);
+  });
+
+  test('update applies one queued input per tick and acknowledges it', () => {
+    const engine = new GameEngine();
+    const player = engine.addPlayer('player-1');
+    const startX = player.x;
+
+    engine.queueInput('player-1', { seq: 1, right: true });
+    engine.queueInput('player-1', { seq: 2, left: true });
+    engine.update();
+
+    expect(player.lastAck).toBe(1);
+    expect(player.direction).toBe('right');
+    expect(player.x).toBeGreaterThan(startX);
+
+    engine.update();
+    expect(player.lastAck).toBe(2);
+    expect(player.direction).toBe('left');
+  });
+
+  test('jump triggers only on the press edge of the jump button', () => {
+    const engine = new GameEngine();
+    const player = engine.addPlayer('player-1');
+    const jumps = [];
+    engine.on('player:jump', (payload) => jumps.push(payload));
+    player.isGrounded = true;
+
+    engine.queueInput('player-1', { seq: 1, jump: true });
+    engine.queueInput('player-1', { seq: 2, jump: true });
+    engine.applyNextInput(player);
+    player.isGrounded = true;
+    player.isJumping = false;
+    engine.applyNextInput(player);
+
+    expect(jumps).toEqual([{ playerId: 'player-1' }]);
+  });
+
+  test('verifyClaim accepts only events the engine observed, once', async () => {
+    const engine = new GameEngine();
+    engine.addPlayer('player-1');
+    engine.collectibles.push({
+      id: 'carrot-1', x: 300, y: 370, width: 30, height: 30, type: 'carrot', collected: false
+    });
+
+    engine.collectCollectible('player-1', 'carrot-1');
+    const wrongCarrot = engine.verifyClaim('player-1', 'collectible:collected', 'carrot-2');
+
+    await expect(engine.verifyClaim('player-1', 'collectible:collected', 'carrot-1')).resolves.toBe(true);
+    const replayed = engine.verifyClaim('player-1', 'collectible:collected', 'carrot-1');
+    for (let tick = 0; tick < engine.CLAIM_WINDOW_TICKS; tick++) engine.step();
+
+    await expect(wrongCarrot).resolves.toBe(false);
+    await expect(replayed).resolves.toBe(false);
+  });
+
+  test('verifyClaim holds a claim that arrives before the engine applies its input', async () => {
+    const engine = new GameEngine();
+    engine.addPlayer('player-1');
+    const player = engine.players.get('player-1');
+    engine.collectibles.push({
+      id: 'carrot-1',
+      x: player.x + player.width + 10,
+      y: player.y,
+      width: 30,
+      height: 30,
+      type: 'carrot',
+      collected: false
+    });
+
+    // The client sends its input, predicts the pickup and claims it in the same frame
+    engine.queueInput('player-1', {
+      seq: 1, left: false, right: true, jump: false
+    });
+    const claim = engine.verifyClaim('player-1', 'collectible:collected', 'carrot-1');
+    const settled = jest.fn();
+    claim.then(settled);
+    await Promise.resolve();
+    expect(settled).not.toHaveBeenCalled();
+
+    const carrot = engine.collectibles.find((collectible) => collectible.id === 'carrot-1');
+    for (let tick = 0; tick < 10 && !carrot.collected; tick++) engine.step();
+
+    await expect(claim).resolves.toBe(true);
+  });
+
+  test('defeatEnemy credits the defeating player when known', async () => {
+    const engine = new GameEngine();
+    engine.addPlayer('player-1');
+    engine.addEnemy('enemy-9', 400, 470, 'basic');
+    const emitted = [];
+    engine.on('enemy:defeated', (payload) => emitted.push(payload));
+
+    engine.defeatEnemy('enemy-9', 'player-1');
+
+    expect(emitted).toEqual([{ enemyId: 'enemy-9', playerId: 'player-1' }]);
+    await expect(engine.verifyClaim('player-1', 'enemy:defeated', 'enemy-9')).resolves.toBe(true);
+  });
+
+  test('identical inputs produce identical worlds regardless of wall-clock time', () => {
+    const dateSpy = jest.spyOn(Date, 'now');
+    const run = (wallClock) => {
+      dateSpy.mockReturnValue(wallClock);
+      const engine = new GameEngine({ seed: 7 });
+      engine.addPlayer('player-1');
+      for (let seq = 1; seq <= 120; seq++) {
+        engine.queueInput('player-1', {
+          seq, right: seq < 60, left: seq >= 90, jump: seq % 30 === 0
+        });
+        engine.step();
+      }
+      return engine.getGameState();
+    };
+
+    const first = run(1000);
+    const second = run(5000000);
+    dateSpy.mockRestore();
+
+    expect(second).toEqual(first);
+    expect(first.players[0].x).not.toBe(50);
+  });
 });
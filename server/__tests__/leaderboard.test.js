@@ -0,0 +1,91 @@
+import {
+  parseLeaderboardQuery,
+  windowStart,
+  bestEntries,
+  isAfter,
+  toPage,
+  toPlayerRank
+} from '../services/leaderboard.js';
+
+const entry = (id, playerName, score, time, createdAt = '2026-05-01T00:00:00.000Z') => ({
+  id, playerName, score, time, level: 'level-1', createdAt
+});
+
+describe('leaderboard', () => {
+  test('parses queries with defaults and rejects bad parameters', () => {
+    expect(parseLeaderboardQuery({})).toEqual({
+      board: 'verified', level: null, metric: 'score', window: 'all', limit: 10, cursor: null, around: 2
+    });
+    expect(() => parseLeaderboardQuery({ metric: 'carrots' })).toThrow('metric must be one of: score, time');
+    expect(() => parseLeaderboardQuery({ limit: '500' })).toThrow('limit must be an integer from 1 to 50');
+    expect(() => parseLeaderboardQuery({ level: '../etc' })).toThrow('level must be a level id');
+    expect(() => parseLeaderboardQuery({ cursor: 'garbage' })).toThrow('Invalid cursor');
+  });
+
+  test('windows start at midnight UTC today and on Monday', () => {
+    const wednesday = new Date('2026-05-06T15:30:00.000Z');
+    expect(windowStart('daily', wednesday)).toBe('2026-05-06T00:00:00.000Z');
+    expect(windowStart('weekly', wednesday)).toBe('2026-05-04T00:00:00.000Z');
+    expect(windowStart('weekly', new Date('2026-05-10T23:00:00.000Z'))).toBe('2026-05-04T00:00:00.000Z');
+    expect(windowStart('all', wednesday)).toBeNull();
+  });
+
+  test('keeps each player\'s best entry, best first; earlier entries win ties', () => {
+    const best = bestEntries([
+      entry('a1', 'Ann', 300, 40),
+      entry('a2', 'ann', 500, 55),
+      entry('b1', 'Bo', 500, 35, '2026-04-30T00:00:00.000Z'),
+      entry('c1', 'Cy', 100, undefined)
+    ], 'score');
+    expect(best.map((item) => item.id)).toEqual(['b1', 'a2', 'c1']);
+
+    const fastest = bestEntries(best, 'time');
+    expect(fastest.map((item) => item.id)).toEqual(['b1', 'a2']);
+  });
+
+  test('numbers pages from their cursor so new scores do not shift them', () => {
+    const entries = Array.from({ length: 5 }, (_, index) => entry(`e${index}`, `P${index}`, 100 - index * 10));
+    const query = parseLeaderboardQuery({ limit: '2' });
+    // What a store returns: up to limit + 1 entries after the cursor
+    const pageOf = (ranked, pageQuery) => {
+      const rest = pageQuery.cursor
+        ? ranked.filter((item) => isAfter(item, pageQuery.cursor, 'score'))
+        : ranked;
+      return toPage(rest.slice(0, pageQuery.limit + 1), pageQuery);
+    };
+
+    const first = pageOf(bestEntries(entries, 'score'), query);
+    expect(first.entries.map((item) => item.rank)).toEqual([1, 2]);
+
+    // A new leader arrives between pages; the next page still starts after P1
+    const withLeader = bestEntries([...entries, entry('new', 'New', 1000)], 'score');
+    const after = (page) => ({
+      ...query,
+      cursor: parseLeaderboardQuery({ cursor: page.nextCursor }).cursor
+    });
+    const second = pageOf(withLeader, after(first));
+    expect(second.entries.map((item) => [item.rank, item.playerName])).toEqual([[3, 'P2'], [4, 'P3']]);
+
+    const third = pageOf(withLeader, after(second));
+    expect(third.entries.map((item) => item.playerName)).toEqual(['P4']);
+    expect(third.nextCursor).toBeNull();
+  });
+
+  test('numbers a player\'s entry and its neighbours', () => {
+    const [p1, p2, p3] = ['P1', 'P2', 'P3'].map((name, index) => entry(name, name, 90 - index * 10));
+
+    const found = toPlayerRank({
+      entry: p2, ahead: 2, total: 6, above: [p1], below: [p3]
+    });
+    expect(found.rank).toBe(3);
+    expect(found.total).toBe(6);
+    expect(found.entries.map((item) => [item.rank, item.playerName]))
+      .toEqual([[2, 'P1'], [3, 'P2'], [4, 'P3']]);
+
+    expect(toPlayerRank({
+      entry: null, ahead: 0, total: 6, above: [], below: []
+    })).toEqual({
+      rank: null, total: 6, entry: null, entries: []
+    });
+  });
+});
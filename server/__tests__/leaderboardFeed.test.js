@@ -0,0 +1,78 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import StateManager from '../services/stateManager.js';
+import LeaderboardFeed from '../services/leaderboardFeed.js';
+
+describe('LeaderboardFeed', () => {
+  let tempDir;
+  let stateManager;
+  let feed;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'luna-feed-'));
+    stateManager = new StateManager({ dataPath: tempDir, driver: 'json' });
+    feed = new LeaderboardFeed({ stateManager });
+  });
+
+  afterEach(async () => {
+    feed.close();
+    await stateManager.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  function nextUpdate() {
+    return new Promise((resolve) => {
+      feed.once('leaderboard:updated', (socketIds, payload) => resolve({ socketIds, payload }));
+    });
+  }
+
+  test('pushes a changed leaderboard to its subscribers and marks top scores as records', async () => {
+    await stateManager.addHighScore({
+      playerName: 'Ada', score: 500, level: 'level-1', verified: true, time: 30
+    });
+
+    const initial = await feed.subscribe('socket-a', { level: 'level-1', limit: '2' });
+    expect(initial.entries).toEqual([expect.objectContaining({ rank: 1, playerName: 'Ada' })]);
+    await feed.subscribe('socket-b', { level: 'level-1', limit: '2' });
+    await feed.subscribe('socket-c', { level: 'level-2' });
+
+    let update = nextUpdate();
+    await stateManager.addHighScore({
+      playerName: 'Pip', score: 800, level: 'level-1', verified: true, time: 25
+    });
+    const { socketIds, payload } = await update;
+    expect(socketIds.sort()).toEqual(['socket-a', 'socket-b']);
+    expect(payload.record).toEqual(expect.objectContaining({ rank: 1, playerName: 'Pip' }));
+
+    // Below the followed page: an update without a record
+    update = nextUpdate();
+    await stateManager.addHighScore({
+      playerName: 'Cal', score: 900, level: 'level-1', verified: true, time: 20
+    });
+    await update;
+    update = nextUpdate();
+    await stateManager.addHighScore({
+      playerName: 'Dee', score: 100, level: 'level-1', verified: true, time: 90
+    });
+    expect((await update).payload.record).toBeNull();
+  });
+
+  test('ignores scores for other boards and forgets unsubscribed sockets', async () => {
+    const listener = jest.fn();
+    feed.on('leaderboard:updated', listener);
+    await feed.subscribe('socket-a', { level: 'level-1' });
+
+    await stateManager.addHighScore({ playerName: 'Open', score: 999, level: 'level-1' });
+    feed.unsubscribe('socket-a');
+    await stateManager.addHighScore({
+      playerName: 'Ada', score: 500, level: 'level-1', verified: true
+    });
+    await new Promise((resolve) => { setImmediate(resolve); });
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(feed.subscriptions.size).toBe(0);
+    await expect(feed.subscribe('socket-a', { window: 'yearly' })).rejects.toThrow('window must be one of');
+  });
+});
@@ -0,0 +1,52 @@
+import { searchLevels, summarizeLevelStats } from '../services/levelSearch.js';
+
+const level = (id, name, { difficulty, meta, ...row } = {}) => ({
+  id, name, difficulty, meta, stats: summarizeLevelStats(row)
+});
+
+describe('levelSearch', () => {
+  const levels = [
+    level('level-1', 'Garden Adventure', { difficulty: 'easy', plays: 40, completions: 30 }),
+    level('level-4', 'Final Ascent', { difficulty: 'hard', plays: 12 }),
+    level('meadow', 'Maker Meadow', {
+      difficulty: 'easy',
+      meta: { authorName: 'Pip', createdAt: '2026-05-02T00:00:00.000Z' },
+      plays: 40,
+      ratingCount: 3,
+      ratingTotal: 13
+    }),
+    level('burrow', 'Deep Burrow', {
+      meta: { authorName: 'Ada', createdAt: '2026-05-01T00:00:00.000Z' },
+      ratingCount: 1,
+      ratingTotal: 5
+    })
+  ];
+  const ids = (found) => found.map(({ id }) => id);
+
+  test('summarizes counters with a rounded average rating', () => {
+    expect(summarizeLevelStats()).toEqual({
+      plays: 0, completions: 0, rating: { average: null, count: 0 }
+    });
+    expect(levels[2].stats.rating).toEqual({ average: 4.3, count: 3 });
+  });
+
+  test('matches level and author names and narrows by difficulty', () => {
+    expect(ids(searchLevels(levels, { q: 'meadow' }))).toEqual(['meadow']);
+    expect(ids(searchLevels(levels, { q: ' ADA ' }))).toEqual(['burrow']);
+    expect(ids(searchLevels(levels, { q: 'a', difficulty: 'easy' }))).toEqual(['level-1', 'meadow']);
+    expect(ids(searchLevels(levels))).toEqual(['level-1', 'level-4', 'meadow', 'burrow']);
+  });
+
+  test('sorts by name, newest, plays and rating', () => {
+    expect(ids(searchLevels(levels, { sort: 'name' })))
+      .toEqual(['burrow', 'level-4', 'level-1', 'meadow']);
+    // Bundled levels have no upload date
+    expect(ids(searchLevels(levels, { sort: 'newest' })))
+      .toEqual(['meadow', 'burrow', 'level-4', 'level-1']);
+    // Equal plays fall back to the name
+    expect(ids(searchLevels(levels, { sort: 'plays' })))
+      .toEqual(['level-1', 'meadow', 'level-4', 'burrow']);
+    expect(ids(searchLevels(levels, { sort: 'rating' })))
+      .toEqual(['burrow', 'meadow', 'level-4', 'level-1']);
+  });
+});
@@ -0,0 +1,80 @@
+import { Writable } from 'node:stream';
+import express from 'express';
+import request from 'supertest';
+import winston from 'winston';
+
+import { createLogger } from '../services/logger.js';
+import { requestContext, accessLog } from '../middleware/accessLog.js';
+
+// Logger writing JSON lines into an array
+function captureLogger(options = {}) {
+  const lines = [];
+  const stream = new Writable({
+    write(chunk, _encoding, callback) {
+      lines.push(JSON.parse(chunk.toString()));
+      callback();
+    }
+  });
+  const logger = createLogger({
+    level: 'http',
+    format: 'json',
+    silent: false,
+    transports: [new winston.transports.Stream({ stream })],
+    ...options
+  });
+  return { logger, lines };
+}
+
+describe('logger', () => {
+  test('writes JSON lines tagged by child loggers, with errors serialized', () => {
+    const { logger, lines } = captureLogger();
+    const engineLog = logger.child({ service: 'GameEngine', roomId: 'room-1' });
+
+    engineLog.info('Level loaded', { levelId: 'level-1', platforms: 4 });
+    engineLog.debug('Game loop started');
+    engineLog.error('Tick failed', { error: new Error('boom') });
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toEqual(expect.objectContaining({
+      level: 'info',
+      message: 'Level loaded',
+      service: 'GameEngine',
+      roomId: 'room-1',
+      levelId: 'level-1',
+      timestamp: expect.any(String)
+    }));
+    expect(lines[1].error).toEqual(expect.objectContaining({
+      name: 'Error', message: 'boom', stack: expect.stringContaining('boom')
+    }));
+  });
+
+  test('rejects unknown levels', () => {
+    expect(() => createLogger({ level: 'loud' })).toThrow('LOG_LEVEL must be one of');
+  });
+
+  test('access log lines carry the request id, echoed in X-Request-Id', async () => {
+    const { logger, lines } = captureLogger();
+    const app = express();
+    app.use(requestContext(logger));
+    app.use(accessLog(logger));
+    app.get('/ping', (req, res) => {
+      req.log.info('Handling ping');
+      res.json({ ok: true });
+    });
+
+    const traced = await request(app).get('/ping').set('X-Request-Id', 'proxy-42').expect(200);
+    expect(traced.headers['x-request-id']).toBe('proxy-42');
+    const generated = await request(app).get('/ping').set('X-Request-Id', 'not valid!').expect(200);
+    expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+
+    expect(lines[0]).toEqual(expect.objectContaining({ message: 'Handling ping', requestId: 'proxy-42' }));
+    expect(lines[1]).toEqual(expect.objectContaining({
+      level: 'http',
+      message: 'GET /ping 200',
+      requestId: 'proxy-42',
+      method: 'GET',
+      status: 200,
+      responseTimeMs: expect.any(Number)
+    }));
+  });
+});
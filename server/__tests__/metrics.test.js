@@ -0,0 +1,39 @@
+import { MetricsRegistry } from '../services/metrics.js';
+
+describe('MetricsRegistry', () => {
+  test('renders counters, gauges and histograms in the Prometheus text format', () => {
+    const registry = new MetricsRegistry();
+    const events = registry.counter('test_events_total', 'Events received');
+    const rooms = registry.gauge('test_rooms', 'Open rooms', () => 3);
+    const ticks = registry.histogram('test_tick_seconds', 'Tick time', [0.001, 0.01]);
+
+    events.inc({ event: 'player:input' });
+    events.inc({ event: 'player:input' }, 2);
+    events.inc({ event: 'say "hi"' });
+    ticks.observe(0.0005);
+    ticks.observe(0.005);
+    ticks.observe(0.5);
+
+    expect(events.get({ event: 'player:input' })).toBe(3);
+    expect(rooms.get()).toBe(3);
+    expect(registry.render()).toBe([
+      '# HELP test_events_total Events received',
+      '# TYPE test_events_total counter',
+      'test_events_total{event="player:input"} 3',
+      'test_events_total{event="say \\"hi\\""} 1',
+      '# HELP test_rooms Open rooms',
+      '# TYPE test_rooms gauge',
+      'test_rooms 3',
+      '# HELP test_tick_seconds Tick time',
+      '# TYPE test_tick_seconds histogram',
+      'test_tick_seconds_bucket{le="0.001"} 1',
+      'test_tick_seconds_bucket{le="0.01"} 2',
+      'test_tick_seconds_bucket{le="+Inf"} 3',
+      'test_tick_seconds_sum 0.5055',
+      'test_tick_seconds_count 3',
+      ''
+    ].join('\n'));
+
+    expect(() => registry.counter('test_events_total', 'Again')).toThrow('already registered');
+  });
+});
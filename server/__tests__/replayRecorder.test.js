@@ -0,0 +1,160 @@
+import GameEngine from '../services/gameEngine.js';
+import ReplayRecorder from '../services/replayRecorder.js';
+import {
+  createReplay,
+  recordReplayInput,
+  toEngineReplay
+} from '../../client/shared/replayFormat.js';
+
+const level = {
+  id: 'level-replay',
+  gravity: 0.6,
+  platforms: [
+    {
+      id: 'ground', x: 0, y: 500, width: 1000, height: 50, type: 'ground'
+    },
+    {
+      id: 'mover', x: 300, y: 420, width: 120, height: 20, type: 'moving'
+    }
+  ],
+  collectibles: [
+    {
+      id: 'carrot-a', x: 180, y: 460, width: 30, height: 30, type: 'carrot'
+    }
+  ],
+  enemies: [
+    {
+      id: 'shooter-1', x: 500, y: 460, type: 'shooter'
+    },
+    {
+      id: 'flyer-1', x: 650, y: 300, type: 'flying'
+    }
+  ],
+  spawnPoint: { x: 60, y: 440 }
+};
+
+// Strip fields that depend on the client's sequence numbers rather than the simulation
+function comparableState(engine) {
+  const state = engine.getGameState();
+  return {
+    ...state,
+    players: state.players.map((player) => ({ ...player, lastAck: undefined }))
+  };
+}
+
+describe('ReplayRecorder', () => {
+  test('re-simulates a recorded run exactly', () => {
+    const engine = new GameEngine({ seed: 1234 });
+    const recorder = new ReplayRecorder();
+    recorder.attach(engine);
+
+    engine.addPlayer('luna');
+    engine.loadLevel(level);
+
+    // Commands arrive unevenly: some ticks get two, some none
+    let seq = 0;
+    for (let tick = 0; tick < 240; tick++) {
+      if (tick === 80) engine.addPlayer('pip');
+      if (tick % 7 !== 3) {
+        const burst = tick % 11 === 0 ? 2 : 1;
+        for (let i = 0; i < burst; i++) {
+          seq += 1;
+          engine.queueInput('luna', {
+            seq, right: tick < 150, left: tick >= 190, jump: tick % 40 < 3
+          });
+        }
+      }
+      if (tick > 80 && tick % 5 === 0) {
+        engine.queueInput('pip', {
+          seq: tick, right: false, left: tick % 3 === 0, jump: tick % 25 === 0
+        });
+      }
+      engine.step();
+    }
+
+    const replay = recorder.getReplay();
+    const resimulated = ReplayRecorder.simulate(replay, { levels: { [level.id]: level } });
+
+    expect(replay.seed).toBe(1234);
+    expect(replay.endTick).toBe(240);
+    expect(resimulated.tickCount).toBe(240);
+    expect(comparableState(resimulated)).toEqual(comparableState(engine));
+    expect(engine.players.get('luna').x).not.toBe(level.spawnPoint.x);
+  });
+
+  test('stores inputs only when buttons change', () => {
+    const engine = new GameEngine();
+    const recorder = new ReplayRecorder();
+    recorder.attach(engine);
+    engine.addPlayer('luna');
+
+    for (let seq = 1; seq <= 30; seq++) {
+      engine.queueInput('luna', {
+        seq, right: true, left: false, jump: false
+      });
+      engine.step();
+    }
+    recorder.detach();
+    engine.step();
+
+    const inputs = recorder.getReplay().events.filter((event) => event.type === 'input');
+    expect(inputs).toEqual([{
+      tick: 0, type: 'input', playerId: 'luna', left: false, right: true, jump: false
+    }]);
+    expect(recorder.getReplay().endTick).toBe(30);
+  });
+
+  test('refuses to record an engine that has already started', () => {
+    const engine = new GameEngine();
+    engine.step();
+
+    expect(() => new ReplayRecorder().attach(engine)).toThrow('fresh engine');
+  });
+
+  test('simulate fails when a level is missing', () => {
+    const replay = {
+      seed: 1, endTick: 5, events: [{ tick: 0, type: 'level', levelId: 'gone' }]
+    };
+
+    expect(() => ReplayRecorder.simulate(replay)).toThrow('Replay needs level gone');
+  });
+
+  test('a .lunareplay file re-simulates on the engine', () => {
+    const file = createReplay({ levelId: level.id, seed: 99 });
+    const engine = new GameEngine({ seed: 99 });
+    engine.addPlayer('luna');
+    engine.loadLevel(level);
+
+    for (let tick = 0; tick < 180; tick++) {
+      const buttons = { left: tick > 150, right: tick < 120, jump: tick === 30 };
+      recordReplayInput(file, tick, buttons);
+      engine.queueInput('luna', { seq: tick + 1, ...buttons });
+      engine.step();
+    }
+
+    const resimulated = ReplayRecorder.simulate(toEngineReplay(file, 'luna'), {
+      levels: new Map([[level.id, level]])
+    });
+
+    expect(comparableState(resimulated)).toEqual(comparableState(engine));
+  });
+
+  test('simulateAsync yields to the event loop between chunks and ends in the same state', async () => {
+    const file = createReplay({ levelId: level.id, seed: 5 });
+    for (let tick = 0; tick < 300; tick++) {
+      recordReplayInput(file, tick, { left: false, right: tick < 200, jump: tick % 50 === 0 });
+    }
+    const replay = toEngineReplay(file, 'luna');
+    const levels = { [level.id]: level };
+    let yields = 0;
+    const counter = setInterval(() => { yields += 1; }, 0);
+
+    const resimulated = await ReplayRecorder.simulateAsync(replay, { levels, chunkTicks: 10 });
+    clearInterval(counter);
+
+    expect(resimulated.tickCount).toBe(300);
+    const direct = ReplayRecorder.simulate(replay, { levels });
+    expect(comparableState(resimulated)).toEqual(comparableState(direct));
+    expect(yields).toBeGreaterThan(0);
+  });
+});
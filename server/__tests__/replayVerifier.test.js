@@ -0,0 +1,129 @@
+import ReplayVerifier from '../services/replayVerifier.js';
+import {
+  createReplay,
+  finishReplay,
+  recordReplayInput,
+  serializeReplay
+} from '../../client/shared/replayFormat.js';
+
+const level = {
+  id: 'level-verify',
+  gravity: 0.6,
+  platforms: [
+    {
+      id: 'ground', x: 0, y: 500, width: 1000, height: 50, type: 'ground'
+    }
+  ],
+  collectibles: [
+    {
+      id: 'carrot-a', x: 180, y: 460, width: 30, height: 30, type: 'carrot'
+    }
+  ],
+  enemies: [],
+  spawnPoint: { x: 60, y: 440 }
+};
+
+// Run right for two seconds, which picks up the carrot (100 points)
+function recordRun() {
+  const replay = createReplay({ levelId: level.id, seed: 7 });
+  for (let tick = 0; tick < 120; tick++) {
+    recordReplayInput(replay, tick, { left: false, right: true, jump: false });
+  }
+  return finishReplay(replay, { playerName: 'Luna' });
+}
+
+function createVerifier() {
+  return new ReplayVerifier({
+    assetManager: { getLevels: async () => [level] }
+  });
+}
+
+describe('ReplayVerifier', () => {
+  test('verifies a score the replay reproduces', async () => {
+    const replay = recordRun();
+    const verifier = createVerifier();
+    const verified = jest.fn();
+    verifier.on('replay:verified', verified);
+
+    const result = await verifier.verify({
+      score: 100, level: level.id, time: 2, replay: serializeReplay(replay)
+    });
+
+    expect(result).toEqual(expect.objectContaining({ verified: true, score: 100, time: 2 }));
+    expect(result.replayId).toBe(ReplayVerifier.fingerprint(replay));
+    expect(verified).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects a score, time or level the replay does not reproduce', async () => {
+    const replay = recordRun();
+    const verifier = createVerifier();
+
+    await expect(verifier.verify({ score: 5000, level: level.id, replay }))
+      .resolves.toEqual(expect.objectContaining({
+        verified: false, reason: 'Score does not match the replay', score: 100
+      }));
+    await expect(verifier.verify({
+      score: 100, level: level.id, time: 1, replay
+    })).resolves.toEqual(expect.objectContaining({ verified: false, reason: 'Time does not match the replay' }));
+    await expect(verifier.verify({ score: 100, level: 'level-1', replay }))
+      .resolves.toEqual(expect.objectContaining({ verified: false, reason: 'Replay was recorded on a different level' }));
+  });
+
+  test('rejects replays it cannot or should not simulate', async () => {
+    const verifier = createVerifier();
+    const replay = recordRun();
+
+    await expect(verifier.verify({ score: 100, level: level.id, replay: '{oops' }))
+      .resolves.toEqual({ verified: false, reason: 'Replay file is not valid JSON' });
+    await expect(verifier.verify({
+      score: 100, level: level.id, replay: { ...replay, engineVersion: 0 }
+    })).resolves.toEqual(expect.objectContaining({ reason: 'Replay was recorded with a different game version' }));
+
+    const short = new ReplayVerifier({ assetManager: verifier.assetManager, maxTicks: 60 });
+    await expect(short.verify({ score: 100, level: level.id, replay }))
+      .resolves.toEqual(expect.objectContaining({ reason: 'Replay is too long to verify' }));
+
+    const unknown = { ...replay, levelId: 'level-missing' };
+    await expect(verifier.verify({ score: 100, level: 'level-missing', replay: unknown }))
+      .resolves.toEqual(expect.objectContaining({ reason: 'Unknown level level-missing' }));
+  });
+
+  test('checks the starting health and lives the replay claims', async () => {
+    const pit = {
+      ...level,
+      id: 'level-pit',
+      collectibles: [],
+      platforms: [{
+        id: 'ledge', x: 0, y: 500, width: 300, height: 50, type: 'ground'
+      }]
+    };
+    const verifier = new ReplayVerifier({ assetManager: { getLevels: async () => [pit] } });
+    // Run off the ledge: one fall, then back at the spawn point
+    const runOff = (initialState) => {
+      const replay = createReplay({ levelId: pit.id, seed: 3, initialState });
+      for (let tick = 0; tick < 120; tick++) {
+        recordReplayInput(replay, tick, { left: false, right: tick < 80, jump: false });
+      }
+      return replay;
+    };
+
+    await expect(verifier.verify({ score: 0, level: pit.id, replay: runOff({ lives: 2 }) }))
+      .resolves.toEqual(expect.objectContaining({ verified: true }));
+    await expect(verifier.verify({ score: 0, level: pit.id, replay: runOff({ lives: 1 }) }))
+      .resolves.toEqual({ verified: false, reason: 'Replay continues after game over' });
+    await expect(verifier.verify({
+      score: 0, level: pit.id, replay: runOff({ lives: 2, health: 60 })
+    })).resolves.toEqual({ verified: false, reason: 'Replay does not start with full health' });
+    await expect(verifier.verify({ score: 0, level: pit.id, replay: runOff({ lives: 0 }) }))
+      .resolves.toEqual(expect.objectContaining({ verified: false, reason: expect.stringContaining('initialState') }));
+  });
+
+  test('fingerprints ignore replay metadata', () => {
+    const replay = recordRun();
+    const renamed = { ...replay, metadata: { playerName: 'Pip' } };
+
+    expect(ReplayVerifier.fingerprint(renamed)).toBe(ReplayVerifier.fingerprint(replay));
+    expect(ReplayVerifier.fingerprint({ ...replay, seed: 8 }))
+      .not.toBe(ReplayVerifier.fingerprint(replay));
+  });
+});
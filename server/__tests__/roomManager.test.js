@@ -0,0 +1,162 @@
+import RoomManager from '../services/roomManager.js';
+
+describe('RoomManager', () => {
+  test('creates the default room on demand and adds the player to its engine', () => {
+    const manager = new RoomManager();
+
+    const room = manager.joinRoom('public', 'socket-1');
+
+    expect(room.id).toBe('public');
+    expect(room.engine.players.has('socket-1')).toBe(true);
+    expect(manager.getRoomForSocket('socket-1')).toBe(room);
+  });
+
+  test('each room owns a separate GameEngine', () => {
+    const manager = new RoomManager();
+    const first = manager.createRoom({ name: 'First' });
+    const second = manager.createRoom({ name: 'Second' });
+
+    manager.joinRoom(first.id, 'socket-1');
+    manager.joinRoom(second.id, 'socket-2');
+
+    expect(first.engine).not.toBe(second.engine);
+    expect(first.engine.players.has('socket-2')).toBe(false);
+    expect(second.engine.players.has('socket-1')).toBe(false);
+  });
+
+  test('joining another room leaves the previous one', () => {
+    const manager = new RoomManager();
+    const room = manager.createRoom({ id: 'room-a' });
+    manager.joinRoom('public', 'socket-1');
+    manager.joinRoom('public', 'socket-2');
+
+    manager.joinRoom(room.id, 'socket-1');
+
+    expect(manager.getRoom('public').engine.players.has('socket-1')).toBe(false);
+    expect(room.engine.players.has('socket-1')).toBe(true);
+  });
+
+  test('rejects joins to missing or full rooms', () => {
+    const manager = new RoomManager();
+    const room = manager.createRoom({ id: 'tiny', maxPlayers: 1 });
+    manager.joinRoom(room.id, 'socket-1');
+
+    expect(() => manager.joinRoom('missing', 'socket-2')).toThrow('Room missing does not exist');
+    expect(() => manager.joinRoom('tiny', 'socket-2')).toThrow('Room tiny is full');
+  });
+
+  test('a player the engine refuses does not become a member', () => {
+    const manager = new RoomManager();
+    const room = manager.createRoom({ id: 'room-a' });
+    room.engine.addPlayer = () => {
+      throw new Error('Engine refused the player');
+    };
+
+    expect(() => manager.joinRoom(room.id, 'socket-1')).toThrow('Engine refused the player');
+    expect(room.members.size).toBe(0);
+    expect(manager.getRoomForSocket('socket-1')).toBeNull();
+  });
+
+  test('tears down a room and stops its engine when the last member leaves', () => {
+    const manager = new RoomManager();
+    const room = manager.createRoom({ id: 'room-a' });
+    const destroyed = [];
+    manager.on('room:destroyed', (payload) => destroyed.push(payload));
+
+    manager.joinRoom(room.id, 'socket-1');
+    room.engine.startGame();
+    manager.leaveRoom('socket-1');
+
+    expect(room.engine.isRunning).toBe(false);
+    expect(manager.getRoom('room-a')).toBeNull();
+    expect(manager.getRoomForSocket('socket-1')).toBeNull();
+    expect(destroyed).toEqual([{ roomId: 'room-a' }]);
+  });
+
+  test('listRooms returns serializable summaries', () => {
+    const manager = new RoomManager({ maxPlayersPerRoom: 6 });
+    const room = manager.createRoom({ id: 'room-a', name: 'Garden Gang' });
+    manager.joinRoom(room.id, 'socket-1');
+
+    expect(manager.listRooms()).toEqual([
+      expect.objectContaining({
+        id: 'room-a',
+        name: 'Garden Gang',
+        players: 1,
+        maxPlayers: 6,
+        isRunning: false
+      })
+    ]);
+
+    manager.destroyAll();
+  });
+
+  test('binds a socket to an explicit player id across room changes', () => {
+    const manager = new RoomManager();
+    const room = manager.createRoom({ id: 'room-a' });
+
+    manager.joinRoom('public', 'socket-1', 'account-luna');
+    expect(manager.getRoom('public').engine.players.has('account-luna')).toBe(true);
+    expect(manager.getPlayerId('socket-1')).toBe('account-luna');
+
+    manager.joinRoom(room.id, 'socket-1');
+    expect(room.engine.players.has('account-luna')).toBe(true);
+
+    manager.leaveRoom('socket-1');
+    expect(room.engine.players.has('account-luna')).toBe(false);
+    expect(manager.getPlayerId('socket-1')).toBe('socket-1');
+  });
+
+  test('holds a dropped player for the grace window and hands it to a new socket', () => {
+    jest.useFakeTimers();
+    const manager = new RoomManager({ reconnectGraceMs: 1000 });
+    const room = manager.createRoom({ id: 'room-a', maxPlayers: 2 });
+    manager.joinRoom(room.id, 'socket-1', 'guest-1');
+    manager.joinRoom(room.id, 'socket-2');
+    room.engine.players.get('guest-1').score = 300;
+
+    expect(manager.holdPlayer('socket-1')).toBe(room);
+    expect(room.engine.players.get('guest-1').connected).toBe(false);
+    expect(manager.getHeldRoom('guest-1')).toBe(room);
+    // The held player keeps its slot
+    expect(() => manager.joinRoom(room.id, 'socket-3')).toThrow('Room room-a is full');
+
+    expect(manager.resumePlayer('socket-4', 'guest-1')).toBe(room);
+    expect(manager.getPlayerId('socket-4')).toBe('guest-1');
+    expect(room.engine.players.get('guest-1')).toEqual(expect.objectContaining({ connected: true, score: 300 }));
+
+    manager.holdPlayer('socket-4');
+    manager.leaveRoom('socket-2');
+    expect(manager.getRoom('room-a')).toBe(room);
+    jest.advanceTimersByTime(1000);
+    expect(room.engine.players.has('guest-1')).toBe(false);
+    expect(manager.getRoom('room-a')).toBeNull();
+    expect(manager.resumePlayer('socket-5', 'guest-1')).toBeNull();
+    jest.useRealTimers();
+  });
+
+  test('spectators watch a room without spawning a player or taking a slot', () => {
+    const manager = new RoomManager({ maxSpectatorsPerRoom: 1 });
+    const room = manager.createRoom({ id: 'room-a', maxPlayers: 1 });
+    manager.joinRoom(room.id, 'socket-1');
+
+    expect(manager.spectateRoom(room.id, 'socket-2')).toBe(room);
+    expect(manager.isSpectator('socket-2')).toBe(true);
+    expect(room.engine.players.has('socket-2')).toBe(false);
+    expect(manager.getRoomSockets(room)).toEqual(['socket-1', 'socket-2']);
+    expect(manager.getRoomSummary(room)).toEqual(
+      expect.objectContaining({ players: 1, spectators: 1 })
+    );
+    expect(() => manager.spectateRoom(room.id, 'socket-3')).toThrow('Room room-a has no room for more spectators');
+
+    // A spectator that starts playing takes a player slot like anyone else
+    expect(() => manager.joinRoom(room.id, 'socket-2')).toThrow('Room room-a is full');
+    expect(manager.isSpectator('socket-2')).toBe(true);
+
+    // The room stays open while someone is watching
+    manager.leaveRoom('socket-1');
+    expect(manager.getRoom('room-a')).toBe(room);
+    expect(manager.holdPlayer('socket-2')).toBe(room);
+    expect(manager.getRoom('room-a')).toBeNull();
+  });
+});
@@ -5,6 +5,8 @@ import path from 'node:path';
 import request from 'supertest';
 
 import { createServer } from '../appFactory.js';
+import { createReplay, recordReplayInput } from '../../client/shared/replayFormat.js';
+import { createSaveGame, recordLevelResult, setCheckpoint } from '../../client/shared/saveGame.js';
 
 describe('Server integration: API and socket flows', () => {
   let tempRoot;
@@ -31,7 +33,9 @@ describe('Server integration: API and socket flows', () => {
       width: 2000,
       height: 600,
       gravity: 0.5,
-      platforms: [],
+      platforms: [{
+        id: 'ground', x: 0, y: 500, width: 2000, height: 100, type: 'ground'
+      }],
       collectibles: [],
       enemies: [],
       spawnPoint: { x: 50, y: 400 }
@@ -59,7 +63,8 @@ describe('Server integration: API and socket flows', () => {
       assetManagerOptions: {
         levelsPath: levelsDir,
         configsPath: configsDir,
-        spritesPath: spritesDir
+        spritesPath: spritesDir,
+        userLevelsPath: path.join(tempRoot, 'user-levels')
       },
       stateManagerOptions: {
         dataPath: dataDir,
@@ -73,7 +78,8 @@ describe('Server integration: API and socket flows', () => {
 
   afterAll(async () => {
     if (serverContext) {
-      await serverContext.stop();
+      // Returns the same promise when a test already shut the server down
+      await serverContext.shutdown({ countdownMs: 0 });
     }
 
     if (tempRoot) {
@@ -94,6 +100,18 @@ describe('Server integration: API and socket flows', () => {
     );
   });
 
+  test('GET /api/levels/:levelId returns one level and rejects unsafe ids', async () => {
+    const response = await request(serverContext.app)
+      .get('/api/levels/level-test-int')
+      .expect(200);
+
+    expect(response.body).toEqual(expect.objectContaining({ id: 'level-test-int', gravity: 0.5 }));
+
+    await request(serverContext.app)
+      .get('/api/levels/..%2Fsecrets')
+      .expect(400);
+  });
+
   test('GET /api/highscores returns high score data via supertest', async () => {
     const response = await request(serverContext.app)
       .get('/api/highscores')
@@ -108,33 +126,905 @@ describe('Server integration: API and socket flows', () => {
     );
   });
 
-  test('socket flow emits updated game:state after player:move', async () => {
-    const connectionHandler = serverContext.io.listeners('connection')[0];
-    const socketHandlers = {};
+  test('POST /api/highscores verifies attached replays onto their own board', async () => {
+    const replay = createReplay({ levelId: 'level-test-int', seed: 5 });
+    for (let tick = 0; tick < 90; tick++) {
+      recordReplayInput(replay, tick, { left: false, right: tick < 60, jump: tick === 20 });
+    }
+    const submission = {
+      playerName: 'Proven', score: 0, level: 'level-test-int', time: 1.5, replay
+    };
+
+    const verified = await request(serverContext.app)
+      .post('/api/highscores')
+      .send(submission)
+      .expect(201);
+    expect(verified.body).toEqual(expect.objectContaining({ verified: true, time: 1.5 }));
+
+    const resubmitted = await request(serverContext.app)
+      .post('/api/highscores')
+      .send({ ...submission, playerName: 'Copycat' })
+      .expect(201);
+    expect(resubmitted.body).toEqual(expect.objectContaining({
+      verified: false, reason: 'Replay was already submitted'
+    }));
+
+    const inflated = await request(serverContext.app)
+      .post('/api/highscores')
+      .send({ ...submission, score: 99999 })
+      .expect(201);
+    expect(inflated.body).toEqual(expect.objectContaining({
+      verified: false, reason: 'Score does not match the replay'
+    }));
+
+    const board = await request(serverContext.app)
+      .get('/api/highscores?board=verified')
+      .expect(200);
+    expect(board.body.map((entry) => entry.playerName)).toEqual(['Proven']);
+
+    const open = await request(serverContext.app)
+      .get('/api/highscores')
+      .expect(200);
+    expect(open.body[0]).toEqual(expect.objectContaining({ playerName: 'Proven', score: 99999 }));
+
+    // Submitted together, a new replay still backs only one verified score
+    const racing = await Promise.all(['Ann', 'Bob'].map((playerName) => request(serverContext.app)
+      .post('/api/highscores')
+      .send({ ...submission, playerName, replay: { ...replay, seed: 6 } })
+      .expect(201)));
+    expect(racing.map((response) => response.body.verified).sort()).toEqual([false, true]);
+
+    await request(serverContext.app)
+      .get('/api/highscores?board=everyone')
+      .expect(400);
+  });
+
+  test('accounts register, sign in and own their high scores', async () => {
+    const registered = await request(serverContext.app)
+      .post('/api/auth/register')
+      .send({ username: 'pip', password: 'hay-and-clover', displayName: 'Pip' })
+      .expect(201);
+    expect(registered.body.account).toEqual(expect.objectContaining({ username: 'pip' }));
+
+    await request(serverContext.app)
+      .post('/api/auth/register')
+      .send({ username: 'pip', password: 'hay-and-clover' })
+      .expect(409);
+    await request(serverContext.app)
+      .post('/api/auth/login')
+      .send({ username: 'pip', password: 'not-the-password' })
+      .expect(401);
+
+    const login = await request(serverContext.app)
+      .post('/api/auth/login')
+      .send({ username: 'pip', password: 'hay-and-clover' })
+      .expect(200);
+    const auth = `Bearer ${login.body.accessToken}`;
+
+    const me = await request(serverContext.app)
+      .get('/api/auth/me')
+      .set('Authorization', auth)
+      .expect(200);
+    expect(me.body.id).toBe(registered.body.account.id);
+    await request(serverContext.app).get('/api/auth/me').expect(401);
+    await request(serverContext.app)
+      .get('/api/auth/me')
+      .set('Authorization', 'Bearer not-a-token')
+      .expect(401);
+
+    const refreshed = await request(serverContext.app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: login.body.refreshToken })
+      .expect(200);
+    expect(refreshed.body.accessToken).toEqual(expect.any(String));
+
+    const score = await request(serverContext.app)
+      .post('/api/highscores')
+      .set('Authorization', auth)
+      .send({ playerName: 'Impostor', score: 10, level: 'level-1' })
+      .expect(201);
+    expect(score.body).toEqual(expect.objectContaining({
+      playerName: 'Pip', accountId: registered.body.account.id
+    }));
+  });
+
+  test('GET /api/leaderboard pages per-level boards and finds a player\'s rank', async () => {
+    await Promise.all(['Ada', 'Bea', 'Cal'].map((playerName, index) => serverContext.stateManager.addHighScore({
+      playerName, score: 300 - index * 100, level: 'level-lb', verified: true, time: 20 + index
+    })));
+    await serverContext.stateManager.addHighScore({
+      playerName: 'Dee', score: 999, level: 'level-other', verified: true
+    });
+
+    const first = await request(serverContext.app)
+      .get('/api/leaderboard')
+      .query({ level: 'level-lb', window: 'daily', limit: 2 })
+      .expect(200);
+    expect(first.body).toEqual(expect.objectContaining({
+      board: 'verified', level: 'level-lb', metric: 'score', window: 'daily'
+    }));
+    expect(first.body.entries.map((entry) => [entry.rank, entry.playerName])).toEqual([[1, 'Ada'], [2, 'Bea']]);
+
+    const second = await request(serverContext.app)
+      .get('/api/leaderboard')
+      .query({ level: 'level-lb', limit: 2, cursor: first.body.nextCursor })
+      .expect(200);
+    expect(second.body.entries.map((entry) => entry.playerName)).toEqual(['Cal']);
+    expect(second.body.nextCursor).toBeNull();
+
+    const rank = await request(serverContext.app)
+      .get('/api/leaderboard/rank')
+      .query({
+        level: 'level-lb', metric: 'time', around: 1, playerName: 'cal'
+      })
+      .expect(200);
+    expect(rank.body).toEqual(expect.objectContaining({ rank: 3, total: 3 }));
+    expect(rank.body.entries.map((entry) => entry.playerName)).toEqual(['Bea', 'Cal']);
+
+    await request(serverContext.app).get('/api/leaderboard/rank').query({ level: 'level-lb' }).expect(400);
+    const invalid = await request(serverContext.app)
+      .get('/api/leaderboard')
+      .query({ window: 'hourly', limit: '500', cursor: 'garbage' })
+      .expect(400);
+    expect(invalid.body).toEqual({
+      error: 'window must be one of: daily, weekly, all',
+      errors: [
+        { field: 'window', message: 'window must be one of: daily, weekly, all' },
+        { field: 'limit', message: 'limit must be an integer from 1 to 50' },
+        { field: 'cursor', message: 'Invalid cursor' }
+      ]
+    });
+    await request(serverContext.app)
+      .get('/api/leaderboard/rank')
+      .query({ level: 'level-lb', around: 11, playerName: 'cal' })
+      .expect(400);
+  });
+
+  test('GET/PUT /api/progress keep one cloud save per account', async () => {
+    const session = await request(serverContext.app)
+      .post('/api/auth/register')
+      .send({ username: 'clover', password: 'hay-and-clover' })
+      .expect(201);
+    const auth = `Bearer ${session.body.accessToken}`;
+
+    await request(serverContext.app).get('/api/progress').expect(401);
+    const empty = await request(serverContext.app)
+      .get('/api/progress')
+      .set('Authorization', auth)
+      .expect(200);
+    expect(empty.body.progress).toBeNull();
+
+    await request(serverContext.app)
+      .put('/api/progress')
+      .set('Authorization', auth)
+      .send({ progress: { ...createSaveGame(), lives: -1 } })
+      .expect(400);
+
+    // Device A reaches level 3 and sets the best time on level 1
+    const deviceA = recordLevelResult(setCheckpoint(createSaveGame(), {
+      currentLevel: 'level-3', score: 900, lives: 2
+    }, '2026-05-02T10:00:00.000Z'), 'level-1', {
+      score: 400, time: 30, carrotsCollected: 5, completed: true
+    }, '2026-05-02T10:00:00.000Z');
+    const first = await request(serverContext.app)
+      .put('/api/progress')
+      .set('Authorization', auth)
+      .send({ progress: deviceA })
+      .expect(200);
+    expect(first.body.conflict).toBe(false);
+
+    // Device B, offline since before that, uploads an older save with a better score
+    const deviceB = recordLevelResult(setCheckpoint(createSaveGame(), {
+      currentLevel: 'level-2', score: 500, lives: 3
+    }, '2026-05-01T10:00:00.000Z'), 'level-1', {
+      score: 450, time: 41, carrotsCollected: 4, completed: true
+    }, '2026-05-01T10:00:00.000Z');
+    const second = await request(serverContext.app)
+      .put('/api/progress')
+      .set('Authorization', auth)
+      .send({ progress: deviceB })
+      .expect(200);
+    expect(second.body.conflict).toBe(true);
+    expect(second.body.progress).toEqual(expect.objectContaining({
+      currentLevel: 'level-3', score: 900, lives: 2
+    }));
+    expect(second.body.progress.levels['level-1']).toEqual({
+      bestScore: 450, bestTime: 30, carrotsCollected: 5, completed: true
+    });
+
+    const stored = await request(serverContext.app)
+      .get('/api/progress')
+      .set('Authorization', auth)
+      .expect(200);
+    expect(stored.body.progress).toEqual(second.body.progress);
+  });
+
+  test('malformed requests get 400s and responses carry security headers', async () => {
+    const levels = await request(serverContext.app).get('/api/levels').expect(200);
+    expect(levels.headers['content-security-policy']).toContain("script-src 'self'");
+    expect(levels.headers['x-content-type-options']).toBe('nosniff');
+    expect(levels.headers.ratelimit).toEqual(expect.any(String));
+
+    const badName = await request(serverContext.app)
+      .post('/api/highscores')
+      .send({ playerName: 'Luna\u0000', score: 10, level: 'level-1' })
+      .expect(400);
+    expect(badName.body.error).toBe('playerName may only contain letters, digits, spaces and _ . \' -');
+
+    const badLogin = await request(serverContext.app)
+      .post('/api/auth/login')
+      .send({ username: ['pip'], password: 'hay-and-clover' })
+      .expect(400);
+    expect(badLogin.body).toEqual(expect.objectContaining({ error: 'username must be a string' }));
 
+    const badJson = await request(serverContext.app)
+      .post('/api/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"username":')
+      .expect(400);
+    expect(badJson.body).toEqual({ error: 'Request body is not valid JSON' });
+  });
+
+  function connectFakeSocket(id, data = {}, auth = {}) {
+    const connectionHandler = serverContext.io.listeners('connection')[0];
+    const handlers = {};
     const fakeSocket = {
-      id: 'socket-test-player',
+      id,
+      data,
+      handshake: { auth },
+      rooms: new Set(),
       on: jest.fn((eventName, handler) => {
-        socketHandlers[eventName] = handler;
+        handlers[eventName] = handler;
       }),
-      emit: jest.fn()
+      emit: jest.fn(),
+      join: jest.fn((roomId) => fakeSocket.rooms.add(roomId)),
+      leave: jest.fn((roomId) => fakeSocket.rooms.delete(roomId)),
+      disconnect: jest.fn()
     };
 
-    const ioEmitSpy = jest.spyOn(serverContext.io, 'emit');
-
     connectionHandler(fakeSocket);
-    socketHandlers['player:move']({ direction: 'right' });
+    return { socket: fakeSocket, handlers };
+  }
+
+  function spyOnRoomEmits() {
+    const emitted = [];
+    const toSpy = jest.spyOn(serverContext.io, 'to').mockImplementation((roomId) => ({
+      emit: (eventName, payload) => {
+        emitted.push({ roomId, eventName, payload });
+      }
+    }));
+    return { emitted, restore: () => toSpy.mockRestore() };
+  }
+
+  test('health, readiness and metrics endpoints report on the server', async () => {
+    const health = await request(serverContext.app).get('/healthz').expect(200);
+    expect(health.body).toEqual({ status: 'ok', uptime: expect.any(Number) });
+
+    await Promise.all([serverContext.assetManager.ready, serverContext.stateManager.ready]);
+    const ready = await request(serverContext.app).get('/readyz').expect(200);
+    expect(ready.body).toEqual({ status: 'ready' });
+
+    const { handlers } = connectFakeSocket('socket-metered');
+    handlers['room:list']({}, jest.fn());
+
+    const metrics = await request(serverContext.app)
+      .get('/metrics')
+      .expect('Content-Type', /^text\/plain;.*version=0\.0\.4/)
+      .expect(200);
+    expect(metrics.text).toContain('lunas_connected_sockets 1');
+    expect(metrics.text).toMatch(/^lunas_rooms \d+$/m);
+    expect(metrics.text).toContain('lunas_socket_events_total{event="room:list"} 1');
+    // Submitted by earlier tests
+    expect(metrics.text).toMatch(/^lunas_score_submissions_total\{board="verified"\} [1-9]/m);
+    expect(metrics.text).toContain('lunas_tick_duration_seconds_bucket{le="+Inf"}');
+
+    handlers.disconnect();
+  });
+
+  test('player:input is applied by the room engine and replicated as a delta', () => {
+    const roomEmits = spyOnRoomEmits();
+    const { socket, handlers } = connectFakeSocket('socket-test-player');
+
+    expect(socket.join).toHaveBeenCalledWith('public');
+
+    const deltas = () => roomEmits.emitted.filter(({ eventName }) => eventName === 'state:delta');
+    const [keyframe] = deltas();
+    expect(keyframe.roomId).toBe('socket-test-player');
+    expect(keyframe.payload).toEqual(
+      expect.objectContaining({ seq: 1, baseSeq: null, keyframe: true })
+    );
+    expect(keyframe.payload.created.players).toEqual(
+      expect.arrayContaining([expect.objectContaining({ id: 'socket-test-player', x: 50 })])
+    );
+
+    const room = serverContext.roomManager.getRoom('public');
+    handlers['player:input']({
+      seq: 1, left: false, right: true, jump: false
+    });
+    room.engine.update();
+    room.engine.emit('game:tick', room.engine.getTickState());
+
+    const delta = deltas().pop().payload;
+    expect(delta).toEqual(expect.objectContaining({ seq: 2, baseSeq: 1, keyframe: false }));
+    expect(delta.created).toEqual({});
+    expect(delta.updated.platforms).toBeUndefined();
+
+    const movedPlayer = delta.updated.players.find((player) => player.id === 'socket-test-player');
+
+    expect(movedPlayer.x).toBeGreaterThan(50);
+    expect(movedPlayer.lastAck).toBe(1);
+    // Unchanged fields are left out of the delta
+    expect(movedPlayer.direction).toBeUndefined();
+    expect(movedPlayer.width).toBeUndefined();
+
+    handlers['state:resync']();
+    expect(deltas().pop().payload).toEqual(expect.objectContaining({ seq: 3, keyframe: true }));
+
+    handlers.disconnect();
+    roomEmits.restore();
+  });
+
+  test('client claims are verified against the engine and never mutate state', async () => {
+    const { socket, handlers } = connectFakeSocket('socket-claimer');
+    const room = serverContext.roomManager.getRoom('public');
+    const player = room.engine.players.get('socket-claimer');
+    room.engine.collectibles.push({
+      id: 'claimed-carrot', x: 900, y: 0, width: 30, height: 30, type: 'carrot', collected: false
+    });
+
+    // Nothing happens within the claim window
+    const rejectedAck = jest.fn();
+    const rejected = handlers['collectible:collected']({ id: 'claimed-carrot' }, rejectedAck);
+    for (let tick = 0; tick < room.engine.CLAIM_WINDOW_TICKS; tick++) room.engine.step();
+    await rejected;
+
+    expect(rejectedAck).toHaveBeenCalledWith({ ok: false });
+    expect(player.score).toBe(0);
+    expect(socket.emit).toHaveBeenCalledWith('claim:rejected', {
+      type: 'collectible:collected', id: 'claimed-carrot', rejectedClaims: 1
+    });
+
+    // The claim arrives before the engine resolves the pickup
+    const acceptedAck = jest.fn();
+    const accepted = handlers['collectible:collected']({ id: 'claimed-carrot' }, acceptedAck);
+    room.engine.collectCollectible('socket-claimer', 'claimed-carrot');
+    await accepted;
+
+    expect(acceptedAck).toHaveBeenCalledWith({ ok: true });
+    expect(player.score).toBe(100);
+
+    handlers.disconnect();
+  });
+
+  test('room:create, room:list and room:join give each room its own engine', () => {
+    const roomEmits = spyOnRoomEmits();
+    const host = connectFakeSocket('socket-host');
+    const guest = connectFakeSocket('socket-guest');
+    const stranger = connectFakeSocket('socket-stranger');
+
+    const createAck = jest.fn();
+    host.handlers['room:create']({ name: 'Carrot Crew' }, createAck);
+
+    const created = createAck.mock.calls[0][0];
+    expect(created.ok).toBe(true);
+    expect(created.room.name).toBe('Carrot Crew');
+
+    const listAck = jest.fn();
+    guest.handlers['room:list']({}, listAck);
+    expect(listAck.mock.calls[0][0].rooms).toEqual(
+      expect.arrayContaining([expect.objectContaining({ id: created.room.id, players: 1 })])
+    );
+
+    const joinAck = jest.fn();
+    guest.handlers['room:join']({ roomId: created.room.id }, joinAck);
+    expect(joinAck.mock.calls[0][0]).toEqual(expect.objectContaining({ ok: true }));
+    expect(guest.socket.leave).toHaveBeenCalledWith('public');
+
+    const privateRoom = serverContext.roomManager.getRoom(created.room.id);
+    const publicRoom = serverContext.roomManager.getRoom('public');
+    expect(Array.from(privateRoom.engine.players.keys())).toEqual(['socket-host', 'socket-guest']);
+    expect(publicRoom.engine.players.has('socket-guest')).toBe(false);
+    expect(publicRoom.engine.players.has('socket-stranger')).toBe(true);
+
+    roomEmits.emitted.length = 0;
+    host.handlers['game:start']();
+    privateRoom.engine.emit('game:tick', privateRoom.engine.getTickState());
+    expect(roomEmits.emitted.length).toBeGreaterThan(0);
+    expect(roomEmits.emitted.every(
+      ({ roomId }) => [created.room.id, 'socket-host', 'socket-guest'].includes(roomId)
+    )).toBe(true);
+
+    const missingAck = jest.fn();
+    stranger.handlers['room:join']({ roomId: 'no-such-room' }, missingAck);
+    expect(missingAck.mock.calls[0][0]).toEqual({ ok: false, error: 'Room no-such-room does not exist' });
 
-    const stateCalls = ioEmitSpy.mock.calls.filter(([eventName]) => eventName === 'game:state');
-    expect(stateCalls.length).toBeGreaterThan(0);
+    host.handlers.disconnect();
+    guest.handlers.disconnect();
+    expect(serverContext.roomManager.getRoom(created.room.id)).toBeNull();
 
-    const latestState = stateCalls[stateCalls.length - 1][1];
-    const movedPlayer = latestState.players.find((player) => player.id === 'socket-test-player');
+    stranger.handlers.disconnect();
+    roomEmits.restore();
+  });
+
+  test('room:create leaves no room behind when its creator cannot join it', () => {
+    const { roomManager } = serverContext;
+    const host = connectFakeSocket('socket-unlucky-host');
+
+    const { createEngine } = roomManager;
+    let refusingEngine;
+    roomManager.createEngine = (roomId) => {
+      refusingEngine = createEngine(roomId);
+      refusingEngine.addPlayer = () => {
+        throw new Error('Engine refused the player');
+      };
+      jest.spyOn(refusingEngine, 'stopGame');
+      return refusingEngine;
+    };
+
+    const createAck = jest.fn();
+    host.handlers['room:create']({ name: 'Empty Nest' }, createAck);
+    roomManager.createEngine = createEngine;
+
+    expect(createAck).toHaveBeenCalledWith({ ok: false, error: 'Engine refused the player' });
+    expect(roomManager.listRooms().map((room) => room.name)).not.toContain('Empty Nest');
+    expect(refusingEngine.stopGame).toHaveBeenCalled();
+
+    host.handlers.disconnect();
+  });
+
+  test('signed-in sockets play as their account and a new sign-in takes over', () => {
+    const account = { id: 'account-luna', username: 'luna', displayName: 'Luna' };
+    const first = connectFakeSocket('socket-account-1', { account });
+    const room = serverContext.roomManager.getRoom('public');
+
+    expect(first.socket.emit).toHaveBeenCalledWith('session:ready', expect.objectContaining({
+      playerId: 'account-luna', account, resumeToken: expect.any(String)
+    }));
+    expect(room.engine.players.has('account-luna')).toBe(true);
+    expect(room.engine.players.has('socket-account-1')).toBe(false);
+
+    first.handlers['player:input']({
+      seq: 1, left: false, right: true, jump: false
+    });
+    room.engine.step();
+    expect(room.engine.players.get('account-luna').lastAck).toBe(1);
+
+    const second = connectFakeSocket('socket-account-2', { account });
+    expect(first.socket.emit).toHaveBeenCalledWith('session:replaced');
+    expect(first.socket.disconnect).toHaveBeenCalledWith(true);
+    first.handlers.disconnect();
+
+    const currentRoom = serverContext.roomManager.getRoom('public');
+    // The new connection takes over the player where the old one left it
+    expect(currentRoom.engine.players.get('account-luna').lastAck).toBe(1);
+    expect(serverContext.roomManager.getPlayerId('socket-account-2')).toBe('account-luna');
+
+    second.handlers.disconnect();
+  });
+
+  test('socket events with invalid payloads are refused with an error ack', () => {
+    const { handlers } = connectFakeSocket('socket-sloppy');
+    const room = serverContext.roomManager.getRoom('public');
+
+    const joinAck = jest.fn();
+    handlers['room:join']({ roomId: 42 }, joinAck);
+    expect(joinAck).toHaveBeenCalledWith({ ok: false, error: 'roomId must be a string of 1 to 64 characters' });
+
+    handlers['player:input']({ seq: 'first', right: true });
+    expect(room.engine.inputQueues.get('socket-sloppy')).toEqual([]);
+
+    // Acknowledgements are found even when no payload is sent
+    const listAck = jest.fn();
+    handlers['room:list'](listAck);
+    expect(listAck).toHaveBeenCalledWith(expect.objectContaining({ ok: true }));
+
+    handlers.disconnect();
+  });
+
+  test('leaderboard:subscribe pushes leaderboard updates to the subscribed socket', async () => {
+    const follower = connectFakeSocket('socket-follower');
+    const ack = await new Promise((resolve) => {
+      follower.handlers['leaderboard:subscribe']({ level: 'level-live' }, resolve);
+    });
+    expect(ack).toEqual({
+      ok: true,
+      leaderboard: {
+        board: 'verified', level: 'level-live', metric: 'score', window: 'all', entries: []
+      }
+    });
+
+    const roomEmits = spyOnRoomEmits();
+    const pushed = new Promise((resolve) => {
+      serverContext.leaderboardFeed.once('leaderboard:updated', () => setImmediate(resolve));
+    });
+    await serverContext.stateManager.addHighScore({
+      playerName: 'Rue', score: 640, level: 'level-live', verified: true, time: 18
+    });
+    await pushed;
+    expect(roomEmits.emitted).toEqual([{
+      roomId: 'socket-follower',
+      eventName: 'leaderboard:updated',
+      payload: expect.objectContaining({
+        level: 'level-live',
+        record: expect.objectContaining({ rank: 1, playerName: 'Rue' })
+      })
+    }]);
+    roomEmits.restore();
+
+    const badAck = jest.fn();
+    await follower.handlers['leaderboard:subscribe']({ metric: 'carrots' }, badAck);
+    expect(badAck).toHaveBeenCalledWith({ ok: false, error: 'metric must be one of: score, time' });
+
+    follower.handlers.disconnect();
+    expect(serverContext.leaderboardFeed.socketSubscriptions.has('socket-follower')).toBe(false);
+  });
+
+  test('a dropped guest is held and takes its player back with its resume token', async () => {
+    // The handshake middleware that checks access and resume tokens. Run
+    // directly, as the tests have no Socket.IO client to connect with.
+    // eslint-disable-next-line no-underscore-dangle
+    const [middleware] = serverContext.io.of('/')._fns;
+    const handshake = async (resumeToken) => {
+      const socket = { handshake: { auth: { resumeToken } }, data: {} };
+      await new Promise((resolve, reject) => {
+        middleware(socket, (error) => (error ? reject(error) : resolve()));
+      });
+      return socket.data;
+    };
+    const roomEmits = spyOnRoomEmits();
+    const watcher = connectFakeSocket('socket-watcher');
+    const guest = connectFakeSocket('socket-guest-1');
+    const [, session] = guest.socket.emit.mock.calls.find(([eventName]) => eventName === 'session:ready');
+    const room = serverContext.roomManager.getRoom('public');
+    room.engine.players.get('socket-guest-1').x = 321;
+
+    guest.handlers.disconnect('transport close');
+    expect(room.engine.players.get('socket-guest-1').connected).toBe(false);
+    expect(roomEmits.emitted).toContainEqual({
+      roomId: 'public',
+      eventName: 'player:disconnected',
+      payload: expect.objectContaining({ playerId: 'socket-guest-1' })
+    });
+
+    expect((await handshake('made-up')).resumePlayerId).toBeNull();
+    const data = await handshake(session.resumeToken);
+    expect(data.resumePlayerId).toBe('socket-guest-1');
+
+    const returning = connectFakeSocket('socket-guest-2', data);
+    expect(returning.socket.emit).toHaveBeenCalledWith('session:resumed', {
+      roomId: 'public',
+      player: expect.objectContaining({ x: 321, lives: 3 })
+    });
+    expect(serverContext.roomManager.getPlayerId('socket-guest-2')).toBe('socket-guest-1');
+    expect(room.engine.players.get('socket-guest-1').connected).toBe(true);
+    // The new connection got a new token; the old one is spent
+    expect((await handshake(session.resumeToken)).resumePlayerId).toBeNull();
+
+    returning.handlers.disconnect('client namespace disconnect');
+    expect(room.engine.players.has('socket-guest-1')).toBe(false);
+    watcher.handlers.disconnect();
+    roomEmits.restore();
+  });
+
+  test('spectators receive the room\'s state without a player of their own', async () => {
+    const roomEmits = spyOnRoomEmits();
+    const account = { id: 'account-runner', username: 'runner', displayName: 'Runner' };
+    const runner = connectFakeSocket('socket-runner', { account });
+    const room = serverContext.roomManager.getRoom('public');
+    await runner.handlers['level:request']({ levelId: 'level-2' });
+
+    const spectator = connectFakeSocket('socket-spectator', {}, { spectate: 'public' });
+    expect(spectator.socket.emit).toHaveBeenCalledWith('room:joined', expect.objectContaining({
+      id: 'public', playerId: null, spectator: true, spectators: 1
+    }));
+    expect(room.engine.players.has('socket-spectator')).toBe(false);
+    expect(room.engine.players.get('account-runner').name).toBe('Runner');
+
+    // Whatever level it asks for, a spectator gets the one the room is playing
+    await spectator.handlers['level:request']({ levelId: 'level-1' });
+    const [, level] = spectator.socket.emit.mock.calls.find(([eventName]) => eventName === 'level:data');
+    expect(level.id).toBe('level-2');
+    expect(room.engine.currentLevelId).toBe('level-2');
+
+    const startGame = jest.spyOn(room.engine, 'startGame');
+    spectator.handlers['game:start']();
+    expect(startGame).not.toHaveBeenCalled();
+    startGame.mockRestore();
+
+    roomEmits.emitted.length = 0;
+    room.engine.emit('game:tick', room.engine.getTickState());
+    expect(roomEmits.emitted.map(({ roomId }) => roomId)).toContain('socket-spectator');
+
+    // Spectating another room by id; missing rooms are refused
+    const spectateAck = jest.fn();
+    spectator.handlers['room:spectate']({ roomId: 'no-such-room' }, spectateAck);
+    expect(spectateAck.mock.calls[0][0]).toEqual({ ok: false, error: 'Room no-such-room does not exist' });
+
+    spectator.handlers.disconnect('transport close');
+    expect(serverContext.roomManager.getRoomSummary(room).spectators).toBe(0);
+    runner.handlers.disconnect();
+    roomEmits.restore();
+  });
+
+  test('community levels are uploaded, versioned and kept to their author', async () => {
+    const register = async (username) => {
+      const session = await request(serverContext.app)
+        .post('/api/auth/register')
+        .send({ username, password: 'hay-and-clover' })
+        .expect(201);
+      return { auth: `Bearer ${session.body.accessToken}`, account: session.body.account };
+    };
+    const maker = await register('maker');
+    const other = await register('other');
+    const level = {
+      name: 'Maker Meadow',
+      width: 2000,
+      height: 600,
+      platforms: [{
+        id: 'ground', x: 0, y: 500, width: 2000, height: 100, type: 'ground'
+      }],
+      collectibles: [],
+      enemies: [],
+      spawnPoint: { x: 50, y: 400 }
+    };
+
+    await request(serverContext.app).post('/api/levels/maker-meadow').send({ level }).expect(401);
+    const invalid = await request(serverContext.app)
+      .post('/api/levels/maker-meadow')
+      .set('Authorization', maker.auth)
+      .send({ level: { ...level, spawnPoint: { x: 50, y: 900 } } })
+      .expect(400);
+    expect(invalid.body).toEqual({
+      error: 'Level maker-meadow is invalid',
+      errors: ['spawnPoint: the player would spawn outside the 2000x600 level']
+    });
+    await request(serverContext.app)
+      .post('/api/levels/level-test-int')
+      .set('Authorization', maker.auth)
+      .send({ level })
+      .expect(409);
+    const campaignId = await request(serverContext.app)
+      .post('/api/levels/level-6')
+      .set('Authorization', maker.auth)
+      .send({ level })
+      .expect(400);
+    expect(campaignId.body.error).toBe('Level ids like level-<number> are reserved for campaign levels');
+
+    const created = await request(serverContext.app)
+      .post('/api/levels/maker-meadow')
+      .set('Authorization', maker.auth)
+      .send({ level })
+      .expect(201);
+    expect(created.body).toEqual(expect.objectContaining({
+      id: 'maker-meadow', authorId: maker.account.id, status: 'draft', version: 1
+    }));
+
+    // A draft is only seen by its author, over REST and over the socket
+    const drafts = await request(serverContext.app)
+      .get('/api/levels')
+      .query({ status: 'draft' })
+      .set('Authorization', maker.auth)
+      .expect(200);
+    expect(drafts.body).toEqual([expect.objectContaining({
+      id: 'maker-meadow', meta: expect.objectContaining({ authorName: 'maker' })
+    })]);
+    await request(serverContext.app).get('/api/levels/maker-meadow').expect(404);
+    const guest = connectFakeSocket('socket-level-guest');
+    await guest.handlers['level:request']({ levelId: 'maker-meadow' });
+    expect(guest.socket.emit).toHaveBeenCalledWith('level:error', {
+      levelId: 'maker-meadow', error: 'Level maker-meadow not found'
+    });
+    guest.handlers.disconnect();
+
+    await request(serverContext.app)
+      .put('/api/levels/maker-meadow')
+      .set('Authorization', other.auth)
+      .send({ status: 'published' })
+      .expect(404);
+    const published = await request(serverContext.app)
+      .put('/api/levels/maker-meadow')
+      .set('Authorization', maker.auth)
+      .send({ level: { ...level, name: 'Maker Meadow II' }, status: 'published', version: 1 })
+      .expect(200);
+    expect(published.body).toEqual(expect.objectContaining({ status: 'published', version: 2 }));
+    const stale = await request(serverContext.app)
+      .put('/api/levels/maker-meadow')
+      .set('Authorization', maker.auth)
+      .send({ level, version: 1 })
+      .expect(409);
+    expect(stale.body.error).toContain('is at version 2');
+
+    // The new version is served at once; the first one is still there
+    const served = await request(serverContext.app).get('/api/levels/maker-meadow').expect(200);
+    expect(served.body.name).toBe('Maker Meadow II');
+    const first = await request(serverContext.app).get('/api/levels/maker-meadow/versions/1').expect(200);
+    expect(first.body.name).toBe('Maker Meadow');
+    const byAuthor = await request(serverContext.app)
+      .get('/api/levels')
+      .query({ author: maker.account.id })
+      .expect(200);
+    expect(byAuthor.body.map(({ id }) => id)).toEqual(['maker-meadow']);
+
+    await request(serverContext.app)
+      .delete('/api/levels/maker-meadow')
+      .set('Authorization', other.auth)
+      .expect(403);
+    await request(serverContext.app)
+      .delete('/api/levels/level-test-int')
+      .set('Authorization', maker.auth)
+      .expect(403);
+    await request(serverContext.app)
+      .delete('/api/levels/maker-meadow')
+      .set('Authorization', maker.auth)
+      .expect(204);
+    const levels = await request(serverContext.app).get('/api/levels').expect(200);
+    expect(levels.body.map(({ id }) => id)).not.toContain('maker-meadow');
+  });
+
+  test('the level browser searches levels with their plays, completions and ratings', async () => {
+    const register = async (username) => {
+      const session = await request(serverContext.app)
+        .post('/api/auth/register')
+        .send({ username, password: 'hay-and-clover' })
+        .expect(201);
+      return { auth: `Bearer ${session.body.accessToken}`, account: session.body.account };
+    };
+    const builder = await register('builder');
+    const critic = await register('critic');
+    await request(serverContext.app)
+      .post('/api/levels/sky-garden')
+      .set('Authorization', builder.auth)
+      .send({
+        status: 'published',
+        level: {
+          name: 'Sky Garden',
+          width: 2000,
+          height: 600,
+          difficulty: 'hard',
+          platforms: [{
+            id: 'ground', x: 0, y: 500, width: 2000, height: 100, type: 'ground'
+          }],
+          collectibles: [{
+            id: 'sky-carrot', x: 1500, y: 460, width: 30, height: 30, type: 'carrot'
+          }],
+          enemies: [],
+          spawnPoint: { x: 50, y: 400 }
+        }
+      })
+      .expect(201);
+
+    const rate = (player, levelId, rating) => request(serverContext.app)
+      .put(`/api/levels/${levelId}/rating`)
+      .set('Authorization', player.auth)
+      .send({ rating });
+    await rate(builder, 'sky-garden', 5).expect(403);
+    await rate(critic, 'sky-garden', 7).expect(400);
+    await rate(critic, 'no-such-level', 3).expect(404);
+    await rate(critic, 'sky-garden', 2).expect(200);
+    const rated = await rate(critic, 'sky-garden', 4).expect(200);
+    expect(rated.body).toEqual({
+      plays: 0, completions: 0, rating: { average: 4, count: 1 }, myRating: 4
+    });
+
+    // Starting twice is one play; only the engine finishing the level is a completion
+    const plays = jest.spyOn(serverContext.stateManager, 'recordLevelPlay');
+    const completions = jest.spyOn(serverContext.stateManager, 'recordLevelCompletion');
+    const player = connectFakeSocket('socket-browser-player');
+    await player.handlers['level:request']({ levelId: 'sky-garden' });
+    player.handlers['game:start']();
+    player.handlers['game:start']();
+    expect(player.handlers['level:complete']).toBeUndefined();
+    const { engine } = serverContext.roomManager.getRoomForSocket('socket-browser-player');
+    engine.collectCollectible(serverContext.roomManager.getPlayerId('socket-browser-player'), 'sky-carrot');
+    expect(plays).toHaveBeenCalledTimes(1);
+    expect(completions).toHaveBeenCalledTimes(1);
+    await Promise.all([plays.mock.results[0].value, completions.mock.results[0].value]);
+    plays.mockRestore();
+    completions.mockRestore();
+    player.handlers.disconnect();
+
+    const found = await request(serverContext.app)
+      .get('/api/levels')
+      .query({ q: 'SKY', difficulty: 'hard', sort: 'plays' })
+      .set('Authorization', critic.auth)
+      .expect(200);
+    expect(found.body).toEqual([expect.objectContaining({
+      id: 'sky-garden',
+      meta: expect.objectContaining({ authorName: 'builder' }),
+      stats: {
+        plays: 1, completions: 1, rating: { average: 4, count: 1 }, myRating: 4
+      }
+    })]);
+    const byAuthor = await request(serverContext.app).get('/api/levels').query({ q: 'build' }).expect(200);
+    expect(byAuthor.body.map(({ id }) => id)).toEqual(['sky-garden']);
+    expect(byAuthor.body[0].stats).not.toHaveProperty('myRating');
+    await request(serverContext.app).get('/api/levels').query({ sort: 'carrots' }).expect(400);
+
+    // Deleting the level forgets its counters and ratings
+    const cleared = jest.spyOn(serverContext.stateManager, 'clearLevelStats');
+    await request(serverContext.app)
+      .delete('/api/levels/sky-garden')
+      .set('Authorization', builder.auth)
+      .expect(204);
+    await cleared.mock.results[0].value;
+    cleared.mockRestore();
+    expect((await serverContext.stateManager.getLevelStats()).has('sky-garden')).toBe(false);
+  });
+
+  test('a changed level is swapped into the rooms playing it', () => {
+    const roomEmits = spyOnRoomEmits();
+    const { roomManager, assetManager } = serverContext;
+    const room = roomManager.createRoom({ id: 'hot-reload' });
+    const level = {
+      id: 'level-hot',
+      name: 'Hot Level',
+      platforms: [],
+      collectibles: [],
+      enemies: [],
+      spawnPoint: { x: 50, y: 400 }
+    };
+    room.engine.loadLevel(level);
+    const player = room.engine.addPlayer('designer');
+    player.x = 900;
+
+    const edited = {
+      ...level,
+      platforms: [{
+        id: 'ground', x: 0, y: 500, width: 2000, height: 100, type: 'ground'
+      }]
+    };
+    assetManager.emit('level:updated', edited);
+    assetManager.emit('level:updated', { ...edited, id: 'level-elsewhere' });
+    expect(room.engine.platforms).toHaveLength(1);
+    expect(player.x).toBe(900);
+    const updates = roomEmits.emitted.filter(({ eventName }) => eventName === 'level:updated');
+    expect(updates).toEqual([{ roomId: 'hot-reload', eventName: 'level:updated', payload: edited }]);
+
+    assetManager.emit('level:invalid', { levelId: 'level-hot', errors: ['width is required'] });
+    expect(roomEmits.emitted).toContainEqual({
+      roomId: 'hot-reload',
+      eventName: 'level:invalid',
+      payload: { levelId: 'level-hot', errors: ['width is required'] }
+    });
+
+    roomManager.destroyRoom('hot-reload');
+    roomEmits.restore();
+  });
+
+  // Shuts the shared server down, so it runs last
+  test('shutdown warns sockets, refuses joins and flushes progress before stopping', async () => {
+    const player = connectFakeSocket('socket-leaving');
+    const { stateManager } = serverContext;
+    const emitSpy = jest.spyOn(serverContext.io, 'emit');
+
+    let merged = false;
+    let mergedWhenStoreClosed = null;
+    const closeStore = stateManager.store.close.bind(stateManager.store);
+    jest.spyOn(stateManager.store, 'close').mockImplementation(() => {
+      mergedWhenStoreClosed = merged;
+      return closeStore();
+    });
+    stateManager.mergePlayerProgress('account-leaving', setCheckpoint(createSaveGame(), {
+      currentLevel: 'level-2', score: 300, lives: 2
+    })).then(() => {
+      merged = true;
+    });
+
+    const stopped = serverContext.shutdown({ countdownMs: 50 });
+    expect(serverContext.shutdown()).toBe(stopped);
+    expect(emitSpy).toHaveBeenCalledWith('server:shutdown', {
+      countdown: 1, shutdownAt: expect.any(String)
+    });
 
-    expect(movedPlayer).toBeDefined();
-    expect(movedPlayer.direction).toBe('right');
-    expect(movedPlayer.velocityX).toBe(5);
+    const readiness = await request(serverContext.app).get('/readyz').expect(503);
+    expect(readiness.body).toEqual({ status: 'stopping' });
+    const createAck = jest.fn();
+    player.handlers['room:create']({ name: 'Too Late' }, createAck);
+    expect(createAck).toHaveBeenCalledWith({ ok: false, error: 'Server is shutting down' });
 
-    ioEmitSpy.mockRestore();
+    await stopped;
+    expect(mergedWhenStoreClosed).toBe(true);
+    expect(serverContext.roomManager.rooms.size).toBe(0);
+    emitSpy.mockRestore();
   });
 });
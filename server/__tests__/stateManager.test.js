@@ -3,6 +3,7 @@ import os from 'node:os';
 import path from 'node:path';
 
 import StateManager from '../services/stateManager.js';
+import { createSaveGame, recordLevelResult } from '../../client/shared/saveGame.js';
 
 describe('StateManager', () => {
   test('adds and returns high scores sorted descending', async () => {
@@ -21,4 +22,41 @@ describe('StateManager', () => {
     expect(scores[0].playerName).toBe('B');
     expect(scores[0].score).toBe(200);
   });
+
+  test('keeps verified scores on their own board and persists both', async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'luna-state-'));
+    const manager = new StateManager({ dataPath: tempDir, autoSave: false });
+
+    await manager.addHighScore({ playerName: 'Open', score: 900, level: 'level-1' });
+    const entry = await manager.addHighScore({
+      playerName: 'Proven', score: 300, level: 'level-1', verified: true, time: 12.5, replayId: 'abc'
+    });
+
+    expect(entry).toEqual(expect.objectContaining({ verified: true, time: 12.5, replayId: 'abc' }));
+    expect((await manager.getHighScores()).map((score) => score.playerName)).toEqual(['Open']);
+    expect((await manager.getHighScores(10, { verified: true })).map((score) => score.playerName))
+      .toEqual(['Proven']);
+
+    const reloaded = new StateManager({ dataPath: tempDir, autoSave: false });
+    await expect(reloaded.getHighScores(10, { verified: true }))
+      .resolves.toEqual([expect.objectContaining({ playerName: 'Proven' })]);
+  });
+
+  test('merges saves arriving together instead of letting one overwrite the other', async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'luna-state-'));
+    const manager = new StateManager({ dataPath: tempDir, driver: 'json' });
+
+    const fromLevel = (levelId, updatedAt) => recordLevelResult(createSaveGame(), levelId, {
+      score: 100, time: 20, carrotsCollected: 3, completed: true
+    }, updatedAt);
+    await Promise.all([
+      manager.mergePlayerProgress('account-1', fromLevel('level-1', '2026-05-01T00:00:00.000Z')),
+      manager.mergePlayerProgress('account-1', fromLevel('level-2', '2026-05-02T00:00:00.000Z'))
+    ]);
+
+    const progress = await manager.getPlayerProgress('account-1');
+    expect(Object.keys(progress.levels).sort()).toEqual(['level-1', 'level-2']);
+    expect(progress.updatedAt).toBe('2026-05-02T00:00:00.000Z');
+    await manager.close();
+  });
 });
@@ -0,0 +1,333 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import StateManager from '../services/stateManager.js';
+import {
+  openStore, JsonStore, SqliteStore, DuplicateEntryError
+} from '../services/storage/index.js';
+import { migrate, MIGRATIONS, SCHEMA_VERSION } from '../services/storage/migrations.js';
+import { parseLeaderboardQuery } from '../services/leaderboard.js';
+
+// The SQLite driver needs the sqlite3 native module; its tests only run where it is built
+const sqliteAvailable = (() => {
+  try {
+    // eslint-disable-next-line global-require
+    require('sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+// Minimal stand-in for SqliteStore's get()/exec() that records the SQL it runs
+function createMigrationTarget(version, failOn = null) {
+  const target = {
+    version,
+    executed: [],
+    get: async () => ({ user_version: target.version }),
+    exec: async (sql) => {
+      target.executed.push(sql);
+      if (failOn && sql.includes(failOn)) throw new Error('syntax error');
+      const bump = /PRAGMA user_version = (\d+)/.exec(sql);
+      if (bump) target.version = Number(bump[1]);
+    }
+  };
+  return target;
+}
+
+describe('storage', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'luna-storage-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('migrate applies only the migrations newer than the database', async () => {
+    const migrations = [
+      { version: 1, name: 'first', up: 'CREATE TABLE a (id INTEGER);' },
+      { version: 2, name: 'second', up: 'CREATE TABLE b (id INTEGER);' }
+    ];
+
+    const fresh = createMigrationTarget(0);
+    await expect(migrate(fresh, migrations)).resolves.toEqual({ from: 0, to: 2, applied: ['first', 'second'] });
+
+    const current = createMigrationTarget(1);
+    await expect(migrate(current, migrations)).resolves.toEqual({ from: 1, to: 2, applied: ['second'] });
+    expect(current.executed.join('\n')).not.toContain('CREATE TABLE a');
+
+    expect(SCHEMA_VERSION).toBe(MIGRATIONS[MIGRATIONS.length - 1].version);
+  });
+
+  test('a failed migration is rolled back and reported', async () => {
+    const target = createMigrationTarget(0, 'CREATE TABLE b');
+    const migrations = [
+      { version: 1, name: 'first', up: 'CREATE TABLE a (id INTEGER);' },
+      { version: 2, name: 'second', up: 'CREATE TABLE b (id INTEGER);' }
+    ];
+
+    await expect(migrate(target, migrations)).rejects.toThrow('Migration 2 (second) failed: syntax error');
+    expect(target.executed[target.executed.length - 1]).toBe('ROLLBACK');
+    expect(target.version).toBe(1);
+  });
+
+  test('concurrent score submissions are all kept by the JSON driver', async () => {
+    const manager = new StateManager({ dataPath: tempDir, driver: 'json' });
+
+    await Promise.all(Array.from({ length: 20 }, (_, index) => manager.addHighScore({
+      playerName: `Player ${index}`, score: index * 10, level: 'level-1'
+    })));
+    await manager.close();
+
+    const reloaded = new StateManager({ dataPath: tempDir, driver: 'json' });
+    await expect(reloaded.getHighScores(100)).resolves.toHaveLength(20);
+    await reloaded.close();
+  });
+
+  test('progress and settings round-trip through the JSON driver', async () => {
+    const manager = new StateManager({ dataPath: tempDir, driver: 'json' });
+    await manager.savePlayerProgress('account-1', { unlockedLevels: ['level-1', 'level-2'] });
+    await manager.setSetting('motd', { text: 'Hello' });
+    await manager.close();
+
+    const reloaded = new StateManager({ dataPath: tempDir, driver: 'json' });
+    await expect(reloaded.getPlayerProgress('account-1'))
+      .resolves.toEqual({ unlockedLevels: ['level-1', 'level-2'] });
+    await expect(reloaded.getPlayerProgress('account-2')).resolves.toBeNull();
+    await expect(reloaded.getSetting('motd')).resolves.toEqual({ text: 'Hello' });
+  });
+
+  test('level plays, completions and ratings round-trip through the JSON driver', async () => {
+    const manager = new StateManager({ dataPath: tempDir, driver: 'json' });
+    await Promise.all([
+      manager.recordLevelPlay('meadow'),
+      manager.recordLevelPlay('meadow'),
+      manager.recordLevelCompletion('meadow'),
+      manager.recordLevelPlay('level-1')
+    ]);
+    await manager.rateLevel('meadow', 'account-1', 2);
+    await manager.rateLevel('meadow', 'account-2', 5);
+    await expect(manager.rateLevel('meadow', 'account-1', 4)).resolves.toEqual({
+      plays: 2, completions: 1, rating: { average: 4.5, count: 2 }
+    });
+    await manager.close();
+
+    const reloaded = new StateManager({ dataPath: tempDir, driver: 'json' });
+    const stats = await reloaded.getLevelStats();
+    expect(stats.get('level-1')).toEqual({ plays: 1, completions: 0, rating: { average: null, count: 0 } });
+    expect(stats.get('meadow').rating).toEqual({ average: 4.5, count: 2 });
+    await expect(reloaded.getLevelRatings('account-1')).resolves.toEqual({ meadow: 4 });
+
+    await reloaded.clearLevelStats('meadow');
+    await expect(reloaded.getLevelStats()).resolves.toEqual(new Map([
+      ['level-1', expect.objectContaining({ plays: 1 })]
+    ]));
+    await expect(reloaded.getLevelRatings('account-1')).resolves.toEqual({});
+    await reloaded.close();
+  });
+
+  test('the JSON driver keeps each level\'s best scores and times and gives old entries ids', async () => {
+    await fs.writeFile(path.join(tempDir, 'highscores-verified.json'), JSON.stringify([
+      {
+        playerName: 'Old',
+        score: 5,
+        time: 9,
+        level: 'level-2',
+        verified: true,
+        createdAt: '2026-01-01T00:00:00.000Z'
+      }
+    ]));
+    const store = await new JsonStore({ dataPath: tempDir, maxHighScores: 2 }).open();
+    expect(store.data.verifiedHighScores[0].id).toEqual(expect.any(String));
+
+    const longAgo = '2026-01-02T00:00:00.000Z';
+    const results = [[100, 60], [90, 50], [80, 10], [70, 70]];
+    await Promise.all(results.map(([score, time]) => store.insertScore({
+      id: `entry-${score}`,
+      playerName: `P${score}`,
+      score,
+      time,
+      level: 'level-1',
+      verified: true,
+      createdAt: longAgo
+    })));
+
+    const kept = await store.findLeaderboardPage({ verified: true, level: 'level-1', metric: 'score' });
+    // Top two by score (100, 90) plus the fastest time (80); 70 is neither
+    expect(kept.map((entry) => entry.score)).toEqual([100, 90, 80]);
+    await expect(store.findLeaderboardPage({ verified: true, level: 'level-2', metric: 'time' }))
+      .resolves.toHaveLength(1);
+    await store.close();
+  });
+
+  test('the JSON driver accepts each replay once, even after its score is dropped', async () => {
+    const store = await new JsonStore({ dataPath: tempDir, maxHighScores: 1 }).open();
+    const verifiedEntry = (id, score, replayId) => ({
+      id,
+      playerName: id,
+      score,
+      level: 'level-1',
+      verified: true,
+      time: 10,
+      replayId,
+      createdAt: '2026-01-02T00:00:00.000Z'
+    });
+
+    const inserts = await Promise.allSettled([
+      store.insertScore(verifiedEntry('first', 10, 'replay-a')),
+      store.insertScore(verifiedEntry('second', 10, 'replay-a'))
+    ]);
+    expect(inserts.map((result) => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(inserts[1].reason).toBeInstanceOf(DuplicateEntryError);
+
+    // A better score pushes replay-a's entry off the board; the replay stays spent
+    await store.insertScore(verifiedEntry('better', 20, 'replay-b'));
+    await store.close();
+    const reopened = await new JsonStore({ dataPath: tempDir, maxHighScores: 1 }).open();
+    expect(reopened.data.verifiedHighScores.map((entry) => entry.id)).toEqual(['better']);
+    await expect(reopened.insertScore(verifiedEntry('again', 30, 'replay-a')))
+      .rejects.toThrow('Replay was already submitted');
+    await reopened.close();
+  });
+
+  // Both drivers rank, page and find players the same way
+  const leaderboardDrivers = sqliteAvailable ? ['json', 'sqlite'] : ['json'];
+  test.each(leaderboardDrivers)('the %s driver ranks and pages leaderboards', async (driver) => {
+    const manager = new StateManager({ dataPath: tempDir, driver });
+    const dee = await manager.createAccount({ username: 'Dee', passwordHash: 'scrypt:aa:bb' });
+    const submit = (playerName, score, time, extra = {}) => manager.addHighScore({
+      playerName, score, time, level: 'level-1', verified: true, ...extra
+    });
+    await submit('Ann', 300, 40);
+    await submit('ann', 500, 55);
+    await submit('Bo', 450, 35);
+    await submit('Cy', 100);
+    await submit('Dee', 250, 30, { accountId: dee.id });
+    await submit('Eve', 900, 20, { level: 'level-2' });
+
+    const query = (params) => parseLeaderboardQuery({ level: 'level-1', ...params });
+    const first = await manager.getLeaderboard(query({ limit: '2' }));
+    expect(first.entries.map((entry) => [entry.rank, entry.playerName, entry.score]))
+      .toEqual([[1, 'ann', 500], [2, 'Bo', 450]]);
+
+    // A new leader arrives between pages; the next page carries on after Bo
+    await submit('Fay', 1000);
+    const second = await manager.getLeaderboard(query({ limit: '2', cursor: first.nextCursor }));
+    expect(second.entries.map((entry) => [entry.rank, entry.playerName])).toEqual([[3, 'Dee'], [4, 'Cy']]);
+    expect(second.nextCursor).toBeNull();
+
+    const fastest = await manager.getLeaderboard(query({ metric: 'time' }));
+    expect(fastest.entries.map((entry) => entry.playerName)).toEqual(['Dee', 'Bo', 'Ann']);
+
+    const rank = await manager.getLeaderboardRank(query({ around: '1' }), { playerName: 'ANN' });
+    expect(rank).toEqual(expect.objectContaining({ rank: 2, total: 5 }));
+    expect(rank.entries.map((entry) => [entry.rank, entry.playerName])).toEqual([[1, 'Fay'], [2, 'ann'], [3, 'Bo']]);
+
+    const byAccount = await manager.getLeaderboardRank(query({ metric: 'time', around: '1' }), {
+      accountId: dee.id
+    });
+    expect(byAccount.entries.map((entry) => [entry.rank, entry.playerName])).toEqual([[1, 'Dee'], [2, 'Bo']]);
+    await expect(manager.getLeaderboardRank(query({}), { playerName: 'Nobody' })).resolves.toEqual({
+      rank: null, total: 5, entry: null, entries: []
+    });
+    await manager.close();
+  });
+
+  test('openStore honours the driver option', async () => {
+    const store = await openStore({ dataPath: tempDir, driver: 'json' });
+    expect(store).toBeInstanceOf(JsonStore);
+    await store.close();
+
+    await expect(openStore({ dataPath: tempDir, driver: 'postgres' }))
+      .rejects.toThrow('Unknown storage driver postgres');
+  });
+
+  (sqliteAvailable ? describe : describe.skip)('SQLite driver', () => {
+    test('creates the schema and imports existing JSON files once', async () => {
+      await fs.writeFile(path.join(tempDir, 'highscores.json'), JSON.stringify([
+        {
+          playerName: 'Luna', score: 1200, level: 'level-1', createdAt: '2026-03-14T00:00:00.000Z'
+        }
+      ]));
+
+      const store = await openStore({ dataPath: tempDir, driver: 'sqlite' });
+      expect(store).toBeInstanceOf(SqliteStore);
+      expect(store.migration).toEqual(expect.objectContaining({ from: 0, to: SCHEMA_VERSION }));
+      await expect(store.listScores()).resolves.toEqual([
+        expect.objectContaining({ playerName: 'Luna', score: 1200, verified: false })
+      ]);
+      await store.close();
+
+      const reopened = await openStore({ dataPath: tempDir, driver: 'sqlite' });
+      expect(reopened.migration.applied).toEqual([]);
+      await expect(reopened.listScores()).resolves.toHaveLength(1);
+      await reopened.close();
+    });
+
+    test('stores boards, accounts, progress and settings', async () => {
+      const manager = new StateManager({ dataPath: tempDir, driver: 'sqlite' });
+
+      const account = await manager.createAccount({ username: 'Luna', passwordHash: 'scrypt:aa:bb' });
+      await expect(manager.findAccountByUsername('luna')).resolves.toEqual(account);
+      await expect(manager.createAccount({ username: 'LUNA', passwordHash: 'x' }))
+        .rejects.toBeInstanceOf(DuplicateEntryError);
+
+      await Promise.all([
+        manager.addHighScore({ playerName: 'Open', score: 900 }),
+        manager.addHighScore({
+          playerName: 'Luna', score: 300, verified: true, time: 12.5, replayId: 'abc', accountId: account.id
+        })
+      ]);
+      await expect(manager.getHighScores()).resolves.toEqual([expect.objectContaining({ playerName: 'Open' })]);
+      await expect(manager.getHighScores(10, { verified: true })).resolves.toEqual([
+        expect.objectContaining({
+          playerName: 'Luna', time: 12.5, replayId: 'abc', accountId: account.id
+        })
+      ]);
+      await expect(manager.addHighScore({
+        playerName: 'Copycat', score: 300, verified: true, time: 12.5, replayId: 'abc'
+      })).rejects.toBeInstanceOf(DuplicateEntryError);
+
+      await manager.savePlayerProgress(account.id, { unlockedLevels: ['level-1'] });
+      await manager.savePlayerProgress(account.id, { unlockedLevels: ['level-1', 'level-2'] });
+      await expect(manager.getPlayerProgress(account.id))
+        .resolves.toEqual({ unlockedLevels: ['level-1', 'level-2'] });
+
+      await manager.setSetting('motd', 'Hello');
+      await expect(manager.getSetting('motd')).resolves.toBe('Hello');
+
+      const board = await manager.getLeaderboard({
+        board: 'verified', level: 'level-1', metric: 'time', window: 'daily', limit: 10, cursor: null
+      });
+      expect(board.entries).toEqual([expect.objectContaining({ rank: 1, playerName: 'Luna', time: 12.5 })]);
+
+      await manager.clearHighScores();
+      await expect(manager.getHighScores()).resolves.toEqual([]);
+      await manager.close();
+    });
+
+    test('counts level plays and keeps one rating per account', async () => {
+      const manager = new StateManager({ dataPath: tempDir, driver: 'sqlite' });
+      const account = await manager.createAccount({ username: 'Pip', passwordHash: 'scrypt:aa:bb' });
+
+      await manager.recordLevelPlay('meadow');
+      await manager.recordLevelPlay('meadow');
+      await manager.recordLevelCompletion('meadow');
+      await manager.rateLevel('burrow', account.id, 2);
+      await expect(manager.rateLevel('burrow', account.id, 5)).resolves.toEqual({
+        plays: 0, completions: 0, rating: { average: 5, count: 1 }
+      });
+      const stats = await manager.getLevelStats();
+      expect(stats.get('meadow')).toEqual({ plays: 2, completions: 1, rating: { average: null, count: 0 } });
+      await expect(manager.getLevelRatings(account.id)).resolves.toEqual({ burrow: 5 });
+
+      await manager.clearLevelStats('burrow');
+      await expect(manager.getLevelRatings(account.id)).resolves.toEqual({});
+      await manager.close();
+    });
+  });
+});
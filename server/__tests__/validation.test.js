@@ -0,0 +1,79 @@
+import express from 'express';
+import request from 'supertest';
+
+import {
+  validate, schemas, socketSchemas, validateSocketPayload
+} from '../middleware/validation.js';
+import { createRateLimiters, SocketRateLimiter } from '../middleware/rateLimit.js';
+
+describe('request validation and rate limiting', () => {
+  test('REST schemas answer 400 with the first error of each field', async () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/scores', validate(schemas.highScoreSubmission), (req, res) => res.json(req.body));
+
+    const accepted = await request(app)
+      .post('/scores')
+      .send({ playerName: '  Luna  ', score: 120, level: 'level-1' })
+      .expect(200);
+    expect(accepted.body.playerName).toBe('Luna');
+
+    const rejected = await request(app)
+      .post('/scores')
+      .send({ playerName: '<script>', score: '120' })
+      .expect(400);
+    expect(rejected.body).toEqual({
+      error: 'playerName may only contain letters, digits, spaces and _ . \' -',
+      errors: [
+        { field: 'playerName', message: 'playerName may only contain letters, digits, spaces and _ . \' -' },
+        { field: 'score', message: 'score must be a number from 0 to 10000000' }
+      ]
+    });
+
+    await request(app).post('/scores').send({ playerName: 'x'.repeat(25), score: 1 }).expect(400);
+  });
+
+  test('socket payloads are checked against their event schema', () => {
+    expect(validateSocketPayload(socketSchemas['player:input'], {
+      seq: 4, left: false, right: true, jump: false
+    })).toBeNull();
+    expect(validateSocketPayload(socketSchemas['player:input'], { seq: 'four' }))
+      .toBe('seq must be an integer from 0 to 9007199254740991');
+    expect(validateSocketPayload(socketSchemas['player:input'], { seq: 1, jump: 'yes' }))
+      .toBe('jump must be true or false');
+
+    expect(validateSocketPayload(socketSchemas['room:create'], undefined)).toBeNull();
+    expect(validateSocketPayload(socketSchemas['room:join'], undefined)).toBe('Payload must be an object');
+    expect(validateSocketPayload(socketSchemas['level:request'], { levelId: '../../etc/passwd' }))
+      .toBe('levelId must be a level id');
+    expect(validateSocketPayload(socketSchemas['game:start'], 'anything')).toBeNull();
+  });
+
+  test('REST limiters answer 429 once an IP uses up its window', async () => {
+    const limiters = createRateLimiters({ auth: { limit: 2 } });
+    const app = express();
+    app.post('/login', limiters.auth, (req, res) => res.json({ ok: true }));
+
+    await request(app).post('/login').expect(200);
+    await request(app).post('/login').expect(200);
+    const limited = await request(app).post('/login').expect(429);
+    expect(limited.body).toEqual({ error: 'Too many requests, please try again later' });
+  });
+
+  test('socket limits are counted per socket and event in fixed windows', () => {
+    let now = 0;
+    const limiter = new SocketRateLimiter({ 'room:create': { windowMs: 1000, limit: 2 } }, () => now);
+
+    expect(limiter.consume('socket-1', 'room:create')).toBe(true);
+    expect(limiter.consume('socket-1', 'room:create')).toBe(true);
+    expect(limiter.consume('socket-1', 'room:create')).toBe(false);
+    expect(limiter.consume('socket-2', 'room:create')).toBe(true);
+    expect(limiter.consume('socket-1', 'room:list')).toBe(true);
+
+    now = 1000;
+    expect(limiter.consume('socket-1', 'room:create')).toBe(true);
+
+    limiter.remove('socket-1');
+    expect(limiter.counters.has('socket-1')).toBe(false);
+  });
+});
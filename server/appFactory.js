@@ -3,128 +3,573 @@ import http from 'http';
 import path from 'path';
 import cors from 'cors';
 import { Server } from 'socket.io';
-import GameEngine from './services/gameEngine.js';
-import AssetManager from './services/assetManager.js';
+import { v4 as uuidv4 } from 'uuid';
+import AssetManager, { LevelAccessError } from './services/assetManager.js';
 import StateManager from './services/stateManager.js';
+import { DuplicateEntryError } from './services/storage/errors.js';
+import RoomManager from './services/roomManager.js';
+import Replicator from './services/replicator.js';
+import ReplayVerifier from './services/replayVerifier.js';
+import AccountManager from './services/accountManager.js';
+import LeaderboardFeed from './services/leaderboardFeed.js';
+import { authenticate } from './middleware/auth.js';
+import {
+  validate, schemas, socketSchemas, validateSocketPayload
+} from './middleware/validation.js';
+import { createRateLimiters, SocketRateLimiter, RATE_LIMIT_MESSAGE } from './middleware/rateLimit.js';
+import { securityHeaders } from './middleware/security.js';
+import { requestContext, accessLog } from './middleware/accessLog.js';
+import defaultLogger from './services/logger.js';
+import { createServerMetrics, PROMETHEUS_CONTENT_TYPE } from './services/metrics.js';
+import { parseLeaderboardQuery } from './services/leaderboard.js';
+import { normalizeSaveGame } from '../client/shared/saveGame.js';
+import { LevelValidationError } from '../client/shared/levelSchema.js';
+import { searchLevels, summarizeLevelStats } from './services/levelSearch.js';
+
+// Probed every few seconds by orchestrators, so left out of the access log
+const PROBE_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+// How long clients get to save their runs between server:shutdown and disconnect
+export const DEFAULT_SHUTDOWN_COUNTDOWN_MS = 5000;
+const SHUTDOWN_MESSAGE = 'Server is shutting down';
+
+// Disconnects the client did not ask for; their players are held for a reconnect
+const RECONNECTABLE_REASONS = ['transport close', 'transport error', 'ping timeout'];
 
 export function createServer(options = {}) {
   const app = express();
   const server = http.createServer(app);
   const io = new Server(server, options.socketOptions);
 
-  const gameEngine = options.gameEngine || new GameEngine();
-  const assetManager = options.assetManager || new AssetManager(options.assetManagerOptions);
-  const stateManager = options.stateManager || new StateManager(options.stateManagerOptions);
+  // Services log through children of this logger, tagged with their name
+  const logger = options.logger || defaultLogger;
+  const serviceLogger = (service) => logger.child({ service });
+
+  const roomManager = options.roomManager || new RoomManager({
+    logger: serviceLogger('RoomManager'),
+    ...options.roomManagerOptions
+  });
+  const assetManager = options.assetManager || new AssetManager({
+    logger: serviceLogger('AssetManager'),
+    ...options.assetManagerOptions
+  });
+  const stateManager = options.stateManager || new StateManager({
+    logger: serviceLogger('StateManager'),
+    ...options.stateManagerOptions
+  });
+  const replicator = options.replicator || new Replicator();
+  const replayVerifier = options.replayVerifier || new ReplayVerifier({ assetManager });
+  const accountManager = options.accountManager || new AccountManager({
+    stateManager,
+    logger: serviceLogger('AccountManager'),
+    ...options.accountManagerOptions
+  });
+  const leaderboardFeed = options.leaderboardFeed || new LeaderboardFeed({
+    stateManager,
+    logger: serviceLogger('LeaderboardFeed')
+  });
+  const log = serviceLogger('Server');
+
+  let connectedSockets = 0;
+  const metrics = createServerMetrics({ roomManager, connectedSockets: () => connectedSockets });
+
+  // Ready once the levels are loaded and the store is open
+  const readiness = { ready: false, error: null };
+  // Set by shutdown(); from then on new connections and room joins are refused
+  let shutdownPromise = null;
+  Promise.all([assetManager.ready, stateManager.ready]).then(() => {
+    readiness.ready = true;
+  }, (error) => {
+    readiness.error = error;
+    log.error('Server failed to become ready', { error });
+  });
   const clientStaticDir = options.clientStaticDir || path.join(process.cwd(), 'client');
+  const rateLimiters = createRateLimiters(options.rateLimits);
+  const socketRateLimiter = new SocketRateLimiter(options.socketRateLimits);
 
+  app.use(requestContext(log));
+  app.use(accessLog(log, { skip: (req) => PROBE_PATHS.includes(req.path) }));
+  app.use(securityHeaders());
   app.use(cors());
-  app.use(express.json());
+  // Raised from the 100kb default so high scores can carry their replay
+  app.use(express.json({ limit: '1mb' }));
   app.use(express.static(clientStaticDir));
+  app.use('/api', rateLimiters.api);
+
+  // Engine events relayed to every socket in the emitting room.
+  // Values map the engine event name to the Socket.IO event name and payload.
+  // Game state itself is not relayed here; see replicateRoom().
+  const roomBroadcasts = {
+    'player:join': (payload) => ['player:join', payload],
+    'player:leave': (payload) => ['player:leave', payload.playerId],
+    'player:damage': (payload) => ['player:damage', payload],
+    'player:respawn': (payload) => ['player:respawn', payload],
+    'player:gameover': (payload) => ['player:gameover', payload],
+    'player:disconnected': (payload) => ['player:disconnected', payload],
+    'player:reconnected': (payload) => ['player:reconnected', payload],
+    'collectible:collected': (payload) => ['collectible:collected', payload],
+    'enemy:defeated': (payload) => ['enemy:defeated', payload],
+    'projectile:fired': (payload) => ['projectile:fired', payload],
+    'door:unlocked': (payload) => ['door:unlocked', payload]
+  };
 
-  function broadcastState() {
-    io.emit('game:state', gameEngine.getGameState());
+  /**
+   * Send each member and spectator of a room the changes since the state it
+   * last received
+   * @param {Object} room - Room record
+   * @param {Iterable<string>} [socketIds] - Sockets to send to (defaults to all)
+   */
+  function replicateRoom(room, socketIds = roomManager.getRoomSockets(room)) {
+    const replica = Replicator.snapshot(room.engine);
+    for (const socketId of socketIds) {
+      io.to(socketId).emit('state:delta', replicator.encodeFor(socketId, replica));
+    }
   }
 
-  gameEngine.on('game:update', (gameState) => {
-    io.emit('game:state', gameState);
-  });
+  // Level plays and completions for the level browser, per socket:
+  // socketId -> { played, completed } sets of level ids. A socket counts once
+  // per level towards each, and only completes levels it started, so
+  // restarting or reloading does not inflate them.
+  const levelAttempts = new Map();
 
-  gameEngine.on('game:tick', (tickState) => {
-    io.emit('game:tick', tickState);
-  });
+  function countLevelCompletion(socketId, levelId) {
+    const attempts = levelAttempts.get(socketId);
+    if (!attempts || !attempts.played.has(levelId) || attempts.completed.has(levelId)) return;
 
-  gameEngine.on('player:join', (payload) => {
-    io.emit('player:join', payload);
-  });
+    attempts.completed.add(levelId);
+    stateManager.recordLevelCompletion(levelId).catch((error) => {
+      log.error('Failed to count level completion', { levelId, error });
+    });
+  }
 
-  gameEngine.on('player:leave', (payload) => {
-    io.emit('player:leave', payload.playerId);
-  });
+  roomManager.on('room:created', (room) => {
+    for (const [engineEvent, toSocketEvent] of Object.entries(roomBroadcasts)) {
+      room.engine.on(engineEvent, (payload) => {
+        metrics.engineEvents.inc({ event: engineEvent });
+        const [socketEvent, socketPayload] = toSocketEvent(payload);
+        io.to(room.id).emit(socketEvent, socketPayload);
+      });
+    }
+
+    room.engine.on('game:tick', () => {
+      metrics.tickDuration.observe(room.engine.lastUpdateDuration);
+      replicateRoom(room);
+    });
 
-  gameEngine.on('player:damage', (payload) => {
-    io.emit('player:damage', payload);
+    // A completion counts when the engine itself finishes the level, for the
+    // members who completed it; whatever clients report is not counted
+    room.engine.on('level:complete', ({ levelId, playerIds }) => {
+      for (const socketId of room.members) {
+        if (playerIds.includes(roomManager.getPlayerId(socketId))) {
+          countLevelCompletion(socketId, levelId);
+        }
+      }
+    });
   });
 
-  gameEngine.on('player:respawn', (payload) => {
-    io.emit('player:respawn', payload);
+  // Leaderboard changes go only to the sockets following that leaderboard
+  leaderboardFeed.on('leaderboard:updated', (socketIds, payload) => {
+    for (const socketId of socketIds) {
+      io.to(socketId).emit('leaderboard:updated', payload);
+    }
   });
 
-  gameEngine.on('player:gameover', (payload) => {
-    io.emit('player:gameover', payload);
+  // Hot reload: rooms playing a changed level swap it in place, and their
+  // sockets get the new version (or the problems that kept it out)
+  assetManager.on('level:updated', (level) => {
+    for (const room of roomManager.rooms.values()) {
+      if (room.engine.reloadLevel(level)) {
+        io.to(room.id).emit('level:updated', level);
+        replicateRoom(room);
+      }
+    }
   });
 
-  gameEngine.on('collectible:collected', (payload) => {
-    io.emit('collectible:collected', payload);
+  // A deleted community level takes its play counts and ratings with it
+  assetManager.on('level:deleted', ({ levelId }) => {
+    stateManager.clearLevelStats(levelId).catch((error) => {
+      log.error('Failed to clear level stats', { levelId, error });
+    });
   });
 
-  gameEngine.on('enemy:defeated', (payload) => {
-    io.emit('enemy:defeated', payload);
+  assetManager.on('level:invalid', ({ levelId, errors }) => {
+    for (const room of roomManager.rooms.values()) {
+      if (room.engine.currentLevelId === levelId) {
+        io.to(room.id).emit('level:invalid', { levelId, errors });
+      }
+    }
   });
 
-  gameEngine.on('projectile:fired', (payload) => {
-    io.emit('projectile:fired', payload);
+  function broadcastState(room) {
+    if (room) {
+      replicateRoom(room);
+    }
+  }
+
+  function respond(ack, payload) {
+    if (typeof ack === 'function') {
+      ack(payload);
+    }
+  }
+
+  // Put a socket in a room as a player, or as a spectator with { spectate: true }
+  function joinSocketToRoom(socket, roomId, playerId, { spectate = false } = {}) {
+    const previousRoom = roomManager.getRoomForSocket(socket.id);
+    const name = socket.data.account?.displayName;
+    const room = spectate
+      ? roomManager.spectateRoom(roomId, socket.id)
+      : roomManager.joinRoom(roomId, socket.id, playerId, { name });
+
+    if (previousRoom && previousRoom.id !== room.id) {
+      socket.leave(previousRoom.id);
+      broadcastState(roomManager.getRoom(previousRoom.id));
+    }
+
+    socket.join(room.id);
+    socket.data.log.info(spectate ? 'Spectating room' : 'Joined room', { roomId: room.id });
+    socket.emit('room:joined', {
+      ...roomManager.getRoomSummary(room),
+      playerId: spectate ? null : roomManager.getPlayerId(socket.id),
+      spectator: spectate
+    });
+    replicator.requestKeyframe(socket.id);
+    replicateRoom(room, [socket.id]);
+    return room;
+  }
+
+  // accountId -> socket currently playing as that account
+  const accountSockets = new Map();
+
+  // Each connection is given a resume token. A guest reconnecting within the
+  // grace window presents it to take back its held player; signed-in players
+  // are recognised by their account instead.
+  // token -> playerId, and playerId -> its latest token
+  const resumeTokens = new Map();
+  const playerResumeTokens = new Map();
+
+  function issueResumeToken(playerId) {
+    resumeTokens.delete(playerResumeTokens.get(playerId));
+    const token = uuidv4();
+    resumeTokens.set(token, playerId);
+    playerResumeTokens.set(playerId, token);
+    return token;
+  }
+
+  function revokeResumeToken(token) {
+    const playerId = resumeTokens.get(token);
+    resumeTokens.delete(token);
+    if (playerResumeTokens.get(playerId) === token) {
+      playerResumeTokens.delete(playerId);
+    }
+  }
+
+  roomManager.on('player:released', ({ room, playerId }) => {
+    log.info('Reconnect window expired', { roomId: room.id, playerId });
+    revokeResumeToken(playerResumeTokens.get(playerId));
+    broadcastState(roomManager.getRoom(room.id));
   });
 
-  gameEngine.on('door:unlocked', (payload) => {
-    io.emit('door:unlocked', payload);
+  // Sockets may present an access token as handshake auth ({ token }). A valid
+  // token binds the socket's engine player to the account id, so the player
+  // keeps the same id across reconnects; without one the socket plays as a
+  // guest under its socket id. An invalid token refuses the connection.
+  io.use(async (socket, next) => {
+    if (shutdownPromise) {
+      next(new Error(SHUTDOWN_MESSAGE));
+      return;
+    }
+
+    // Only a player still held for a reconnect can be resumed
+    const resumePlayerId = resumeTokens.get(socket.handshake.auth?.resumeToken);
+    socket.data.resumePlayerId = resumePlayerId && roomManager.getHeldRoom(resumePlayerId)
+      ? resumePlayerId
+      : null;
+
+    const token = socket.handshake.auth?.token;
+    socket.data.account = null;
+    if (!token) {
+      next();
+      return;
+    }
+
+    try {
+      socket.data.account = await accountManager.authenticate(token);
+      next();
+    } catch (error) {
+      next(new Error(`Authentication failed: ${error.message}`));
+    }
   });
 
   io.on('connection', (socket) => {
-    console.log('Player connected:', socket.id);
+    connectedSockets += 1;
+    const account = socket.data?.account || null;
+    const playerId = account ? account.id : (socket.data.resumePlayerId || socket.id);
 
-    gameEngine.addPlayer(socket.id);
-    socket.emit('game:state', gameEngine.getGameState());
+    // Every line about this connection carries its socket and player ids
+    socket.data.log = log.child({ socketId: socket.id, playerId });
+    socket.data.log.info('Player connected', { accountId: account?.id });
 
-    socket.on('player:move', (data) => {
-      gameEngine.updatePlayerPosition(socket.id, data);
-      broadcastState();
+    // One connection per account: a new sign-in takes over from the old one,
+    // player and all
+    if (account) {
+      const previous = accountSockets.get(account.id);
+      if (previous) {
+        socket.data.log.info('Session replaced', { previousSocketId: previous.id });
+        const previousRoom = roomManager.holdPlayer(previous.id);
+        replicator.removeClient(previous.id);
+        previous.emit('session:replaced');
+        previous.disconnect(true);
+        broadcastState(previousRoom && roomManager.getRoom(previousRoom.id));
+      }
+      accountSockets.set(account.id, socket);
+    }
+
+    socket.data.resumeToken = issueResumeToken(playerId);
+    socket.emit('session:ready', {
+      playerId,
+      account,
+      resumeToken: socket.data.resumeToken,
+      reconnectGraceMs: roomManager.reconnectGraceMs
     });
 
-    socket.on('player:jump', () => {
-      gameEngine.playerJump(socket.id);
-      broadcastState();
+    // Register a handler for a client event. Each event is rate limited per
+    // socket and its payload checked against socketSchemas first; rejected
+    // events are answered with { ok: false, error } when the client asked for
+    // an acknowledgement and dropped otherwise.
+    function handle(eventName, handler) {
+      const schema = socketSchemas[eventName];
+      socket.on(eventName, (...args) => {
+        // An acknowledgement is always the last argument, payload or not
+        const ack = typeof args[args.length - 1] === 'function' ? args.pop() : undefined;
+        const data = args[0];
+        metrics.socketEvents.inc({ event: eventName });
+
+        if (!socketRateLimiter.consume(socket.id, eventName)) {
+          socket.data.log.verbose('Socket event rate limited', { event: eventName });
+          respond(ack, { ok: false, error: RATE_LIMIT_MESSAGE });
+          return undefined;
+        }
+        const error = validateSocketPayload(schema, data);
+        if (error) {
+          socket.data.log.verbose('Socket event rejected', { event: eventName, reason: error });
+          respond(ack, { ok: false, error });
+          return undefined;
+        }
+        return handler(schema ? data || {} : undefined, ack);
+      });
+    }
+
+    // A player held since its last connection dropped resumes in its room
+    // and is sent its own state back. Sockets that asked to spectate in their
+    // handshake ({ spectate: roomId }) only watch; everyone else starts in the
+    // default room.
+    const spectateRoomId = socket.handshake?.auth?.spectate;
+    try {
+      const heldRoom = roomManager.getHeldRoom(playerId);
+      if (!heldRoom && typeof spectateRoomId === 'string' && spectateRoomId.length <= 64) {
+        joinSocketToRoom(socket, spectateRoomId, undefined, { spectate: true });
+      } else if (heldRoom) {
+        const room = joinSocketToRoom(socket, heldRoom.id, playerId);
+        const player = room.engine.players.get(playerId);
+        socket.emit('session:resumed', {
+          roomId: room.id,
+          player: {
+            x: player.x,
+            y: player.y,
+            direction: player.direction,
+            score: player.score,
+            lives: player.lives,
+            health: player.health
+          }
+        });
+        broadcastState(room);
+      } else {
+        joinSocketToRoom(socket, roomManager.defaultRoomId, playerId);
+      }
+    } catch (error) {
+      socket.emit('room:error', { error: error.message });
+    }
+
+    handle('room:list', (_data, ack) => {
+      respond(ack, { ok: true, rooms: roomManager.listRooms() });
     });
 
-    socket.on('player:damage', () => {
-      gameEngine.playerDamage(socket.id);
-      broadcastState();
+    handle('room:create', (data, ack) => {
+      if (shutdownPromise) {
+        respond(ack, { ok: false, error: SHUTDOWN_MESSAGE });
+        return;
+      }
+      let created = null;
+      try {
+        created = roomManager.createRoom({
+          name: data.name,
+          maxPlayers: data.maxPlayers
+        });
+        const room = joinSocketToRoom(socket, created.id);
+        respond(ack, { ok: true, room: roomManager.getRoomSummary(room) });
+      } catch (error) {
+        // A room its creator never got into would keep its engine running with no one in it
+        if (created) {
+          roomManager.destroyRoomIfEmpty(created);
+        }
+        respond(ack, { ok: false, error: error.message });
+      }
     });
 
-    socket.on('player:death', () => {
-      gameEngine.playerDeath(socket.id);
-      broadcastState();
+    handle('room:join', (data, ack) => {
+      if (shutdownPromise) {
+        respond(ack, { ok: false, error: SHUTDOWN_MESSAGE });
+        return;
+      }
+      try {
+        const room = joinSocketToRoom(socket, data.roomId);
+        broadcastState(room);
+        respond(ack, { ok: true, room: roomManager.getRoomSummary(room) });
+      } catch (error) {
+        respond(ack, { ok: false, error: error.message });
+      }
     });
 
-    socket.on('collectible:collected', (data) => {
-      gameEngine.collectCollectible(socket.id, data?.id);
-      broadcastState();
+    handle('room:spectate', (data, ack) => {
+      if (shutdownPromise) {
+        respond(ack, { ok: false, error: SHUTDOWN_MESSAGE });
+        return;
+      }
+      try {
+        const room = joinSocketToRoom(socket, data.roomId, undefined, { spectate: true });
+        respond(ack, { ok: true, room: roomManager.getRoomSummary(room) });
+      } catch (error) {
+        respond(ack, { ok: false, error: error.message });
+      }
     });
 
-    socket.on('enemy:defeated', (data) => {
-      if (data?.id) {
-        gameEngine.defeatEnemy(data.id);
-        broadcastState();
+    handle('room:leave', (_data, ack) => {
+      try {
+        const room = joinSocketToRoom(socket, roomManager.defaultRoomId);
+        respond(ack, { ok: true, room: roomManager.getRoomSummary(room) });
+      } catch (error) {
+        respond(ack, { ok: false, error: error.message });
       }
     });
 
-    socket.on('level:request', async (data) => {
-      const levelId = data?.levelId || 'level-1';
-      const level = await assetManager.getLevel(levelId);
-      // Load level into the authoritative game engine (no-op if already loaded)
-      gameEngine.loadLevel(level);
+    handle('leaderboard:subscribe', async (data, ack) => {
+      try {
+        const leaderboard = await leaderboardFeed.subscribe(socket.id, data);
+        respond(ack, { ok: true, leaderboard });
+      } catch (error) {
+        respond(ack, { ok: false, error: error.message });
+      }
+    });
+
+    handle('leaderboard:unsubscribe', (_data, ack) => {
+      leaderboardFeed.unsubscribe(socket.id);
+      respond(ack, { ok: true });
+    });
+
+    handle('state:resync', () => {
+      const room = roomManager.getRoomForSocket(socket.id);
+      replicator.requestKeyframe(socket.id);
+      if (room) {
+        replicateRoom(room, [socket.id]);
+      }
+    });
+
+    handle('player:input', (data) => {
+      const room = roomManager.getRoomForSocket(socket.id);
+      if (!room) return;
+      room.engine.queueInput(roomManager.getPlayerId(socket.id), data);
+    });
+
+    // Gameplay outcomes are resolved by the engine. Clients may still report
+    // what they predicted, but a claim is only acknowledged once the engine
+    // observes the same event; it never changes authoritative state.
+    let rejectedClaims = 0;
+    async function verifyClaim(claimType, id, ack) {
+      const room = roomManager.getRoomForSocket(socket.id);
+      const ok = Boolean(room)
+        && await room.engine.verifyClaim(roomManager.getPlayerId(socket.id), claimType, id);
+
+      if (!ok) {
+        rejectedClaims += 1;
+        socket.emit('claim:rejected', { type: claimType, id, rejectedClaims });
+      }
+      respond(ack, { ok });
+    }
+
+    handle('player:damage', (_data, ack) => verifyClaim('player:damage', undefined, ack));
+    handle('player:death', (_data, ack) => verifyClaim('player:death', undefined, ack));
+    handle('collectible:collected', (data, ack) => verifyClaim('collectible:collected', data.id, ack));
+    handle('enemy:defeated', (data, ack) => verifyClaim('enemy:defeated', data.id, ack));
+
+    handle('level:request', async (data) => {
+      const room = roomManager.getRoomForSocket(socket.id);
+      // Spectators are sent the level the room is playing and never change it
+      const spectating = roomManager.isSpectator(socket.id);
+      const levelId = (spectating && room.engine.currentLevelId) || data.levelId || 'level-1';
+      // Someone else's draft is answered as if it did not exist
+      if (!spectating && !assetManager.isVisible(levelId, socket.data.account?.id)) {
+        socket.emit('level:error', { levelId, error: `Level ${levelId} not found` });
+        return;
+      }
+      let level;
+      try {
+        level = await assetManager.getLevel(levelId);
+      } catch (error) {
+        socket.data.log.error('Failed to load level', { levelId, error });
+        socket.emit('level:error', { levelId, error: error.message });
+        return;
+      }
+      // Load level into the room's authoritative game engine (no-op if already loaded);
+      // spectators switch along with it
+      if (room && !spectating && room.engine.currentLevelId !== level.id) {
+        room.engine.loadLevel(level);
+        for (const spectatorId of room.spectators) {
+          io.to(spectatorId).emit('level:data', level);
+        }
+      }
       socket.emit('level:data', level);
-      broadcastState();
+      broadcastState(room);
     });
 
-    socket.on('game:start', () => {
-      gameEngine.startGame();
-      broadcastState();
+    // Levels this socket started and completed (see levelAttempts)
+    const attempts = { played: new Set(), completed: new Set() };
+    levelAttempts.set(socket.id, attempts);
+
+    handle('game:start', () => {
+      const room = roomManager.getRoomForSocket(socket.id);
+      if (!room || roomManager.isSpectator(socket.id)) return;
+      room.engine.startGame();
+      broadcastState(room);
+
+      const levelId = room.engine.currentLevelId;
+      if (levelId && assetManager.hasLevel(levelId) && !attempts.played.has(levelId)) {
+        attempts.played.add(levelId);
+        stateManager.recordLevelPlay(levelId).catch((error) => {
+          socket.data.log.error('Failed to count level play', { levelId, error });
+        });
+      }
     });
 
-    socket.on('disconnect', () => {
-      console.log('Player disconnected:', socket.id);
-      gameEngine.removePlayer(socket.id);
-      broadcastState();
+    socket.on('disconnect', (reason) => {
+      connectedSockets -= 1;
+      socket.data.log.info('Player disconnected', {
+        roomId: roomManager.getRoomForSocket(socket.id)?.id,
+        reason
+      });
+      if (account && accountSockets.get(account.id) === socket) {
+        accountSockets.delete(account.id);
+      }
+      // Dropped connections keep their player for a while; deliberate ones do not
+      const held = RECONNECTABLE_REASONS.includes(reason) && !shutdownPromise;
+      const room = held ? roomManager.holdPlayer(socket.id) : roomManager.leaveRoom(socket.id);
+      if (!held) {
+        revokeResumeToken(socket.data.resumeToken);
+      }
+      replicator.removeClient(socket.id);
+      levelAttempts.delete(socket.id);
+      leaderboardFeed.unsubscribe(socket.id);
+      socketRateLimiter.remove(socket.id);
+      broadcastState(room && roomManager.getRoom(room.id));
     });
   });
 
@@ -132,57 +577,409 @@ export function createServer(options = {}) {
     res.sendFile(path.join(clientStaticDir, 'index.html'));
   });
 
-  app.get('/api/levels', async (req, res) => {
+  // Liveness: the process is up and serving requests
+  app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptime: process.uptime() });
+  });
+
+  // Readiness: levels are loaded, the store is open and no shutdown has begun
+  app.get('/readyz', (req, res) => {
+    if (shutdownPromise) {
+      return res.status(503).json({ status: 'stopping' });
+    }
+    if (readiness.error) {
+      return res.status(503).json({ status: 'failed', error: readiness.error.message });
+    }
+    if (!readiness.ready) {
+      return res.status(503).json({ status: 'starting' });
+    }
+    return res.json({ status: 'ready' });
+  });
+
+  app.get('/metrics', (req, res) => {
+    res.type(PROMETHEUS_CONTENT_TYPE).send(metrics.registry.render());
+  });
+
+  // Community levels are listed with their record under `meta`; the bundled
+  // ones are listed as they are. Every level has its play counts and rating
+  // under `stats`, with the viewer's own rating as `stats.myRating`.
+  // ?author= and ?status= narrow the list, and drafts are only listed to
+  // their author; ?q=, ?difficulty= and ?sort= search it (see levelSearch.js).
+  app.get('/api/levels', authenticate(accountManager, { required: false }), validate(schemas.levelList), async (req, res) => {
+    const {
+      author, status, q, difficulty, sort
+    } = req.query;
+    if (status === 'draft' && !req.account) {
+      return res.status(401).json({ error: 'Sign in to list your drafts' });
+    }
+
     try {
-      const levels = await assetManager.getLevels();
-      res.json(levels);
+      const [levels, stats, ratings] = await Promise.all([
+        assetManager.getLevels({
+          authorId: author,
+          status,
+          viewerId: req.account?.id
+        }),
+        stateManager.getLevelStats(),
+        req.account ? stateManager.getLevelRatings(req.account.id) : null
+      ]);
+      const listed = levels.map((level) => {
+        const record = assetManager.getUserLevel(level.id);
+        const levelStats = stats.get(level.id) || summarizeLevelStats();
+        return {
+          ...level,
+          ...(record && { meta: record }),
+          stats: ratings ? { ...levelStats, myRating: ratings[level.id] || null } : levelStats
+        };
+      });
+      return res.json(searchLevels(listed, { q, difficulty, sort }));
     } catch (error) {
-      console.error('Failed to load levels:', error);
-      res.status(500).json({ error: 'Failed to load levels' });
+      req.log.error('Failed to load levels', { error });
+      return res.status(500).json({ error: 'Failed to load levels' });
     }
   });
 
-  app.get('/api/highscores', async (req, res) => {
+  app.get('/api/levels/:levelId', authenticate(accountManager, { required: false }), validate(schemas.levelId), async (req, res) => {
+    const { levelId } = req.params;
+    if (!assetManager.isVisible(levelId, req.account?.id)) {
+      return res.status(404).json({ error: `Level ${levelId} not found` });
+    }
+
     try {
-      const highScores = await stateManager.getHighScores();
-      res.json(highScores);
+      const level = await assetManager.getLevel(levelId);
+      return res.json(level);
+    } catch (error) {
+      req.log.error('Failed to load level', { levelId, error });
+      if (error instanceof LevelValidationError) {
+        return res.status(500).json({ error: `Level ${levelId} is invalid`, errors: error.errors });
+      }
+      return res.status(500).json({ error: 'Failed to load level' });
+    }
+  });
+
+  // Earlier versions of a community level
+  app.get('/api/levels/:levelId/versions/:version', authenticate(accountManager, { required: false }), validate(schemas.levelVersion), async (req, res) => {
+    const { levelId, version } = req.params;
+    try {
+      const level = assetManager.isVisible(levelId, req.account?.id)
+        ? await assetManager.getUserLevelVersion(levelId, version)
+        : null;
+      if (!level) {
+        return res.status(404).json({ error: `Level ${levelId} has no version ${version}` });
+      }
+      return res.json(level);
+    } catch (error) {
+      req.log.error('Failed to load level version', { levelId, version, error });
+      return res.status(500).json({ error: 'Failed to load level' });
+    }
+  });
+
+  // Uploads answer with the level's record; see AssetManager for versions and drafts
+  function sendLevelChangeError(req, res, error, fallbackMessage) {
+    if (error instanceof LevelValidationError) {
+      return res.status(400).json({ error: `Level ${req.params.levelId} is invalid`, errors: error.errors });
+    }
+    if (error instanceof LevelAccessError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    req.log.error(fallbackMessage, { levelId: req.params.levelId, error });
+    return res.status(500).json({ error: fallbackMessage });
+  }
+
+  // The level in a body may leave out its id; one that names another level is refused
+  function readUploadedLevel(req, res) {
+    const { levelId } = req.params;
+    const { level } = req.body;
+    if (level.id !== undefined && level.id !== levelId) {
+      res.status(400).json({ error: `level.id must be ${levelId}, as in the URL` });
+      return null;
+    }
+    return { ...level, id: levelId };
+  }
+
+  app.post('/api/levels/:levelId', rateLimiters.levels, authenticate(accountManager), validate(schemas.levelUpload), async (req, res) => {
+    const level = readUploadedLevel(req, res);
+    if (!level) return undefined;
+
+    try {
+      const record = await assetManager.createUserLevel(level, {
+        author: req.account,
+        status: req.body.status
+      });
+      return res.status(201).json(record);
+    } catch (error) {
+      return sendLevelChangeError(req, res, error, 'Failed to save level');
+    }
+  });
+
+  app.put('/api/levels/:levelId', rateLimiters.levels, authenticate(accountManager), validate(schemas.levelUpdate), async (req, res) => {
+    const { status, version } = req.body;
+    let level;
+    if (req.body.level !== undefined) {
+      level = readUploadedLevel(req, res);
+      if (!level) return undefined;
+    } else if (status === undefined) {
+      return res.status(400).json({ error: 'Send a level, a status or both' });
+    }
+
+    try {
+      const record = await assetManager.updateUserLevel(req.params.levelId, {
+        level, status, version
+      }, req.account);
+      return res.json(record);
+    } catch (error) {
+      return sendLevelChangeError(req, res, error, 'Failed to save level');
+    }
+  });
+
+  app.delete('/api/levels/:levelId', rateLimiters.levels, authenticate(accountManager), validate(schemas.levelId), async (req, res) => {
+    try {
+      await assetManager.deleteUserLevel(req.params.levelId, req.account);
+      return res.status(204).end();
+    } catch (error) {
+      return sendLevelChangeError(req, res, error, 'Failed to delete level');
+    }
+  });
+
+  // Signed-in players rate the levels they can see, other than their own
+  app.put('/api/levels/:levelId/rating', rateLimiters.levels, authenticate(accountManager), validate(schemas.levelRating), async (req, res) => {
+    const { levelId } = req.params;
+    if (!assetManager.hasLevel(levelId) || !assetManager.isVisible(levelId, req.account.id)) {
+      return res.status(404).json({ error: `Level ${levelId} not found` });
+    }
+    if (assetManager.getUserLevel(levelId)?.authorId === req.account.id) {
+      return res.status(403).json({ error: 'You cannot rate your own level' });
+    }
+
+    try {
+      const stats = await stateManager.rateLevel(levelId, req.account.id, req.body.rating);
+      return res.json({ ...stats, myRating: req.body.rating });
+    } catch (error) {
+      req.log.error('Failed to save rating', { levelId, error });
+      return res.status(500).json({ error: 'Failed to save rating' });
+    }
+  });
+
+  // Register, sign in and refresh answer with { account, accessToken, refreshToken, expiresIn }
+  function sendAuthError(req, res, error, fallbackMessage) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    req.log.error(fallbackMessage, { error });
+    return res.status(500).json({ error: fallbackMessage });
+  }
+
+  app.post('/api/auth/register', rateLimiters.auth, validate(schemas.register), async (req, res) => {
+    try {
+      const { username, password, displayName } = req.body;
+      const session = await accountManager.register({ username, password, displayName });
+      return res.status(201).json(session);
+    } catch (error) {
+      return sendAuthError(req, res, error, 'Failed to register');
+    }
+  });
+
+  app.post('/api/auth/login', rateLimiters.auth, validate(schemas.login), async (req, res) => {
+    try {
+      const { username, password } = req.body;
+      return res.json(await accountManager.login({ username, password }));
+    } catch (error) {
+      return sendAuthError(req, res, error, 'Failed to sign in');
+    }
+  });
+
+  app.post('/api/auth/refresh', rateLimiters.auth, validate(schemas.refresh), async (req, res) => {
+    try {
+      return res.json(await accountManager.refresh(req.body.refreshToken));
+    } catch (error) {
+      return sendAuthError(req, res, error, 'Failed to refresh session');
+    }
+  });
+
+  app.get('/api/auth/me', authenticate(accountManager), (req, res) => {
+    res.json(req.account);
+  });
+
+  app.get('/api/highscores', validate(schemas.highScores), async (req, res) => {
+    const board = req.query.board || 'unverified';
+    try {
+      const highScores = await stateManager.getHighScores(10, { verified: board === 'verified' });
+      return res.json(highScores);
+    } catch (error) {
+      req.log.error('Failed to load high scores', { error });
+      return res.status(500).json({ error: 'Failed to load high scores' });
+    }
+  });
+
+  // Per-level leaderboards; see services/leaderboard.js for ranking and cursors.
+  // The routes validate their parameters first; this turns them into a query.
+  function readLeaderboardQuery(req, res) {
+    try {
+      return parseLeaderboardQuery(req.query);
     } catch (error) {
-      console.error('Failed to load high scores:', error);
-      res.status(500).json({ error: 'Failed to load high scores' });
+      res.status(error.status || 400).json({ error: error.message });
+      return null;
     }
+  }
+
+  const describeLeaderboard = ({
+    board, level, metric, window
+  }) => ({
+    board, level, metric, window
   });
 
-  app.post('/api/highscores', async (req, res) => {
+  app.get('/api/leaderboard', validate(schemas.leaderboard), async (req, res) => {
+    const query = readLeaderboardQuery(req, res);
+    if (!query) return undefined;
+
     try {
-      const { playerName, score, level } = req.body;
-      if (typeof score !== 'number' || !Number.isFinite(score)) {
-        return res.status(400).json({ error: 'score must be a finite number' });
+      const page = await stateManager.getLeaderboard(query);
+      return res.json({ ...describeLeaderboard(query), ...page });
+    } catch (error) {
+      req.log.error('Failed to load leaderboard', { error });
+      return res.status(500).json({ error: 'Failed to load leaderboard' });
+    }
+  });
+
+  // Signed-in players are found by account, guests by ?playerName=
+  app.get('/api/leaderboard/rank', authenticate(accountManager, { required: false }), validate(schemas.leaderboardRank), async (req, res) => {
+    const query = readLeaderboardQuery(req, res);
+    if (!query) return undefined;
+
+    const { playerName } = req.query;
+    if (!req.account && (typeof playerName !== 'string' || playerName.length === 0)) {
+      return res.status(400).json({ error: 'Sign in or pass playerName' });
+    }
+
+    try {
+      const rank = await stateManager.getLeaderboardRank(
+        query,
+        req.account ? { accountId: req.account.id } : { playerName }
+      );
+      return res.json({ ...describeLeaderboard(query), ...rank });
+    } catch (error) {
+      req.log.error('Failed to load leaderboard rank', { error });
+      return res.status(500).json({ error: 'Failed to load leaderboard rank' });
+    }
+  });
+
+  // A score that carries a replay is re-simulated; if the engine agrees with
+  // the score, level and time it goes to the verified board, otherwise it is
+  // kept on the unverified board along with the reason.
+  app.post('/api/highscores', rateLimiters.scores, authenticate(accountManager, { required: false }), validate(schemas.highScoreSubmission), async (req, res) => {
+    try {
+      const {
+        playerName, score, level, time, replay
+      } = req.body;
+
+      let verification = { verified: false, reason: 'No replay attached' };
+      if (replay !== undefined) {
+        verification = await replayVerifier.verify({
+          score, level, time, replay
+        });
       }
-      const entry = await stateManager.addHighScore({ playerName, score, level });
-      return res.status(201).json(entry);
+
+      // Signed-in players are listed under their account, not a free-text name
+      const addScore = () => stateManager.addHighScore({
+        playerName: req.account ? req.account.displayName : playerName,
+        accountId: req.account?.id,
+        score,
+        level,
+        verified: verification.verified,
+        time: verification.time,
+        replayId: verification.replayId
+      });
+
+      // The store allows one verified score per replay, however many arrive at once
+      let entry;
+      try {
+        entry = await addScore();
+      } catch (error) {
+        if (!(error instanceof DuplicateEntryError)) throw error;
+        verification = { verified: false, reason: error.message };
+        entry = await addScore();
+      }
+      metrics.scoreSubmissions.inc({ board: entry.verified ? 'verified' : 'unverified' });
+      return res.status(201).json(verification.verified
+        ? entry
+        : { ...entry, reason: verification.reason });
     } catch (error) {
-      console.error('Failed to save high score:', error);
+      req.log.error('Failed to save high score', { error });
       return res.status(500).json({ error: 'Failed to save high score' });
     }
   });
 
+  // Campaign progress of the signed-in account. A save is merged into the
+  // stored one: the newer checkpoint wins, unlocked levels and level records
+  // are kept from both, so no device can undo another's progress.
+  app.get('/api/progress', authenticate(accountManager), async (req, res) => {
+    try {
+      const progress = await stateManager.getPlayerProgress(req.account.id);
+      return res.json({ progress });
+    } catch (error) {
+      req.log.error('Failed to load progress', { error });
+      return res.status(500).json({ error: 'Failed to load progress' });
+    }
+  });
+
+  app.put('/api/progress', authenticate(accountManager), validate(schemas.progress), async (req, res) => {
+    let saveGame;
+    try {
+      saveGame = normalizeSaveGame(req.body.progress);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // A device whose clock runs ahead would otherwise win every later conflict
+    const now = new Date().toISOString();
+    if (saveGame.updatedAt > now) {
+      saveGame.updatedAt = now;
+    }
+
+    try {
+      const { progress, stored } = await stateManager.mergePlayerProgress(req.account.id, saveGame);
+      return res.json({
+        progress,
+        // The stored checkpoint was newer and was kept
+        conflict: Boolean(stored) && stored.updatedAt > saveGame.updatedAt
+      });
+    } catch (error) {
+      req.log.error('Failed to save progress', { error });
+      return res.status(500).json({ error: 'Failed to save progress' });
+    }
+  });
+
+  // Bodies express.json() could not read answer like every other bad request
+  app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: 'Request body is not valid JSON' });
+    }
+    if (error.type === 'entity.too.large') {
+      return res.status(413).json({ error: 'Request body is too large' });
+    }
+    return next(error);
+  });
+
   function start(port = (process.env.PORT || 3000)) {
     return new Promise((resolve) => {
       server.listen(port, () => {
         const addressInfo = server.address();
         const resolvedPort = addressInfo && typeof addressInfo === 'object' ? addressInfo.port : port;
-        console.log(`Luna's Adventure server running on port ${resolvedPort}`);
+        log.info(`Luna's Adventure server running on port ${resolvedPort}`, { port: resolvedPort });
         resolve(resolvedPort);
       });
     });
   }
 
   function stop() {
-    return new Promise((resolve, reject) => {
-      if (typeof stateManager.stopAutoSave === 'function') {
-        stateManager.stopAutoSave();
-      }
+    roomManager.destroyAll();
+    leaderboardFeed.close();
+    if (typeof assetManager.close === 'function') assetManager.close();
+    // An explicit disconnect, unlike a dropped transport, stops clients
+    // from reconnecting on their own
+    io.disconnectSockets(true);
 
+    const closeServer = new Promise((resolve, reject) => {
       io.close(() => {
         server.close((error) => {
           if (error) {
@@ -197,17 +994,54 @@ export function createServer(options = {}) {
         });
       });
     });
+
+    // Let pending score and account writes finish before the store closes
+    return closeServer.then(() => (
+      typeof stateManager.close === 'function' ? stateManager.close() : undefined
+    ));
+  }
+
+  /**
+   * Stop gracefully. Every socket is told `server:shutdown` with a countdown
+   * in seconds, readiness turns to 503 and new connections and room joins
+   * are refused. When the countdown ends, sockets are disconnected and
+   * stop() flushes pending writes. Calling it again returns the same promise.
+   * @param {Object} [shutdownOptions] - Shutdown options
+   * @param {number} [shutdownOptions.countdownMs] - Time clients get to save their runs
+   * @param {string} [shutdownOptions.reason] - Logged cause, e.g. the signal received
+   * @returns {Promise} - Resolves once the server is stopped
+   */
+  function shutdown({ countdownMs = DEFAULT_SHUTDOWN_COUNTDOWN_MS, reason = 'requested' } = {}) {
+    if (!shutdownPromise) {
+      log.info('Shutting down', { reason, countdownMs, sockets: connectedSockets });
+      io.emit('server:shutdown', {
+        countdown: Math.ceil(countdownMs / 1000),
+        shutdownAt: new Date(Date.now() + countdownMs).toISOString()
+      });
+      shutdownPromise = new Promise((resolve) => {
+        setTimeout(resolve, countdownMs);
+      }).then(stop).then(() => {
+        log.info('Server stopped');
+      });
+    }
+    return shutdownPromise;
   }
 
   return {
     app,
     server,
     io,
-    gameEngine,
+    roomManager,
+    replicator,
+    replayVerifier,
+    accountManager,
+    leaderboardFeed,
+    metrics,
     assetManager,
     stateManager,
     start,
-    stop
+    stop,
+    shutdown
   };
 }
 
@@ -1,16 +1,59 @@
 import path from 'path';
 import { fileURLToPath } from 'url';
-import createServerFactory from './appFactory.js';
+import createServerFactory, { DEFAULT_SHUTDOWN_COUNTDOWN_MS } from './appFactory.js';
+import logger from './services/logger.js';
 
 const currentFile = fileURLToPath(import.meta.url);
 
 export const createServer = createServerFactory;
 
+// Extra time the flush after the countdown gets before the process exits anyway
+const SHUTDOWN_FLUSH_TIMEOUT_MS = 10000;
+
+/**
+ * Shut the server down gracefully on SIGTERM or SIGINT, then exit.
+ * A second signal exits at once.
+ * @param {Object} runtimeServer - Server returned by createServer()
+ * @param {number} countdownMs - Time clients get before they are disconnected
+ */
+function handleShutdownSignals(runtimeServer, countdownMs) {
+  let stopping = false;
+
+  const onSignal = (signal) => {
+    if (stopping) {
+      logger.warn('Second shutdown signal, exiting now', { signal });
+      process.exit(1);
+    }
+    stopping = true;
+
+    setTimeout(() => {
+      logger.error('Shutdown timed out, exiting');
+      process.exit(1);
+    }, countdownMs + SHUTDOWN_FLUSH_TIMEOUT_MS).unref();
+
+    runtimeServer.shutdown({ countdownMs, reason: signal }).then(() => {
+      process.exit(0);
+    }, (error) => {
+      logger.error('Shutdown failed', { error });
+      process.exit(1);
+    });
+  };
+
+  process.on('SIGTERM', onSignal);
+  process.on('SIGINT', onSignal);
+}
+
 const isMainModule = process.argv[1] && path.resolve(process.argv[1]) === currentFile;
 
 if (isMainModule) {
   const runtimeServer = createServerFactory();
   runtimeServer.start();
+
+  const configuredCountdown = Number(process.env.SHUTDOWN_COUNTDOWN_MS);
+  const countdownMs = process.env.SHUTDOWN_COUNTDOWN_MS && configuredCountdown >= 0
+    ? configuredCountdown
+    : DEFAULT_SHUTDOWN_COUNTDOWN_MS;
+  handleShutdownSignals(runtimeServer, countdownMs);
 }
 
 export default createServerFactory;
@@ -0,0 +1,61 @@
+// server/middleware/accessLog.js
+import morgan from 'morgan';
+import { v4 as uuidv4 } from 'uuid';
+
+// Request ids accepted from an upstream proxy's X-Request-Id header
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Express middleware that gives each request an id and a child logger.
+ * The id comes from X-Request-Id when a proxy set a sane one and is
+ * generated otherwise; it is echoed in the response's X-Request-Id header.
+ * `req.id` holds the id and `req.log` logs with it as `requestId`.
+ * @param {winston.Logger} logger - Parent logger
+ * @returns {Function} - Express middleware
+ */
+export function requestContext(logger) {
+  return (req, res, next) => {
+    const header = req.get('X-Request-Id');
+    req.id = header && REQUEST_ID_PATTERN.test(header) ? header : uuidv4();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+    next();
+  };
+}
+
+// Morgan tokens are strings, or undefined when the response never started
+const toNumber = (token) => (token === undefined ? null : Number(token));
+
+// One JSON object per request; see accessLog()
+const accessLogFormat = (tokens, req, res) => JSON.stringify({
+  requestId: req.id,
+  method: tokens.method(req, res),
+  url: tokens.url(req, res),
+  status: toNumber(tokens.status(req, res)),
+  responseTimeMs: toNumber(tokens['response-time'](req, res)),
+  contentLength: toNumber(tokens.res(req, res, 'content-length')),
+  remoteAddress: tokens['remote-addr'](req, res),
+  userAgent: tokens['user-agent'](req, res) || null,
+  accountId: req.account?.id
+});
+
+/**
+ * Morgan HTTP access log written to the logger at the 'http' level
+ * @param {winston.Logger} logger - Logger for access lines
+ * @param {Object} [options] - Access log options
+ * @param {Function} [options.skip] - (req, res) => true for requests left out of the log
+ * @returns {Function} - Express middleware
+ */
+export function accessLog(logger, options = {}) {
+  return morgan(accessLogFormat, {
+    skip: options.skip,
+    stream: {
+      write: (line) => {
+        const fields = JSON.parse(line);
+        logger.http(`${fields.method} ${fields.url} ${fields.status}`, fields);
+      }
+    }
+  });
+}
+
+export default accessLog;
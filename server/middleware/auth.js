@@ -0,0 +1,46 @@
+// server/middleware/auth.js
+
+/**
+ * Read the bearer token from an Authorization header
+ * @param {string} [header] - Header value
+ * @returns {string|null} - Token, or null when absent
+ */
+export function getBearerToken(header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Express middleware that authenticates requests with a bearer access token.
+ * The signed-in account is set on `req.account`. A request without a token is
+ * rejected when `required`, and passes through as a guest otherwise; a token
+ * that is present but invalid is always rejected.
+ * @param {AccountManager} accountManager - Verifies tokens
+ * @param {Object} [options] - Middleware options
+ * @param {boolean} [options.required] - Reject guests with 401
+ * @returns {Function} - Express middleware
+ */
+export function authenticate(accountManager, options = {}) {
+  const required = options.required !== false;
+
+  return async (req, res, next) => {
+    const token = getBearerToken(req.get('Authorization'));
+    req.account = null;
+
+    if (!token) {
+      if (required) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      return next();
+    }
+
+    try {
+      req.account = await accountManager.authenticate(token);
+      return next();
+    } catch (error) {
+      return res.status(error.status || 401).json({ error: error.message });
+    }
+  };
+}
+
+export default authenticate;
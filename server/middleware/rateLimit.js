@@ -0,0 +1,112 @@
+// server/middleware/rateLimit.js
+import { rateLimit } from 'express-rate-limit';
+
+export const RATE_LIMIT_MESSAGE = 'Too many requests, please try again later';
+
+// Per-IP limits for REST routes: { windowMs, limit }
+export const DEFAULT_RATE_LIMITS = {
+  // Every /api route
+  api: { windowMs: 60 * 1000, limit: 300 },
+  // Register, sign in and refresh, to slow down password guessing
+  auth: { windowMs: 15 * 60 * 1000, limit: 30 },
+  // High score submissions, each of which may re-simulate a replay
+  scores: { windowMs: 60 * 1000, limit: 20 },
+  // Community level uploads, updates and deletions, each validated and written to disk
+  levels: { windowMs: 60 * 1000, limit: 30 }
+};
+
+// Per-socket limits for socket events: { windowMs, limit }
+export const DEFAULT_SOCKET_RATE_LIMITS = {
+  // Any event without its own limit
+  default: { windowMs: 1000, limit: 20 },
+  // Sent every fixed tick (60 per second) while playing
+  'player:input': { windowMs: 1000, limit: 120 },
+  'room:create': { windowMs: 60 * 1000, limit: 5 },
+  'level:request': { windowMs: 10 * 1000, limit: 10 }
+};
+
+/**
+ * Merge limit overrides over defaults, per key
+ * @param {Object} defaults - Default limits
+ * @param {Object} [overrides] - Partial limits, e.g. { auth: { limit: 5 } }
+ * @returns {Object}
+ */
+export function mergeLimits(defaults, overrides = {}) {
+  const merged = {};
+  for (const key of new Set([...Object.keys(defaults), ...Object.keys(overrides)])) {
+    merged[key] = { ...defaults[key], ...overrides[key] };
+  }
+  return merged;
+}
+
+/**
+ * Create the per-IP REST limiters
+ * @param {Object} [overrides] - Limit overrides (see DEFAULT_RATE_LIMITS)
+ * @returns {Object} - Express middleware keyed like DEFAULT_RATE_LIMITS
+ */
+export function createRateLimiters(overrides) {
+  const limits = mergeLimits(DEFAULT_RATE_LIMITS, overrides);
+  const limiters = {};
+  for (const [name, { windowMs, limit }] of Object.entries(limits)) {
+    limiters[name] = rateLimit({
+      windowMs,
+      limit,
+      standardHeaders: 'draft-7',
+      legacyHeaders: false,
+      message: { error: RATE_LIMIT_MESSAGE }
+    });
+  }
+  return limiters;
+}
+
+/**
+ * Socket Rate Limiter Class
+ * Counts each socket's events in fixed windows, per event name.
+ */
+export class SocketRateLimiter {
+  /**
+   * @param {Object} [overrides] - Limit overrides (see DEFAULT_SOCKET_RATE_LIMITS)
+   * @param {Function} [now] - Clock in milliseconds
+   */
+  constructor(overrides, now = Date.now) {
+    this.limits = mergeLimits(DEFAULT_SOCKET_RATE_LIMITS, overrides);
+    this.now = now;
+
+    // socketId -> Map(eventName -> { windowStart, count })
+    this.counters = new Map();
+  }
+
+  /**
+   * Count one event
+   * @param {string} socketId - Sending socket
+   * @param {string} eventName - Event name
+   * @returns {boolean} - False when the socket is over its limit for the event
+   */
+  consume(socketId, eventName) {
+    const { windowMs, limit } = this.limits[eventName] || this.limits.default;
+    if (!this.counters.has(socketId)) {
+      this.counters.set(socketId, new Map());
+    }
+    const counters = this.counters.get(socketId);
+
+    const now = this.now();
+    let counter = counters.get(eventName);
+    if (!counter || now - counter.windowStart >= windowMs) {
+      counter = { windowStart: now, count: 0 };
+      counters.set(eventName, counter);
+    }
+
+    counter.count += 1;
+    return counter.count <= limit;
+  }
+
+  /**
+   * Forget a socket's counters
+   * @param {string} socketId - Disconnected socket
+   */
+  remove(socketId) {
+    this.counters.delete(socketId);
+  }
+}
+
+export default createRateLimiters;
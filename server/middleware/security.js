@@ -0,0 +1,39 @@
+// server/middleware/security.js
+import helmet from 'helmet';
+
+/**
+ * Content Security Policy for the game client. Scripts and connections stay
+ * on this origin (Socket.IO included). The SVG renderer builds its scene with
+ * DOM calls, but sprite files carry <style> blocks and UI elements are styled
+ * inline, so inline styles are allowed. Replays are downloaded from blob: URLs.
+ * Requests are not upgraded to HTTPS, since local network play uses plain HTTP.
+ */
+export const CONTENT_SECURITY_POLICY = {
+  defaultSrc: ["'self'"],
+  scriptSrc: ["'self'"],
+  styleSrc: ["'self'", "'unsafe-inline'"],
+  imgSrc: ["'self'", 'data:', 'blob:'],
+  mediaSrc: ["'self'", 'data:', 'blob:'],
+  fontSrc: ["'self'", 'data:'],
+  connectSrc: ["'self'", 'ws:', 'wss:'],
+  workerSrc: ["'self'"],
+  manifestSrc: ["'self'"],
+  objectSrc: ["'none'"],
+  baseUri: ["'self'"],
+  formAction: ["'self'"],
+  frameAncestors: ["'self'"]
+};
+
+/**
+ * Helmet security headers with the game's Content Security Policy
+ * @returns {Function} - Express middleware
+ */
+export function securityHeaders() {
+  return helmet({
+    contentSecurityPolicy: { useDefaults: false, directives: CONTENT_SECURITY_POLICY },
+    // HSTS would pin local network play to HTTPS
+    strictTransportSecurity: false
+  });
+}
+
+export default securityHeaders;
@@ -0,0 +1,342 @@
+// server/middleware/validation.js
+import { checkSchema, validationResult } from 'express-validator';
+import { LEVEL_STATUSES, LEVEL_DIFFICULTIES } from '../../client/shared/levelSchema.js';
+import { LEVEL_SORTS, MAX_LEVEL_RATING } from '../services/levelSearch.js';
+import {
+  LEADERBOARD_BOARDS,
+  LEADERBOARD_METRICS,
+  LEADERBOARD_WINDOWS,
+  MAX_PAGE_SIZE,
+  MAX_NEIGHBOURS,
+  decodeCursor
+} from '../services/leaderboard.js';
+
+/**
+ * Request and socket payload validation.
+ *
+ * REST routes declare express-validator schemas and answer invalid requests
+ * with 400 { error, errors }. Socket events declare field rules that are
+ * checked synchronously before the handler runs; an invalid payload is
+ * acknowledged with { ok: false, error } and otherwise ignored.
+ */
+
+export const LEVEL_ID_PATTERN = /^[\w-]{1,64}$/;
+export const MAX_PLAYER_NAME_LENGTH = 24;
+export const MAX_SCORE = 10000000;
+
+// Letters, digits, spaces and a little punctuation; no control characters
+const PLAYER_NAME_PATTERN = /^[\p{L}\p{N} _.'-]+$/u;
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Express middleware chain that validates a request against a schema
+ * @param {Object} schema - express-validator schema (fields name their location with `in`)
+ * @returns {Array<Function>} - Middleware to place before the route handler
+ */
+export function validate(schema) {
+  return [
+    checkSchema(schema),
+    (req, res, next) => {
+      const result = validationResult(req);
+      if (result.isEmpty()) {
+        return next();
+      }
+      const errors = result.array({ onlyFirstError: true })
+        .map((error) => ({ field: error.path, message: error.msg }));
+      return res.status(400).json({ error: errors[0].message, errors });
+    }
+  ];
+}
+
+const requiredString = (location, name, max) => ({
+  in: [location],
+  isString: { errorMessage: `${name} must be a string`, bail: true },
+  isLength: { options: { max }, errorMessage: `${name} must be at most ${max} characters` }
+});
+
+const optionalString = (location, name, max) => ({
+  ...requiredString(location, name, max),
+  optional: true
+});
+
+const playerName = (location) => ({
+  in: [location],
+  optional: true,
+  isString: { errorMessage: 'playerName must be a string', bail: true },
+  trim: true,
+  isLength: {
+    options: { min: 1, max: MAX_PLAYER_NAME_LENGTH },
+    errorMessage: `playerName must be 1 to ${MAX_PLAYER_NAME_LENGTH} characters`,
+    bail: true
+  },
+  matches: {
+    options: [PLAYER_NAME_PATTERN],
+    errorMessage: 'playerName may only contain letters, digits, spaces and _ . \' -'
+  }
+});
+
+const levelIdParam = () => ({
+  in: ['params'],
+  matches: { options: [LEVEL_ID_PATTERN], errorMessage: 'Invalid level id' }
+});
+
+const optionalChoice = (location, name, choices) => ({
+  in: [location],
+  optional: true,
+  isIn: {
+    options: [choices],
+    errorMessage: `${name} must be one of: ${choices.join(', ')}`
+  }
+});
+
+const levelStatus = (location) => optionalChoice(location, 'status', LEVEL_STATUSES);
+
+// Leaderboard parameters may also be empty, which parseLeaderboardQuery() reads as the default
+const emptyOrValid = (rule) => ({ ...rule, optional: { options: { values: 'falsy' } } });
+
+const queryInteger = (name, min, max) => emptyOrValid({
+  in: ['query'],
+  isInt: { options: { min, max }, errorMessage: `${name} must be an integer from ${min} to ${max}` }
+});
+
+const leaderboardFilters = () => ({
+  board: emptyOrValid(optionalChoice('query', 'board', LEADERBOARD_BOARDS)),
+  level: emptyOrValid({
+    in: ['query'],
+    matches: { options: [LEVEL_ID_PATTERN], errorMessage: 'level must be a level id' }
+  }),
+  metric: emptyOrValid(optionalChoice('query', 'metric', LEADERBOARD_METRICS)),
+  window: emptyOrValid(optionalChoice('query', 'window', LEADERBOARD_WINDOWS)),
+  limit: queryInteger('limit', 1, MAX_PAGE_SIZE),
+  cursor: emptyOrValid({
+    in: ['query'],
+    custom: { options: (value) => typeof value === 'string' && Boolean(decodeCursor(value)) },
+    errorMessage: 'Invalid cursor'
+  })
+});
+
+// The level itself is checked by validateLevel() (client/shared/levelSchema.js)
+const levelBody = () => ({
+  in: ['body'],
+  isObject: { errorMessage: 'level must be a level object' }
+});
+
+// Route schemas, keyed by route
+export const schemas = {
+  levelId: {
+    levelId: levelIdParam()
+  },
+
+  levelList: {
+    q: optionalString('query', 'q', 64),
+    author: optionalString('query', 'author', 64),
+    status: levelStatus('query'),
+    difficulty: optionalChoice('query', 'difficulty', LEVEL_DIFFICULTIES),
+    sort: optionalChoice('query', 'sort', LEVEL_SORTS)
+  },
+
+  levelVersion: {
+    levelId: levelIdParam(),
+    version: {
+      in: ['params'],
+      isInt: { options: { min: 1 }, errorMessage: 'version must be a positive integer' },
+      toInt: true
+    }
+  },
+
+  levelUpload: {
+    levelId: levelIdParam(),
+    level: levelBody(),
+    status: levelStatus('body')
+  },
+
+  levelUpdate: {
+    levelId: levelIdParam(),
+    level: { ...levelBody(), optional: true },
+    status: levelStatus('body'),
+    version: {
+      in: ['body'],
+      optional: true,
+      custom: { options: (value) => Number.isInteger(value) && value >= 1 },
+      errorMessage: 'version must be a positive integer'
+    }
+  },
+
+  levelRating: {
+    levelId: levelIdParam(),
+    rating: {
+      in: ['body'],
+      custom: {
+        options: (value) => Number.isInteger(value) && value >= 1 && value <= MAX_LEVEL_RATING
+      },
+      errorMessage: `rating must be a whole number from 1 to ${MAX_LEVEL_RATING}`
+    }
+  },
+
+  register: {
+    username: requiredString('body', 'username', 64),
+    password: requiredString('body', 'password', 200),
+    displayName: optionalString('body', 'displayName', 64)
+  },
+
+  login: {
+    username: requiredString('body', 'username', 64),
+    password: requiredString('body', 'password', 200)
+  },
+
+  refresh: {
+    refreshToken: requiredString('body', 'refreshToken', 4096)
+  },
+
+  highScores: {
+    board: {
+      in: ['query'],
+      optional: true,
+      isIn: {
+        options: [['unverified', 'verified']],
+        errorMessage: 'board must be one of: unverified, verified'
+      }
+    }
+  },
+
+  highScoreSubmission: {
+    playerName: playerName('body'),
+    score: {
+      in: ['body'],
+      custom: {
+        options: (value) => isFiniteNumber(value) && value >= 0 && value <= MAX_SCORE
+      },
+      errorMessage: `score must be a number from 0 to ${MAX_SCORE}`
+    },
+    level: {
+      in: ['body'],
+      optional: true,
+      custom: { options: (value) => typeof value === 'string' && LEVEL_ID_PATTERN.test(value) },
+      errorMessage: 'level must be a level id'
+    },
+    time: {
+      in: ['body'],
+      optional: true,
+      custom: { options: (value) => isFiniteNumber(value) && value >= 0 },
+      errorMessage: 'time must be a non-negative number'
+    },
+    replay: {
+      in: ['body'],
+      optional: true,
+      isObject: { errorMessage: 'replay must be an object' }
+    }
+  },
+
+  leaderboard: leaderboardFilters(),
+
+  leaderboardRank: {
+    ...leaderboardFilters(),
+    around: queryInteger('around', 0, MAX_NEIGHBOURS),
+    playerName: playerName('query')
+  },
+
+  progress: {
+    progress: {
+      in: ['body'],
+      isObject: { errorMessage: 'progress must be a save game object' }
+    }
+  }
+};
+
+// Socket field rules: each returns an error message, or null when the value is valid
+
+const stringField = (max) => (value, name) => (
+  typeof value === 'string' && value.length > 0 && value.length <= max
+    ? null
+    : `${name} must be a string of 1 to ${max} characters`
+);
+
+const integerField = (min, max) => (value, name) => (
+  Number.isInteger(value) && value >= min && value <= max
+    ? null
+    : `${name} must be an integer from ${min} to ${max}`
+);
+
+const booleanField = () => (value, name) => (
+  typeof value === 'boolean' ? null : `${name} must be true or false`
+);
+
+const levelIdField = () => (value, name) => (
+  typeof value === 'string' && LEVEL_ID_PATTERN.test(value) ? null : `${name} must be a level id`
+);
+
+const optional = (rule) => (value, name) => (value === undefined ? null : rule(value, name));
+
+// Socket event schemas. `null` means the event takes no payload (anything sent is ignored);
+// an object lists the accepted fields, and other fields are ignored.
+export const socketSchemas = {
+  'room:list': null,
+  'room:create': {
+    name: optional(stringField(40)),
+    maxPlayers: optional(integerField(1, 16))
+  },
+  'room:join': {
+    roomId: stringField(64)
+  },
+  'room:leave': null,
+  'room:spectate': {
+    roomId: stringField(64)
+  },
+  // Values are checked by parseLeaderboardQuery(); only their types are checked here
+  'leaderboard:subscribe': {
+    board: optional(stringField(16)),
+    level: optional(stringField(64)),
+    metric: optional(stringField(16)),
+    window: optional(stringField(16)),
+    limit: optional((value, name) => (
+      typeof value === 'string' || Number.isInteger(value) ? null : `${name} must be an integer`
+    ))
+  },
+  'leaderboard:unsubscribe': null,
+  'state:resync': null,
+  'player:input': {
+    seq: integerField(0, Number.MAX_SAFE_INTEGER),
+    left: optional(booleanField()),
+    right: optional(booleanField()),
+    jump: optional(booleanField())
+  },
+  'player:damage': null,
+  'player:death': null,
+  'collectible:collected': {
+    id: stringField(64)
+  },
+  'enemy:defeated': {
+    id: stringField(64)
+  },
+  'level:request': {
+    levelId: optional(levelIdField())
+  },
+  'game:start': null
+};
+
+/**
+ * Check a socket event payload against its schema
+ * @param {Object|null} schema - Entry of socketSchemas
+ * @param {*} payload - Payload the client sent
+ * @returns {string|null} - Error message, or null when the payload is valid
+ */
+export function validateSocketPayload(schema, payload) {
+  if (!schema) return null;
+
+  const isObject = payload !== null && typeof payload === 'object' && !Array.isArray(payload);
+  if (!isObject) {
+    // Every field being optional lets the payload be left out entirely
+    const allOptional = Object.entries(schema)
+      .every(([name, rule]) => rule(undefined, name) === null);
+    return payload === undefined && allOptional ? null : 'Payload must be an object';
+  }
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const error = rule(payload[name], name);
+    if (error) return error;
+  }
+  return null;
+}
+
+export default validate;
@@ -0,0 +1,238 @@
+// server/services/accountManager.js
+import { randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { promisify } from 'node:util';
+import jwt from 'jsonwebtoken';
+import logger from './logger.js';
+import { DuplicateEntryError } from './storage/errors.js';
+
+const scryptAsync = promisify(scrypt);
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_DISPLAY_NAME_LENGTH = 24;
+
+// Length of the derived scrypt key in bytes
+const KEY_LENGTH = 64;
+
+// Checked when a login names no account, so it costs the same scrypt run as a
+// wrong password and response times do not reveal which usernames exist
+const DUMMY_PASSWORD_HASH = `scrypt:${'00'.repeat(16)}:${'00'.repeat(KEY_LENGTH)}`;
+
+/**
+ * Error raised for rejected registrations, logins and tokens.
+ * `status` is the HTTP status the REST routes answer with.
+ */
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Account Manager Service
+ * Registers players, checks their passwords and issues the JSON Web Tokens
+ * that REST requests and Socket.IO handshakes authenticate with. Accounts are
+ * stored through the StateManager. Access tokens are short-lived; a refresh
+ * token trades for a new pair without the password.
+ */
+class AccountManager extends EventEmitter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {StateManager} options.stateManager - Account storage
+   * @param {string} [options.jwtSecret] - Signing secret (defaults to JWT_SECRET)
+   * @param {string|number} [options.accessTokenTtl] - Access token lifetime
+   * @param {string|number} [options.refreshTokenTtl] - Refresh token lifetime
+   * @param {winston.Logger} [options.logger] - Logger
+   */
+  constructor(options = {}) {
+    super();
+    this.logger = options.logger || logger.child({ service: 'AccountManager' });
+    this.stateManager = options.stateManager;
+    this.accessTokenTtl = options.accessTokenTtl || '15m';
+    this.refreshTokenTtl = options.refreshTokenTtl || '30d';
+
+    this.jwtSecret = options.jwtSecret || process.env.JWT_SECRET;
+    if (!this.jwtSecret) {
+      this.logger.warn('JWT_SECRET is not set; sessions will not survive a server restart');
+      this.jwtSecret = randomBytes(32).toString('hex');
+    }
+  }
+
+  /**
+   * Hash a password for storage
+   * @param {string} password - Plain-text password
+   * @returns {Promise<string>} - "scrypt:<salt>:<key>" in hex
+   */
+  static async hashPassword(password) {
+    const salt = randomBytes(16);
+    const key = await scryptAsync(password, salt, KEY_LENGTH);
+    return `scrypt:${salt.toString('hex')}:${key.toString('hex')}`;
+  }
+
+  /**
+   * Check a password against a stored hash
+   * @param {string} password - Plain-text password
+   * @param {string} stored - Hash from hashPassword()
+   * @returns {Promise<boolean>}
+   */
+  static async verifyPassword(password, stored) {
+    const [scheme, saltHex, keyHex] = String(stored).split(':');
+    if (scheme !== 'scrypt' || !saltHex || !keyHex) {
+      return false;
+    }
+
+    const expected = Buffer.from(keyHex, 'hex');
+    const key = await scryptAsync(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return timingSafeEqual(key, expected);
+  }
+
+  /**
+   * Account fields that are safe to send to clients
+   * @param {Object} account - Stored account
+   * @returns {Object} - { id, username, displayName, createdAt }
+   */
+  static toPublic(account) {
+    return {
+      id: account.id,
+      username: account.username,
+      displayName: account.displayName,
+      createdAt: account.createdAt
+    };
+  }
+
+  /**
+   * Create an account and sign it in
+   * @param {Object} details - Registration details
+   * @param {string} details.username - 3-20 letters, digits, "_" or "-"
+   * @param {string} details.password - At least 8 characters
+   * @param {string} [details.displayName] - Name shown on boards (defaults to username)
+   * @returns {Promise<Object>} - { account, accessToken, refreshToken, expiresIn }
+   */
+  async register({ username, password, displayName } = {}) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw new AuthError('Username must be 3-20 letters, digits, "_" or "-"', 400);
+    }
+    if (typeof password !== 'string'
+      || password.length < MIN_PASSWORD_LENGTH
+      || password.length > MAX_PASSWORD_LENGTH) {
+      throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+    }
+    const name = typeof displayName === 'string' && displayName.trim()
+      ? displayName.trim().slice(0, MAX_DISPLAY_NAME_LENGTH)
+      : username;
+
+    if (await this.stateManager.findAccountByUsername(username)) {
+      throw new AuthError('Username is already taken', 409);
+    }
+
+    let account;
+    try {
+      account = await this.stateManager.createAccount({
+        username,
+        displayName: name,
+        passwordHash: await AccountManager.hashPassword(password)
+      });
+    } catch (error) {
+      // Another registration took the name after the check above
+      if (error instanceof DuplicateEntryError) {
+        throw new AuthError('Username is already taken', 409);
+      }
+      throw error;
+    }
+
+    this.emit('account:registered', AccountManager.toPublic(account));
+    return this.createSession(account);
+  }
+
+  /**
+   * Sign in with a username and password
+   * @param {Object} credentials - { username, password }
+   * @returns {Promise<Object>} - { account, accessToken, refreshToken, expiresIn }
+   */
+  async login({ username, password } = {}) {
+    const account = typeof username === 'string'
+      ? await this.stateManager.findAccountByUsername(username)
+      : null;
+    const matches = await AccountManager.verifyPassword(
+      typeof password === 'string' ? password : '',
+      account ? account.passwordHash : DUMMY_PASSWORD_HASH
+    );
+
+    if (!account || typeof password !== 'string' || !matches) {
+      throw new AuthError('Invalid username or password');
+    }
+
+    return this.createSession(account);
+  }
+
+  /**
+   * Trade a refresh token for a new token pair
+   * @param {string} refreshToken - Refresh token from register, login or refresh
+   * @returns {Promise<Object>} - { account, accessToken, refreshToken, expiresIn }
+   */
+  async refresh(refreshToken) {
+    const account = await this.resolveToken(refreshToken, 'refresh');
+    return this.createSession(account);
+  }
+
+  /**
+   * Resolve an access token to its account
+   * @param {string} accessToken - Access token
+   * @returns {Promise<Object>} - Public account
+   */
+  async authenticate(accessToken) {
+    return AccountManager.toPublic(await this.resolveToken(accessToken, 'access'));
+  }
+
+  /**
+   * Verify a token of the given type and load its account
+   * @param {string} token - Signed token
+   * @param {string} type - 'access' or 'refresh'
+   * @returns {Promise<Object>} - Stored account
+   */
+  async resolveToken(token, type) {
+    let payload;
+    try {
+      payload = jwt.verify(String(token), this.jwtSecret);
+    } catch (error) {
+      throw new AuthError(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+    }
+
+    if (payload.type !== type) {
+      throw new AuthError('Invalid token');
+    }
+
+    const account = await this.stateManager.getAccount(payload.sub);
+    if (!account) {
+      throw new AuthError('Account no longer exists');
+    }
+    return account;
+  }
+
+  /**
+   * Issue tokens for an account
+   * @param {Object} account - Stored account
+   * @returns {Object} - { account, accessToken, refreshToken, expiresIn }
+   */
+  createSession(account) {
+    const sign = (type, expiresIn) => jwt.sign({ type }, this.jwtSecret, {
+      subject: account.id,
+      expiresIn
+    });
+    const accessToken = sign('access', this.accessTokenTtl);
+
+    return {
+      account: AccountManager.toPublic(account),
+      accessToken,
+      refreshToken: sign('refresh', this.refreshTokenTtl),
+      // Seconds until the access token expires
+      expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000)
+    };
+  }
+}
+
+export default AccountManager;
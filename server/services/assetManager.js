@@ -1,22 +1,74 @@
 // server/services/assetManager.js
 import fs from 'fs/promises';
+import { watch } from 'fs';
 import path from 'path';
 import { EventEmitter } from 'events';
+import logger from './logger.js';
+import { assertValidLevel, LevelValidationError } from '../../client/shared/levelSchema.js';
+import { CAMPAIGN_LEVEL_ID_PATTERN } from '../../client/shared/saveGame.js';
 
 const projectRoot = process.cwd();
 
+// Editors often write a file in several steps; wait for them to settle
+const DEFAULT_RELOAD_DELAY_MS = 100;
+
+// Community level record, next to one v<version>.json file per version
+const USER_LEVEL_RECORD = 'meta.json';
+
+/**
+ * Error raised for rejected community level changes.
+ * `status` is the HTTP status the REST routes answer with.
+ */
+export class LevelAccessError extends Error {
+  constructor(message, status = 403) {
+    super(message);
+    this.name = 'LevelAccessError';
+    this.status = status;
+  }
+}
+
+/**
+ * Write a JSON file through a temporary file, so readers never see half of it
+ * @param {string} filePath - Destination
+ * @param {*} data - JSON-serializable data
+ */
+async function writeJsonFile(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const temporaryPath = `${filePath}.tmp`;
+  await fs.writeFile(temporaryPath, `${JSON.stringify(data, null, 2)}\n`, 'utf-8');
+  await fs.rename(temporaryPath, filePath);
+}
+
 /**
  * Asset Manager Service
+ * Loads level and config JSON. Levels are checked against the level format
+ * (client/shared/levelSchema.js); invalid ones are never served, and asking
+ * for one throws a LevelValidationError listing its problems.
+ *
+ * With `watch` on (HOT_RELOAD=true, set by `npm run dev`) the level and
+ * config directories are watched. A changed file is validated and re-cached,
+ * then 'level:updated' or 'config:updated' is emitted with its contents. A
+ * change that makes a level invalid emits 'level:invalid' and the last good
+ * version keeps being served.
+ *
+ * Community levels are uploaded by players and kept apart from the bundled
+ * ones, one directory per level holding a record (author, status, version)
+ * and every version of the level. Each save is a new version, validated
+ * before it is written; the cache switches to it at once and
+ * 'level:updated' is emitted, as for a hot reload. Drafts are only listed
+ * and served to their author.
  */
 class AssetManager extends EventEmitter {
   constructor(options = {}) {
     super();
+    this.logger = options.logger || logger.child({ service: 'AssetManager' });
 
     // Paths for different asset types
     this.paths = {
       sprites: options.spritesPath || path.join(projectRoot, 'client/assets/sprites'),
       levels: options.levelsPath || path.join(projectRoot, 'client/assets/levels'),
-      configs: options.configsPath || path.join(projectRoot, 'client/assets/configs')
+      configs: options.configsPath || path.join(projectRoot, 'client/assets/configs'),
+      userLevels: options.userLevelsPath || path.join(projectRoot, 'data/levels')
     };
 
     // Cache for loaded assets
@@ -26,64 +78,479 @@ class AssetManager extends EventEmitter {
       configs: new Map()
     };
 
+    // Level id (or file name) -> LevelValidationError for level files that were refused
+    this.invalidLevels = new Map();
+
+    // Community level id -> record; see createUserLevel()
+    this.userLevels = new Map();
+    // Community level id -> promise of its latest queued change
+    this.userLevelChanges = new Map();
+
+    // Hot reload
+    this.watchEnabled = options.watch ?? process.env.HOT_RELOAD === 'true';
+    this.reloadDelayMs = options.reloadDelayMs ?? DEFAULT_RELOAD_DELAY_MS;
+    this.watchers = [];
+    // 'levels/level-1.json' -> pending reload timer
+    this.reloadTimers = new Map();
+
     // Initialize with basic assets
     this.initialized = false;
     this.ready = this.initialize();
 
-    console.log('Asset Manager initialized with paths:', this.paths);
+    this.logger.info('Asset Manager initialized', { paths: this.paths });
   }
 
   async initialize() {
     try {
+      const checkLevel = (level, fileName) => this.checkLevel(level, fileName);
       await Promise.all([
-        this.loadJsonAssets(this.paths.levels, this.cache.levels),
+        this.loadJsonAssets(this.paths.levels, this.cache.levels, checkLevel),
         this.loadJsonAssets(this.paths.configs, this.cache.configs)
       ]);
+      // After the bundled levels, which keep their ids if a community level clashes
+      await this.loadUserLevels();
       this.initialized = true;
+      if (this.watchEnabled) this.watch();
       this.emit('ready');
     } catch (error) {
-      console.error('AssetManager initialization error:', error);
+      this.logger.error('Asset Manager initialization failed', { error });
       this.initialized = true;
     }
   }
 
-  async loadJsonAssets(directoryPath, cache) {
+  /**
+   * Load every .json file in a directory into a cache, keyed by its id
+   * (or file name). A file `check` throws for is left out.
+   * @param {string} directoryPath - Directory to read
+   * @param {Map} cache - Cache to fill
+   * @param {Function} [check] - (parsed, fileName) => void; throws for files to skip
+   */
+  async loadJsonAssets(directoryPath, cache, check = null) {
     await fs.mkdir(directoryPath, { recursive: true });
     const entries = await fs.readdir(directoryPath, { withFileTypes: true });
 
-    for (const entry of entries) {
-      if (!entry.isFile() || !entry.name.endsWith('.json')) {
-        // eslint-disable-next-line no-continue
-        continue;
-      }
+    const jsonFiles = entries.filter((entry) => entry.isFile() && entry.name.endsWith('.json'));
 
+    for (const entry of jsonFiles) {
       const filePath = path.join(directoryPath, entry.name);
       // eslint-disable-next-line no-await-in-loop
       const raw = await fs.readFile(filePath, 'utf-8');
-      const parsed = JSON.parse(raw);
-      const key = parsed.id || path.parse(entry.name).name;
-      cache.set(key, parsed);
+      try {
+        const parsed = JSON.parse(raw);
+        if (check) check(parsed, entry.name);
+        const key = parsed.id || path.parse(entry.name).name;
+        cache.set(key, parsed);
+      } catch (error) {
+        this.logger.error('Skipped invalid asset file', {
+          file: filePath,
+          error: error.message,
+          problems: error.errors
+        });
+      }
+    }
+  }
+
+  /**
+   * Load the current version of every community level
+   */
+  async loadUserLevels() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.paths.userLevels, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    await Promise.all(entries.filter((entry) => entry.isDirectory()).map(async (entry) => {
+      const directory = path.join(this.paths.userLevels, entry.name);
+      try {
+        const record = JSON.parse(await fs.readFile(path.join(directory, USER_LEVEL_RECORD), 'utf-8'));
+        const level = assertValidLevel(JSON.parse(
+          await fs.readFile(this.userLevelFile(record.id, record.version), 'utf-8')
+        ));
+        if (this.cache.levels.has(record.id) || this.invalidLevels.has(record.id)) {
+          throw new Error('a bundled level has the same id');
+        }
+        if (CAMPAIGN_LEVEL_ID_PATTERN.test(record.id)) {
+          throw new Error('the id is reserved for campaign levels');
+        }
+        this.cache.levels.set(record.id, level);
+        this.userLevels.set(record.id, record);
+      } catch (error) {
+        this.logger.error('Skipped community level', {
+          directory,
+          error: error.message,
+          problems: error.errors
+        });
+      }
     }));
   }
 
-  async getLevels() {
+  /**
+   * Validate a level file, remembering why it was refused
+   * @param {Object} level - Parsed level JSON
+   * @param {string} fileName - File the level came from
+   * @throws {LevelValidationError}
+   */
+  checkLevel(level, fileName) {
+    const levelId = path.parse(fileName).name;
+    try {
+      assertValidLevel(level, levelId);
+      this.invalidLevels.delete(levelId);
+    } catch (error) {
+      const refused = error instanceof LevelValidationError
+        ? error
+        : new LevelValidationError(levelId, [error.message]);
+      this.invalidLevels.set(levelId, refused);
+      throw refused;
+    }
+  }
+
+  /**
+   * Watch the level and config directories, reloading files as they change
+   */
+  watch() {
+    if (this.watchers.length > 0) return;
+
+    for (const type of ['levels', 'configs']) {
+      const watcher = watch(this.paths[type], (eventType, fileName) => {
+        if (fileName && fileName.endsWith('.json')) {
+          this.scheduleReload(type, fileName);
+        }
+      });
+      watcher.on('error', (error) => {
+        this.logger.error('Asset watcher failed', { directory: this.paths[type], error });
+      });
+      this.watchers.push(watcher);
+    }
+    this.logger.info('Watching assets for changes', {
+      levels: this.paths.levels,
+      configs: this.paths.configs
+    });
+  }
+
+  /**
+   * Reload a file once it has stopped changing for `reloadDelayMs`
+   * @param {string} type - 'levels' or 'configs'
+   * @param {string} fileName - Changed file in that directory
+   */
+  scheduleReload(type, fileName) {
+    const key = `${type}/${fileName}`;
+    clearTimeout(this.reloadTimers.get(key));
+    this.reloadTimers.set(key, setTimeout(() => {
+      this.reloadTimers.delete(key);
+      this.reloadFile(type, fileName).catch((error) => {
+        this.logger.error('Asset reload failed', { file: key, error });
+      });
+    }, this.reloadDelayMs));
+  }
+
+  /**
+   * Read a changed file again and update the cache
+   * @param {string} type - 'levels' or 'configs'
+   * @param {string} fileName - File in that directory
+   */
+  async reloadFile(type, fileName) {
+    const filePath = path.join(this.paths[type], fileName);
+    const fileId = path.parse(fileName).name;
+
+    let raw;
+    try {
+      raw = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.cache[type].delete(fileId);
+      this.invalidLevels.delete(fileId);
+      this.logger.info('Asset file removed', { file: filePath });
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+      if (type === 'levels') this.checkLevel(parsed, fileName);
+    } catch (error) {
+      const problems = error.errors || [`not valid JSON (${error.message})`];
+      this.logger.error('Changed asset file is invalid, keeping the last good version', {
+        file: filePath,
+        problems
+      });
+      if (type === 'levels') this.emit('level:invalid', { levelId: fileId, errors: problems });
+      return;
+    }
+
+    const key = parsed.id || fileId;
+    this.cache[type].set(key, parsed);
+    this.logger.info('Asset file reloaded', { file: filePath, id: key });
+    this.emit(type === 'levels' ? 'level:updated' : 'config:updated', parsed);
+  }
+
+  /**
+   * Stop watching for changes
+   */
+  close() {
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
+    for (const timer of this.reloadTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.reloadTimers.clear();
+  }
+
+  /**
+   * Levels that can be played: the bundled ones, published community levels
+   * and the viewer's own drafts
+   * @param {Object} [filters] - Narrow the list
+   * @param {string} [filters.authorId] - Only community levels by this account
+   * @param {string} [filters.status] - 'draft' or 'published' (bundled levels count as published)
+   * @param {string} [filters.viewerId] - Account asking, whose drafts are included
+   * @returns {Promise<Array<Object>>} - Level data
+   */
+  async getLevels({ authorId = null, status = null, viewerId = null } = {}) {
+    await this.ready;
+    return Array.from(this.cache.levels.values()).filter((level) => {
+      const record = this.userLevels.get(level.id);
+      const levelStatus = record ? record.status : 'published';
+      if (status && levelStatus !== status) return false;
+      if (authorId && (!record || record.authorId !== authorId)) return false;
+      return levelStatus === 'published' || record.authorId === viewerId;
+    });
+  }
+
+  /**
+   * Get a community level's record
+   * @param {string} levelId - Level id
+   * @returns {Object|null} - { id, name, authorId, authorName, status, version,
+   *   versions, createdAt, updatedAt }, or null for other levels
+   */
+  getUserLevel(levelId) {
+    const record = this.userLevels.get(levelId);
+    return record ? { ...record, versions: [...record.versions] } : null;
+  }
+
+  /**
+   * Check whether a valid level with this id is loaded, bundled or community
+   * @param {string} levelId - Level id
+   * @returns {boolean}
+   */
+  hasLevel(levelId) {
+    return this.cache.levels.has(levelId);
+  }
+
+  /**
+   * Check whether an account may see a level. Everyone sees bundled and
+   * published levels; only the author sees a draft.
+   * @param {string} levelId - Level id
+   * @param {string|null} accountId - Account asking (null for guests)
+   * @returns {boolean}
+   */
+  isVisible(levelId, accountId) {
+    const record = this.userLevels.get(levelId);
+    return !record || record.status === 'published' || record.authorId === accountId;
+  }
+
+  /**
+   * File holding one version of a community level
+   * @param {string} levelId - Level id
+   * @param {number} version - Version number
+   * @returns {string}
+   */
+  userLevelFile(levelId, version) {
+    return path.join(this.paths.userLevels, levelId, `v${version}.json`);
+  }
+
+  /**
+   * Run changes to one community level one after another
+   * @param {string} levelId - Level id
+   * @param {Function} change - async () => result
+   * @returns {Promise} - The change's result
+   */
+  queueUserLevelChange(levelId, change) {
+    const previous = this.userLevelChanges.get(levelId) || Promise.resolve();
+    const queued = previous.catch(() => {}).then(async () => {
+      await this.ready;
+      return change();
+    });
+    this.userLevelChanges.set(levelId, queued);
+    queued.catch(() => {}).then(() => {
+      if (this.userLevelChanges.get(levelId) === queued) this.userLevelChanges.delete(levelId);
+    });
+    return queued;
+  }
+
+  /**
+   * The community level an account may change
+   * @param {string} levelId - Level id
+   * @param {Object} account - Account asking ({ id })
+   * @returns {Object} - The level's record
+   * @throws {LevelAccessError} - 404 for no such level, 403 for someone else's or a bundled one
+   */
+  authorsLevel(levelId, account) {
+    const record = this.userLevels.get(levelId);
+    if (!record) {
+      if (this.cache.levels.has(levelId) || this.invalidLevels.has(levelId)) {
+        throw new LevelAccessError(`Level ${levelId} is a built-in level and cannot be changed`);
+      }
+      throw new LevelAccessError(`Level ${levelId} not found`, 404);
+    }
+    if (record.authorId !== account.id) {
+      // Someone else's draft is not admitted to exist
+      if (record.status !== 'published') {
+        throw new LevelAccessError(`Level ${levelId} not found`, 404);
+      }
+      throw new LevelAccessError(`Only the author can change level ${levelId}`);
+    }
+    return record;
+  }
+
+  /**
+   * Upload a new community level as version 1
+   * @param {Object} level - Level data
+   * @param {Object} options - Upload options
+   * @param {Object} options.author - Uploading account ({ id, displayName })
+   * @param {string} [options.status] - 'draft' (default) or 'published'
+   * @returns {Promise<Object>} - The level's record
+   * @throws {LevelValidationError|LevelAccessError} - Invalid level, 409 when the id is taken,
+   *   or 400 for a campaign level id
+   */
+  async createUserLevel(level, { author, status = 'draft' }) {
+    assertValidLevel(level);
+    return this.queueUserLevelChange(level.id, async () => {
+      if (this.cache.levels.has(level.id) || this.invalidLevels.has(level.id)) {
+        throw new LevelAccessError(`Level ${level.id} already exists`, 409);
+      }
+      // The campaign would otherwise pick the level up as the one after level-<n - 1>
+      if (CAMPAIGN_LEVEL_ID_PATTERN.test(level.id)) {
+        throw new LevelAccessError('Level ids like level-<number> are reserved for campaign levels', 400);
+      }
+
+      const now = new Date().toISOString();
+      const record = {
+        id: level.id,
+        name: level.name,
+        authorId: author.id,
+        authorName: author.displayName,
+        status,
+        version: 1,
+        versions: [{ version: 1, createdAt: now }],
+        createdAt: now,
+        updatedAt: now
+      };
+      await writeJsonFile(this.userLevelFile(level.id, 1), level);
+      await writeJsonFile(path.join(this.paths.userLevels, level.id, USER_LEVEL_RECORD), record);
+
+      this.userLevels.set(level.id, record);
+      this.cache.levels.set(level.id, level);
+      this.logger.info('Community level created', { levelId: level.id, authorId: author.id, status });
+      return this.getUserLevel(level.id);
+    });
+  }
+
+  /**
+   * Save a new version of a community level and/or change its status
+   * @param {string} levelId - Level id
+   * @param {Object} changes - What to change
+   * @param {Object} [changes.level] - New level data (becomes the next version)
+   * @param {string} [changes.status] - 'draft' or 'published'
+   * @param {number} [changes.version] - Version the edit started from; 409 if it is not the latest
+   * @param {Object} account - Account making the change ({ id })
+   * @returns {Promise<Object>} - The level's record
+   * @throws {LevelValidationError|LevelAccessError}
+   */
+  async updateUserLevel(levelId, { level, status, version }, account) {
+    if (level) assertValidLevel(level);
+    return this.queueUserLevelChange(levelId, async () => {
+      const current = this.authorsLevel(levelId, account);
+      if (version !== undefined && version !== current.version) {
+        throw new LevelAccessError(
+          `Level ${levelId} is at version ${current.version}, not ${version}; reload it and try again`,
+          409
+        );
+      }
+
+      const now = new Date().toISOString();
+      const record = {
+        ...current,
+        status: status || current.status,
+        versions: [...current.versions],
+        updatedAt: now
+      };
+      if (level) {
+        record.version = current.version + 1;
+        record.name = level.name;
+        record.versions.push({ version: record.version, createdAt: now });
+        await writeJsonFile(this.userLevelFile(levelId, record.version), level);
+      }
+      await writeJsonFile(path.join(this.paths.userLevels, levelId, USER_LEVEL_RECORD), record);
+
+      this.userLevels.set(levelId, record);
+      this.logger.info('Community level updated', {
+        levelId, version: record.version, status: record.status
+      });
+      if (level) {
+        this.cache.levels.set(levelId, level);
+        this.emit('level:updated', level);
+      }
+      return this.getUserLevel(levelId);
+    });
+  }
+
+  /**
+   * Delete a community level with all its versions
+   * @param {string} levelId - Level id
+   * @param {Object} account - Account asking ({ id })
+   * @returns {Promise}
+   * @throws {LevelAccessError}
+   */
+  async deleteUserLevel(levelId, account) {
+    return this.queueUserLevelChange(levelId, async () => {
+      this.authorsLevel(levelId, account);
+      await fs.rm(path.join(this.paths.userLevels, levelId), { recursive: true, force: true });
+      this.userLevels.delete(levelId);
+      this.cache.levels.delete(levelId);
+      this.logger.info('Community level deleted', { levelId });
+      this.emit('level:deleted', { levelId });
+    });
+  }
+
+  /**
+   * Get an earlier version of a community level
+   * @param {string} levelId - Level id
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>} - Level data, or null when there is no such version
+   */
+  async getUserLevelVersion(levelId, version) {
     await this.ready;
-    return Array.from(this.cache.levels.values());
+    const record = this.userLevels.get(levelId);
+    if (!record || !record.versions.some((entry) => entry.version === version)) {
+      return null;
+    }
+    return JSON.parse(await fs.readFile(this.userLevelFile(levelId, version), 'utf-8'));
   }
 
+  /**
+   * Get a level by id. A level with no file gets an empty placeholder level.
+   * @param {string} levelId - Level id
+   * @returns {Promise<Object>} - Level data
+   * @throws {LevelValidationError} - When the level's file is not a valid level
+   */
   async getLevel(levelId) {
     await this.ready;
 
     if (this.cache.levels.has(levelId)) {
       return this.cache.levels.get(levelId);
     }
+    if (this.invalidLevels.has(levelId)) {
+      throw this.invalidLevels.get(levelId);
+    }
 
     const fallbackPath = path.join(this.paths.levels, `${levelId}.json`);
+    let raw;
     try {
-      const raw = await fs.readFile(fallbackPath, 'utf-8');
-      const parsed = JSON.parse(raw);
-      this.cache.levels.set(parsed.id || levelId, parsed);
-      return parsed;
+      raw = await fs.readFile(fallbackPath, 'utf-8');
     } catch (error) {
       // Keep server resilient in development if a requested level does not exist.
       return {
@@ -98,6 +565,16 @@ class AssetManager extends EventEmitter {
         spawnPoint: { x: 50, y: 400 }
       };
     }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      throw new LevelValidationError(levelId, [`not valid JSON (${error.message})`]);
+    }
+    this.checkLevel(parsed, `${levelId}.json`);
+    this.cache.levels.set(parsed.id || levelId, parsed);
+    return parsed;
   }
 }
 
@@ -1,12 +1,51 @@
 import { EventEmitter } from 'node:events';
+import {
+  FIXED_TIMESTEP,
+  DEFAULT_PHYSICS,
+  GAMEPLAY_RULES,
+  isColliding,
+  applyPlayerInput,
+  integratePlayer,
+  landOnPlatforms,
+  hasFallenOut,
+  resolvePlayerContacts,
+  stompEnemy,
+  hurtPlayer,
+  respawnPlayer,
+  stepPlatforms,
+  createEnemyState,
+  updateEnemyAI,
+  integrateEnemy,
+  createProjectile,
+  advanceProjectile
+} from '../../client/shared/simulation.js';
+import { SeededRandom, SimulationClock } from '../../client/shared/random.js';
+import { GAME_HEIGHT, MAX_INPUT_QUEUE } from '../../client/shared/constants.js';
+import logger from './logger.js';
+
+// Longest stretch of wall-clock time the loop will catch up on after a stall (ms)
+const MAX_CATCH_UP_MS = 250;
+
+const matchesClaim = (event, type, id) => (
+  event.type === type && (id === undefined || event.id === id)
+);
 
 /**
  * Game Engine Service
- * Handles core game logic, physics calculations, and state management
+ * Runs the shared simulation core (client/shared/simulation.js) at a fixed
+ * timestep and owns everything around it: players, input queues, scoring and events.
  */
 class GameEngine extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} [options.seed] - Seed for the simulation's random number generator
+   * @param {SeededRandom} [options.random] - Random source (overrides seed)
+   * @param {SimulationClock} [options.clock] - Simulation clock
+   * @param {winston.Logger} [options.logger] - Logger (RoomManager tags it with the room id)
+   */
+  constructor(options = {}) {
     super();
+    this.logger = options.logger || logger.child({ service: 'GameEngine' });
     this.players = new Map();
     this.enemies = new Map();
     this.platforms = [];
@@ -15,14 +54,41 @@ class GameEngine extends EventEmitter {
     this.gravity = 0.5;
     this.friction = 0.8;
     this.gameLoop = null;
-    this.fps = 60;
     this.isRunning = false;
-    this.tickCount = 0;
+
+    // Wall-clock seconds the last update() took (read by the server's metrics)
+    this.lastUpdateDuration = 0;
+
+    // Simulation time and randomness are injected so a run can be reproduced
+    // from its seed and inputs (see ReplayRecorder)
+    this.clock = options.clock || new SimulationClock({ tickRate: Math.round(1 / FIXED_TIMESTEP) });
+    this.fps = this.clock.tickRate;
+    this.random = options.random || new SeededRandom(options.seed !== undefined ? options.seed : 1);
+    this.seed = this.random.seed;
+
+    // Buttons applied to each player during the current step
+    this.appliedInputs = {};
 
     // Server-side input validation constants
     this.MAX_PLAYER_SPEED = 5;
     this.MAX_WARP_PX = 64;
     this.MIN_INPUT_INTERVAL_MS = 16; // ~1 frame at 60fps
+    this.MAX_INPUT_QUEUE = MAX_INPUT_QUEUE; // ~0.5s of buffered input at 60fps
+    this.MAX_OBSERVED_EVENTS = 50;
+    // A client claims an event as soon as it predicts it, but the input behind
+    // it waits up to MAX_INPUT_QUEUE ticks in the queue; a further second
+    // covers prediction drift
+    this.CLAIM_WINDOW_TICKS = MAX_INPUT_QUEUE + this.fps;
+
+    // Per-player queue of pending input commands (consumed one per tick)
+    this.inputQueues = new Map();
+
+    // Per-player log of gameplay events the engine itself resolved.
+    // Client claims (collect, defeat, damage, death) are only accepted when they match an entry.
+    this.observedEvents = new Map();
+
+    // Per-player claims waiting for the engine to observe their event
+    this.pendingClaims = new Map();
 
     // Initialize game state
     this.initializeGame();
@@ -60,10 +126,86 @@ class GameEngine extends EventEmitter {
       }
     ];
 
+    // Create enemies
+    this.enemies = new Map();
+    this.addEnemy('enemy-1', 400, 470, 'basic');
+    this.addEnemy('enemy-2', 700, 320, 'flying');
+
+    // Projectiles fired by shooter enemies
+    this.projectiles = [];
+    this.projectileId = 0;
+
+    // No level data has been applied yet
+    this.currentLevelId = null;
+    this.levelHeight = GAME_HEIGHT;
+    this.spawnPoint = { x: 50, y: 400 };
+  }
+
+  /**
+   * Replace the current world with the contents of a level definition.
+   * Loading the level that is already active is a no-op so repeated
+   * `level:request` events from clients in the same session do not reset it.
+   * @param {Object} levelData - Level JSON as served by AssetManager
+   */
+  loadLevel(levelData) {
+    if (!levelData || levelData.id === this.currentLevelId) {
+      return;
+    }
+
+    this.currentLevelId = levelData.id;
+    this.buildLevel(levelData);
+
+    // Reposition all connected players to the spawn point
+    for (const player of this.players.values()) {
+      respawnPlayer(player, this.spawnPoint, this.time);
+      player.health = GAMEPLAY_RULES.maxHealth;
+    }
+
+    this.logger.info('Level loaded', {
+      levelId: levelData.id,
+      platforms: this.platforms.length,
+      collectibles: this.collectibles.length,
+      enemies: this.enemies.size,
+      doors: this.doors.length
+    });
+
+    this.emit('level:loaded', { levelId: levelData.id, tick: this.tickCount });
+  }
+
+  /**
+   * Swap in a changed version of the level being played (hot reload).
+   * Platforms, collectibles, doors and enemies are rebuilt from the new
+   * definition; players stay where they are with their health and score.
+   * @param {Object} levelData - New level JSON with the current level's id
+   * @returns {boolean} - False when this engine is playing another level
+   */
+  reloadLevel(levelData) {
+    if (!levelData || levelData.id !== this.currentLevelId) {
+      return false;
+    }
+
+    this.buildLevel(levelData);
+    this.logger.info('Level reloaded', { levelId: levelData.id });
+    this.emit('level:reloaded', { levelId: levelData.id, tick: this.tickCount });
+    return true;
+  }
+
+  /**
+   * Create the level's entities, replacing the current ones
+   * @param {Object} levelData - Level JSON as served by AssetManager
+   */
+  buildLevel(levelData) {
+    // Copy level entities so runtime state never mutates the cached level
+    this.platforms = (levelData.platforms || []).map((p) => ({ ...p }));
+    this.collectibles = (levelData.collectibles || []).map((c) => ({ ...c, collected: false }));
+    this.doors = (levelData.doors || []).map((d) => ({ ...d, locked: d.locked !== false }));
+
     // Create enemies
     this.enemies = new Map();
     (levelData.enemies || []).forEach((e) => {
       this.addEnemy(e.id, e.x, e.y, e.type, {
+        width: e.width,
+        height: e.height,
         patrolStart: e.patrolStart,
         patrolEnd: e.patrolEnd
       });
@@ -73,31 +215,17 @@ class GameEngine extends EventEmitter {
     this.projectiles = [];
     this.projectileId = 0;
 
+    // Set once every objective of the level is met (see checkLevelComplete)
+    this.levelComplete = false;
+
     // Override gravity if specified
     if (levelData.gravity !== undefined) {
       this.gravity = levelData.gravity;
     }
 
-    // Reposition all connected players to the spawn point
-    const spawn = levelData.spawnPoint || { x: 50, y: 400 };
-    for (const player of this.players.values()) {
-      player.x = spawn.x;
-      player.y = spawn.y;
-      player.velocityX = 0;
-      player.velocityY = 0;
-      player.health = 100;
-      player.invulnerableUntil = Date.now() + 1500;
-    }
-
-    console.log(
-      `Level loaded: ${levelData.id}`
-      + ` (${this.platforms.length} platforms,`
-      + ` ${this.collectibles.length} collectibles,`
-      + ` ${this.enemies.size} enemies,`
-      + ` ${this.doors.length} doors)`
-    );
-
-    this.emit('level:loaded', { levelId: levelData.id });
+    // Players fall out of the bottom of the level and respawn at its spawn point
+    this.levelHeight = levelData.height || GAME_HEIGHT;
+    this.spawnPoint = { ...(levelData.spawnPoint || { x: 50, y: 400 }) };
   }
 
   /**
@@ -107,33 +235,90 @@ class GameEngine extends EventEmitter {
     if (this.isRunning) return;
 
     this.isRunning = true;
-    const frameTime = 1000 / this.fps;
+    const stepMs = 1000 / this.fps;
+    let lastTime = performance.now();
+    let accumulator = 0;
 
+    // setInterval only schedules work; the simulation always advances in whole
+    // fixed steps so its results never depend on timer jitter
     this.gameLoop = setInterval(() => {
-      this.update();
-      this.tickCount++;
-
-      // Emit lightweight tick every frame (positions only)
-      this.emit('game:tick', this.getTickState());
+      const now = performance.now();
+      accumulator += Math.min(now - lastTime, MAX_CATCH_UP_MS);
+      lastTime = now;
 
-      // Emit full state every 60 ticks (~1 second)
-      if (this.tickCount % 60 === 0) {
-        this.emit('game:update', this.getGameState());
+      while (accumulator >= stepMs) {
+        this.step();
+        accumulator -= stepMs;
       }
-    }, frameTime);
+    }, stepMs);
 
-    console.log('Game loop started');
+    this.logger.debug('Game loop started');
+  }
+
+  /**
+   * Advance the simulation by one fixed step and publish the result
+   */
+  step() {
+    const tick = this.tickCount;
+    this.appliedInputs = {};
+    const startedAt = performance.now();
+    this.update();
+    this.lastUpdateDuration = (performance.now() - startedAt) / 1000;
+    this.emit('tick:inputs', { tick, inputs: this.appliedInputs });
+    this.clock.advance();
+    this.expireClaims();
+
+    // Emit lightweight tick every step (positions only)
+    this.emit('game:tick', this.getTickState());
+
+    // Emit full state every 60 ticks (~1 second)
+    if (this.tickCount % 60 === 0) {
+      this.emit('game:update', this.getGameState());
+    }
+  }
+
+  /**
+   * Number of steps simulated so far
+   * @returns {number}
+   */
+  get tickCount() {
+    return this.clock.tick;
+  }
+
+  /**
+   * Simulation time in seconds, derived from the tick counter
+   * @returns {number}
+   */
+  get time() {
+    return this.clock.now();
+  }
+
+  /**
+   * Movement parameters passed to the shared simulation
+   * @returns {Object}
+   */
+  getPhysics() {
+    return {
+      ...DEFAULT_PHYSICS,
+      gravity: this.gravity,
+      friction: this.friction,
+      speed: this.MAX_PLAYER_SPEED
+    };
   }
 
   /**
    * Stop the game loop
    */
   stopGame() {
+    // Without steps no claim can be matched any more
+    for (const playerId of this.pendingClaims.keys()) {
+      this.rejectClaims(playerId);
+    }
     if (!this.isRunning) return;
 
     clearInterval(this.gameLoop);
     this.isRunning = false;
-    console.log('Game loop stopped');
+    this.logger.debug('Game loop stopped');
   }
 
   /**
@@ -143,8 +328,9 @@ class GameEngine extends EventEmitter {
     // Update platform states (breaking timers, etc.)
     this.updatePlatforms();
 
-    // Update all players
-    for (const [, player] of this.players.entries()) {
+    // Update all players; disconnected ones wait where they are
+    for (const player of this.connectedPlayers()) {
+      this.applyNextInput(player);
       this.updatePlayerPhysics(player);
       this.checkCollisions(player);
     }
@@ -164,98 +350,36 @@ class GameEngine extends EventEmitter {
    * @param {Object} player - Player object
    */
   updatePlayerPhysics(player) {
-    // Apply gravity
-    player.velocityY += this.gravity;
-
-    // Apply horizontal friction
-    player.velocityX *= this.friction;
-
-    // Update position
-    player.x += player.velocityX;
-    player.y += player.velocityY;
-
-    // Check world boundaries
-    if (player.x < 0) player.x = 0;
-    if (player.x + player.width > 1000) player.x = 1000 - player.width;
-
-    // Check if player fell off the world
-    if (player.y > 600) {
-      this.playerDeath(player.id);
-    }
+    integratePlayer(player, this.getPhysics());
   }
 
   /**
-   * Check for collisions between player and other game entities
+   * Check for collisions between player and other game entities.
+   * The rules are the shared ones the client predicts with (simulation.js).
    * @param {Object} player - Player object
    */
   checkCollisions(player) {
-    // Check platform collisions
-    for (const platform of this.platforms) {
-      // Skip non-solid (broken) platforms
-      // eslint-disable-next-line no-continue
-      if (platform.solid === false) continue;
-
-      if (this.isColliding(player, platform)) {
-        // Only collide from above (basic platformer physics)
-        if (player.velocityY > 0 && player.y + player.height - player.velocityY <= platform.y) {
-          player.y = platform.y - player.height;
-
-          if (platform.type === 'bouncy') {
-            // Reflect velocity upward with the bounce force multiplier (1.5x)
-            player.velocityY = -Math.abs(player.velocityY) * 1.5;
-            player.isJumping = true;
-            player.isGrounded = false;
-          } else {
-            player.velocityY = 0;
-            player.isJumping = false;
-            player.isGrounded = true;
-
-            // Carry player with moving platform
-            if (platform.type === 'moving' && platform.velocityX) {
-              player.x += platform.velocityX;
-            }
-          }
-
-          // Start the crumble sequence when player first lands on a breaking platform
-          if (platform.type === 'breaking' && platform.breakingState === 'stable') {
-            platform.breakingState = 'breaking';
-            platform.breakingTimer = 0;
-          }
-        }
-      }
-    }
+    landOnPlatforms(player, this.platforms);
 
-    // Check collectible collisions
-    for (const collectible of this.collectibles) {
-      if (!collectible.collected && this.isColliding(player, collectible)) {
-        this.collectCollectible(player.id, collectible.id);
-      }
+    if (hasFallenOut(player, this.levelHeight)) {
+      this.playerDeath(player.id);
+      return;
     }
 
-    // Check enemy collisions
-    for (const [id, enemy] of this.enemies.entries()) {
-      if (this.isColliding(player, enemy)) {
-        // If player is above enemy, stomp it
-        if (player.velocityY > 0 && player.y + player.height - player.velocityY <= enemy.y) {
-          player.velocityY = -10; // Bounce off enemy
-          if (enemy.type === 'boss') {
-            // Boss takes 25 HP per stomp; only fully defeated at 0 HP
-            enemy.health -= 25;
-            player.score += 50;
-            if (enemy.health <= 0) {
-              this.defeatEnemy(id);
-              player.score += 500; // Bonus for boss kill
-            }
-          } else {
-            this.defeatEnemy(id);
-            player.score += 200;
-          }
-        } else {
-          // Player takes damage
-          this.playerDamage(player.id);
+    resolvePlayerContacts(player, {
+      collectibles: this.collectibles,
+      enemies: this.enemies.values()
+    }, {
+      collect: (collectible) => this.collectCollectible(player.id, collectible.id),
+      stomp: (enemy) => {
+        const { points, defeated } = stompEnemy(player, enemy);
+        player.score += points;
+        if (defeated) {
+          this.defeatEnemy(enemy.id, player.id);
         }
-      }
-    }
+      },
+      hit: () => this.playerDamage(player.id)
+    });
   }
 
   /**
@@ -265,24 +389,23 @@ class GameEngine extends EventEmitter {
    * @returns {boolean} - True if entities are colliding
    */
   isColliding(entity1, entity2) {
-    return (
-      entity1.x < entity2.x + entity2.width
-      && entity1.x + entity1.width > entity2.x
-      && entity1.y < entity2.y + entity2.height
-      && entity1.y + entity1.height > entity2.y
-    );
+    return isColliding(entity1, entity2);
   }
 
   /**
    * Add a new player to the game
    * @param {string} id - Player ID (socket ID)
+   * @param {Object} [options] - Player options
+   * @param {string} [options.name] - Display name shown to other players and spectators
+   * @param {number} [options.lives] - Lives carried in (a replayed attempt's initial state)
    * @returns {Object} - New player object
    */
-  addPlayer(id) {
+  addPlayer(id, options = {}) {
     const newPlayer = {
       id,
-      x: 50,
-      y: 400,
+      name: options.name || null,
+      x: this.spawnPoint.x,
+      y: this.spawnPoint.y,
       width: 60,
       height: 40,
       velocityX: 0,
@@ -290,24 +413,77 @@ class GameEngine extends EventEmitter {
       isJumping: false,
       isGrounded: false,
       direction: 'right',
-      lives: 3,
+      lives: options.lives || 3,
       score: 0,
       health: 100,
-      invulnerableUntil: 0
+      invulnerableUntil: 0,
+      connected: true,
+      lastAck: undefined,
+      lastInput: { left: false, right: false, jump: false }
     };
 
     this.players.set(id, newPlayer);
-    this.emit('player:join', { playerId: id });
+    this.inputQueues.set(id, []);
+    this.observedEvents.set(id, []);
+    this.pendingClaims.set(id, []);
+    this.emit('player:join', { playerId: id, tick: this.tickCount });
     return newPlayer;
   }
 
+  /**
+   * Hold a player whose connection dropped. Until reconnectPlayer() or
+   * removePlayer(), the player stays where it is, out of reach of enemies
+   * and projectiles, and keeps its score and lives.
+   * @param {string} id - Player ID
+   * @returns {boolean} - True if the player exists
+   */
+  disconnectPlayer(id) {
+    const player = this.players.get(id);
+    if (!player) return false;
+
+    player.connected = false;
+    player.velocityX = 0;
+    player.velocityY = 0;
+    player.lastInput = { left: false, right: false, jump: false };
+    this.inputQueues.set(id, []);
+    this.emit('player:disconnected', { playerId: id, tick: this.tickCount });
+    return true;
+  }
+
+  /**
+   * Resume a player held by disconnectPlayer()
+   * @param {string} id - Player ID
+   * @returns {Object|null} - The player, or null if it no longer exists
+   */
+  reconnectPlayer(id) {
+    const player = this.players.get(id);
+    if (!player) return null;
+
+    player.connected = true;
+    player.invulnerableUntil = this.time + GAMEPLAY_RULES.graceTime; // same grace as a respawn
+    this.emit('player:reconnected', { playerId: id, tick: this.tickCount });
+    return player;
+  }
+
+  /**
+   * Players whose clients are connected
+   * @returns {Array<Object>}
+   */
+  connectedPlayers() {
+    return Array.from(this.players.values()).filter((player) => player.connected !== false);
+  }
+
   /**
    * Remove a player from the game
    * @param {string} id - Player ID to remove
    */
   removePlayer(id) {
     this.players.delete(id);
-    this.emit('player:leave', { playerId: id });
+    this.inputQueues.delete(id);
+    this.observedEvents.delete(id);
+    this.rejectClaims(id);
+    this.pendingClaims.delete(id);
+    this.emit('player:leave', { playerId: id, tick: this.tickCount });
 
     // If no players left, stop the game loop
     if (this.players.size === 0) {
@@ -321,26 +497,13 @@ class GameEngine extends EventEmitter {
    * @param {number} x - X position
    * @param {number} y - Y position
    * @param {string} type - Enemy type
+   * @param {Object} [options] - Level definition fields (width, height, patrolStart, patrolEnd)
    * @returns {Object} - New enemy object
    */
   addEnemy(id, x, y, type, options = {}) {
-    const isBoss = type === 'boss';
-    const newEnemy = {
-      id,
-      x,
-      y,
-      width: isBoss ? 80 : 40,
-      height: isBoss ? 80 : 40,
-      velocityX: type === 'flying' ? 2 : 1,
-      velocityY: 0,
-      type,
-      direction: 'right',
-      health: isBoss ? 100 : 1,
-      maxHealth: isBoss ? 100 : 1,
-      attackCooldown: 0,
-      patrolStart: options.patrolStart,
-      patrolEnd: options.patrolEnd
-    };
+    const newEnemy = createEnemyState({
+      ...options, id, x, y, type
+    });
 
     this.enemies.set(id, newEnemy);
     return newEnemy;
@@ -349,14 +512,40 @@ class GameEngine extends EventEmitter {
   /**
    * Remove an enemy from the game
    * @param {string} id - Enemy ID to remove
+   * @param {string} [playerId] - Player credited with the defeat
    */
-  defeatEnemy(id) {
+  defeatEnemy(id, playerId) {
     if (!this.enemies.has(id)) {
       return;
     }
 
     this.enemies.delete(id);
-    this.emit('enemy:defeated', { enemyId: id });
+    if (playerId) {
+      this.recordObservation(playerId, 'enemy:defeated', id);
+      this.emit('enemy:defeated', { enemyId: id, playerId });
+    } else {
+      this.emit('enemy:defeated', { enemyId: id });
+    }
+    this.checkLevelComplete();
+  }
+
+  /**
+   * Complete the level once every carrot is collected and every enemy is
+   * defeated (the objectives of the client's Game.checkLevelComplete). The
+   * players connected at that moment complete it together.
+   */
+  checkLevelComplete() {
+    if (this.levelComplete || !this.currentLevelId) return;
+
+    const carrotsLeft = this.collectibles.some((item) => item.type === 'carrot' && !item.collected);
+    if (carrotsLeft || this.enemies.size > 0) return;
+
+    this.levelComplete = true;
+    this.emit('level:complete', {
+      levelId: this.currentLevelId,
+      playerIds: this.connectedPlayers().map((player) => player.id),
+      tick: this.tickCount
+    });
   }
 
   /**
@@ -375,7 +564,8 @@ class GameEngine extends EventEmitter {
     }
 
     collectible.collected = true;
-    player.score += 100;
+    player.score += GAMEPLAY_RULES.collectiblePoints;
+    this.recordObservation(playerId, 'collectible:collected', collectibleId);
 
     // If a key was collected, unlock the door it targets
     if (collectible.type === 'key' && collectible.target) {
@@ -387,6 +577,7 @@ class GameEngine extends EventEmitter {
     }
 
     this.emit('collectible:collected', { playerId, collectibleId });
+    this.checkLevelComplete();
   }
 
   /**
@@ -394,76 +585,12 @@ class GameEngine extends EventEmitter {
    * @param {Object} enemy - Enemy object
    */
   updateEnemyAI(enemy) {
-    if (enemy.type === 'basic') {
-      // Basic enemies patrol between their level-defined bounds
-      const patrolEnd = enemy.patrolEnd !== undefined ? enemy.patrolEnd : 600;
-      const patrolStart = enemy.patrolStart !== undefined ? enemy.patrolStart : 300;
-      if (enemy.direction === 'right') {
-        enemy.velocityX = 1;
-        if (enemy.x > patrolEnd) enemy.direction = 'left';
-      } else {
-        enemy.velocityX = -1;
-        if (enemy.x < patrolStart) enemy.direction = 'right';
-      }
-    } else if (enemy.type === 'flying') {
-      // Flying enemies move in a sine wave pattern
-      enemy.y += Math.sin(Date.now() / 500) * 2;
-
-      if (enemy.direction === 'right') {
-        enemy.velocityX = 2;
-        if (enemy.x > 800) enemy.direction = 'left';
-      } else {
-        enemy.velocityX = -2;
-        if (enemy.x < 500) enemy.direction = 'right';
-      }
-    } else if (enemy.type === 'shooter') {
-      // Shooter enemies find the nearest player and fire projectiles
-      let nearestPlayer = null;
-      let nearestDist = Infinity;
-      for (const [, player] of this.players.entries()) {
-        const dx = player.x - enemy.x;
-        const dy = player.y - enemy.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist < nearestDist) {
-          nearestDist = dist;
-          nearestPlayer = player;
-        }
-      }
-
-      if (nearestPlayer && nearestDist <= 350) {
-        // Face the player
-        enemy.direction = nearestPlayer.x > enemy.x ? 'right' : 'left';
-
-        // Maintain a comfortable shooting distance
-        const dx = nearestPlayer.x - enemy.x;
-        if (Math.abs(dx) < 150) {
-          enemy.velocityX = dx > 0 ? -0.5 : 0.5; // too close — back away
-        } else if (Math.abs(dx) > 250) {
-          enemy.velocityX = dx > 0 ? 0.5 : -0.5; // too far — approach
-        } else {
-          enemy.velocityX = 0; // good range — stand and shoot
-        }
-
-        // Fire on cooldown
-        if (enemy.attackCooldown <= 0) {
-          this.fireProjectile(
-            enemy,
-            nearestPlayer.x + nearestPlayer.width / 2,
-            nearestPlayer.y + nearestPlayer.height / 2
-          );
-          enemy.attackCooldown = 2.0;
-        } else {
-          enemy.attackCooldown -= 1 / this.fps;
-        }
-      } else if (enemy.direction === 'right') {
-        // No player in range — slow patrol
-        enemy.velocityX = 0.5;
-        if (enemy.x > 600) enemy.direction = 'left';
-      } else {
-        enemy.velocityX = -0.5;
-        if (enemy.x < 300) enemy.direction = 'right';
-      }
-    }
+    updateEnemyAI(enemy, {
+      players: this.connectedPlayers(),
+      time: this.time,
+      dt: 1 / this.fps,
+      fire: (shooter, targetX, targetY) => this.fireProjectile(shooter, targetX, targetY)
+    });
   }
 
   /**
@@ -471,100 +598,14 @@ class GameEngine extends EventEmitter {
    * @param {Object} enemy - Enemy object
    */
   updateEnemyPhysics(enemy) {
-    // Apply gravity to non-flying enemies
-    if (enemy.type !== 'flying') {
-      enemy.velocityY += this.gravity;
-    }
-
-    // Update position
-    enemy.x += enemy.velocityX;
-    enemy.y += enemy.velocityY;
-
-    // Check platform collisions for non-flying enemies
-    if (enemy.type !== 'flying') {
-      for (const platform of this.platforms) {
-        if (this.isColliding(enemy, platform)) {
-          if (enemy.velocityY > 0) {
-            enemy.y = platform.y - enemy.height;
-            enemy.velocityY = 0;
-          }
-        }
-      }
-    }
+    integrateEnemy(enemy, this.platforms, this.gravity);
   }
 
   /**
    * Update platform state machines each tick (moving + breaking).
    */
   updatePlatforms() {
-    const dt = 1 / this.fps;
-    for (const platform of this.platforms) {
-      if (platform.type === 'moving') {
-        // Lazy-init moving state
-        if (platform.moveStartX === undefined) {
-          platform.moveStartX = platform.x;
-          platform.moveStartY = platform.y;
-          platform.moveDirection = 1;
-          platform.moveSpeed = platform.moveSpeed || 1;
-          platform.moveDistance = platform.moveDistance || 100;
-          platform.movePauseTime = 0;
-          platform.movePauseDuration = 0.5;
-          platform.movingHorizontal = platform.movingHorizontal !== false;
-          platform.movingVertical = platform.movingVertical === true;
-          platform.velocityX = 0;
-          platform.velocityY = 0;
-        }
-
-        if (platform.movePauseTime > 0) {
-          platform.movePauseTime -= dt;
-          platform.velocityX = 0;
-          platform.velocityY = 0;
-        } else {
-          if (platform.movingHorizontal) {
-            const distX = Math.abs(platform.x - platform.moveStartX);
-            if (distX >= platform.moveDistance) {
-              platform.moveDirection *= -1;
-              platform.movePauseTime = platform.movePauseDuration;
-            }
-            platform.velocityX = platform.moveSpeed * platform.moveDirection;
-          }
-          if (platform.movingVertical) {
-            const distY = Math.abs(platform.y - platform.moveStartY);
-            if (distY >= platform.moveDistance) {
-              platform.moveDirection *= -1;
-              platform.movePauseTime = platform.movePauseDuration;
-            }
-            platform.velocityY = platform.moveSpeed * platform.moveDirection;
-          }
-          platform.x += platform.velocityX;
-          platform.y += platform.velocityY;
-        }
-      } else if (platform.type === 'breaking') {
-        // Lazy-init state fields for platforms loaded from level JSON
-        if (platform.breakingState === undefined) {
-          platform.breakingState = 'stable';
-          platform.breakingTimer = 0;
-          platform.respawnTimer = 0;
-          platform.solid = true;
-        }
-
-        if (platform.breakingState === 'breaking') {
-          platform.breakingTimer += dt;
-          if (platform.breakingTimer >= 0.5) { // BREAKING_PLATFORM_DURATION
-            platform.breakingState = 'broken';
-            platform.solid = false;
-            platform.breakingTimer = 0;
-          }
-        } else if (platform.breakingState === 'broken') {
-          platform.respawnTimer += dt;
-          if (platform.respawnTimer >= 3.0) { // BREAKING_PLATFORM_RESPAWN
-            platform.breakingState = 'stable';
-            platform.solid = true;
-            platform.respawnTimer = 0;
-          }
-        }
-      }
-    }
+    stepPlatforms(this.platforms, 1 / this.fps);
   }
 
   /**
@@ -574,26 +615,7 @@ class GameEngine extends EventEmitter {
    * @param {number} targetY - Target Y coordinate
    */
   fireProjectile(enemy, targetX, targetY) {
-    const id = `proj-${++this.projectileId}`;
-    const startX = enemy.x + enemy.width / 2 - 6;
-    const startY = enemy.y + enemy.height / 2 - 6;
-    const dx = targetX - startX;
-    const dy = targetY - startY;
-    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
-    const speed = 5;
-
-    const projectile = {
-      id,
-      x: startX,
-      y: startY,
-      width: 12,
-      height: 12,
-      velocityX: (dx / dist) * speed,
-      velocityY: (dy / dist) * speed,
-      ownerId: enemy.id,
-      damage: 15,
-      lifetime: 3.0
-    };
+    const projectile = createProjectile(`proj-${++this.projectileId}`, enemy, targetX, targetY);
 
     this.projectiles.push(projectile);
     this.emit('projectile:fired', { id: projectile.id });
@@ -605,16 +627,11 @@ class GameEngine extends EventEmitter {
   updateProjectiles() {
     const dt = 1 / this.fps;
     this.projectiles = this.projectiles.filter((proj) => {
-      proj.x += proj.velocityX;
-      proj.y += proj.velocityY;
-      proj.lifetime -= dt;
-
-      if (proj.lifetime <= 0) return false;
-      if (proj.x < -50 || proj.x > 1100 || proj.y < -50 || proj.y > 700) return false;
+      if (!advanceProjectile(proj, dt)) return false;
 
-      for (const [playerId, player] of this.players.entries()) {
+      for (const player of this.connectedPlayers()) {
         if (this.isColliding(proj, player)) {
-          this.playerDamage(playerId);
+          this.playerDamage(player.id);
           return false; // projectile consumed on hit
         }
       }
@@ -624,50 +641,156 @@ class GameEngine extends EventEmitter {
   }
 
   /**
-   * Handle player jump event
+   * Queue a sequenced input command from a client.
+   * Commands carry button states only; the engine derives movement from them.
+   * Out-of-order or duplicate sequence numbers are dropped, and the queue is
+   * capped so a client cannot bank extra movement by flooding commands.
    * @param {string} playerId - Player ID
+   * @param {Object} input - Input command
+   * @param {number} input.seq - Monotonically increasing sequence number
+   * @param {boolean} input.left - Left button held
+   * @param {boolean} input.right - Right button held
+   * @param {boolean} input.jump - Jump button held
+   * @returns {boolean} - True if the command was queued
    */
-  playerJump(playerId) {
-    const player = this.players.get(playerId);
-    if (!player) return;
+  queueInput(playerId, input) {
+    const queue = this.inputQueues.get(playerId);
+    if (!queue || !input || !Number.isInteger(input.seq)) {
+      return false;
+    }
+
+    const newestSeq = queue.length > 0
+      ? queue[queue.length - 1].seq
+      : this.players.get(playerId).lastAck;
+    if (newestSeq !== undefined && input.seq <= newestSeq) {
+      return false;
+    }
 
-    if (!player.isJumping && player.isGrounded) {
-      player.velocityY = -12;
-      player.isJumping = true;
-      player.isGrounded = false;
-      this.emit('player:jump', { playerId });
+    if (queue.length >= this.MAX_INPUT_QUEUE) {
+      return false;
     }
+
+    queue.push({
+      seq: input.seq,
+      left: input.left === true,
+      right: input.right === true,
+      jump: input.jump === true
+    });
+    return true;
   }
 
   /**
-   * Update player position based on input (with server-side validation)
+   * Consume at most one queued input for a player and apply it.
+   * When no input arrived this tick the previous button state is held.
+   * @param {Object} player - Player object
+   */
+  applyNextInput(player) {
+    const queue = this.inputQueues.get(player.id);
+    const input = queue && queue.length > 0 ? queue.shift() : null;
+    const buttons = input || player.lastInput;
+    this.appliedInputs[player.id] = {
+      left: buttons.left,
+      right: buttons.right,
+      jump: buttons.jump
+    };
+
+    // Jump triggers on the press edge only
+    if (applyPlayerInput(player, buttons, player.lastInput, this.getPhysics())) {
+      this.emit('player:jump', { playerId: player.id });
+    }
+
+    if (input) {
+      player.lastAck = input.seq;
+      player.lastInput = {
+        left: input.left,
+        right: input.right,
+        jump: input.jump
+      };
+    }
+  }
+
+  /**
+   * Remember that the engine resolved a gameplay event for a player
    * @param {string} playerId - Player ID
-   * @param {Object} data - Movement data
+   * @param {string} type - Event type (e.g. 'collectible:collected')
+   * @param {string} [id] - Related entity ID
    */
-  updatePlayerPosition(playerId, data) {
-    const player = this.players.get(playerId);
-    if (!player) return;
+  recordObservation(playerId, type, id) {
+    const log = this.observedEvents.get(playerId);
+    if (!log) return;
+
+    // A claim that arrived first is settled by this event, which it then uses up
+    const pending = this.pendingClaims.get(playerId);
+    const claimIndex = pending.findIndex(
+      (claim) => matchesClaim({ type, id }, claim.type, claim.id)
+    );
+    if (claimIndex !== -1) {
+      const [claim] = pending.splice(claimIndex, 1);
+      claim.resolve(true);
+      return;
+    }
 
-    if (data.direction === 'left') {
-      player.velocityX = -this.MAX_PLAYER_SPEED;
-      player.direction = 'left';
-    } else if (data.direction === 'right') {
-      player.velocityX = this.MAX_PLAYER_SPEED;
-      player.direction = 'right';
+    log.push({ type, id, tick: this.tickCount });
+    if (log.length > this.MAX_OBSERVED_EVENTS) {
+      log.shift();
     }
+  }
+
+  /**
+   * Verify a client-claimed gameplay event against what the engine observed.
+   * A client predicts an event before the engine has applied the input that
+   * caused it, so a claim with no matching observation yet is held until one
+   * is recorded, for up to CLAIM_WINDOW_TICKS steps. Claims never change game
+   * state; a matching observation is consumed so the same claim cannot be replayed.
+   * @param {string} playerId - Claiming player ID
+   * @param {string} type - Claimed event type
+   * @param {string} [id] - Related entity ID
+   * @returns {Promise<boolean>} - Resolves true once the engine observes the event,
+   *   false when the window closes first
+   */
+  verifyClaim(playerId, type, id) {
+    const log = this.observedEvents.get(playerId);
+    if (!log) return Promise.resolve(false);
 
-    // Issue 12: Clamp velocity to prevent speed hacks
-    player.velocityX = Math.max(
-      -this.MAX_PLAYER_SPEED,
-      Math.min(this.MAX_PLAYER_SPEED, player.velocityX)
+    const oldestTick = this.tickCount - this.CLAIM_WINDOW_TICKS;
+    const index = log.findIndex(
+      (event) => event.tick >= oldestTick && matchesClaim(event, type, id)
     );
+    if (index !== -1) {
+      log.splice(index, 1);
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      this.pendingClaims.get(playerId).push({
+        type, id, expiresAt: this.tickCount + this.CLAIM_WINDOW_TICKS, resolve
+      });
+    });
+  }
 
-    // Issue 10: Echo last acknowledged input sequence back to client
-    if (data.seq !== undefined) {
-      player.lastAck = data.seq;
+  /**
+   * Reject the held claims whose window has closed
+   */
+  expireClaims() {
+    for (const [playerId, pending] of this.pendingClaims) {
+      const expired = pending.filter((claim) => claim.expiresAt <= this.tickCount);
+      if (expired.length > 0) {
+        this.pendingClaims.set(playerId, pending.filter((claim) => !expired.includes(claim)));
+        expired.forEach((claim) => claim.resolve(false));
+      }
     }
   }
 
+  /**
+   * Reject every claim held for a player
+   * @param {string} playerId - Player ID
+   */
+  rejectClaims(playerId) {
+    const pending = this.pendingClaims.get(playerId) || [];
+    this.pendingClaims.set(playerId, []);
+    pending.forEach((claim) => claim.resolve(false));
+  }
+
   /**
    * Handle player damage
    * @param {string} playerId - Player ID
@@ -676,18 +799,16 @@ class GameEngine extends EventEmitter {
     const player = this.players.get(playerId);
     if (!player) return;
 
-    // Invulnerability guard — prevents per-frame damage spam
-    if (Date.now() < player.invulnerableUntil) return;
-    player.invulnerableUntil = Date.now() + 1500;
+    // Ignored while the player is immune (simulation seconds), so contact does not hit every step
+    const health = hurtPlayer(player, player.health, this.time);
+    if (health === null) return;
 
-    player.health -= 20;
+    player.health = health;
+    this.recordObservation(playerId, 'player:damage');
 
     if (player.health <= 0) {
       this.playerDeath(playerId);
     } else {
-      // Invulnerability and knockback
-      player.velocityY = -8;
-      player.velocityX = player.direction === 'right' ? -5 : 5;
       this.emit('player:damage', { playerId, health: player.health });
     }
   }
@@ -701,28 +822,57 @@ class GameEngine extends EventEmitter {
     if (!player) return;
 
     player.lives -= 1;
+    this.recordObservation(playerId, 'player:death');
 
     if (player.lives <= 0) {
       this.emit('player:gameover', { playerId, score: player.score });
     } else {
-      // Respawn player
-      player.x = 50;
-      player.y = 400;
-      player.velocityX = 0;
-      player.velocityY = 0;
-      player.health = 100;
-      player.invulnerableUntil = Date.now() + 1500; // spawn grace period
+      respawnPlayer(player, this.spawnPoint, this.time);
+      player.health = GAMEPLAY_RULES.maxHealth;
       this.emit('player:respawn', { playerId, lives: player.lives });
     }
   }
 
+  /**
+   * Get a lightweight per-tick snapshot containing only moving entities.
+   * @returns {Object} - Tick state
+   */
+  getTickState() {
+    return {
+      tick: this.tickCount,
+      players: Array.from(this.players.values()).map((p) => ({
+        id: p.id,
+        x: p.x,
+        y: p.y,
+        velocityX: p.velocityX,
+        velocityY: p.velocityY,
+        direction: p.direction,
+        isJumping: p.isJumping,
+        isGrounded: p.isGrounded,
+        lastAck: p.lastAck
+      })),
+      enemies: Array.from(this.enemies.values()).map((e) => ({
+        id: e.id,
+        x: e.x,
+        y: e.y,
+        direction: e.direction,
+        health: e.health
+      })),
+      projectiles: this.projectiles.map((proj) => ({
+        id: proj.id,
+        x: proj.x,
+        y: proj.y
+      }))
+    };
+  }
+
   /**
    * Get the current game state
    * @returns {Object} - Complete game state
    */
   getGameState() {
     return {
-      players: Array.from(this.players.values()).map((p) => ({ ...p, lastAck: p.lastAck })),
+      players: Array.from(this.players.values()).map((p) => ({ ...p })),
       enemies: Array.from(this.enemies.values()),
       platforms: this.platforms,
       collectibles: this.collectibles,
@@ -0,0 +1,252 @@
+// server/services/leaderboard.js
+
+/**
+ * Leaderboard queries over stored high scores.
+ *
+ * A leaderboard is one board (verified or unverified), optionally narrowed to
+ * one level and to the scores set in the current UTC day or week, ranked by
+ * score (highest first) or by completion time (fastest first). Each player
+ * appears once, with their best entry. Ties go to whoever got there first.
+ *
+ * Pages are addressed by cursors that name the last entry of the previous
+ * page, so scores arriving while a player pages through the board do not
+ * shift or repeat entries.
+ *
+ * The stores rank and page (SQLite in SQL); this module parses queries and
+ * numbers the entries the stores return.
+ */
+
+export const LEADERBOARD_BOARDS = ['verified', 'unverified'];
+export const LEADERBOARD_METRICS = ['score', 'time'];
+export const LEADERBOARD_WINDOWS = ['daily', 'weekly', 'all'];
+
+export const DEFAULT_PAGE_SIZE = 10;
+export const MAX_PAGE_SIZE = 50;
+export const MAX_NEIGHBOURS = 10;
+
+const LEVEL_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Leaderboard error with the HTTP status to answer with
+ */
+export class LeaderboardError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LeaderboardError';
+    this.status = status;
+  }
+}
+
+function parseInteger(value, name, min, max, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new LeaderboardError(`${name} must be an integer from ${min} to ${max}`);
+  }
+  return number;
+}
+
+function parseChoice(value, name, choices, fallback) {
+  if (value === undefined || value === '') return fallback;
+  if (!choices.includes(value)) {
+    throw new LeaderboardError(`${name} must be one of: ${choices.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Position of an entry in a leaderboard's order, as held in a cursor
+ * @param {Object} entry - Score entry
+ * @param {string} metric - 'score' or 'time'
+ * @returns {Object} - { v, c, i } metric value, createdAt and id
+ */
+export function entryPosition(entry, metric) {
+  return { v: entry[metric], c: entry.createdAt, i: entry.id };
+}
+
+/**
+ * Encode the position after an entry as an opaque page cursor
+ * @param {Object} entry - Last entry of a page, with its rank
+ * @param {string} metric - 'score' or 'time'
+ * @returns {string}
+ */
+export function encodeCursor(entry, metric) {
+  const position = { ...entryPosition(entry, metric), r: entry.rank };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a page cursor
+ * @param {string} cursor - Cursor from encodeCursor()
+ * @returns {Object} - { v, c, i, r } metric value, createdAt, id and rank
+ * @throws {LeaderboardError} - If the cursor was not issued by this server
+ */
+export function decodeCursor(cursor) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+  } catch (error) {
+    throw new LeaderboardError('Invalid cursor');
+  }
+  const valid = position
+    && typeof position.v === 'number'
+    && typeof position.c === 'string'
+    && typeof position.i === 'string'
+    && Number.isInteger(position.r)
+    && position.r >= 0;
+  if (!valid) {
+    throw new LeaderboardError('Invalid cursor');
+  }
+  return position;
+}
+
+/**
+ * Validate leaderboard query parameters (e.g. req.query)
+ * @param {Object} params - Raw parameters
+ * @returns {Object} - { board, level, metric, window, limit, cursor, around }
+ * @throws {LeaderboardError} - Describing the first invalid parameter
+ */
+export function parseLeaderboardQuery(params = {}) {
+  const level = params.level === undefined || params.level === '' ? null : params.level;
+  if (level !== null && (typeof level !== 'string' || !LEVEL_ID_PATTERN.test(level))) {
+    throw new LeaderboardError('level must be a level id');
+  }
+  if (params.cursor !== undefined && typeof params.cursor !== 'string') {
+    throw new LeaderboardError('Invalid cursor');
+  }
+
+  return {
+    board: parseChoice(params.board, 'board', LEADERBOARD_BOARDS, 'verified'),
+    level,
+    metric: parseChoice(params.metric, 'metric', LEADERBOARD_METRICS, 'score'),
+    window: parseChoice(params.window, 'window', LEADERBOARD_WINDOWS, 'all'),
+    limit: parseInteger(params.limit, 'limit', 1, MAX_PAGE_SIZE, DEFAULT_PAGE_SIZE),
+    cursor: params.cursor ? decodeCursor(params.cursor) : null,
+    around: parseInteger(params.around, 'around', 0, MAX_NEIGHBOURS, 2)
+  };
+}
+
+/**
+ * Start of a time window: midnight UTC today, or Monday midnight UTC this week
+ * @param {string} window - 'daily', 'weekly' or 'all'
+ * @param {Date} [now] - Current time
+ * @returns {string|null} - ISO timestamp, or null for all time
+ */
+export function windowStart(window, now = new Date()) {
+  if (window === 'all') return null;
+
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  if (window === 'weekly') {
+    // getUTCDay() is 0 on Sunday; weeks start on Monday
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start.toISOString();
+}
+
+/**
+ * Key identifying the player an entry belongs to: the account, or for
+ * guests the name they played under
+ * @param {Object} entry - Score entry
+ * @returns {string}
+ */
+export function playerKey(entry) {
+  return entry.accountId
+    ? `account:${entry.accountId}`
+    : `name:${String(entry.playerName).toLowerCase()}`;
+}
+
+/**
+ * Sort comparator for a metric: better entries first
+ * @param {string} metric - 'score' or 'time'
+ * @returns {Function}
+ */
+export function compareEntries(metric) {
+  const direction = metric === 'time' ? 1 : -1;
+  return (a, b) => (direction * (a[metric] - b[metric]))
+    || a.createdAt.localeCompare(b.createdAt)
+    || String(a.id).localeCompare(String(b.id));
+}
+
+/**
+ * Check whether an entry comes after a position in a leaderboard's order
+ * @param {Object} entry - Score entry
+ * @param {Object} position - { v, c, i } (see entryPosition())
+ * @param {string} metric - 'score' or 'time'
+ * @returns {boolean}
+ */
+export function isAfter(entry, position, metric) {
+  const other = { [metric]: position.v, createdAt: position.c, id: position.i };
+  return compareEntries(metric)(entry, other) > 0;
+}
+
+/**
+ * Each player's best entry, best first
+ * @param {Array<Object>} entries - Scores on the board, level and window
+ * @param {string} metric - 'score' or 'time'
+ * @returns {Array<Object>} - Entries in leaderboard order
+ */
+export function bestEntries(entries, metric) {
+  const compare = compareEntries(metric);
+  const best = new Map();
+  for (const entry of entries) {
+    if (typeof entry[metric] === 'number') {
+      const key = playerKey(entry);
+      const current = best.get(key);
+      if (!current || compare(entry, current) < 0) {
+        best.set(key, entry);
+      }
+    }
+  }
+  return [...best.values()].sort(compare);
+}
+
+/**
+ * Number one page of a leaderboard, continuing from the query's cursor
+ * @param {Array<Object>} entries - Entries after the cursor in leaderboard order,
+ *   one more than the page holds when another page follows
+ * @param {Object} query - Parsed query ({ metric, limit, cursor })
+ * @returns {Object} - { entries, nextCursor } (nextCursor is null on the last page)
+ */
+export function toPage(entries, query) {
+  const firstRank = query.cursor ? query.cursor.r + 1 : 1;
+  const page = entries
+    .slice(0, query.limit)
+    .map((entry, index) => ({ rank: firstRank + index, ...entry }));
+  return {
+    entries: page,
+    nextCursor: entries.length > query.limit
+      ? encodeCursor(page[page.length - 1], query.metric)
+      : null
+  };
+}
+
+/**
+ * Number a player's entry and its neighbours
+ * @param {Object} found - Store result: { entry, ahead, total, above, below }, where
+ *   `ahead` counts the entries ranked above the player's and `above`/`below`
+ *   are the neighbours in leaderboard order
+ * @returns {Object} - { rank, total, entry, entries }; rank is null without a score
+ */
+export function toPlayerRank({
+  entry, ahead, total, above, below
+}) {
+  if (!entry) {
+    return {
+      rank: null, total, entry: null, entries: []
+    };
+  }
+
+  const rank = ahead + 1;
+  const numberFrom = (first) => (neighbour, index) => ({ rank: first + index, ...neighbour });
+  const ranked = { rank, ...entry };
+  return {
+    rank,
+    total,
+    entry: ranked,
+    entries: [
+      ...above.map(numberFrom(rank - above.length)),
+      ranked,
+      ...below.map(numberFrom(rank + 1))
+    ]
+  };
+}
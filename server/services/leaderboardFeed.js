@@ -0,0 +1,140 @@
+// server/services/leaderboardFeed.js
+import { EventEmitter } from 'node:events';
+import { parseLeaderboardQuery, windowStart } from './leaderboard.js';
+import logger from './logger.js';
+
+// Fields that identify a subscribed leaderboard
+const queryKey = ({
+  board, level, metric, window, limit
+}) => JSON.stringify([board, level, metric, window, limit]);
+
+/**
+ * Leaderboard Feed Service
+ * Pushes leaderboard changes to subscribed sockets. Each socket follows one
+ * leaderboard (the first page of a board/level/metric/window query). When
+ * StateManager stores a score, every followed leaderboard the score belongs
+ * on is reloaded once and sent to its subscribers, marked as a record when
+ * the new score made it onto that page.
+ *
+ * Emits 'leaderboard:updated' (socketIds, payload) for the server to relay.
+ */
+class LeaderboardFeed extends EventEmitter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {StateManager} options.stateManager - Source of scores and leaderboards
+   * @param {winston.Logger} [options.logger] - Logger
+   */
+  constructor(options = {}) {
+    super();
+    this.logger = options.logger || logger.child({ service: 'LeaderboardFeed' });
+    this.stateManager = options.stateManager;
+
+    // queryKey -> { query, sockets: Set<socketId> }
+    this.subscriptions = new Map();
+
+    // socketId -> queryKey
+    this.socketSubscriptions = new Map();
+
+    this.handleScore = this.handleScore.bind(this);
+    this.stateManager.on('highscores:updated', this.handleScore);
+  }
+
+  /**
+   * Follow a leaderboard, replacing the socket's previous subscription
+   * @param {string} socketId - Subscriber
+   * @param {Object} params - Leaderboard filters ({ board, level, metric, window, limit })
+   * @returns {Promise<Object>} - The leaderboard's current first page
+   * @throws {LeaderboardError} - If the filters are invalid
+   */
+  async subscribe(socketId, params = {}) {
+    const query = { ...parseLeaderboardQuery(params), cursor: null };
+    const key = queryKey(query);
+
+    this.unsubscribe(socketId);
+    if (!this.subscriptions.has(key)) {
+      this.subscriptions.set(key, { query, sockets: new Set() });
+    }
+    this.subscriptions.get(key).sockets.add(socketId);
+    this.socketSubscriptions.set(socketId, key);
+
+    return this.describe(query, await this.stateManager.getLeaderboard(query));
+  }
+
+  /**
+   * Stop following leaderboards
+   * @param {string} socketId - Subscriber
+   */
+  unsubscribe(socketId) {
+    const key = this.socketSubscriptions.get(socketId);
+    if (!key) return;
+
+    this.socketSubscriptions.delete(socketId);
+    const subscription = this.subscriptions.get(key);
+    subscription.sockets.delete(socketId);
+    if (subscription.sockets.size === 0) {
+      this.subscriptions.delete(key);
+    }
+  }
+
+  describe(query, page) {
+    return {
+      board: query.board,
+      level: query.level,
+      metric: query.metric,
+      window: query.window,
+      entries: page.entries
+    };
+  }
+
+  /**
+   * Check whether a new score can appear on a leaderboard
+   * @param {Object} query - Parsed query
+   * @param {Object} entry - Stored score entry
+   * @returns {boolean}
+   */
+  matches(query, entry) {
+    const since = windowStart(query.window);
+    return (query.board === 'verified') === (entry.verified === true)
+      && (!query.level || query.level === entry.level)
+      && (query.metric !== 'time' || typeof entry.time === 'number')
+      && (!since || entry.createdAt >= since);
+  }
+
+  /**
+   * Reload and push every followed leaderboard a new score belongs on
+   * @param {Array} _top - Global top 10 (unused; leaderboards are reloaded per query)
+   * @param {Object} details - { verified, entry }
+   * @returns {Promise}
+   */
+  async handleScore(_top, details = {}) {
+    const { entry } = details;
+    if (!entry) return;
+
+    const affected = [...this.subscriptions.values()]
+      .filter(({ query }) => this.matches(query, entry));
+
+    await Promise.all(affected.map(async ({ query, sockets }) => {
+      try {
+        const page = await this.stateManager.getLeaderboard(query);
+        const ranked = page.entries.find((listed) => listed.id === entry.id);
+        this.emit('leaderboard:updated', [...sockets], {
+          ...this.describe(query, page),
+          record: ranked || null
+        });
+      } catch (error) {
+        this.logger.error('Failed to push leaderboard update', { error });
+      }
+    }));
+  }
+
+  /**
+   * Stop listening for scores and drop every subscription
+   */
+  close() {
+    this.stateManager.off('highscores:updated', this.handleScore);
+    this.subscriptions.clear();
+    this.socketSubscriptions.clear();
+  }
+}
+
+export default LeaderboardFeed;
@@ -0,0 +1,67 @@
+// server/services/levelSearch.js
+
+/**
+ * Level browser queries over the levels AssetManager serves, joined with the
+ * play counts and ratings StateManager keeps.
+ *
+ * A search matches text against the level's name and its author's name,
+ * can be narrowed to one difficulty and sorted by name, newest upload, plays
+ * or average rating. Bundled levels have no upload date, so they sort after
+ * every community level when sorting by newest. Ties are broken by name.
+ */
+
+export const LEVEL_SORTS = ['name', 'newest', 'plays', 'rating'];
+export const MAX_LEVEL_RATING = 5;
+
+/**
+ * Shape a level's stored counters for the API
+ * @param {Object} [row] - Row of listLevelStats() ({ plays, completions, ratingCount,
+ *   ratingTotal }); a level nobody has played has none
+ * @returns {Object} - { plays, completions, rating: { average, count } }; average is
+ *   rounded to one decimal, or null without ratings
+ */
+export function summarizeLevelStats(row = {}) {
+  const count = row.ratingCount || 0;
+  return {
+    plays: row.plays || 0,
+    completions: row.completions || 0,
+    rating: {
+      average: count ? Math.round((row.ratingTotal / count) * 10) / 10 : null,
+      count
+    }
+  };
+}
+
+const byName = (a, b) => String(a.name).localeCompare(String(b.name)) || a.id.localeCompare(b.id);
+
+// Sort comparators, best first; byName breaks ties
+const LEVEL_ORDERS = {
+  name: () => 0,
+  newest: (a, b) => (b.meta?.createdAt || '').localeCompare(a.meta?.createdAt || ''),
+  plays: (a, b) => b.stats.plays - a.stats.plays,
+  rating: (a, b) => ((b.stats.rating.average || 0) - (a.stats.rating.average || 0))
+    || b.stats.rating.count - a.stats.rating.count
+};
+
+/**
+ * Search and sort levels
+ * @param {Array<Object>} levels - Levels with their `stats` (and `meta` for community levels)
+ * @param {Object} [query] - Validated query
+ * @param {string} [query.q] - Text the level's name or author's name contains, any case
+ * @param {string} [query.difficulty] - Only levels of this difficulty
+ * @param {string} [query.sort] - One of LEVEL_SORTS; levels keep their order without one
+ * @returns {Array<Object>} - Matching levels
+ */
+export function searchLevels(levels, { q = null, difficulty = null, sort = null } = {}) {
+  const text = q ? q.trim().toLowerCase() : '';
+  const found = levels.filter((level) => (
+    (!difficulty || level.difficulty === difficulty)
+    && (!text || [level.name, level.meta?.authorName].some((value) => (
+      typeof value === 'string' && value.toLowerCase().includes(text)
+    )))
+  ));
+
+  if (!sort) return found;
+  const order = LEVEL_ORDERS[sort];
+  return found.sort((a, b) => order(a, b) || byName(a, b));
+}
@@ -0,0 +1,75 @@
+// server/services/logger.js
+import winston from 'winston';
+
+/**
+ * Server logging.
+ *
+ * One winston logger writes every server log line to stdout, as one JSON
+ * object per line by default. Services log through child loggers that tag
+ * each line with their `service` name; sockets, rooms and HTTP requests add
+ * `socketId`, `roomId` and `requestId` so an operator can follow one of them
+ * through the output.
+ *
+ * Environment:
+ * - LOG_LEVEL: error, warn, info, http (the default), verbose or debug
+ * - LOG_FORMAT: json (the default) or pretty, for reading in a terminal
+ *
+ * Logging is silent under Jest unless LOG_LEVEL is set.
+ */
+
+export const LOG_LEVELS = Object.keys(winston.config.npm.levels);
+
+// Errors passed as metadata ({ error }) keep their message and stack in JSON
+const serializeErrors = winston.format((info) => {
+  for (const [key, value] of Object.entries(info)) {
+    if (value instanceof Error) {
+      info[key] = { name: value.name, message: value.message, stack: value.stack };
+    }
+  }
+  return info;
+});
+
+const pretty = winston.format.printf(({
+  timestamp, level, message, service, ...meta
+}) => {
+  const fields = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+  return `${timestamp} ${level} ${service ? `[${service}] ` : ''}${message}${fields}`;
+});
+
+/**
+ * Create a logger
+ * @param {Object} [options] - Logger options
+ * @param {string} [options.level] - Most verbose level written (defaults to LOG_LEVEL or 'http')
+ * @param {string} [options.format] - 'json' or 'pretty' (defaults to LOG_FORMAT or 'json')
+ * @param {boolean} [options.silent] - Write nothing
+ * @param {Array} [options.transports] - winston transports (defaults to the console)
+ * @returns {winston.Logger}
+ */
+export function createLogger(options = {}) {
+  const level = options.level || process.env.LOG_LEVEL || 'http';
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`LOG_LEVEL must be one of: ${LOG_LEVELS.join(', ')}`);
+  }
+
+  const format = options.format || process.env.LOG_FORMAT || 'json';
+  const silent = options.silent !== undefined
+    ? options.silent
+    : process.env.JEST_WORKER_ID !== undefined && !process.env.LOG_LEVEL;
+
+  return winston.createLogger({
+    level,
+    silent,
+    format: winston.format.combine(
+      winston.format.timestamp(),
+      serializeErrors(),
+      format === 'pretty'
+        ? winston.format.combine(winston.format.colorize(), pretty)
+        : winston.format.json()
+    ),
+    transports: options.transports || [new winston.transports.Console()]
+  });
+}
+
+const logger = createLogger();
+
+export default logger;
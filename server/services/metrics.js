@@ -0,0 +1,233 @@
+// server/services/metrics.js
+
+/**
+ * Prometheus metrics.
+ *
+ * A small registry of counters, gauges and histograms rendered in the
+ * Prometheus text exposition format (version 0.0.4) for GET /metrics.
+ * Counters only go up; Prometheus derives per-second rates from them with
+ * rate(). Gauges can be set directly or computed when scraped.
+ */
+
+// Tick durations in seconds: a 60 Hz tick has about 16.7 ms to spare
+export const TICK_DURATION_BUCKETS = [0.0005, 0.001, 0.002, 0.004, 0.008, 0.016, 0.032, 0.064];
+
+const escapeLabel = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+// Label sets are keyed by their JSON so equal sets share one series
+const seriesKey = (labels) => JSON.stringify(Object.entries(labels).sort());
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+/**
+ * Counter: a value that only increases, optionally split by labels
+ */
+export class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+    // seriesKey -> { labels, value }
+    this.series = new Map();
+  }
+
+  /**
+   * @param {Object} [labels] - Label values
+   * @param {number} [amount] - Increment (defaults to 1)
+   */
+  inc(labels = {}, amount = 1) {
+    const key = seriesKey(labels);
+    const series = this.series.get(key) || { labels, value: 0 };
+    series.value += amount;
+    this.series.set(key, series);
+  }
+
+  /**
+   * @param {Object} [labels] - Label values
+   * @returns {number}
+   */
+  get(labels = {}) {
+    return this.series.get(seriesKey(labels))?.value || 0;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Gauge: a value that goes up and down. With `collect` it is computed at
+ * scrape time instead of being set.
+ */
+export class Gauge extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Function} [collect] - Returns the current value
+   */
+  constructor(name, help, collect = null) {
+    super('gauge', name, help);
+    this.collect = collect;
+    this.value = 0;
+  }
+
+  set(value) {
+    this.value = value;
+  }
+
+  get() {
+    return this.collect ? this.collect() : this.value;
+  }
+
+  render() {
+    return [...this.header(), `${this.name} ${formatValue(this.get())}`];
+  }
+}
+
+/**
+ * Histogram: observations counted into cumulative buckets
+ */
+export class Histogram extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array<number>} buckets - Upper bounds, ascending
+   */
+  constructor(name, help, buckets) {
+    super('histogram', name, help);
+    this.buckets = buckets;
+    this.counts = buckets.map(() => 0);
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  observe(value) {
+    for (let index = 0; index < this.buckets.length; index++) {
+      if (value <= this.buckets[index]) {
+        this.counts[index] += 1;
+      }
+    }
+    this.sum += value;
+    this.count += 1;
+  }
+
+  render() {
+    const lines = this.header();
+    this.buckets.forEach((bound, index) => {
+      lines.push(`${this.name}_bucket{le="${formatValue(bound)}"} ${this.counts[index]}`);
+    });
+    lines.push(`${this.name}_bucket{le="+Inf"} ${this.count}`);
+    lines.push(`${this.name}_sum ${this.sum}`);
+    lines.push(`${this.name}_count ${this.count}`);
+    return lines;
+  }
+}
+
+/**
+ * Metrics Registry Class
+ * Holds every metric the server exposes.
+ */
+export class MetricsRegistry {
+  constructor() {
+    // name -> metric
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  /**
+   * Render every metric in the Prometheus text format
+   * @returns {string}
+   */
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Create the game server's metrics
+ * @param {Object} sources - Where scrape-time gauges read from
+ * @param {RoomManager} sources.roomManager - Rooms and their members
+ * @param {Function} sources.connectedSockets - Returns the number of open sockets
+ * @returns {Object} - { registry, ...metrics } keyed by short name
+ */
+export function createServerMetrics({ roomManager, connectedSockets }) {
+  const registry = new MetricsRegistry();
+  const players = () => [...roomManager.rooms.values()]
+    .reduce((total, room) => total + room.members.size, 0);
+  const spectators = () => [...roomManager.rooms.values()]
+    .reduce((total, room) => total + room.spectators.size, 0);
+
+  return {
+    registry,
+    sockets: registry.gauge('lunas_connected_sockets', 'Open Socket.IO connections', connectedSockets),
+    rooms: registry.gauge('lunas_rooms', 'Open multiplayer rooms', () => roomManager.rooms.size),
+    players: registry.gauge('lunas_room_players', 'Sockets in a room', players),
+    spectators: registry.gauge('lunas_room_spectators', 'Sockets watching a room', spectators),
+    tickDuration: registry.histogram(
+      'lunas_tick_duration_seconds',
+      'Time GameEngine.update() took per simulation step',
+      TICK_DURATION_BUCKETS
+    ),
+    socketEvents: registry.counter('lunas_socket_events_total', 'Socket events received from clients, by event'),
+    engineEvents: registry.counter('lunas_engine_events_total', 'Game engine events relayed to rooms, by event'),
+    scoreSubmissions: registry.counter('lunas_score_submissions_total', 'High scores stored, by board'),
+    uptime: registry.gauge('process_uptime_seconds', 'Seconds since the process started', () => process.uptime()),
+    memory: registry.gauge(
+      'process_resident_memory_bytes',
+      'Resident memory size in bytes',
+      () => process.memoryUsage().rss
+    )
+  };
+}
@@ -0,0 +1,243 @@
+// server/services/replayRecorder.js
+import { EventEmitter } from 'node:events';
+import GameEngine from './gameEngine.js';
+
+// Button state every player starts with (matches GameEngine.addPlayer)
+const IDLE_BUTTONS = { left: false, right: false, jump: false };
+
+// Ticks re-simulated between yields to the event loop (a few milliseconds of work)
+const DEFAULT_CHUNK_TICKS = 240;
+
+function sameButtons(a, b) {
+  return a.left === b.left && a.right === b.right && a.jump === b.jump;
+}
+
+/**
+ * Set up the re-simulation of a replay on a fresh engine
+ * @param {Object} replay - Replay from ReplayRecorder.getReplay()
+ * @param {Object} options - Simulation options (see ReplayRecorder.simulate)
+ * @returns {Object} - { engine, advance(maxTicks) }; advance() returns true once the run is over
+ */
+function createRun(replay, options) {
+  const engine = new GameEngine({ seed: replay.seed });
+  if (options.onEngine) {
+    options.onEngine(engine);
+  }
+  const levels = options.levels || {};
+  const getLevel = (id) => (levels instanceof Map ? levels.get(id) : levels[id]);
+  const endTick = options.untilTick !== undefined ? options.untilTick : replay.endTick;
+  const { events } = replay;
+  let next = 0;
+
+  // Synthetic sequence numbers; only their order matters to the engine
+  let seq = 0;
+
+  const apply = (event) => {
+    switch (event.type) {
+      case 'join':
+        engine.addPlayer(event.playerId, { lives: event.lives });
+        break;
+      case 'leave':
+        engine.removePlayer(event.playerId);
+        break;
+      case 'level': {
+        const level = getLevel(event.levelId);
+        if (!level) {
+          throw new Error(`Replay needs level ${event.levelId}`);
+        }
+        engine.loadLevel(level);
+        break;
+      }
+      case 'input':
+        seq += 1;
+        engine.queueInput(event.playerId, {
+          seq,
+          left: event.left,
+          right: event.right,
+          jump: event.jump
+        });
+        break;
+      default:
+        throw new Error(`Unknown replay event: ${event.type}`);
+    }
+  };
+
+  // Events land before the tick they were recorded on is simulated
+  const applyDueEvents = () => {
+    while (next < events.length && events[next].tick < endTick
+      && events[next].tick <= engine.tickCount) {
+      apply(events[next]);
+      next += 1;
+    }
+  };
+
+  const advance = (maxTicks) => {
+    applyDueEvents();
+    for (let stepped = 0; engine.tickCount < endTick; stepped++) {
+      if (stepped >= maxTicks) return false;
+      engine.step();
+      applyDueEvents();
+    }
+    return true;
+  };
+
+  return { engine, advance };
+}
+
+/**
+ * Replay Recorder Service
+ * Records everything that feeds a GameEngine from outside (its seed, player
+ * joins and leaves, level loads and the buttons applied each tick) so the run
+ * can be re-simulated exactly. Inputs are stored only when a player's buttons
+ * change, since the engine holds the previous buttons between commands.
+ */
+class ReplayRecorder extends EventEmitter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} [options.maxEvents] - Stop recording after this many events
+   */
+  constructor(options = {}) {
+    super();
+    this.maxEvents = options.maxEvents || 100000;
+    this.engine = null;
+    this.listeners = null;
+    this.reset();
+  }
+
+  /**
+   * Forget the current recording
+   */
+  reset() {
+    this.seed = null;
+    this.endTick = 0;
+    this.events = [];
+    this.truncated = false;
+
+    // playerId -> last recorded buttons
+    this.lastButtons = new Map();
+  }
+
+  /**
+   * Start recording an engine. Recording must begin before the engine has
+   * stepped, because a replay is always re-simulated from a fresh engine.
+   * @param {GameEngine} engine - Engine to record
+   */
+  attach(engine) {
+    if (engine.tickCount !== 0 || engine.players.size > 0 || engine.currentLevelId) {
+      throw new Error('Replays must be recorded from a fresh engine');
+    }
+
+    this.detach();
+    this.reset();
+    this.engine = engine;
+    this.seed = engine.seed;
+
+    this.listeners = {
+      'player:join': ({ playerId, tick }) => this.record({ tick, type: 'join', playerId }),
+      'player:leave': ({ playerId, tick }) => this.record({ tick, type: 'leave', playerId }),
+      'level:loaded': ({ levelId, tick }) => this.record({ tick, type: 'level', levelId }),
+      'tick:inputs': ({ tick, inputs }) => this.recordInputs(tick, inputs)
+    };
+    for (const [eventName, listener] of Object.entries(this.listeners)) {
+      engine.on(eventName, listener);
+    }
+  }
+
+  /**
+   * Stop recording; the recording so far is kept
+   */
+  detach() {
+    if (!this.engine) return;
+
+    for (const [eventName, listener] of Object.entries(this.listeners)) {
+      this.engine.off(eventName, listener);
+    }
+    this.endTick = this.engine.tickCount;
+    this.engine = null;
+    this.listeners = null;
+  }
+
+  /**
+   * Append an event to the recording
+   * @param {Object} event - Event with a tick and type
+   */
+  record(event) {
+    if (this.truncated) return;
+
+    if (this.events.length >= this.maxEvents) {
+      this.truncated = true;
+      this.emit('truncated', { events: this.events.length });
+      return;
+    }
+
+    if (event.type === 'join' || event.type === 'leave') {
+      this.lastButtons.set(event.playerId, IDLE_BUTTONS);
+    }
+    this.events.push(event);
+  }
+
+  /**
+   * Record the buttons applied during one tick, skipping unchanged players
+   * @param {number} tick - Tick the inputs were applied on
+   * @param {Object} inputs - playerId -> { left, right, jump }
+   */
+  recordInputs(tick, inputs) {
+    for (const [playerId, buttons] of Object.entries(inputs)) {
+      const previous = this.lastButtons.get(playerId) || IDLE_BUTTONS;
+      if (!sameButtons(previous, buttons)) {
+        this.lastButtons.set(playerId, { ...buttons });
+        this.record({
+          tick, type: 'input', playerId, ...buttons
+        });
+      }
+    }
+  }
+
+  /**
+   * Get the recording as a plain, serializable replay
+   * @returns {Object} - Replay ({ seed, endTick, truncated, events })
+   */
+  getReplay() {
+    return {
+      seed: this.seed,
+      endTick: this.engine ? this.engine.tickCount : this.endTick,
+      truncated: this.truncated,
+      events: this.events.map((event) => ({ ...event }))
+    };
+  }
+
+  /**
+   * Re-simulate a replay on a fresh engine
+   * @param {Object} replay - Replay from getReplay()
+   * @param {Object} options - Simulation options
+   * @param {Object|Map} [options.levels] - Level definitions by id, for level events
+   * @param {number} [options.untilTick] - Stop at this tick instead of the replay's end
+   * @param {Function} [options.onEngine] - Called with the fresh engine, to listen to its events
+   * @returns {GameEngine} - Engine in the state the recorded run ended in
+   */
+  static simulate(replay, options = {}) {
+    const run = createRun(replay, options);
+    run.advance(Infinity);
+    return run.engine;
+  }
+
+  /**
+   * Re-simulate a replay without holding the event loop: the engine steps in
+   * chunks and yields to pending I/O between them
+   * @param {Object} replay - Replay from getReplay()
+   * @param {Object} options - Simulation options (see simulate)
+   * @param {number} [options.chunkTicks] - Ticks simulated between yields
+   * @returns {Promise<GameEngine>} - Engine in the state the recorded run ended in
+   */
+  static async simulateAsync(replay, options = {}) {
+    const chunkTicks = options.chunkTicks || DEFAULT_CHUNK_TICKS;
+    const run = createRun(replay, options);
+    while (!run.advance(chunkTicks)) {
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise((resolve) => { setImmediate(resolve); });
+    }
+    return run.engine;
+  }
+}
+
+export default ReplayRecorder;
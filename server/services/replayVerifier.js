@@ -0,0 +1,137 @@
+// server/services/replayVerifier.js
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import ReplayRecorder from './replayRecorder.js';
+import { FIXED_TIMESTEP, SIMULATION_VERSION, GAMEPLAY_RULES } from '../../client/shared/simulation.js';
+import { parseReplay, serializeReplay, toEngineReplay } from '../../client/shared/replayFormat.js';
+
+// Id the replayed player is given inside the verification engine
+const VERIFIER_PLAYER_ID = 'verifier';
+
+// Ticks per second of the server simulation
+const TICK_RATE = Math.round(1 / FIXED_TIMESTEP);
+
+// Longest attempt re-simulated (ticks): five minutes of play
+const DEFAULT_MAX_TICKS = TICK_RATE * 60 * 5;
+
+/**
+ * Replay Verifier Service
+ * Confirms a high-score submission by re-simulating its .lunareplay on a
+ * headless GameEngine. A submission is verified only when the replay was
+ * recorded with the current simulation, on the level claimed, starts the way
+ * every level starts (full health), and the engine arrives at exactly the
+ * claimed score in the claimed time without the player running out of lives
+ * before the end.
+ */
+class ReplayVerifier extends EventEmitter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {AssetManager} options.assetManager - Source of level definitions
+   * @param {number} [options.maxTicks] - Reject replays longer than this
+   */
+  constructor(options = {}) {
+    super();
+    this.assetManager = options.assetManager;
+    this.maxTicks = options.maxTicks || DEFAULT_MAX_TICKS;
+  }
+
+  /**
+   * Fingerprint of a replay's simulation inputs, used to spot resubmissions
+   * @param {Object} replay - Parsed replay
+   * @returns {string} - Hex digest
+   */
+  static fingerprint(replay) {
+    const simulated = { ...replay, metadata: undefined };
+    return createHash('sha256').update(serializeReplay(simulated)).digest('hex');
+  }
+
+  /**
+   * Verify a high-score submission
+   * @param {Object} submission - Submitted score
+   * @param {number} submission.score - Score earned during the replayed attempt
+   * @param {string} submission.level - Level the score was earned on
+   * @param {number} [submission.time] - Attempt length in seconds
+   * @param {Object|string} submission.replay - The attempt's replay
+   * @returns {Promise<Object>} - { verified, reason?, score?, time?, replayId? }
+   */
+  async verify(submission) {
+    const result = await this.check(submission);
+    this.emit(result.verified ? 'replay:verified' : 'replay:rejected', {
+      level: submission.level,
+      ...result
+    });
+    return result;
+  }
+
+  /**
+   * Run the checks behind verify()
+   * @param {Object} submission - Submitted score (see verify)
+   * @returns {Promise<Object>} - Verification result
+   */
+  async check({
+    score, level, time, replay: contents
+  }) {
+    let replay;
+    try {
+      replay = parseReplay(contents);
+    } catch (error) {
+      return { verified: false, reason: error.message };
+    }
+
+    if (replay.engineVersion !== SIMULATION_VERSION) {
+      return { verified: false, reason: 'Replay was recorded with a different game version' };
+    }
+    if (replay.levelId !== level) {
+      return { verified: false, reason: 'Replay was recorded on a different level' };
+    }
+    if (replay.tickRate !== TICK_RATE) {
+      return { verified: false, reason: 'Replay tick rate does not match the server' };
+    }
+    if (replay.endTick > this.maxTicks) {
+      return { verified: false, reason: 'Replay is too long to verify' };
+    }
+    // The engine starts every level at full health; lives are carried in from earlier levels
+    if (replay.initialState.health !== GAMEPLAY_RULES.maxHealth) {
+      return { verified: false, reason: 'Replay does not start with full health' };
+    }
+
+    const levels = await this.assetManager.getLevels();
+    const levelData = levels.find((candidate) => candidate.id === level);
+    if (!levelData) {
+      return { verified: false, reason: `Unknown level ${level}` };
+    }
+
+    // Simulated in chunks so other requests are served while it runs
+    let gameOverTick = null;
+    const engine = await ReplayRecorder.simulateAsync(
+      toEngineReplay(replay, VERIFIER_PLAYER_ID),
+      {
+        levels: { [level]: levelData },
+        onEngine: (simulation) => simulation.once('player:gameover', () => {
+          gameOverTick = simulation.tickCount;
+        })
+      }
+    );
+
+    // An attempt ends on the step its last life is lost; nothing after that counts
+    if (gameOverTick !== null && gameOverTick < replay.endTick - 1) {
+      return { verified: false, reason: 'Replay continues after game over' };
+    }
+
+    const simulated = {
+      score: engine.players.get(VERIFIER_PLAYER_ID).score,
+      time: replay.endTick / TICK_RATE
+    };
+
+    if (simulated.score !== score) {
+      return { verified: false, reason: 'Score does not match the replay', ...simulated };
+    }
+    if (time !== undefined && Math.abs(time - simulated.time) > 1 / TICK_RATE) {
+      return { verified: false, reason: 'Time does not match the replay', ...simulated };
+    }
+
+    return { verified: true, replayId: ReplayVerifier.fingerprint(replay), ...simulated };
+  }
+}
+
+export default ReplayVerifier;
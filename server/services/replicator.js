@@ -0,0 +1,91 @@
+// server/services/replicator.js
+import { EventEmitter } from 'node:events';
+import {
+  createReplica,
+  diffReplica
+} from '../../client/shared/stateDelta.js';
+
+/**
+ * Replicator Service
+ * Tracks the last state sent to each client and encodes game state as deltas
+ * against it. A client without a baseline (new, resynced or just moved rooms)
+ * receives a full keyframe instead.
+ */
+class Replicator extends EventEmitter {
+  constructor() {
+    super();
+
+    // clientId -> { seq, baseline }
+    this.clients = new Map();
+
+    this.stats = {
+      keyframes: 0,
+      deltas: 0
+    };
+  }
+
+  /**
+   * Build a replica of an engine's current state
+   * @param {GameEngine} engine - Game engine to snapshot
+   * @returns {Object} - Replica
+   */
+  static snapshot(engine) {
+    return createReplica(engine.getGameState(), engine.tickCount);
+  }
+
+  /**
+   * Forget a client's baseline so its next message is a keyframe
+   * @param {string} clientId - Client (socket) ID
+   */
+  requestKeyframe(clientId) {
+    const client = this.clients.get(clientId);
+    if (client) {
+      client.baseline = null;
+    }
+  }
+
+  /**
+   * Stop tracking a client
+   * @param {string} clientId - Client (socket) ID
+   */
+  removeClient(clientId) {
+    this.clients.delete(clientId);
+  }
+
+  /**
+   * Encode a replica for one client and advance that client's baseline.
+   * Messages are numbered per client; each delta names the message it builds on
+   * in `baseSeq` so the client can detect a gap and ask for a keyframe.
+   * @param {string} clientId - Client (socket) ID
+   * @param {Object} replica - Replica from Replicator.snapshot()
+   * @returns {Object} - Message to send ({ seq, baseSeq, ...delta })
+   */
+  encodeFor(clientId, replica) {
+    let client = this.clients.get(clientId);
+    if (!client) {
+      client = { seq: 0, baseline: null };
+      this.clients.set(clientId, client);
+    }
+
+    const delta = diffReplica(client.baseline, replica);
+    const message = {
+      seq: client.seq + 1,
+      baseSeq: delta.keyframe ? null : client.seq,
+      ...delta
+    };
+
+    client.seq = message.seq;
+    client.baseline = replica;
+
+    if (delta.keyframe) {
+      this.stats.keyframes++;
+      this.emit('keyframe', { clientId, seq: message.seq });
+    } else {
+      this.stats.deltas++;
+    }
+
+    return message;
+  }
+}
+
+export default Replicator;
@@ -0,0 +1,442 @@
+// server/services/roomManager.js
+import { EventEmitter } from 'node:events';
+import { v4 as uuidv4 } from 'uuid';
+import GameEngine from './gameEngine.js';
+import logger from './logger.js';
+import { SeededRandom } from '../../client/shared/random.js';
+
+// How long a dropped player is kept for its client to reconnect
+export const DEFAULT_RECONNECT_GRACE_MS = 30000;
+
+/**
+ * Room Manager Service
+ * Owns one GameEngine per multiplayer room and tracks which socket is in which room.
+ * A player whose connection drops can be held for a grace window and resumed
+ * by a new socket. Spectators receive a room's state without an engine player.
+ * Rooms are torn down automatically once no member or spectator is left and
+ * no player is held.
+ */
+class RoomManager extends EventEmitter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} [options.defaultRoomId] - Room sockets are placed in on connect
+   * @param {number} [options.maxPlayersPerRoom] - Default capacity for new rooms
+   * @param {number} [options.maxSpectatorsPerRoom] - Spectators allowed in each room
+   * @param {Function} [options.createEngine] - Factory given a room id, returning a new GameEngine
+   * @param {number} [options.reconnectGraceMs] - How long holdPlayer() keeps a
+   *   player (defaults to RECONNECT_GRACE_MS or 30 seconds)
+   * @param {winston.Logger} [options.logger] - Logger
+   */
+  constructor(options = {}) {
+    super();
+    this.logger = options.logger || logger.child({ service: 'RoomManager' });
+
+    // roomId -> room record
+    this.rooms = new Map();
+
+    // socketId -> roomId
+    this.socketRooms = new Map();
+
+    // socketId -> engine player id (the account id for signed-in players)
+    this.socketPlayers = new Map();
+
+    this.defaultRoomId = options.defaultRoomId || 'public';
+    this.maxPlayersPerRoom = options.maxPlayersPerRoom || 4;
+    this.maxSpectatorsPerRoom = options.maxSpectatorsPerRoom || 32;
+    const envGraceMs = process.env.RECONNECT_GRACE_MS;
+    this.reconnectGraceMs = options.reconnectGraceMs
+      ?? (envGraceMs ? Number(envGraceMs) : DEFAULT_RECONNECT_GRACE_MS);
+    // Each engine logs with its room's id
+    this.createEngine = options.createEngine || ((roomId) => new GameEngine({
+      seed: SeededRandom.randomSeed(),
+      logger: logger.child({ service: 'GameEngine', roomId })
+    }));
+  }
+
+  /**
+   * Create a new room with its own GameEngine instance
+   * @param {Object} options - Room options
+   * @param {string} [options.id] - Explicit room id (generated when omitted)
+   * @param {string} [options.name] - Display name
+   * @param {number} [options.maxPlayers] - Member capacity
+   * @returns {Object} - The new room record
+   */
+  createRoom(options = {}) {
+    const id = options.id || uuidv4().slice(0, 8);
+    if (this.rooms.has(id)) {
+      throw new Error(`Room ${id} already exists`);
+    }
+
+    const room = {
+      id,
+      name: options.name || id,
+      maxPlayers: options.maxPlayers || this.maxPlayersPerRoom,
+      engine: this.createEngine(id),
+      members: new Set(),
+      // Sockets watching without an engine player
+      spectators: new Set(),
+      // playerId -> timer that releases the player when its grace window ends
+      heldPlayers: new Map(),
+      createdAt: new Date().toISOString()
+    };
+
+    this.rooms.set(id, room);
+    this.logger.info('Room created', { roomId: id, name: room.name, maxPlayers: room.maxPlayers });
+    this.emit('room:created', room);
+    return room;
+  }
+
+  /**
+   * Get a room by id
+   * @param {string} roomId - Room ID
+   * @returns {Object|null} - Room record or null
+   */
+  getRoom(roomId) {
+    return this.rooms.get(roomId) || null;
+  }
+
+  /**
+   * Get the room a socket currently belongs to
+   * @param {string} socketId - Socket ID
+   * @returns {Object|null} - Room record or null
+   */
+  getRoomForSocket(socketId) {
+    const roomId = this.socketRooms.get(socketId);
+    return roomId ? this.getRoom(roomId) : null;
+  }
+
+  /**
+   * Get the engine player a socket controls
+   * @param {string} socketId - Socket ID
+   * @returns {string} - Player ID (the socket ID if none was bound)
+   */
+  getPlayerId(socketId) {
+    return this.socketPlayers.get(socketId) || socketId;
+  }
+
+  /**
+   * Add a socket to a room, leaving its previous room first.
+   * The default room is created on demand; any other room must already exist.
+   * @param {string} roomId - Room to join
+   * @param {string} socketId - Joining socket ID
+   * @param {string} [playerId] - Engine player the socket controls (defaults to the socket ID)
+   * @param {Object} [options] - Join options
+   * @param {string} [options.name] - Player display name
+   * @returns {Object} - The joined room record
+   */
+  joinRoom(roomId, socketId, playerId = this.getPlayerId(socketId), options = {}) {
+    let room = this.getRoom(roomId);
+    if (!room && roomId === this.defaultRoomId) {
+      room = this.createRoom({ id: this.defaultRoomId, name: 'Public' });
+    }
+
+    if (!room) {
+      throw new Error(`Room ${roomId} does not exist`);
+    }
+
+    if (room.members.has(socketId)) {
+      return room;
+    }
+
+    // A player held for a reconnect picks up where it left off
+    if (room.heldPlayers.has(playerId)) {
+      return this.resumePlayer(socketId, playerId);
+    }
+    const heldRoom = this.getHeldRoom(playerId);
+    if (heldRoom) {
+      this.releasePlayer(heldRoom.id, playerId);
+    }
+
+    // Held players keep their slot
+    if (room.members.size + room.heldPlayers.size >= room.maxPlayers) {
+      throw new Error(`Room ${roomId} is full`);
+    }
+
+    this.moveSocketTo(socketId, room);
+
+    // Added to the engine first, so a refused player leaves no member behind
+    room.engine.addPlayer(playerId, { name: options.name });
+    room.members.add(socketId);
+    this.socketRooms.set(socketId, room.id);
+    this.socketPlayers.set(socketId, playerId);
+
+    this.emit('room:joined', { room, socketId, playerId });
+    return room;
+  }
+
+  /**
+   * Add a socket to a room as a spectator, leaving its previous room first.
+   * Spectators are sent the room's state but have no player in its engine.
+   * The default room is created on demand; any other room must already exist.
+   * @param {string} roomId - Room to watch
+   * @param {string} socketId - Spectating socket ID
+   * @returns {Object} - The room record
+   */
+  spectateRoom(roomId, socketId) {
+    let room = this.getRoom(roomId);
+    if (!room && roomId === this.defaultRoomId) {
+      room = this.createRoom({ id: this.defaultRoomId, name: 'Public' });
+    }
+
+    if (!room) {
+      throw new Error(`Room ${roomId} does not exist`);
+    }
+
+    if (room.spectators.has(socketId)) {
+      return room;
+    }
+
+    if (room.spectators.size >= this.maxSpectatorsPerRoom) {
+      throw new Error(`Room ${roomId} has no room for more spectators`);
+    }
+
+    this.moveSocketTo(socketId, room);
+
+    room.spectators.add(socketId);
+    this.socketRooms.set(socketId, room.id);
+
+    this.emit('room:spectating', { room, socketId });
+    return room;
+  }
+
+  /**
+   * Check whether a socket is watching its room rather than playing
+   * @param {string} socketId - Socket ID
+   * @returns {boolean}
+   */
+  isSpectator(socketId) {
+    const room = this.getRoomForSocket(socketId);
+    return Boolean(room && room.spectators.has(socketId));
+  }
+
+  /**
+   * Every socket that should receive a room's state: members and spectators
+   * @param {Object} room - Room record
+   * @returns {Array<string>} - Socket IDs
+   */
+  getRoomSockets(room) {
+    return [...room.members, ...room.spectators];
+  }
+
+  /**
+   * Remove a socket from whichever room it is in.
+   * Destroys the room if it is left empty.
+   * @param {string} socketId - Leaving socket ID
+   * @returns {Object|null} - The room that was left, or null
+   */
+  leaveRoom(socketId) {
+    const room = this.detachSocket(socketId);
+    if (room) {
+      this.destroyRoomIfEmpty(room);
+    }
+    return room;
+  }
+
+  /**
+   * Take a socket out of its room, and its player out of the engine, but
+   * leave the room standing even if it is now empty
+   * @param {string} socketId - Leaving socket ID
+   * @returns {Object|null} - The room that was left, or null
+   */
+  detachSocket(socketId) {
+    const room = this.getRoomForSocket(socketId);
+    if (!room) {
+      return null;
+    }
+
+    this.socketRooms.delete(socketId);
+    if (room.spectators.delete(socketId)) {
+      this.emit('room:left', { room, socketId, playerId: null });
+      return room;
+    }
+
+    const playerId = this.getPlayerId(socketId);
+    room.members.delete(socketId);
+    this.socketPlayers.delete(socketId);
+    room.engine.removePlayer(playerId);
+
+    this.emit('room:left', { room, socketId, playerId });
+    return room;
+  }
+
+  /**
+   * Move a socket out of its current room before it enters `room`. The room
+   * it left is torn down if empty; `room` itself is kept.
+   * @param {string} socketId - Moving socket ID
+   * @param {Object} room - Room being entered
+   */
+  moveSocketTo(socketId, room) {
+    const previous = this.detachSocket(socketId);
+    if (previous && previous !== room) {
+      this.destroyRoomIfEmpty(previous);
+    }
+  }
+
+  /**
+   * Remove a socket whose connection dropped, but keep its player in the
+   * engine, frozen, for the reconnect grace window. resumePlayer() hands the
+   * player to a new socket; otherwise it is removed when the window ends.
+   * @param {string} socketId - Disconnected socket ID
+   * @returns {Object|null} - The room the player is held in (or left, with no
+   *   grace window), or null
+   */
+  holdPlayer(socketId) {
+    const room = this.getRoomForSocket(socketId);
+    if (!room || room.spectators.has(socketId) || this.reconnectGraceMs <= 0) {
+      return this.leaveRoom(socketId);
+    }
+
+    const playerId = this.getPlayerId(socketId);
+    room.members.delete(socketId);
+    this.socketRooms.delete(socketId);
+    this.socketPlayers.delete(socketId);
+    room.engine.disconnectPlayer(playerId);
+
+    const timer = setTimeout(() => this.releasePlayer(room.id, playerId), this.reconnectGraceMs);
+    timer.unref?.();
+    room.heldPlayers.set(playerId, timer);
+
+    this.logger.info('Player held for reconnect', {
+      roomId: room.id, playerId, graceMs: this.reconnectGraceMs
+    });
+    this.emit('player:held', { room, socketId, playerId });
+    return room;
+  }
+
+  /**
+   * Hand a held player to a new socket
+   * @param {string} socketId - Reconnected socket ID
+   * @param {string} playerId - Held player ID
+   * @returns {Object|null} - The room rejoined, or null if the player is not held
+   */
+  resumePlayer(socketId, playerId) {
+    const room = this.getHeldRoom(playerId);
+    if (!room) {
+      return null;
+    }
+
+    clearTimeout(room.heldPlayers.get(playerId));
+    room.heldPlayers.delete(playerId);
+    this.moveSocketTo(socketId, room);
+
+    room.members.add(socketId);
+    this.socketRooms.set(socketId, room.id);
+    this.socketPlayers.set(socketId, playerId);
+    room.engine.reconnectPlayer(playerId);
+
+    this.logger.info('Player resumed', { roomId: room.id, playerId });
+    this.emit('room:joined', {
+      room, socketId, playerId, resumed: true
+    });
+    return room;
+  }
+
+  /**
+   * Remove a held player from its engine, ending its grace window
+   * @param {string} roomId - Room holding the player
+   * @param {string} playerId - Held player ID
+   */
+  releasePlayer(roomId, playerId) {
+    const room = this.getRoom(roomId);
+    if (!room || !room.heldPlayers.has(playerId)) {
+      return;
+    }
+
+    clearTimeout(room.heldPlayers.get(playerId));
+    room.heldPlayers.delete(playerId);
+    room.engine.removePlayer(playerId);
+
+    this.emit('player:released', { room, playerId });
+    this.destroyRoomIfEmpty(room);
+  }
+
+  /**
+   * Find the room holding a disconnected player
+   * @param {string} playerId - Player ID
+   * @returns {Object|null} - Room record or null
+   */
+  getHeldRoom(playerId) {
+    for (const room of this.rooms.values()) {
+      if (room.heldPlayers.has(playerId)) {
+        return room;
+      }
+    }
+    return null;
+  }
+
+  destroyRoomIfEmpty(room) {
+    if (room.members.size === 0 && room.spectators.size === 0 && room.heldPlayers.size === 0) {
+      this.destroyRoom(room.id);
+    }
+  }
+
+  /**
+   * Stop a room's engine and forget the room
+   * @param {string} roomId - Room ID
+   */
+  destroyRoom(roomId) {
+    const room = this.getRoom(roomId);
+    if (!room) {
+      return;
+    }
+
+    for (const socketId of room.members) {
+      this.socketRooms.delete(socketId);
+      this.socketPlayers.delete(socketId);
+    }
+    room.members.clear();
+    for (const socketId of room.spectators) {
+      this.socketRooms.delete(socketId);
+    }
+    room.spectators.clear();
+    for (const timer of room.heldPlayers.values()) {
+      clearTimeout(timer);
+    }
+    room.heldPlayers.clear();
+
+    room.engine.stopGame();
+    room.engine.removeAllListeners();
+    this.rooms.delete(roomId);
+
+    this.logger.info('Room destroyed', { roomId });
+    this.emit('room:destroyed', { roomId });
+  }
+
+  /**
+   * Destroy every room (used on server shutdown)
+   */
+  destroyAll() {
+    for (const roomId of Array.from(this.rooms.keys())) {
+      this.destroyRoom(roomId);
+    }
+  }
+
+  /**
+   * Get a serializable summary of a room for lobby listings
+   * @param {Object} room - Room record
+   * @returns {Object} - Public room summary
+   */
+  getRoomSummary(room) {
+    return {
+      id: room.id,
+      name: room.name,
+      players: room.members.size,
+      maxPlayers: room.maxPlayers,
+      spectators: room.spectators.size,
+      levelId: room.engine.currentLevelId,
+      seed: room.engine.seed,
+      isRunning: room.engine.isRunning,
+      createdAt: room.createdAt
+    };
+  }
+
+  /**
+   * List all open rooms
+   * @returns {Array<Object>} - Room summaries
+   */
+  listRooms() {
+    return Array.from(this.rooms.values()).map((room) => this.getRoomSummary(room));
+  }
+}
+
+export default RoomManager;
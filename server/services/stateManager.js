@@ -1,114 +1,338 @@
 // server/services/stateManager.js
-import fs from 'fs/promises';
 import path from 'path';
 import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { openStore } from './storage/index.js';
+import logger from './logger.js';
+import { windowStart, toPage, toPlayerRank } from './leaderboard.js';
+import { summarizeLevelStats } from './levelSearch.js';
+import { normalizeSaveGame, mergeSaveGames } from '../../client/shared/saveGame.js';
 
 const projectRoot = process.cwd();
 
 /**
  * State Manager Service
+ * Persists high scores, accounts, player progress, level play counts and
+ * ratings, and settings through a storage driver (see storage/index.js):
+ * SQLite by default, JSON files as the fallback. Callers never see the
+ * driver; every method waits for the store to open.
  */
 class StateManager extends EventEmitter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} [options.dataPath] - Data directory
+   * @param {string} [options.driver] - Storage driver: 'auto', 'sqlite' or 'json'
+   * @param {Object} [options.store] - Already-constructed store (opened here)
+   * @param {number} [options.maxHighScores] - Entries kept per board by the JSON driver
+   * @param {winston.Logger} [options.logger] - Logger
+   */
   constructor(options = {}) {
     super();
+    this.logger = options.logger || logger.child({ service: 'StateManager' });
 
     // Data storage path
     this.dataPath = options.dataPath || path.join(projectRoot, 'data');
 
-    // In-memory cache of state data
-    this.state = {
-      highScores: [],
-      playerProgress: new Map(),
-      settings: {}
-    };
-
     // Maximum entries in high scores
     this.maxHighScores = options.maxHighScores || 100;
 
-    // Auto-save interval (if enabled)
-    this.autoSaveInterval = null;
-    this.autoSaveEnabled = options.autoSave !== false;
-    this.autoSaveDelay = options.autoSaveDelay || 60000; // 1 minute default
-    this.highScoresFile = path.join(this.dataPath, 'highscores.json');
-    this.ready = this.initialize();
+    this.store = null;
+    this.ready = this.initialize(options);
 
-    console.log('State Manager initialized with data path:', this.dataPath);
+    // playerId -> promise of the latest queued progress merge
+    this.progressWrites = new Map();
+
+    this.logger.info('State Manager initialized', { dataPath: this.dataPath });
   }
 
-  async initialize() {
-    await fs.mkdir(this.dataPath, { recursive: true });
-    await this.loadHighScores();
+  async initialize(options) {
+    this.store = options.store
+      ? await options.store.open()
+      : await openStore({
+        driver: options.driver,
+        dataPath: this.dataPath,
+        maxHighScores: this.maxHighScores,
+        logger: this.logger
+      });
+    this.logger.info('State Manager storage opened', { driver: this.store.driver });
+  }
 
-    if (this.autoSaveEnabled) {
-      this.startAutoSave();
-    }
+  /**
+   * Get the top entries of a high score board
+   * @param {number} [limit] - Maximum entries returned
+   * @param {Object} [options] - Board selection
+   * @param {boolean} [options.verified] - Read the replay-verified board
+   * @returns {Promise<Array>} - Entries, highest score first
+   */
+  async getHighScores(limit = 10, options = {}) {
+    await this.ready;
+    return this.store.listScores({ verified: Boolean(options.verified), limit });
   }
 
-  async loadHighScores() {
-    try {
-      const raw = await fs.readFile(this.highScoresFile, 'utf-8');
-      const parsed = JSON.parse(raw);
-      this.state.highScores = Array.isArray(parsed) ? parsed : [];
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        console.error('Failed to read high scores:', error);
-      }
-      this.state.highScores = [];
-    }
+  /**
+   * Store filters for a leaderboard query (see leaderboard.js)
+   * @param {Object} query - Parsed query ({ board, level, metric, window })
+   * @returns {Object} - { verified, level, since, metric }
+   */
+  static leaderboardFilters(query) {
+    return {
+      verified: query.board === 'verified',
+      level: query.level,
+      since: windowStart(query.window),
+      metric: query.metric
+    };
   }
 
-  async getHighScores(limit = 10) {
+  /**
+   * Get one page of a leaderboard. The store ranks and reads only the page,
+   * starting after the query's cursor.
+   * @param {Object} query - Result of parseLeaderboardQuery()
+   * @returns {Promise<Object>} - { entries, nextCursor }
+   */
+  async getLeaderboard(query) {
     await this.ready;
+    const entries = await this.store.findLeaderboardPage(StateManager.leaderboardFilters(query), {
+      after: query.cursor,
+      // One extra entry tells whether another page follows
+      limit: query.limit + 1
+    });
+    return toPage(entries, query);
+  }
 
-    return [...this.state.highScores]
-      .sort((a, b) => (b.score || 0) - (a.score || 0))
-      .slice(0, limit);
+  /**
+   * Get a player's rank on a leaderboard and the entries around it
+   * @param {Object} query - Result of parseLeaderboardQuery()
+   * @param {Object} player - { accountId } or { playerName }
+   * @returns {Promise<Object>} - { rank, total, entry, entries }; rank is null without a score
+   */
+  async getLeaderboardRank(query, player) {
+    await this.ready;
+    return toPlayerRank(await this.store.findLeaderboardPlayer(
+      StateManager.leaderboardFilters(query),
+      player,
+      query.around
+    ));
   }
 
+  /**
+   * Add a high score. Entries marked verified (confirmed by re-simulating
+   * their replay) go to the verified board; everything else to the open one.
+   * @param {Object} entry - Score entry
+   * @returns {Promise<Object>} - Stored entry
+   */
   async addHighScore(entry = {}) {
     await this.ready;
 
+    const verified = entry.verified === true;
     const scoreEntry = {
+      id: uuidv4(),
       playerName: entry.playerName || 'Anonymous',
       score: Number.isFinite(entry.score) ? entry.score : 0,
       level: entry.level || 'level-1',
+      verified,
       createdAt: entry.createdAt || new Date().toISOString()
     };
+    if (entry.accountId) {
+      scoreEntry.accountId = entry.accountId;
+    }
+    if (verified) {
+      scoreEntry.time = entry.time;
+      scoreEntry.replayId = entry.replayId;
+    }
 
-    this.state.highScores.push(scoreEntry);
-    this.state.highScores.sort((a, b) => (b.score || 0) - (a.score || 0));
-    this.state.highScores = this.state.highScores.slice(0, this.maxHighScores);
-
-    await this.saveHighScores();
-    this.emit('highscores:updated', this.state.highScores);
+    await this.store.insertScore(scoreEntry);
+    this.emit('highscores:updated', await this.getHighScores(10, { verified }), {
+      verified,
+      entry: scoreEntry
+    });
 
     return scoreEntry;
   }
 
-  async saveHighScores() {
-    const serialized = JSON.stringify(this.state.highScores, null, 2);
-    await fs.writeFile(this.highScoresFile, serialized, 'utf-8');
+  /**
+   * Remove every high score from both boards
+   */
+  async clearHighScores() {
+    await this.ready;
+    await this.store.clearScores();
+  }
+
+  /**
+   * Get an account by id
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object|null>} - Stored account or null
+   */
+  async getAccount(accountId) {
+    await this.ready;
+    return this.store.getAccount(accountId);
   }
 
-  startAutoSave() {
-    if (this.autoSaveInterval) {
-      return;
-    }
+  /**
+   * Find an account by username, ignoring case
+   * @param {string} username - Username
+   * @returns {Promise<Object|null>} - Stored account or null
+   */
+  async findAccountByUsername(username) {
+    await this.ready;
+    return this.store.findAccountByUsername(username);
+  }
 
-    this.autoSaveInterval = setInterval(() => {
-      this.saveHighScores().catch((error) => {
-        console.error('Auto-save high scores failed:', error);
-      });
-    }, this.autoSaveDelay);
+  /**
+   * Store a new account
+   * @param {Object} details - { username, displayName, passwordHash }
+   * @returns {Promise<Object>} - Stored account
+   * @throws {DuplicateEntryError} - If the username is taken, ignoring case
+   */
+  async createAccount(details) {
+    await this.ready;
+
+    // The store rejects a taken username, even when two registrations race
+    return this.store.insertAccount({
+      id: uuidv4(),
+      username: details.username,
+      displayName: details.displayName || details.username,
+      passwordHash: details.passwordHash,
+      createdAt: new Date().toISOString()
+    });
   }
 
-  stopAutoSave() {
-    if (!this.autoSaveInterval) {
-      return;
-    }
+  /**
+   * Get a player's saved progress
+   * @param {string} playerId - Account ID
+   * @returns {Promise<Object|null>} - Progress or null
+   */
+  async getPlayerProgress(playerId) {
+    await this.ready;
+    return this.store.getProgress(playerId);
+  }
+
+  /**
+   * Replace a player's saved progress
+   * @param {string} playerId - Account ID
+   * @param {Object} progress - Progress to store
+   * @returns {Promise<Object>} - Stored progress
+   */
+  async savePlayerProgress(playerId, progress) {
+    await this.ready;
+    return this.store.saveProgress(playerId, progress);
+  }
+
+  /**
+   * Merge a save game into a player's stored progress (see mergeSaveGames).
+   * Merges for one player are queued, so saves arriving together from two
+   * devices cannot overwrite each other.
+   * @param {string} playerId - Account ID
+   * @param {Object} saveGame - Validated save game
+   * @returns {Promise<Object>} - { progress, stored } merged save and the copy it replaced
+   */
+  mergePlayerProgress(playerId, saveGame) {
+    const previous = this.progressWrites.get(playerId) || Promise.resolve();
 
-    clearInterval(this.autoSaveInterval);
-    this.autoSaveInterval = null;
+    const write = previous.catch(() => {}).then(async () => {
+      let stored = await this.getPlayerProgress(playerId);
+      try {
+        stored = stored && normalizeSaveGame(stored);
+      } catch (error) {
+        this.logger.warn('Discarding unreadable progress', { playerId, reason: error.message });
+        stored = null;
+      }
+
+      const progress = stored ? mergeSaveGames(stored, saveGame) : saveGame;
+      await this.savePlayerProgress(playerId, progress);
+      return { progress, stored };
+    });
+
+    this.progressWrites.set(playerId, write);
+    write.catch(() => {}).then(() => {
+      if (this.progressWrites.get(playerId) === write) {
+        this.progressWrites.delete(playerId);
+      }
+    });
+    return write;
+  }
+
+  /**
+   * Count a player starting a level
+   * @param {string} levelId - Level id
+   */
+  async recordLevelPlay(levelId) {
+    await this.ready;
+    await this.store.countLevelStat(levelId, 'plays');
+  }
+
+  /**
+   * Count a player finishing a level
+   * @param {string} levelId - Level id
+   */
+  async recordLevelCompletion(levelId) {
+    await this.ready;
+    await this.store.countLevelStat(levelId, 'completions');
+  }
+
+  /**
+   * Play counts and ratings of every level played or rated
+   * @returns {Promise<Map>} - Level id -> result of summarizeLevelStats()
+   */
+  async getLevelStats() {
+    await this.ready;
+    const rows = await this.store.listLevelStats();
+    return new Map(rows.map((row) => [row.levelId, summarizeLevelStats(row)]));
+  }
+
+  /**
+   * Rate a level, replacing the account's earlier rating of it
+   * @param {string} levelId - Level id
+   * @param {string} accountId - Account rating it
+   * @param {number} rating - 1 to MAX_LEVEL_RATING
+   * @returns {Promise<Object>} - The level's stats after the rating
+   */
+  async rateLevel(levelId, accountId, rating) {
+    await this.ready;
+    await this.store.setLevelRating({
+      levelId, accountId, rating, ratedAt: new Date().toISOString()
+    });
+    return (await this.getLevelStats()).get(levelId);
+  }
+
+  /**
+   * Ratings an account gave
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object>} - Level id -> rating
+   */
+  async getLevelRatings(accountId) {
+    await this.ready;
+    return this.store.getLevelRatings(accountId);
+  }
+
+  /**
+   * Forget a level's play counts and ratings, e.g. once it is deleted
+   * @param {string} levelId - Level id
+   */
+  async clearLevelStats(levelId) {
+    await this.ready;
+    await this.store.clearLevelStats(levelId);
+  }
+
+  async getSetting(key) {
+    await this.ready;
+    return this.store.getSetting(key);
+  }
+
+  async setSetting(key, value) {
+    await this.ready;
+    await this.store.setSetting(key, value);
+  }
+
+  /**
+   * Finish pending writes and close the store
+   */
+  async close() {
+    await this.ready.catch(() => {});
+    // Queued progress merges read and write the store, so they go first
+    await Promise.all(Array.from(this.progressWrites.values(), (write) => write.catch(() => {})));
+    if (this.store) {
+      await this.store.close();
+    }
   }
 }
 
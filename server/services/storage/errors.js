@@ -0,0 +1,16 @@
+// server/services/storage/errors.js
+
+/**
+ * Error raised by the storage drivers when an insert would break a uniqueness
+ * rule (a taken username, a replay already backing a verified score).
+ * `field` names the value that is already stored.
+ */
+export class DuplicateEntryError extends Error {
+  constructor(message, field) {
+    super(message);
+    this.name = 'DuplicateEntryError';
+    this.field = field;
+  }
+}
+
+export default DuplicateEntryError;
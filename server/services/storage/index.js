@@ -0,0 +1,125 @@
+// server/services/storage/index.js
+import JsonStore from './jsonStore.js';
+import SqliteStore from './sqliteStore.js';
+import logger from '../logger.js';
+
+export const STORAGE_DRIVERS = ['auto', 'sqlite', 'json'];
+
+// Setting recorded once the JSON files were imported into a SQLite database
+const IMPORTED_SETTING = 'storage.importedJsonFiles';
+
+/**
+ * Copy everything the JSON driver stored in a data directory into a SQLite
+ * store. Runs once per database: the import is recorded in the same
+ * transaction, so a failed import is retried the next time the store opens.
+ * @param {SqliteStore} store - Destination store
+ * @param {Object} options - JsonStore options ({ dataPath })
+ * @returns {Promise<Object|null>} - Scores and accounts imported, or null if already done
+ */
+export async function importJsonFiles(store, options) {
+  if (await store.getSetting(IMPORTED_SETTING)) {
+    return null;
+  }
+
+  const legacy = await new JsonStore({ ...options, maxHighScores: Infinity }).open();
+  const {
+    highScores, verifiedHighScores, accounts, progress, settings, levelStats, levelRatings
+  } = legacy.data;
+
+  await store.exec('BEGIN');
+  try {
+    for (const account of accounts) {
+      // eslint-disable-next-line no-await-in-loop
+      await store.insertAccount(account);
+    }
+    for (const entry of [...highScores, ...verifiedHighScores]) {
+      // eslint-disable-next-line no-await-in-loop
+      await store.insertScore({
+        ...entry,
+        verified: entry.verified === true,
+        createdAt: entry.createdAt || new Date().toISOString()
+      });
+    }
+    for (const [playerId, saved] of Object.entries(progress)) {
+      // eslint-disable-next-line no-await-in-loop
+      await store.saveProgress(playerId, saved);
+    }
+    for (const [key, value] of Object.entries(settings)) {
+      // eslint-disable-next-line no-await-in-loop
+      await store.setSetting(key, value);
+    }
+    for (const [levelId, stats] of Object.entries(levelStats)) {
+      // eslint-disable-next-line no-await-in-loop
+      await store.insertLevelStats(levelId, stats);
+    }
+    for (const [levelId, ratings] of Object.entries(levelRatings)) {
+      for (const [accountId, { rating, ratedAt }] of Object.entries(ratings)) {
+        // eslint-disable-next-line no-await-in-loop
+        await store.setLevelRating({
+          levelId, accountId, rating, ratedAt
+        });
+      }
+    }
+    await store.setSetting(IMPORTED_SETTING, new Date().toISOString());
+    await store.exec('COMMIT');
+  } catch (error) {
+    await store.exec('ROLLBACK');
+    throw error;
+  }
+
+  return {
+    scores: highScores.length + verifiedHighScores.length,
+    accounts: accounts.length
+  };
+}
+
+/**
+ * Open the storage driver StateManager persists to.
+ * 'auto' uses SQLite and falls back to the JSON files when SQLite cannot be
+ * opened (typically because the sqlite3 native module is not built).
+ * @param {Object} options - Configuration options
+ * @param {string} [options.driver] - 'auto', 'sqlite' or 'json' (defaults to STORAGE_DRIVER)
+ * @param {string} options.dataPath - Data directory
+ * @param {number} [options.maxHighScores] - Entries kept per board (JSON driver)
+ * @param {string} [options.filename] - Database file name (SQLite driver)
+ * @param {winston.Logger} [options.logger] - Logger
+ * @returns {Promise<JsonStore|SqliteStore>} - Open store
+ */
+export async function openStore(options = {}) {
+  const driver = options.driver || process.env.STORAGE_DRIVER || 'auto';
+  const log = options.logger || logger;
+  if (!STORAGE_DRIVERS.includes(driver)) {
+    throw new Error(`Unknown storage driver ${driver}; use one of ${STORAGE_DRIVERS.join(', ')}`);
+  }
+
+  if (driver === 'json') {
+    return new JsonStore(options).open();
+  }
+
+  let store;
+  try {
+    store = await new SqliteStore(options).open();
+  } catch (error) {
+    if (driver === 'sqlite') {
+      throw error;
+    }
+    log.warn('SQLite storage unavailable; using JSON files', {
+      reason: error.message.split('\n')[0]
+    });
+    return new JsonStore(options).open();
+  }
+
+  try {
+    const imported = await importJsonFiles(store, options);
+    if (imported && (imported.scores || imported.accounts)) {
+      log.info('Imported JSON files into SQLite', imported);
+    }
+  } catch (error) {
+    await store.close();
+    throw new Error(`Importing JSON files into SQLite failed: ${error.message}`);
+  }
+  return store;
+}
+
+export { JsonStore, SqliteStore };
+export { DuplicateEntryError } from './errors.js';
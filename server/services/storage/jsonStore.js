@@ -0,0 +1,331 @@
+// server/services/storage/jsonStore.js
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../logger.js';
+import { bestEntries, isAfter, playerKey } from '../leaderboard.js';
+import { DuplicateEntryError } from './errors.js';
+
+// Collection -> file in the data directory
+const FILES = {
+  highScores: 'highscores.json',
+  verifiedHighScores: 'highscores-verified.json',
+  accounts: 'accounts.json',
+  progress: 'progress.json',
+  settings: 'settings.json',
+  levelStats: 'level-stats.json',
+  levelRatings: 'level-ratings.json',
+  verifiedReplays: 'verified-replays.json'
+};
+
+const LEVEL_COUNTERS = ['plays', 'completions'];
+
+const byScore = (a, b) => (b.score || 0) - (a.score || 0);
+const byTime = (a, b) => a.time - b.time;
+
+const SCORE_COLLECTIONS = ['highScores', 'verifiedHighScores'];
+
+// Scores this recent are kept whatever their rank, for the daily and weekly boards
+const RECENT_SCORE_AGE = 8 * 24 * 60 * 60 * 1000;
+
+/**
+ * JSON Store
+ * Fallback StateManager storage driver that keeps each collection in a JSON
+ * file, for environments without the sqlite3 native module. Collections are
+ * held in memory; after a change the file is rewritten to a temporary file
+ * and renamed over the old one. Writes to a file are queued so concurrent
+ * changes cannot interleave. Each board keeps, per level, only the top
+ * `maxHighScores` by score and by time, plus the scores of the last week.
+ * The replays behind verified scores are remembered even after their scores
+ * are dropped, so a replay can back only one score.
+ */
+class JsonStore {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.dataPath - Directory holding the files
+   * @param {number} [options.maxHighScores] - Entries kept per board
+   * @param {winston.Logger} [options.logger] - Logger
+   */
+  constructor(options = {}) {
+    this.driver = 'json';
+    this.logger = options.logger || logger;
+    this.dataPath = options.dataPath;
+    this.maxHighScores = options.maxHighScores || 100;
+    this.data = {
+      highScores: [],
+      verifiedHighScores: [],
+      accounts: [],
+      progress: {},
+      settings: {},
+      // levelId -> { plays, completions }
+      levelStats: {},
+      // levelId -> accountId -> { rating, ratedAt }
+      levelRatings: {},
+      // Ids of every replay that backed a verified score
+      verifiedReplays: []
+    };
+    this.replayIds = new Set();
+
+    // collection -> promise of its latest queued write
+    this.writes = new Map();
+  }
+
+  async open() {
+    await fs.mkdir(this.dataPath, { recursive: true });
+    await Promise.all(Object.keys(FILES).map(async (collection) => {
+      const stored = await this.readFile(FILES[collection]);
+      const empty = this.data[collection];
+      if (stored !== null && Array.isArray(stored) === Array.isArray(empty)) {
+        this.data[collection] = stored;
+      }
+    }));
+
+    // Scores saved before entries had ids get one, so leaderboard cursors can name them
+    await Promise.all(SCORE_COLLECTIONS.map((collection) => {
+      if (this.data[collection].every((entry) => entry.id)) return null;
+      this.data[collection] = this.data[collection].map((entry) => (
+        entry.id ? entry : { id: uuidv4(), ...entry }
+      ));
+      return this.persist(collection);
+    }));
+
+    // Boards written before the replay ids were kept separately still name theirs
+    this.replayIds = new Set([
+      ...this.data.verifiedReplays,
+      ...this.data.verifiedHighScores.map((entry) => entry.replayId).filter(Boolean)
+    ]);
+    return this;
+  }
+
+  async close() {
+    await Promise.all(this.writes.values());
+  }
+
+  async readFile(fileName) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dataPath, fileName), 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.error('Failed to read data file', { fileName, error });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Queue a rewrite of a collection's file
+   * @param {string} collection - Key of FILES
+   * @returns {Promise} - Resolves once this version of the collection is on disk
+   */
+  persist(collection) {
+    const filePath = path.join(this.dataPath, FILES[collection]);
+    const previous = this.writes.get(collection) || Promise.resolve();
+
+    const write = previous.catch(() => {}).then(async () => {
+      const temporaryPath = `${filePath}.tmp`;
+      await fs.writeFile(temporaryPath, JSON.stringify(this.data[collection], null, 2), 'utf-8');
+      await fs.rename(temporaryPath, filePath);
+    });
+    this.writes.set(collection, write);
+    return write;
+  }
+
+  async listScores({ verified = false, limit = 10 } = {}) {
+    const board = this.data[verified ? 'verifiedHighScores' : 'highScores'];
+    return [...board].sort(byScore).slice(0, limit);
+  }
+
+  /**
+   * Each player's best entry on a leaderboard, best first. The boards are
+   * already held in memory and trimmed by retainScores(), so they are ranked here.
+   * @param {Object} filters - { verified, level, since, metric }
+   * @returns {Array<Object>}
+   */
+  rankScores({
+    verified = false, level = null, since = null, metric = 'score'
+  } = {}) {
+    const entries = this.data[verified ? 'verifiedHighScores' : 'highScores'].filter((entry) => (
+      (!level || entry.level === level) && (!since || entry.createdAt >= since)
+    ));
+    return bestEntries(entries, metric);
+  }
+
+  async findLeaderboardPage(filters, { after = null, limit = 10 } = {}) {
+    const ranked = this.rankScores(filters);
+    const start = after
+      ? ranked.findIndex((entry) => isAfter(entry, after, filters.metric))
+      : 0;
+    return start === -1 ? [] : ranked.slice(start, start + limit);
+  }
+
+  async findLeaderboardPlayer(filters, player, around = 0) {
+    const ranked = this.rankScores(filters);
+    const key = playerKey(player);
+    const index = ranked.findIndex((entry) => playerKey(entry) === key);
+    if (index === -1) {
+      return {
+        entry: null, ahead: 0, total: ranked.length, above: [], below: []
+      };
+    }
+    return {
+      entry: ranked[index],
+      ahead: index,
+      total: ranked.length,
+      above: ranked.slice(Math.max(0, index - around), index),
+      below: ranked.slice(index + 1, index + 1 + around)
+    };
+  }
+
+  /**
+   * Drop the scores no leaderboard can show any more
+   * @param {Array<Object>} board - Entries of one board
+   * @returns {Array<Object>} - Entries kept, highest score first
+   */
+  retainScores(board) {
+    const recent = new Date(Date.now() - RECENT_SCORE_AGE).toISOString();
+    const kept = new Set(board.filter((entry) => entry.createdAt >= recent));
+
+    const byLevel = new Map();
+    for (const entry of board) {
+      byLevel.set(entry.level, [...(byLevel.get(entry.level) || []), entry]);
+    }
+    for (const entries of byLevel.values()) {
+      entries.sort(byScore).slice(0, this.maxHighScores).forEach((entry) => kept.add(entry));
+      entries.filter((entry) => typeof entry.time === 'number')
+        .sort(byTime)
+        .slice(0, this.maxHighScores)
+        .forEach((entry) => kept.add(entry));
+    }
+    return board.filter((entry) => kept.has(entry)).sort(byScore);
+  }
+
+  async insertScore(entry) {
+    const collection = entry.verified ? 'verifiedHighScores' : 'highScores';
+    const writes = [];
+
+    // Checked and claimed before anything is awaited, so two inserts cannot both pass
+    if (entry.replayId) {
+      if (this.replayIds.has(entry.replayId)) {
+        throw new DuplicateEntryError('Replay was already submitted', 'replayId');
+      }
+      this.replayIds.add(entry.replayId);
+      this.data.verifiedReplays = Array.from(this.replayIds);
+      writes.push(this.persist('verifiedReplays'));
+    }
+
+    this.data[collection] = this.retainScores([...this.data[collection], entry]);
+    writes.push(this.persist(collection));
+    await Promise.all(writes);
+    return entry;
+  }
+
+  async clearScores() {
+    this.data.highScores = [];
+    this.data.verifiedHighScores = [];
+    this.data.verifiedReplays = [];
+    this.replayIds = new Set();
+    await Promise.all(['highScores', 'verifiedHighScores', 'verifiedReplays']
+      .map((collection) => this.persist(collection)));
+  }
+
+  async getAccount(accountId) {
+    return this.data.accounts.find((account) => account.id === accountId) || null;
+  }
+
+  async findAccountByUsername(username) {
+    return this.accountByUsername(username);
+  }
+
+  accountByUsername(username) {
+    const key = String(username).toLowerCase();
+    return this.data.accounts.find((account) => account.username.toLowerCase() === key) || null;
+  }
+
+  async insertAccount(account) {
+    // Checked and added before anything is awaited, so two inserts cannot both pass
+    if (this.accountByUsername(account.username)) {
+      throw new DuplicateEntryError(`Account ${account.username} already exists`, 'username');
+    }
+    this.data.accounts = [...this.data.accounts, account];
+    await this.persist('accounts');
+    return account;
+  }
+
+  async getProgress(playerId) {
+    return this.data.progress[playerId] || null;
+  }
+
+  async saveProgress(playerId, progress) {
+    this.data.progress = { ...this.data.progress, [playerId]: progress };
+    await this.persist('progress');
+    return progress;
+  }
+
+  async countLevelStat(levelId, field) {
+    if (!LEVEL_COUNTERS.includes(field)) throw new Error(`Unknown level counter ${field}`);
+    const stats = this.data.levelStats[levelId] || { plays: 0, completions: 0 };
+    this.data.levelStats = {
+      ...this.data.levelStats,
+      [levelId]: { ...stats, [field]: stats[field] + 1 }
+    };
+    await this.persist('levelStats');
+  }
+
+  async listLevelStats() {
+    const levelIds = new Set([
+      ...Object.keys(this.data.levelStats),
+      ...Object.keys(this.data.levelRatings)
+    ]);
+    return Array.from(levelIds, (levelId) => {
+      const stats = this.data.levelStats[levelId] || { plays: 0, completions: 0 };
+      const ratings = Object.values(this.data.levelRatings[levelId] || {});
+      return {
+        levelId,
+        plays: stats.plays,
+        completions: stats.completions,
+        ratingCount: ratings.length,
+        ratingTotal: ratings.reduce((total, { rating }) => total + rating, 0)
+      };
+    });
+  }
+
+  async setLevelRating(entry) {
+    const ratings = this.data.levelRatings[entry.levelId] || {};
+    this.data.levelRatings = {
+      ...this.data.levelRatings,
+      [entry.levelId]: {
+        ...ratings,
+        [entry.accountId]: { rating: entry.rating, ratedAt: entry.ratedAt }
+      }
+    };
+    await this.persist('levelRatings');
+    return entry;
+  }
+
+  async getLevelRatings(accountId) {
+    const rated = Object.entries(this.data.levelRatings)
+      .filter(([, ratings]) => ratings[accountId])
+      .map(([levelId, ratings]) => [levelId, ratings[accountId].rating]);
+    return Object.fromEntries(rated);
+  }
+
+  async clearLevelStats(levelId) {
+    const without = (collection) => Object.fromEntries(
+      Object.entries(collection).filter(([id]) => id !== levelId)
+    );
+    this.data.levelStats = without(this.data.levelStats);
+    this.data.levelRatings = without(this.data.levelRatings);
+    await Promise.all([this.persist('levelStats'), this.persist('levelRatings')]);
+  }
+
+  async getSetting(key) {
+    return this.data.settings[key];
+  }
+
+  async setSetting(key, value) {
+    this.data.settings = { ...this.data.settings, [key]: value };
+    await this.persist('settings');
+  }
+}
+
+export default JsonStore;
@@ -0,0 +1,115 @@
+// server/services/storage/migrations.js
+
+/**
+ * Versioned schema migrations for the SQLite store.
+ * The database's `PRAGMA user_version` holds the version of the last
+ * migration applied. Migrations are append-only: never edit one that has
+ * shipped, add a new version instead.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'scores, players, progress and settings',
+    up: `
+      CREATE TABLE players (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL,
+        username_key TEXT NOT NULL UNIQUE,
+        display_name TEXT NOT NULL,
+        password_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE scores (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        player_name TEXT NOT NULL,
+        account_id TEXT REFERENCES players (id),
+        score REAL NOT NULL,
+        level TEXT NOT NULL,
+        verified INTEGER NOT NULL DEFAULT 0,
+        time REAL,
+        replay_id TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX scores_by_board ON scores (verified, score DESC);
+      CREATE UNIQUE INDEX scores_by_replay ON scores (replay_id) WHERE replay_id IS NOT NULL;
+
+      CREATE TABLE progress (
+        player_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 2,
+    name: 'score entry ids and per-level leaderboards',
+    up: `
+      ALTER TABLE scores ADD COLUMN entry_id TEXT;
+      UPDATE scores SET entry_id = lower(hex(randomblob(16))) WHERE entry_id IS NULL;
+      CREATE UNIQUE INDEX scores_by_entry_id ON scores (entry_id);
+      CREATE INDEX scores_by_level ON scores (verified, level, created_at);
+    `
+  },
+  {
+    version: 3,
+    name: 'level plays, completions and ratings',
+    up: `
+      CREATE TABLE level_stats (
+        level_id TEXT PRIMARY KEY,
+        plays INTEGER NOT NULL DEFAULT 0,
+        completions INTEGER NOT NULL DEFAULT 0
+      );
+
+      CREATE TABLE level_ratings (
+        level_id TEXT NOT NULL,
+        account_id TEXT NOT NULL REFERENCES players (id),
+        rating INTEGER NOT NULL,
+        rated_at TEXT NOT NULL,
+        PRIMARY KEY (level_id, account_id)
+      );
+    `
+  }
+];
+
+/**
+ * Latest schema version
+ */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Apply every migration newer than the database's version. Each migration
+ * runs in its own transaction together with the version bump.
+ * @param {SqliteStore} store - Open store (provides get() and exec())
+ * @param {Array<Object>} [migrations] - Migrations in version order
+ * @returns {Promise<Object>} - { from, to, applied } schema versions and names
+ */
+export async function migrate(store, migrations = MIGRATIONS) {
+  const { user_version: from } = await store.get('PRAGMA user_version');
+  const applied = [];
+
+  for (const migration of migrations) {
+    if (migration.version > from) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await store.exec(`BEGIN;
+          ${migration.up}
+          PRAGMA user_version = ${Number(migration.version)};
+          COMMIT;`);
+      } catch (error) {
+        // eslint-disable-next-line no-await-in-loop
+        await store.exec('ROLLBACK').catch(() => {});
+        throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+      }
+      applied.push(migration.name);
+    }
+  }
+
+  const { user_version: to } = await store.get('PRAGMA user_version');
+  return { from, to, applied };
+}
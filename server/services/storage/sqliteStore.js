@@ -0,0 +1,448 @@
+// server/services/storage/sqliteStore.js
+import fs from 'fs/promises';
+import path from 'path';
+import { migrate } from './migrations.js';
+import { DuplicateEntryError } from './errors.js';
+import { entryPosition, playerKey } from '../leaderboard.js';
+
+// Map a scores row to the entry shape StateManager hands out
+function toScoreEntry(row) {
+  const entry = {
+    id: row.entry_id,
+    playerName: row.player_name,
+    score: row.score,
+    level: row.level,
+    verified: row.verified === 1,
+    createdAt: row.created_at
+  };
+  if (row.account_id) entry.accountId = row.account_id;
+  if (row.time !== null) entry.time = row.time;
+  if (row.replay_id) entry.replayId = row.replay_id;
+  return entry;
+}
+
+// Whether a statement failed on a UNIQUE index or key
+function isUniqueViolation(error) {
+  return error.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(error.message);
+}
+
+// Leaderboard order of each metric, best first; ties go to the earlier entry
+const LEADERBOARD_ORDER = {
+  score: 'score DESC, created_at ASC, entry_id ASC',
+  time: 'time ASC, created_at ASC, entry_id ASC'
+};
+
+// Same key as playerKey() in leaderboard.js: the account, or a guest's name
+const PLAYER_KEY = `CASE WHEN account_id IS NOT NULL THEN 'account:' || account_id
+  ELSE 'name:' || lower(player_name) END`;
+
+/**
+ * Each player's best entry on a leaderboard, as a `best` common table expression
+ * @param {Object} filters - { verified, level, since, metric }
+ * @returns {Object} - { sql, params }
+ */
+function bestEntriesQuery({
+  verified = false, level = null, since = null, metric = 'score'
+}) {
+  if (!LEADERBOARD_ORDER[metric]) throw new Error(`Unknown leaderboard metric ${metric}`);
+  const conditions = ['verified = ?', `${metric} IS NOT NULL`];
+  const params = [verified ? 1 : 0];
+  if (level) {
+    conditions.push('level = ?');
+    params.push(level);
+  }
+  if (since) {
+    conditions.push('created_at >= ?');
+    params.push(since);
+  }
+
+  return {
+    sql: `WITH best AS (
+      SELECT * FROM (
+        SELECT scores.*, ${PLAYER_KEY} AS player_key,
+          ROW_NUMBER() OVER (PARTITION BY ${PLAYER_KEY} ORDER BY ${LEADERBOARD_ORDER[metric]})
+            AS player_entry
+        FROM scores WHERE ${conditions.join(' AND ')}
+      ) WHERE player_entry = 1
+    )`,
+    params
+  };
+}
+
+/**
+ * Condition matching the entries ranked after (or, with `before`, above) a
+ * position on a leaderboard
+ * @param {string} metric - 'score' or 'time'
+ * @param {Object} position - { v, c, i } (see entryPosition() in leaderboard.js)
+ * @param {boolean} [before] - Match the entries ranked above the position instead
+ * @returns {Object} - { sql, params }
+ */
+function positionCondition(metric, position, before = false) {
+  const worse = (metric === 'time') !== before ? '>' : '<';
+  const later = before ? '<' : '>';
+  return {
+    sql: `(${metric} ${worse} ? OR (${metric} = ? AND (created_at ${later} ?
+      OR (created_at = ? AND entry_id ${later} ?))))`,
+    params: [position.v, position.v, position.c, position.c, position.i]
+  };
+}
+
+// Counters a play of a level can bump: field -> column
+const LEVEL_COUNTERS = { plays: 'plays', completions: 'completions' };
+
+function toAccount(row) {
+  return row ? {
+    id: row.id,
+    username: row.username,
+    displayName: row.display_name,
+    passwordHash: row.password_hash,
+    createdAt: row.created_at
+  } : null;
+}
+
+/**
+ * SQLite Store
+ * StateManager storage driver backed by a SQLite database in the data
+ * directory. The schema is created and upgraded by the versioned migrations
+ * in migrations.js when the store is opened. Every score is kept, so boards
+ * can be filtered and paged without losing history.
+ */
+class SqliteStore {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.dataPath - Directory holding the database
+   * @param {string} [options.filename] - Database file name (or ':memory:')
+   */
+  constructor(options = {}) {
+    this.driver = 'sqlite';
+    this.dataPath = options.dataPath;
+    this.filename = options.filename || 'lunas-adventure.db';
+    this.db = null;
+    this.migration = null;
+  }
+
+  /**
+   * Open the database and bring its schema up to date
+   * @returns {Promise<SqliteStore>}
+   */
+  async open() {
+    // Loaded on demand so the JSON driver works where the native module is not built
+    const { default: sqlite3 } = await import('sqlite3');
+
+    const file = this.filename === ':memory:'
+      ? this.filename
+      : path.join(this.dataPath, this.filename);
+    if (file !== ':memory:') {
+      await fs.mkdir(this.dataPath, { recursive: true });
+    }
+
+    this.db = await new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(file, (error) => (error ? reject(error) : resolve(db)));
+    });
+
+    try {
+      await this.exec(`
+        PRAGMA journal_mode = WAL;
+        PRAGMA foreign_keys = ON;
+        PRAGMA busy_timeout = 5000;
+      `);
+      this.migration = await migrate(this);
+    } catch (error) {
+      await this.close();
+      throw error;
+    }
+    return this;
+  }
+
+  async close() {
+    if (!this.db) return;
+    const { db } = this;
+    this.db = null;
+    await new Promise((resolve, reject) => {
+      db.close((error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Run a statement that returns no rows
+   * @returns {Promise<Object>} - { lastID, changes }
+   */
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function onRun(error) {
+        if (error) reject(error);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (error, row) => (error ? reject(error) : resolve(row)));
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (error, rows) => (error ? reject(error) : resolve(rows)));
+    });
+  }
+
+  exec(sql) {
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  async listScores({ verified = false, limit = 10 } = {}) {
+    const rows = await this.all(
+      'SELECT * FROM scores WHERE verified = ? ORDER BY score DESC, id ASC LIMIT ?',
+      [verified ? 1 : 0, limit]
+    );
+    return rows.map(toScoreEntry);
+  }
+
+  /**
+   * One page of a leaderboard, ranked and cut in SQL
+   * @param {Object} filters - { verified, level, since, metric }
+   * @param {Object} [page] - { after, limit }: the cursor position to start after
+   * @returns {Promise<Array>} - Up to `limit` entries in leaderboard order
+   */
+  async findLeaderboardPage(filters, { after = null, limit = 10 } = {}) {
+    const best = bestEntriesQuery(filters);
+    const cursor = after ? positionCondition(filters.metric, after) : null;
+    const rows = await this.all(
+      `${best.sql} SELECT * FROM best ${cursor ? `WHERE ${cursor.sql}` : ''}
+        ORDER BY ${LEADERBOARD_ORDER[filters.metric]} LIMIT ?`,
+      [...best.params, ...(cursor ? cursor.params : []), limit]
+    );
+    return rows.map(toScoreEntry);
+  }
+
+  /**
+   * A player's best entry on a leaderboard, how many entries rank above it
+   * and its neighbours
+   * @param {Object} filters - { verified, level, since, metric }
+   * @param {Object} player - { accountId } or { playerName }
+   * @param {number} [around] - Neighbours wanted on each side
+   * @returns {Promise<Object>} - { entry, ahead, total, above, below }
+   */
+  async findLeaderboardPlayer(filters, player, around = 0) {
+    const { metric } = filters;
+    const best = bestEntriesQuery(filters);
+    const row = await this.get(
+      `${best.sql} SELECT * FROM best WHERE player_key = ?`,
+      [...best.params, playerKey(player)]
+    );
+    if (!row) {
+      const { total } = await this.get(`${best.sql} SELECT COUNT(*) AS total FROM best`, best.params);
+      return {
+        entry: null, ahead: 0, total, above: [], below: []
+      };
+    }
+
+    const entry = toScoreEntry(row);
+    const position = entryPosition(entry, metric);
+    const aboveCondition = positionCondition(metric, position, true);
+    const belowCondition = positionCondition(metric, position);
+    const reversedOrder = LEADERBOARD_ORDER[metric].replace(/ASC|DESC/g, (direction) => (
+      direction === 'ASC' ? 'DESC' : 'ASC'
+    ));
+
+    const [counts, above, below] = await Promise.all([
+      this.get(
+        `${best.sql} SELECT COUNT(*) AS total,
+          COALESCE(SUM(CASE WHEN ${aboveCondition.sql} THEN 1 ELSE 0 END), 0) AS ahead FROM best`,
+        [...best.params, ...aboveCondition.params]
+      ),
+      this.all(
+        `${best.sql} SELECT * FROM best WHERE ${aboveCondition.sql} ORDER BY ${reversedOrder} LIMIT ?`,
+        [...best.params, ...aboveCondition.params, around]
+      ),
+      this.all(
+        `${best.sql} SELECT * FROM best WHERE ${belowCondition.sql}
+          ORDER BY ${LEADERBOARD_ORDER[metric]} LIMIT ?`,
+        [...best.params, ...belowCondition.params, around]
+      )
+    ]);
+
+    return {
+      entry,
+      ahead: counts.ahead,
+      total: counts.total,
+      above: above.map(toScoreEntry).reverse(),
+      below: below.map(toScoreEntry)
+    };
+  }
+
+  async insertScore(entry) {
+    try {
+      await this.run(
+        `INSERT INTO scores
+          (entry_id, player_name, account_id, score, level, verified, time, replay_id, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          entry.id,
+          entry.playerName,
+          entry.accountId || null,
+          entry.score,
+          entry.level,
+          entry.verified ? 1 : 0,
+          entry.time ?? null,
+          entry.replayId || null,
+          entry.createdAt
+        ]
+      );
+    } catch (error) {
+      // scores_by_replay: one score per replay
+      if (isUniqueViolation(error) && /replay_id/.test(error.message)) {
+        throw new DuplicateEntryError('Replay was already submitted', 'replayId');
+      }
+      throw error;
+    }
+    return entry;
+  }
+
+  async clearScores() {
+    await this.run('DELETE FROM scores');
+  }
+
+  async getAccount(accountId) {
+    return toAccount(await this.get('SELECT * FROM players WHERE id = ?', [accountId]));
+  }
+
+  async findAccountByUsername(username) {
+    return toAccount(await this.get(
+      'SELECT * FROM players WHERE username_key = ?',
+      [String(username).toLowerCase()]
+    ));
+  }
+
+  async insertAccount(account) {
+    try {
+      await this.run(
+        `INSERT INTO players (id, username, username_key, display_name, password_hash, created_at)
+          VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          account.id,
+          account.username,
+          account.username.toLowerCase(),
+          account.displayName,
+          account.passwordHash,
+          account.createdAt
+        ]
+      );
+    } catch (error) {
+      // username_key is UNIQUE: usernames differ in more than case
+      if (isUniqueViolation(error) && /username_key/.test(error.message)) {
+        throw new DuplicateEntryError(`Account ${account.username} already exists`, 'username');
+      }
+      throw error;
+    }
+    return account;
+  }
+
+  async getProgress(playerId) {
+    const row = await this.get('SELECT data FROM progress WHERE player_id = ?', [playerId]);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async saveProgress(playerId, progress) {
+    await this.run(
+      `INSERT INTO progress (player_id, data, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT (player_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`,
+      [playerId, JSON.stringify(progress), new Date().toISOString()]
+    );
+    return progress;
+  }
+
+  /**
+   * Add one to a level's play or completion counter
+   * @param {string} levelId - Level id
+   * @param {string} field - 'plays' or 'completions'
+   */
+  async countLevelStat(levelId, field) {
+    const column = LEVEL_COUNTERS[field];
+    if (!column) throw new Error(`Unknown level counter ${field}`);
+    await this.run(
+      `INSERT INTO level_stats (level_id, ${column}) VALUES (?, 1)
+        ON CONFLICT (level_id) DO UPDATE SET ${column} = ${column} + 1`,
+      [levelId]
+    );
+  }
+
+  async insertLevelStats(levelId, stats) {
+    await this.run(
+      'INSERT INTO level_stats (level_id, plays, completions) VALUES (?, ?, ?)',
+      [levelId, stats.plays || 0, stats.completions || 0]
+    );
+  }
+
+  /**
+   * Counters and rating totals of every level played or rated
+   * @returns {Promise<Array>} - { levelId, plays, completions, ratingCount, ratingTotal }
+   */
+  async listLevelStats() {
+    const rows = await this.all(`
+      SELECT level_id, SUM(plays) AS plays, SUM(completions) AS completions,
+        SUM(rating_count) AS rating_count, SUM(rating_total) AS rating_total
+      FROM (
+        SELECT level_id, plays, completions, 0 AS rating_count, 0 AS rating_total
+          FROM level_stats
+        UNION ALL
+        SELECT level_id, 0, 0, COUNT(*), SUM(rating)
+          FROM level_ratings GROUP BY level_id
+      )
+      GROUP BY level_id`);
+    return rows.map((row) => ({
+      levelId: row.level_id,
+      plays: row.plays,
+      completions: row.completions,
+      ratingCount: row.rating_count,
+      ratingTotal: row.rating_total
+    }));
+  }
+
+  async setLevelRating(entry) {
+    await this.run(
+      `INSERT INTO level_ratings (level_id, account_id, rating, rated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (level_id, account_id)
+        DO UPDATE SET rating = excluded.rating, rated_at = excluded.rated_at`,
+      [entry.levelId, entry.accountId, entry.rating, entry.ratedAt]
+    );
+    return entry;
+  }
+
+  /**
+   * Ratings one account gave
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object>} - Level id -> rating
+   */
+  async getLevelRatings(accountId) {
+    const rows = await this.all(
+      'SELECT level_id, rating FROM level_ratings WHERE account_id = ?',
+      [accountId]
+    );
+    return Object.fromEntries(rows.map((row) => [row.level_id, row.rating]));
+  }
+
+  async clearLevelStats(levelId) {
+    await this.run('DELETE FROM level_stats WHERE level_id = ?', [levelId]);
+    await this.run('DELETE FROM level_ratings WHERE level_id = ?', [levelId]);
+  }
+
+  async getSetting(key) {
+    const row = await this.get('SELECT value FROM settings WHERE key = ?', [key]);
+    return row ? JSON.parse(row.value) : undefined;
+  }
+
+  async setSetting(key, value) {
+    await this.run(
+      `INSERT INTO settings (key, value) VALUES (?, ?)
+        ON CONFLICT (key) DO UPDATE SET value = excluded.value`,
+      [key, JSON.stringify(value)]
+    );
+  }
+}
+
+export default SqliteStore;